@@ -32,6 +32,8 @@ import MyDesigns from './pages/MyDesigns';
 import Orders from './pages/Orders';
 import Profile from './pages/Profile';
 import OrderSuccess from './pages/OrderSuccess';
+import TrackOrder from './pages/TrackOrder';
+import OAuthCallback from './pages/OAuthCallback';
 import Wishlist from './pages/Wishlist';
 import ThemeDetail from './pages/ThemeDetail';
 import Collection from './pages/collection.jsx';
@@ -131,17 +133,16 @@ function App() {
         { path: 'cart', element: <Cart /> },
         { path: 'login', element: <Login /> },
         { path: 'signup', element: <Signup /> },
+        { path: 'auth/callback/:provider', element: <OAuthCallback /> },
         { path: 'customizer', element: <CustomMobilePage /> },
         { path: 'customizer/:slug', element: <CustomMobilePage /> },
         { path: 'custom-mobile', element: <CustomMobilePage /> },
         { path: 'custom-mobile/:slug', element: <CustomMobilePage /> },
+        { path: 'designer', element: <MobileCoverCustomizer /> },
         { path: 'order-success/:id', element: <OrderSuccess /> },
 
-        { path: 'checkout', element: (
-          <ProtectedRoute>
-            <Checkout />
-          </ProtectedRoute>
-        ) },
+        { path: 'checkout', element: <Checkout /> },
+        { path: 'track-order', element: <TrackOrder /> },
         { path: 'profile', element: (
           <ProtectedRoute>
             <Profile />
@@ -10,6 +10,41 @@ const authAPI = {
     return axiosClient.post('/auth/register', userData);
   },
 
+  // Passwordless sign-in with a phone confirmed by OTP (utils/otp, purpose 'login').
+  // Resolves with { user, token, refreshToken, linked } when an account has the number
+  // (linked: it was on an email account and can now sign in by OTP as well), or with
+  // { signupRequired: true } when none does
+  otpLogin: ({ phone, verificationToken }) => {
+    return axiosClient.post('/auth/otp-login', { phone, verificationToken });
+  },
+
+  // New account for a confirmed phone; 409 when the email belongs to another account
+  otpSignup: (userData) => {
+    return axiosClient.post('/auth/otp-signup', userData);
+  },
+
+  // Sign in with an identity provider (utils/oauth). The server exchanges the code, and signs
+  // in the account with that provider identity, links it to the account with the same
+  // verified email, or creates one. Resolves with { user, token, refreshToken, linked }
+  oauthLogin: (provider, { code, codeVerifier, nonce, redirectUri, guestOrders }) => {
+    return axiosClient.post(`/auth/oauth/${provider}`, { code, codeVerifier, nonce, redirectUri, guestOrders });
+  },
+
+  // Connect a provider to the signed-in account, or disconnect it. The server refuses to
+  // remove the last way to sign in
+  linkProvider: (provider, { code, codeVerifier, nonce, redirectUri }) => {
+    return axiosClient.post(`/auth/providers/${provider}`, { code, codeVerifier, nonce, redirectUri });
+  },
+
+  unlinkProvider: (provider) => {
+    return axiosClient.delete(`/auth/providers/${provider}`);
+  },
+
+  // Revokes the refresh token on the server
+  logout: (refreshToken) => {
+    return axiosClient.post('/auth/logout', { refreshToken });
+  },
+
   getMe: () => {
     // Normalize response to return the nested data object { user }
     return axiosClient.get('/auth/me').then((res) => res.data?.data || res.data);
@@ -23,6 +58,14 @@ const authAPI = {
     return axiosClient.post('/auth/address', addressData);
   },
 
+  updateAddress: (addressId, addressData) => {
+    return axiosClient.put(`/auth/address/${addressId}`, addressData);
+  },
+
+  setDefaultAddress: (addressId) => {
+    return axiosClient.put(`/auth/address/${addressId}/default`);
+  },
+
   deleteAddress: (addressId) => {
     return axiosClient.delete(`/auth/address/${addressId}`);
   },
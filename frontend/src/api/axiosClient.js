@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { clearTokens, getAccessToken, getRefreshToken, setTokens } from '../utils/authTokens';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
@@ -6,10 +7,13 @@ const axiosClient = axios.create({
   baseURL: API_BASE_URL,
 });
 
+// Auth endpoints answer 401 for bad credentials; refreshing would not help them
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
 // Request interceptor to add auth token
 axiosClient.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -20,24 +24,84 @@ axiosClient.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+// The refresh in progress. Requests that fail with 401 while it runs wait on it and are
+// replayed with the new access token, so the refresh token (single use) is sent once
+let refreshing = null;
+
+const refreshSession = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) throw new Error('No refresh token');
+  // Plain axios: a 401 from the refresh itself must not come back through the interceptor
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+  const payload = response.data?.data || response.data;
+  if (!payload?.token) throw new Error('Refresh returned no access token');
+  setTokens({ token: payload.token, refreshToken: payload.refreshToken || refreshToken });
+  window.dispatchEvent(new CustomEvent('app:tokenRefreshed', { detail: { token: payload.token } }));
+  return payload.token;
+};
+
+const getFreshToken = () => {
+  if (!refreshing) {
+    refreshing = refreshSession().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+const endSession = () => {
+  try {
+    clearTokens();
+    // Notify the app so the UI (redux/router) can handle logout centrally
+    window.dispatchEvent(new CustomEvent('app:unauthorized', { detail: { status: 401 } }));
+  } catch (e) {
+    // ignore
+  }
+};
+
+// Response interceptor: an expired access token is refreshed and the request replayed;
+// the session only ends when the refresh fails
 axiosClient.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid: remove token and notify the app
-      try {
-        localStorage.removeItem('token');
-        // Notify the app so the UI (redux/router) can handle logout centrally
-        window.dispatchEvent(new CustomEvent('app:unauthorized', { detail: { status: 401 } }));
-      } catch (e) {
-        // ignore
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || NO_REFRESH_PATHS.some((path) => config.url?.startsWith(path))) {
+      return Promise.reject(error);
+    }
+
+    const sentToken = String(config.headers?.Authorization || '').replace(/^Bearer /, '');
+    // Not signed in (e.g. a guest): nothing to refresh or log out of
+    if (!sentToken) return Promise.reject(error);
+    if (config._retried) {
+      endSession();
+      return Promise.reject(error);
+    }
+
+    let token;
+    try {
+      // Another request, or another tab, may already have refreshed the session
+      const current = getAccessToken();
+      token = current && current !== sentToken ? current : await getFreshToken();
+    } catch (refreshError) {
+      // Offline or server trouble says nothing about the session; keep it
+      if (refreshError.isAxiosError && (!refreshError.response || refreshError.response.status >= 500)) {
+        return Promise.reject(error);
       }
+      // A tab that refreshed first has rotated the refresh token; use its session
+      const current = getAccessToken();
+      if (!current || current === sentToken) {
+        endSession();
+        return Promise.reject(error);
+      }
+      token = current;
     }
-    return Promise.reject(error);
+
+    config._retried = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return axiosClient(config);
   }
 );
 
-export default axiosClient;
\ No newline at end of file
+export default axiosClient;
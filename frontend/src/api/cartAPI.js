@@ -0,0 +1,12 @@
+import axiosClient from './axiosClient';
+
+// The signed-in user's cart: { items: [{ productId, variantId, quantity, product, variant }], updatedAt }
+const cartAPI = {
+  // Get the account cart
+  getCart: () => axiosClient.get('/cart'),
+
+  // Replace the account cart with the client's copy
+  replaceCart: (items) => axiosClient.put('/cart', { items }),
+};
+
+export default cartAPI;
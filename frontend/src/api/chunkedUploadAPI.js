@@ -0,0 +1,36 @@
+import axiosClient from './axiosClient';
+import { API_ENDPOINTS } from '../utils/constants';
+
+/**
+ * Chunked upload protocol (see utils/resumableUpload.js for the client state machine):
+ *  POST   /uploads/chunked                        { fileName, size, type, chunkSize, totalChunks, target }
+ *                                                 -> { uploadId }
+ *  GET    /uploads/chunked/:uploadId              -> { uploadId, receivedChunks: number[] }
+ *  PUT    /uploads/chunked/:uploadId/chunks/:i    raw bytes -> { index }
+ *  POST   /uploads/chunked/:uploadId/complete     -> { url, publicId, ... } plus the target's result,
+ *                                                    e.g. { model } once a 'model-frame' is attached
+ *  DELETE /uploads/chunked/:uploadId
+ * Every method resolves with the unwrapped `data` payload so transports are interchangeable.
+ */
+const unwrap = (res) => res.data?.data ?? res.data;
+
+const chunkedUploadAPI = {
+  createSession: (meta) => axiosClient.post(API_ENDPOINTS.UPLOADS.CHUNKED_SESSIONS, meta).then(unwrap),
+
+  getSession: (uploadId) => axiosClient.get(API_ENDPOINTS.UPLOADS.CHUNKED_SESSION(uploadId)).then(unwrap),
+
+  uploadChunk: (uploadId, index, chunk, { onUploadProgress, signal } = {}) =>
+    axiosClient
+      .put(API_ENDPOINTS.UPLOADS.CHUNKED_CHUNK(uploadId, index), chunk, {
+        headers: { 'Content-Type': 'application/octet-stream' },
+        onUploadProgress,
+        signal,
+      })
+      .then(unwrap),
+
+  complete: (uploadId) => axiosClient.post(API_ENDPOINTS.UPLOADS.CHUNKED_COMPLETE(uploadId)).then(unwrap),
+
+  abort: (uploadId) => axiosClient.delete(API_ENDPOINTS.UPLOADS.CHUNKED_SESSION(uploadId)).then(unwrap),
+};
+
+export default chunkedUploadAPI;
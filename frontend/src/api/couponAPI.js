@@ -0,0 +1,21 @@
+import axiosClient from './axiosClient';
+import { getItemBrand } from '../utils/coupons';
+
+const couponAPI = {
+  // Check a code against the cart; resolves with { coupon } describing its rules
+  validate: (code, items) => {
+    return axiosClient.post('/coupons/validate', {
+      code,
+      subtotal: items.reduce((sum, item) => sum + item.variant.price * item.quantity, 0),
+      items: items.map((item) => ({
+        productId: item.product._id,
+        variantId: item.variant._id,
+        brand: getItemBrand(item),
+        price: item.variant.price,
+        quantity: item.quantity,
+      })),
+    });
+  },
+};
+
+export default couponAPI;
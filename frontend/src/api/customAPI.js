@@ -1,9 +1,12 @@
 import axiosClient from './axiosClient';
+import { parseDesign } from '../utils/designDocument';
 
 const customAPI = {
-  // Create custom order
+  // Create custom order; designData is upgraded to the current design schema and rejected
+  // before the request when it does not validate
   createOrder: (orderData) => {
-    return axiosClient.post('/custom/order', orderData);
+    if (!orderData?.designData) return axiosClient.post('/custom/order', orderData);
+    return axiosClient.post('/custom/order', { ...orderData, designData: parseDesign(orderData.designData) });
   },
 
   // Create payment for custom order
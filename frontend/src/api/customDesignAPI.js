@@ -14,6 +14,11 @@ const getMyDesigns = async () => {
   return axiosClient.get(BASE).then(res => res.data);
 }
 
+// Autosaved drafts live in the same collection with status 'draft'
+const getMyDrafts = async () => {
+  return axiosClient.get(BASE, { params: { status: 'draft' } }).then(res => res.data);
+}
+
 const getDesign = async (id) => {
   return axiosClient.get(`${BASE}/${id}`).then(res => res.data);
 }
@@ -22,4 +27,4 @@ const deleteDesign = async (id) => {
   return axiosClient.delete(`${BASE}/${id}`).then(res => res.data);
 }
 
-export default { createDesign, updateDesign, getMyDesigns, getDesign, deleteDesign };
+export default { createDesign, updateDesign, getMyDesigns, getMyDrafts, getDesign, deleteDesign };
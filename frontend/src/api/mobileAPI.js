@@ -15,6 +15,8 @@ const mobileAPI = {
   adminCreateModel: (payload) => axiosClient.post('/admin/mobile/models', payload),
   adminUpdateModel: (id, payload) => axiosClient.put(`/admin/mobile/models/${id}`, payload),
   adminDeleteModel: (id) => axiosClient.delete(`/admin/mobile/models/${id}`),
+  // Printable area, print size and camera cut-outs ({ screen, printSize, cutouts })
+  adminUpdateModelGeometry: (id, geometry) => axiosClient.put(`/admin/mobile/models/${id}`, { geometry }),
   adminUploadModelFrames: (modelId, files, config = {}) => {
     if (!modelId) {
       throw new Error('modelId is required');
@@ -1,4 +1,5 @@
 import axiosClient from './axiosClient';
+import { guestOrderHeaders } from '../utils/guestOrders';
 
 const orderAPI = {
   // Create new order
@@ -6,14 +7,25 @@ const orderAPI = {
     return axiosClient.post('/orders', orderData);
   },
 
+  // Create an order without an account; orderData.guest is { email, phone }. The response
+  // carries guestAccessToken for the order (utils/guestOrders)
+  createGuestOrder: (orderData) => {
+    return axiosClient.post('/orders/guest', orderData);
+  },
+
+  // Find a guest order by its number and the phone it was placed with
+  lookupGuestOrder: ({ orderNumber, phone }) => {
+    return axiosClient.post('/orders/lookup', { orderNumber, phone });
+  },
+
   // Create Razorpay payment order
   createPaymentOrder: (orderId) => {
-    return axiosClient.post('/orders/pay/create', { orderId });
+    return axiosClient.post('/orders/pay/create', { orderId }, { headers: guestOrderHeaders(orderId) });
   },
 
   // Verify payment
   verifyPayment: (paymentData) => {
-    return axiosClient.post('/orders/pay/verify', paymentData);
+    return axiosClient.post('/orders/pay/verify', paymentData, { headers: guestOrderHeaders(paymentData.orderId) });
   },
 
   // Get user's orders
@@ -28,12 +40,12 @@ const orderAPI = {
 
   // Get single order
   getOrder: (id) => {
-    return axiosClient.get(`/orders/${id}`);
+    return axiosClient.get(`/orders/${id}`, { headers: guestOrderHeaders(id) });
   },
 
   // Cancel order
   cancelOrder: (id, reason) => {
-    return axiosClient.put(`/orders/${id}/cancel`, { reason });
+    return axiosClient.put(`/orders/${id}/cancel`, { reason }, { headers: guestOrderHeaders(id) });
   },
 
   // Admin endpoints
@@ -44,6 +56,16 @@ const orderAPI = {
   updateOrderStatus: (id, statusData) => {
     return axiosClient.put(`/admin/orders/${id}/status`, statusData);
   },
+
+  // Refund an order's online payment (full amount unless given)
+  refundPayment: (id, refundData) => {
+    return axiosClient.post(`/admin/orders/${id}/refund`, refundData);
+  },
+
+  // Record the cash the courier remitted for a COD order
+  recordCodRemittance: (id, remittance) => {
+    return axiosClient.put(`/admin/orders/${id}/cod-remittance`, remittance);
+  },
 };
 
 export default orderAPI;
\ No newline at end of file
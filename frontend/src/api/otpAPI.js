@@ -0,0 +1,19 @@
+import axiosClient from './axiosClient';
+
+// One-time passwords sent by SMS. `purpose` scopes a code to what it confirms ('cod', ...);
+// send resolves with { expiresIn, resendIn } (seconds), verify with { verified, token }
+const otpAPI = {
+  send: ({ phone, purpose }) => {
+    return axiosClient
+      .post('/otp/send', { phone, purpose })
+      .then((res) => res.data?.data || res.data);
+  },
+
+  verify: ({ phone, purpose, code }) => {
+    return axiosClient
+      .post('/otp/verify', { phone, purpose, code })
+      .then((res) => res.data?.data || res.data);
+  },
+};
+
+export default otpAPI;
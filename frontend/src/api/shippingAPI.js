@@ -0,0 +1,20 @@
+import axiosClient from './axiosClient';
+
+// Courier serviceability for a PIN code. Resolves with
+// { serviceable, zone, fee, codAvailable, transitDays: { min, max }, message }
+const shippingAPI = {
+  quote: ({ pin, subtotal, weightGrams, cod }) => {
+    return axiosClient
+      .get('/shipping/serviceability', { params: { pin, subtotal, weightGrams, cod } })
+      .then((res) => res.data?.data || res.data);
+  },
+
+  // Post office details for a PIN code: { city, district, state }
+  lookupPin: (pin) => {
+    return axiosClient
+      .get(`/shipping/pincode/${pin}`)
+      .then((res) => res.data?.data || res.data);
+  },
+};
+
+export default shippingAPI;
@@ -1,4 +1,14 @@
 import axiosClient from './axiosClient';
+import chunkedUploadAPI from './chunkedUploadAPI';
+import { preprocessImages } from '../utils/imagePreprocess';
+import { createLocalUploadTransport } from '../utils/localUploadServer';
+import {
+  startResumableUpload,
+  resumeUpload,
+  listPendingUploads,
+  discardUpload,
+  isCancelled,
+} from '../utils/resumableUpload';
 
 /**
  * Simple helper to detect a File/Blob
@@ -61,6 +71,68 @@ function buildFormData(files, extraFields = {}, defaultField = 'images') {
   return fd;
 }
 
+/**
+ * Run every image through preprocessImages, keeping the files/array/object shape.
+ * Progress is reported through onUploadProgress with phase 'processing'.
+ */
+async function preprocessFiles(files, onUploadProgress) {
+  const report = (fraction) => {
+    if (onUploadProgress) {
+      onUploadProgress({ phase: 'processing', loaded: Math.round(fraction * 100), total: 100, progress: fraction });
+    }
+  };
+
+  if (typeof FileList !== 'undefined' && files instanceof FileList) {
+    return preprocessImages(Array.from(files), { onProgress: report });
+  }
+  if (Array.isArray(files)) {
+    return preprocessImages(files, { onProgress: report });
+  }
+  if (isFileLike(files)) {
+    const [processed] = await preprocessImages([files], { onProgress: report });
+    return processed;
+  }
+
+  // { fieldName: File | [File] }: process field by field, spreading progress across them
+  const fields = Object.keys(files || {});
+  const result = {};
+  for (let i = 0; i < fields.length; i += 1) {
+    const value = files[fields[i]];
+    const list = Array.isArray(value) ? value : [value];
+    const processed = await preprocessImages(list, {
+      onProgress: (fraction) => report((i + fraction) / fields.length),
+    });
+    result[fields[i]] = Array.isArray(value) ? processed : processed[0];
+  }
+  return result;
+}
+
+// Chunked uploads go to the API unless VITE_UPLOAD_TRANSPORT=local selects the in-browser stand-in
+let transport = null;
+const getTransport = () => {
+  if (!transport) {
+    transport = import.meta.env.VITE_UPLOAD_TRANSPORT === 'local'
+      ? createLocalUploadTransport({ failureRate: Number(import.meta.env.VITE_UPLOAD_FAILURE_RATE) || 0 })
+      : chunkedUploadAPI;
+  }
+  return transport;
+};
+
+/**
+ * Same shape as handleRequest, for calls that already resolve with the unwrapped payload
+ */
+async function handleResumable(promise) {
+  try {
+    const data = await promise;
+    return { success: true, data, status: 200, error: null };
+  } catch (err) {
+    if (isCancelled(err)) return { success: false, data: null, status: 0, error: 'Upload cancelled' };
+    const error = err?.response?.data || err?.message || err;
+    const status = err?.response?.status || 0;
+    return { success: false, data: null, status, error };
+  }
+}
+
 /**
  * Standardized response wrapper
  * returns { success: boolean, data: any, status: number, error: any }
@@ -83,22 +155,39 @@ async function handleRequest(promise) {
 const uploadAPI = {
   /**
    * Upload multiple images.
-   * @param {File|File[]|Object} files - File, array of Files, or object { fieldName: File|[File] }
+   * Images are validated against UPLOAD_LIMITS, oriented, stripped of metadata, downscaled
+   * and re-encoded before sending (see utils/imagePreprocess).
+   * @param {File|File[]|FileList|Object} files - File, array of Files, or object { fieldName: File|[File] }
    * @param {Object} options
-   *  - onUploadProgress: function(progressEvent)
+   *  - onUploadProgress: function(progressEvent); events carry phase 'processing' then 'uploading'
    *  - extraFields: object of extra form fields
+   *  - preprocess: set false to send files untouched (default true)
    *  - timeout: ms (optional)
    *  - signal: AbortSignal (optional)
    * @returns {Promise<{success, data, status, error}>}
    */
   uploadImages: async (files, options = {}) => {
-    const { onUploadProgress, extraFields = {}, timeout, signal } = options;
-    const formData = buildFormData(files, extraFields, 'images');
+    const { onUploadProgress, extraFields = {}, preprocess = true, timeout, signal } = options;
+
+    let payload = files;
+    if (preprocess) {
+      try {
+        payload = await preprocessFiles(files, onUploadProgress);
+      } catch (err) {
+        return { success: false, data: null, status: 422, error: err?.message || 'Invalid image' };
+      }
+      if (signal?.aborted) {
+        return { success: false, data: null, status: 0, error: 'Upload cancelled' };
+      }
+    }
+    const formData = buildFormData(payload, extraFields, 'images');
 
     return handleRequest(
       axiosClient.post('/uploads/image', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress,
+        onUploadProgress: onUploadProgress
+          ? (event) => onUploadProgress({ ...event, phase: 'uploading' })
+          : undefined,
         timeout,
         signal,
       })
@@ -187,6 +276,58 @@ const uploadAPI = {
     );
   },
 
+  /**
+   * Upload one large file in chunks. Progress is kept in IndexedDB, failed chunks are retried
+   * with exponential backoff, and an interrupted upload can be resumed after a page reload.
+   * @param {File} file
+   * @param {Object} options
+   *  - target: { kind: 'design' | 'model-frame', id } what the file is for
+   *  - onUploadProgress: function(progressEvent); events carry phase 'processing' then 'uploading'
+   *  - onRetry: function(attempt, error)
+   *  - preprocess: set false to send the file untouched (default true)
+   *  - signal: AbortSignal (optional); a cancelled upload stays resumable until discarded
+   * @returns {Promise<{success, data, status, error}>} data is { url, publicId, ... }
+   */
+  uploadResumable: async (file, options = {}) => {
+    const { target, onUploadProgress, onRetry, preprocess = true, signal } = options;
+    if (!isFileLike(file)) {
+      return { success: false, data: null, status: 422, error: 'Provided file is not a File/Blob' };
+    }
+
+    let payload = file;
+    if (preprocess) {
+      try {
+        payload = await preprocessFiles(file, onUploadProgress);
+      } catch (err) {
+        return { success: false, data: null, status: 422, error: err?.message || 'Invalid image' };
+      }
+    }
+
+    return handleResumable(
+      startResumableUpload(payload, { target, transport: getTransport(), onProgress: onUploadProgress, onRetry, signal })
+    );
+  },
+
+  /**
+   * Continue an interrupted resumable upload.
+   * @param {string} key - from listPendingUploads
+   * @param {Object} options - { onUploadProgress, onRetry, signal }
+   */
+  resumeUpload: async (key, options = {}) => {
+    const { onUploadProgress, onRetry, signal } = options;
+    return handleResumable(
+      resumeUpload(key, { transport: getTransport(), onProgress: onUploadProgress, onRetry, signal })
+    );
+  },
+
+  /**
+   * Resumable uploads left unfinished, optionally filtered by target kind.
+   * Each entry carries { key, target, fileName, size, completedChunks, totalChunks, file }.
+   */
+  listPendingUploads: (kind) => listPendingUploads(kind),
+
+  discardUpload: (key) => discardUpload(key, getTransport()),
+
   /**
    * Convenience: returns an upload promise and a cancel function.
    * Example:
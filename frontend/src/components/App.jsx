@@ -1,11 +1,49 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useLocation, useSearchParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import MobileSelector from './MobileSelector';
 import FrameCustomizer from './FrameCustomizer';
+import { isFabricDesign, safeParseDesign } from '../utils/designDocument';
+import { loadDraft } from '../utils/designDrafts';
+
+// The phone a saved layer design was made for, shaped like MobileSelector's models
+const modelFromDesign = (design) => ({
+  name: design.model.name,
+  company: design.model.company,
+  framePath: design.frame,
+  geometry: design.model.geometry,
+});
 
 const App = () => {
+  // MyDesigns opens a saved layer design with { state: { design } }
+  const { state: locationState } = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const draftId = searchParams.get('draft');
+  const userId = useSelector((state) => state.auth.user?._id || null);
+  const openedDesign = useMemo(() => {
+    const design = safeParseDesign(locationState?.design);
+    return isFabricDesign(design) ? design : null;
+  }, [locationState]);
   const [selectedCompany, setSelectedCompany] = useState(null);
-  const [selectedModel, setSelectedModel] = useState(null);
-  const [currentStep, setCurrentStep] = useState('select'); // 'select' or 'customize'
+  const [selectedModel, setSelectedModel] = useState(() => (openedDesign ? modelFromDesign(openedDesign) : null));
+  const [currentStep, setCurrentStep] = useState(openedDesign ? 'customize' : 'select'); // 'select' or 'customize'
+
+  // A continued draft (MyDesigns) opens straight in the editor with the model it was made for
+  useEffect(() => {
+    if (!draftId || selectedModel) return undefined;
+    let cancelled = false;
+    loadDraft(draftId, userId)
+      .then((draft) => {
+        const model = draft?.draft?.state?.model;
+        if (cancelled || !model) return;
+        setSelectedModel(model);
+        setCurrentStep('customize');
+      })
+      .catch((error) => console.error('Failed to open draft', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [draftId, selectedModel, userId]);
 
   const handlePhoneSelect = (company, model) => {
     setSelectedCompany(company);
@@ -19,9 +57,16 @@ const App = () => {
     if (currentStep === 'customize') {
       setCurrentStep('select');
       setSelectedModel(null);
+      // The next model starts a new draft
+      setSearchParams({}, { replace: true });
     }
   };
 
+  // Keep the draft in the URL so a reload continues it
+  const handleDraftCreated = (created) => {
+    setSearchParams({ draft: created.localId }, { replace: true });
+  };
+
   const handleSave = (design) => {
     // Handle saving the design (could send to API or store locally)
     console.log('Design saved:', design);
@@ -56,6 +101,9 @@ const App = () => {
           <FrameCustomizer
             selectedModel={selectedModel}
             onSave={handleSave}
+            initialDesign={selectedModel.name === openedDesign?.model.name ? openedDesign : null}
+            draftId={draftId}
+            onDraftCreated={handleDraftCreated}
           />
         )}
       </main>
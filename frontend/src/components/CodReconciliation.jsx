@@ -0,0 +1,146 @@
+import { useMemo, useState } from 'react';
+import { COD_STATUS_LABELS, getCodStatus } from '../utils/cod';
+
+const formatCurrency = (value = 0) => `₹${Number(value || 0).toLocaleString('en-IN')}`;
+const shortId = (value = '') => `ORD-${String(value).slice(-6).toUpperCase()}`;
+
+const STATUS_STYLES = {
+  awaiting_delivery: 'bg-amber-100 text-amber-800',
+  collected: 'bg-sky-100 text-sky-800',
+  remitted: 'bg-emerald-100 text-emerald-800',
+  void: 'bg-slate-100 text-slate-600',
+};
+
+/**
+ * Cash on delivery reconciliation for the admin: what is still with customers, what the
+ * courier collected and owes us, and what has been remitted
+ * @param {Array} orders - COD orders in view
+ * @param {Function} onRecordRemittance - (order, { amount, reference }) => Promise
+ */
+export default function CodReconciliation({ orders, onRecordRemittance }) {
+  const [drafts, setDrafts] = useState({});
+  const [saving, setSaving] = useState(null);
+
+  const summary = useMemo(() => orders.reduce((acc, order) => {
+    const status = getCodStatus(order);
+    acc[status].count += 1;
+    acc[status].amount += status === 'remitted' ? Number(order.cod?.remittedAmount ?? order.total) || 0 : Number(order.total) || 0;
+    return acc;
+  }, {
+    awaiting_delivery: { count: 0, amount: 0 },
+    collected: { count: 0, amount: 0 },
+    remitted: { count: 0, amount: 0 },
+    void: { count: 0, amount: 0 },
+  }), [orders]);
+
+  const updateDraft = (id, changes) => {
+    setDrafts((prev) => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+  };
+
+  const handleRecord = async (order) => {
+    const draft = drafts[order._id] || {};
+    setSaving(order._id);
+    try {
+      await onRecordRemittance(order, {
+        amount: Number(draft.amount ?? order.cod?.collectedAmount ?? order.total),
+        reference: (draft.reference || '').trim() || undefined,
+      });
+      setDrafts((prev) => ({ ...prev, [order._id]: undefined }));
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-4 md:grid-cols-3">
+        {['awaiting_delivery', 'collected', 'remitted'].map((status) => (
+          <div key={status} className="rounded-2xl border border-slate-100 bg-white p-4 shadow-sm">
+            <p className="text-xs uppercase tracking-wide text-slate-400">{COD_STATUS_LABELS[status]}</p>
+            <p className="mt-2 text-2xl font-semibold text-slate-900">{formatCurrency(summary[status].amount)}</p>
+            <p className="text-xs text-slate-500">{summary[status].count} orders in view</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto rounded-2xl border border-slate-100 bg-white shadow-sm">
+        <table className="min-w-full text-sm">
+          <thead className="bg-slate-50 text-left text-xs uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-4 py-3">Order</th>
+              <th className="px-4 py-3">Cash status</th>
+              <th className="px-4 py-3 text-right">To collect</th>
+              <th className="px-4 py-3 text-right">Collected</th>
+              <th className="px-4 py-3">Remittance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {orders.map((order) => {
+              const status = getCodStatus(order);
+              const collected = order.cod?.collectedAmount;
+              const mismatch = collected != null && Number(collected) !== Number(order.total);
+              const draft = drafts[order._id] || {};
+              return (
+                <tr key={order._id}>
+                  <td className="px-4 py-3">
+                    <p className="font-semibold text-slate-900">{order.orderNumber || shortId(order._id)}</p>
+                    <p className="text-xs text-slate-500">{order.shippingAddress?.name || 'Guest'}</p>
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`rounded-full px-3 py-1 text-xs font-semibold ${STATUS_STYLES[status]}`}>
+                      {COD_STATUS_LABELS[status]}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-right">{formatCurrency(order.total)}</td>
+                  <td className={`px-4 py-3 text-right ${mismatch ? 'font-semibold text-rose-600' : ''}`}>
+                    {collected != null ? formatCurrency(collected) : '—'}
+                  </td>
+                  <td className="px-4 py-3">
+                    {status === 'remitted' && (
+                      <p className="text-xs text-slate-600">
+                        {formatCurrency(order.cod.remittedAmount ?? order.total)} on {new Date(order.cod.remittedAt).toLocaleDateString()}
+                        {order.cod.remittanceReference ? ` · ${order.cod.remittanceReference}` : ''}
+                      </p>
+                    )}
+                    {status === 'collected' && (
+                      <div className="flex flex-wrap items-center gap-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={draft.amount ?? collected ?? order.total ?? ''}
+                          onChange={(e) => updateDraft(order._id, { amount: e.target.value })}
+                          className="w-24 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+                          aria-label="Remitted amount"
+                        />
+                        <input
+                          type="text"
+                          value={draft.reference || ''}
+                          onChange={(e) => updateDraft(order._id, { reference: e.target.value })}
+                          placeholder="UTR / reference"
+                          className="w-36 rounded-lg border border-slate-200 px-2 py-1 text-sm"
+                        />
+                        <button
+                          onClick={() => handleRecord(order)}
+                          disabled={saving === order._id}
+                          className="rounded-lg bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-700 disabled:opacity-50"
+                        >
+                          {saving === order._id ? 'Saving…' : 'Mark remitted'}
+                        </button>
+                      </div>
+                    )}
+                    {(status === 'awaiting_delivery' || status === 'void') && <span className="text-xs text-slate-400">—</span>}
+                  </td>
+                </tr>
+              );
+            })}
+            {orders.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-4 py-8 text-center text-slate-500">No cash on delivery orders in view</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import authAPI from '../api/authAPI';
+import { getUserProfile } from '../redux/slices/authSlice';
+import { useOAuth } from '../hooks/useOAuth';
+import { getEnabledProviders, OAUTH_PROVIDERS } from '../utils/oauth';
+import { PROVIDER_ICONS } from './SocialSignIn';
+
+/**
+ * Profile section listing the identity providers the account can sign in with, to connect
+ * or disconnect them. The profile lists them as user.providers: [{ provider, email, linkedAt }]
+ */
+export default function ConnectedAccounts() {
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+  const { start, busy } = useOAuth();
+  const [unlinking, setUnlinking] = useState(null);
+  const providers = getEnabledProviders();
+  if (!user || !providers.length) return null;
+
+  const linked = user.providers || [];
+  // Keep at least one way in: password, a confirmed phone, or another provider
+  const signInMethods = (user.hasPassword === false ? 0 : 1) + (user.phoneVerified ? 1 : 0) + linked.length;
+
+  const handleUnlink = async (provider) => {
+    const { name } = OAUTH_PROVIDERS[provider];
+    if (!window.confirm(`Disconnect ${name}? You will no longer be able to sign in with it.`)) return;
+    setUnlinking(provider);
+    try {
+      await authAPI.unlinkProvider(provider);
+      await dispatch(getUserProfile());
+      toast.success(`${name} disconnected`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Could not disconnect ${name}`);
+    } finally {
+      setUnlinking(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 mt-6">
+      <h3 className="text-lg font-medium mb-1">Connected accounts</h3>
+      <p className="text-sm text-gray-600 mb-4">Sign in with these instead of your password.</p>
+      <div className="space-y-3">
+        {providers.map((provider) => {
+          const Icon = PROVIDER_ICONS[provider];
+          const connection = linked.find((entry) => entry.provider === provider);
+          return (
+            <div key={provider} className="border rounded p-3 flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                {Icon && <Icon className="h-6 w-6" />}
+                <div>
+                  <div className="font-medium">{OAUTH_PROVIDERS[provider].name}</div>
+                  <div className="text-sm text-gray-600">{connection ? connection.email || 'Connected' : 'Not connected'}</div>
+                </div>
+              </div>
+              {connection ? (
+                <button
+                  onClick={() => handleUnlink(provider)}
+                  disabled={unlinking === provider || signInMethods <= 1}
+                  title={signInMethods <= 1 ? 'Set a password first: this is your only way to sign in' : undefined}
+                  className="text-sm text-red-600 disabled:text-gray-400"
+                >
+                  {unlinking === provider ? 'Disconnecting...' : 'Disconnect'}
+                </button>
+              ) : (
+                <button
+                  onClick={() => start(provider, { intent: 'link' })}
+                  disabled={busy === provider}
+                  className="text-sm px-3 py-1 border rounded disabled:opacity-50"
+                >
+                  {busy === provider ? 'Connecting...' : 'Connect'}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { FiTag, FiX } from 'react-icons/fi';
+import { applyCoupon, removeCoupon, selectAppliedCoupons } from '../redux/slices/cartSlice';
+
+/**
+ * Coupon code entry with the list of applied codes
+ * @param {Array} rejected - [{ code, reason }] from computeOrderPricing for codes that no
+ *  longer apply to the cart (kept so they come back once the cart qualifies again)
+ */
+export default function CouponBox({ rejected = [] }) {
+  const dispatch = useDispatch();
+  const coupons = useSelector(selectAppliedCoupons);
+  const [code, setCode] = useState('');
+  const [applying, setApplying] = useState(false);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    setApplying(true);
+    try {
+      const coupon = await dispatch(applyCoupon(code)).unwrap();
+      toast.success(coupon.exclusive && coupons.length ? `${coupon.code} applied and replaced your other coupons` : `${coupon.code} applied`);
+      setCode('');
+    } catch (err) {
+      toast.error(typeof err === 'string' ? err : 'Could not apply coupon');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <form onSubmit={handleApply} className="flex gap-2">
+        <label htmlFor="coupon-code" className="sr-only">Coupon code</label>
+        <input
+          id="coupon-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Coupon code"
+          className="flex-1 min-w-0 rounded-lg border border-gray-300 px-3 py-2 text-sm uppercase focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <button
+          type="submit"
+          disabled={applying || !code.trim()}
+          className="px-4 py-2 rounded-lg border border-primary-600 text-primary-600 text-sm font-medium hover:bg-primary-50 disabled:opacity-50"
+        >
+          {applying ? 'Applying…' : 'Apply'}
+        </button>
+      </form>
+
+      {coupons.map((coupon) => {
+        const problem = rejected.find((item) => item.code === coupon.code);
+        return (
+          <div key={coupon.code} className="flex items-start justify-between gap-2 rounded-lg bg-green-50 px-3 py-2 text-sm">
+            <div className="flex items-start gap-2">
+              <FiTag className="mt-0.5 text-green-600" />
+              <div>
+                <p className="font-semibold text-green-800">{coupon.code}</p>
+                {coupon.description && <p className="text-xs text-green-700">{coupon.description}</p>}
+                {problem && <p className="text-xs text-amber-700">{problem.reason}</p>}
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => dispatch(removeCoupon(coupon.code))}
+              className="p-1 text-gray-500 hover:text-red-600"
+              title={`Remove ${coupon.code}`}
+            >
+              <FiX className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react';
+import { FiMapPin, FiTruck } from 'react-icons/fi';
+import { formatPrice } from '../utils/helpers';
+import { formatDeliveryEstimate, isValidPinCode } from '../utils/shipping';
+
+/**
+ * PIN code check with the delivery estimate and shipping charge
+ * @param {string} pin - PIN code being quoted
+ * @param {Function} onPinChange - (pin) => void, called when the customer checks a new code
+ * @param {Object} quote, loading, error - from useShippingQuote
+ * @param {boolean} showFee - include the shipping charge (off where there is no cart yet)
+ */
+export default function DeliveryEstimate({ pin, onPinChange, quote, loading, error, showFee = true }) {
+  const [input, setInput] = useState(pin || '');
+  const [inputError, setInputError] = useState(null);
+
+  useEffect(() => {
+    setInput(pin || '');
+  }, [pin]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!isValidPinCode(input)) {
+      setInputError('Enter a valid 6-digit PIN code');
+      return;
+    }
+    setInputError(null);
+    onPinChange(input.trim());
+  };
+
+  return (
+    <div className="space-y-2">
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <label htmlFor="delivery-pin" className="sr-only">Delivery PIN code</label>
+        <div className="relative flex-1 min-w-0">
+          <FiMapPin className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            id="delivery-pin"
+            inputMode="numeric"
+            maxLength={6}
+            value={input}
+            onChange={(e) => setInput(e.target.value.replace(/\D/g, ''))}
+            placeholder="Delivery PIN code"
+            className="w-full rounded-lg border border-gray-300 pl-9 pr-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg border border-gray-300 text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          Check
+        </button>
+      </form>
+
+      {(inputError || error) && <p className="text-xs text-red-600">{inputError || error}</p>}
+      {loading && <p className="text-xs text-gray-500">Checking delivery…</p>}
+      {!loading && quote && (
+        quote.serviceable ? (
+          <p className="flex items-start gap-2 text-sm text-gray-700">
+            <FiTruck className="mt-0.5 text-green-600" />
+            <span>
+              Delivery by <span className="font-semibold">{formatDeliveryEstimate(quote.estimate)}</span>
+              {showFee && <> · {quote.fee ? `${formatPrice(quote.fee)} shipping` : 'Free shipping'}</>}
+            </span>
+          </p>
+        ) : (
+          <p className="text-sm text-red-600">{quote.message || 'We do not deliver to this PIN code yet'}</p>
+        )
+      )}
+    </div>
+  );
+}
@@ -8,10 +8,12 @@ import DesignPreview from './DesignPreview'
  * @param {Function} onEdit - Callback for editing the design
  * @param {Function} onAddToCart - Callback for adding to cart
  * @param {Function} onDelete - Callback for deleting the design
+ * @param {boolean} isDraft - Autosaved draft: offers "Continue editing" and no add to cart
  */
-export default function DesignCard({ design, onEdit, onAddToCart, onDelete }) {
+export default function DesignCard({ design, onEdit, onAddToCart, onDelete, isDraft = false }) {
   const meta = design.meta || {}
   const displayName = design.name || `${meta.company || 'Custom'} ${meta.model || ''}`.trim()
+  const versionCount = design.draft?.versions?.length || 0
 
   return (
     <article className="bg-white p-4 rounded-lg shadow-sm border hover:shadow-md transition-shadow">
@@ -27,7 +29,9 @@ export default function DesignCard({ design, onEdit, onAddToCart, onDelete }) {
             {displayName}
           </h3>
           <p className="text-xs text-gray-500">
-            Saved {formatDate(design.createdAt)}
+            {isDraft ? `Draft · edited ${formatDate(design.updatedAt || design.createdAt)}` : `Saved ${formatDate(design.createdAt)}`}
+            {isDraft && versionCount > 0 && ` · ${versionCount} version${versionCount > 1 ? 's' : ''}`}
+            {isDraft && design.dirty && ' · not synced yet'}
           </p>
         </div>
 
@@ -39,15 +43,17 @@ export default function DesignCard({ design, onEdit, onAddToCart, onDelete }) {
               className="flex-1 text-xs px-3 py-2 bg-indigo-50 text-indigo-700 rounded-md hover:bg-indigo-100 transition-colors"
               aria-label={`Edit ${displayName}`}
             >
-              Edit
-            </button>
-            <button
-              onClick={() => onAddToCart(design)}
-              className="flex-1 text-xs px-3 py-2 bg-green-50 text-green-700 rounded-md hover:bg-green-100 transition-colors"
-              aria-label={`Add ${displayName} to cart`}
-            >
-              Add to Cart
+              {isDraft ? 'Continue editing' : 'Edit'}
             </button>
+            {!isDraft && (
+              <button
+                onClick={() => onAddToCart(design)}
+                className="flex-1 text-xs px-3 py-2 bg-green-50 text-green-700 rounded-md hover:bg-green-100 transition-colors"
+                aria-label={`Add ${displayName} to cart`}
+              >
+                Add to Cart
+              </button>
+            )}
           </div>
           <button
             onClick={() => onDelete(design)}
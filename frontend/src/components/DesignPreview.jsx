@@ -1,12 +1,17 @@
 import React from 'react'
-import { SCREEN_RECT } from '../utils/helpers'
+import { buildDesignTransformCss } from '../utils/helpers'
+import { getScreenRect } from '../utils/modelGeometry'
+import { getDesignPreview } from '../utils/designDocument'
 
 /**
  * Renders a preview of a custom design with proper scaling and positioning
- * @param {Object} design - The design object containing imgSrc, frame, and transform
+ * @param {Object} design - A design document (see utils/designDocument) or a saved design in the
+ *  legacy { imgSrc, frame, transform, geometry } shape
  */
 export default function DesignPreview({ design }) {
-  if (!design.imgSrc) {
+  const preview = getDesignPreview(design)
+
+  if (!preview.imgSrc) {
     return (
       <div className="w-full h-full flex items-center justify-center text-gray-400">
         <span className="text-sm">No preview available</span>
@@ -18,20 +23,13 @@ export default function DesignPreview({ design }) {
   const PREVIEW_WIDTH = 260
   const SCALE_FACTOR = 160 / PREVIEW_WIDTH
   
-  const screenArea = {
-    left: SCREEN_RECT.left * SCALE_FACTOR,
-    top: SCREEN_RECT.top * SCALE_FACTOR,
-    width: SCREEN_RECT.width * SCALE_FACTOR,
-    height: SCREEN_RECT.height * SCALE_FACTOR
-  }
+  const screenArea = getScreenRect(preview.geometry, PREVIEW_WIDTH * SCALE_FACTOR)
 
-  const transform = design.transform || { x: 0, y: 0, scale: 1 }
-  
   const imageStyle = {
     position: 'absolute',
     left: `${screenArea.left + (screenArea.width / 2)}px`,
     top: `${screenArea.top + (screenArea.height / 2)}px`,
-    transform: `translate(-50%, -50%) translate(${transform.x * SCALE_FACTOR}px, ${transform.y * SCALE_FACTOR}px) scale(${transform.scale})`,
+    transform: buildDesignTransformCss(preview.transform, SCALE_FACTOR),
     width: `${PREVIEW_WIDTH * SCALE_FACTOR}px`
   }
 
@@ -41,6 +39,7 @@ export default function DesignPreview({ design }) {
     top: screenArea.top,
     width: screenArea.width,
     height: screenArea.height,
+    borderRadius: screenArea.radius,
     overflow: 'hidden',
     background: '#fff'
   }
@@ -50,7 +49,7 @@ export default function DesignPreview({ design }) {
       {/* Screen area with user image */}
       <div style={screenStyle}>
         <img
-          src={design.imgSrc}
+          src={preview.imgSrc}
           alt={design.name || 'Custom design'}
           style={imageStyle}
           className="select-none"
@@ -59,9 +58,9 @@ export default function DesignPreview({ design }) {
       </div>
       
       {/* Frame overlay */}
-      {design.frame && (
+      {preview.frame && (
         <img
-          src={design.frame}
+          src={preview.frame}
           alt="Phone case frame"
           className="absolute inset-0 w-full h-full object-cover select-none"
           draggable={false}
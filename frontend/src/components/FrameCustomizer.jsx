@@ -1,259 +1,517 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { FiAlertTriangle, FiCamera, FiClock, FiCornerUpLeft, FiCornerUpRight, FiImage, FiSave, FiSmile, FiSquare, FiType, FiZoomIn, FiZoomOut } from 'react-icons/fi';
+import useFabricEditor from '../hooks/useFabricEditor';
+import useHistory from '../hooks/useHistory';
+import usePointerGestures from '../hooks/usePointerGestures';
+import { useDesignDraft } from '../hooks/useDesignDraft';
+import LayerPanel from './LayerPanel';
+import SafeZoneOverlay from './SafeZoneOverlay';
+import { EDITOR_SHAPES, EDITOR_STICKERS } from '../data/editorAssets';
+import {
+  DEFAULT_BLEED_MM,
+  DEFAULT_PRINT_DPI,
+  PRINT_DPI_OPTIONS,
+  dataUrlToBlob,
+} from '../utils/printExport';
+import { FRAME_SPACE, resolveModelGeometry, scaleCutouts, scaleRect } from '../utils/modelGeometry';
+import { describeCutoutConflicts, findCutoutConflicts } from '../utils/safeZone';
+import { createFabricDesign, getFabricObjects, safeParseDesign } from '../utils/designDocument';
 
-const FrameCustomizer = ({ selectedModel, onSave }) => {
-  const [userImage, setUserImage] = useState(null);
-  const [transform, setTransform] = useState({ x: 0, y: 0, scale: 1 });
-  const [isDragging, setIsDragging] = useState(false);
-  const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
-  const canvasRef = useRef(null);
+const CANVAS_WIDTH = 300;
+const CANVAS_HEIGHT = (CANVAS_WIDTH * FRAME_SPACE.height) / FRAME_SPACE.width;
 
-  // Screen rectangle for the phone frame (adjust based on your frame images)
-  const SCREEN_RECT = { left: 20, top: 80, width: 260, height: 440 };
+const downloadDataUrl = (dataUrl, filename) => {
+  const a = document.createElement('a');
+  a.href = dataUrl;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+};
+
+/**
+ * Layered cover editor. Autosaves into a design draft (hooks/useDesignDraft) whose state keeps
+ * the model and the layers as a design document, so a draft reopens exactly as it was left.
+ * @param {Object} selectedModel - { name, company, framePath, geometry }
+ * @param {Function} onSave - (result) => void after the design is sent to the studio
+ * @param {Object} initialDesign - design document (utils/designDocument) to reopen
+ * @param {string} draftId - draft to continue
+ * @param {Function} onDraftCreated - (draft) => void on the first autosave of a new draft
+ */
+const FrameCustomizer = ({ selectedModel, onSave, initialDesign, draftId, onDraftCreated }) => {
+  const user = useSelector((state) => state.auth.user);
+  const isAuthenticated = useSelector((state) => state.auth.isAuthenticated);
+  const [textDraft, setTextDraft] = useState('');
+  const [showStickers, setShowStickers] = useState(false);
+  const [printDpi, setPrintDpi] = useState(DEFAULT_PRINT_DPI);
+  const [showSafeZone, setShowSafeZone] = useState(true);
+  const [showVersions, setShowVersions] = useState(false);
+  const [cutoutConflicts, setCutoutConflicts] = useState([]);
+  const history = useHistory();
+  const geometry = useMemo(() => resolveModelGeometry(selectedModel), [selectedModel]);
+  const screenRect = useMemo(
+    () => scaleRect(geometry.screen, CANVAS_WIDTH / FRAME_SPACE.width),
+    [geometry]
+  );
+  const editor = useFabricEditor({
+    width: CANVAS_WIDTH,
+    height: CANVAS_HEIGHT,
+    screenRect,
+    frameSrc: selectedModel?.framePath,
+    history,
+  });
+  const { layers, activeLayer, addImage, addText, addSticker, addShape, updateLayer, checkPrintResolution } = editor;
+  const { loadLayers, serializeLayers, exportMockup } = editor;
+
+  // Put a saved design's layers back on the canvas; resolves once they are loaded
+  const openDesign = useCallback((design) => {
+    const parsed = safeParseDesign(design);
+    return parsed ? loadLayers(getFabricObjects(parsed)) : Promise.resolve();
+  }, [loadLayers]);
+
+  useEffect(() => {
+    if (initialDesign) openDesign(initialDesign);
+  }, [initialDesign, openDesign]);
+
+  // Everything needed to reopen the editor as it is now. `layers` also changes on selection;
+  // the draft hook skips states that come out the same, and only then renders the preview
+  const draftSnapshot = useMemo(() => {
+    if (!selectedModel || !layers.length) return null;
+    const meta = { company: selectedModel.company || '', model: selectedModel.name };
+    return {
+      name: `${meta.company} ${meta.model}`.trim() || 'Custom case',
+      meta,
+      geometry,
+      state: {
+        editor: 'layers',
+        model: selectedModel,
+        design: createFabricDesign({
+          objects: serializeLayers(),
+          canvas: { width: CANVAS_WIDTH, height: CANVAS_HEIGHT },
+          model: { id: selectedModel._id || null, name: selectedModel.name, company: selectedModel.company, geometry },
+          frame: selectedModel.framePath || null,
+          meta,
+        }),
+      },
+      renderPreview: () => {
+        try {
+          return exportMockup();
+        } catch (error) {
+          // a cross-origin frame taints the canvas; the draft is listed without a preview
+          return '';
+        }
+      },
+    };
+  }, [selectedModel, layers, serializeLayers, exportMockup, geometry]);
+
+  const designDraft = useDesignDraft({
+    draftId,
+    snapshot: draftSnapshot,
+    canSync: isAuthenticated,
+    ownerId: user?._id || null,
+    onCreated: onDraftCreated,
+  });
+
+  useEffect(() => {
+    if (designDraft.loadedState) openDesign(designDraft.loadedState.design);
+  }, [designDraft.loadedState, openDesign]);
+
+  const handleRestoreVersion = async (versionId) => {
+    const state = await designDraft.restoreVersion(versionId);
+    if (!state) return;
+    await openDesign(state.design);
+    setShowVersions(false);
+  };
+
+  const draftStatusLabel = {
+    saving: 'Saving draft…',
+    synced: 'Draft saved',
+    local: 'Draft saved on this device',
+    error: 'Draft saved on this device (sync failed)',
+  }[designDraft.status];
+  const stageRef = useRef(null);
+
+  // Touch: one finger pans, two fingers pinch-zoom and rotate the touched layer
+  usePointerGestures(stageRef, {
+    onStart: editor.beginGesture,
+    onChange: editor.applyGesture,
+    onEnd: editor.endGesture,
+  });
 
   const handleImageUpload = useCallback((e) => {
-    const file = e.target.files[0];
-    if (file) {
+    const files = Array.from(e.target.files || []);
+    files.forEach((file) => {
       const reader = new FileReader();
-      reader.onload = (e) => {
-        setUserImage(e.target.result);
-        setTransform({ x: 0, y: 0, scale: 1 });
+      reader.onload = (event) => {
+        addImage(event.target.result).catch(() => alert('Could not load that image'));
       };
       reader.readAsDataURL(file);
+    });
+    e.target.value = '';
+  }, [addImage]);
+
+  const handleAddText = useCallback(() => {
+    addText(textDraft.trim() || 'Your name');
+    setTextDraft('');
+  }, [addText, textDraft]);
+
+  const scaleActive = useCallback((factor) => {
+    if (!activeLayer || activeLayer.locked) return;
+    const scaleX = Math.min(Math.max(activeLayer.scaleX * factor, 0.05), 20);
+    const scaleY = Math.min(Math.max(activeLayer.scaleY * factor, 0.05), 20);
+    updateLayer(activeLayer.id, { scaleX, scaleY });
+  }, [activeLayer, updateLayer]);
+
+  const { printSize } = geometry;
+
+  // Results describe the design as it was when checked
+  useEffect(() => {
+    setCutoutConflicts([]);
+  }, [layers, geometry]);
+
+  const confirmCameraArea = useCallback(() => {
+    if (!geometry.cutouts.length) return true;
+    let conflicts = [];
+    try {
+      const cutouts = scaleCutouts(geometry.cutouts, CANVAS_WIDTH / FRAME_SPACE.width);
+      conflicts = findCutoutConflicts(editor.renderContentCanvas(), cutouts);
+    } catch (error) {
+      // Cross-origin images taint the canvas; skip the check rather than block saving
+      console.warn('Camera area check skipped:', error);
     }
-  }, []);
-
-  const handleMouseDown = useCallback((e) => {
-    if (!userImage) return;
-    setIsDragging(true);
-    setDragStart({ x: e.clientX - transform.x, y: e.clientY - transform.y });
-  }, [userImage, transform]);
-
-  const handleMouseMove = useCallback((e) => {
-    if (!isDragging || !userImage) return;
-    const newX = e.clientX - dragStart.x;
-    const newY = e.clientY - dragStart.y;
-    setTransform(prev => ({ ...prev, x: newX, y: newY }));
-  }, [isDragging, dragStart, userImage]);
-
-  const handleMouseUp = useCallback(() => {
-    setIsDragging(false);
-  }, []);
-
-  const zoomIn = useCallback(() => {
-    setTransform(prev => ({ ...prev, scale: Math.min(prev.scale * 1.2, 5) }));
-  }, []);
-
-  const zoomOut = useCallback(() => {
-    setTransform(prev => ({ ...prev, scale: Math.max(prev.scale / 1.2, 0.1) }));
-  }, []);
-
-  const fitToFrame = useCallback(() => {
-    setTransform({ x: 0, y: 0, scale: 1 });
-  }, []);
-
-  const exportAsPNG = useCallback(() => {
+    setCutoutConflicts(conflicts);
+    if (!conflicts.length) return true;
+    setShowSafeZone(true);
+    return window.confirm(`${describeCutoutConflicts(conflicts)}. The camera cut-out will hide it. Continue anyway?`);
+  }, [geometry, editor]);
+
+  // Re-checked whenever the layer list changes (add, scale, remove)
+  const lowResolutionLayers = useMemo(
+    () => checkPrintResolution(printSize, printDpi).filter((layer) => layer.underResolution),
+    [checkPrintResolution, printSize, printDpi, layers]
+  );
+
+  const confirmPrintQuality = useCallback(() => {
+    if (!lowResolutionLayers.length) return true;
+    const names = lowResolutionLayers.map((layer) => layer.name).join(', ');
+    return window.confirm(`${names} will print below ${printDpi} DPI and may look blurry. Continue anyway?`);
+  }, [lowResolutionLayers, printDpi]);
+
+  const fileBaseName = selectedModel ? selectedModel.name.replace(/\s+/g, '_') : 'cover';
+
+  const downloadMockup = useCallback(() => {
     if (!selectedModel) return;
+    const suffix = layers.length ? 'custom_cover' : 'frame';
+    downloadDataUrl(editor.exportMockup(), `${fileBaseName}_${suffix}.png`);
+  }, [selectedModel, editor, layers.length, fileBaseName]);
 
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = 300;
-    canvas.height = 600;
-
-    // Load frame image
-    const frameImg = new Image();
-    frameImg.crossOrigin = 'anonymous';
-    frameImg.onload = () => {
-      ctx.drawImage(frameImg, 0, 0, 300, 600);
-
-      // Draw user image if exists
-      if (userImage) {
-        const userImg = new Image();
-        userImg.crossOrigin = 'anonymous';
-        userImg.onload = () => {
-          ctx.save();
-          ctx.translate(SCREEN_RECT.left + SCREEN_RECT.width / 2, SCREEN_RECT.top + SCREEN_RECT.height / 2);
-          ctx.scale(transform.scale, transform.scale);
-          ctx.translate(transform.x, transform.y);
-          ctx.drawImage(userImg, -userImg.width / 2, -userImg.height / 2);
-          ctx.restore();
-
-          // Download the image
-          canvas.toBlob((blob) => {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${selectedModel.name.replace(/\s+/g, '_')}_custom_cover.png`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-          });
-        };
-        userImg.src = userImage;
-      } else {
-        // Download frame only
-        canvas.toBlob((blob) => {
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement('a');
-          a.href = url;
-          a.download = `${selectedModel.name.replace(/\s+/g, '_')}_frame.png`;
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
-        });
-      }
-    };
-    frameImg.src = selectedModel.framePath;
-  }, [selectedModel, userImage, transform]);
+  const downloadPrintFile = useCallback(() => {
+    if (!selectedModel || !layers.length) return;
+    if (!confirmPrintQuality()) return;
+    const result = editor.exportPrintFile(printSize, { dpi: printDpi, bleedMm: DEFAULT_BLEED_MM });
+    if (!result) return;
+    downloadDataUrl(result.dataUrl, `${fileBaseName}_print_${printDpi}dpi.png`);
+  }, [selectedModel, layers.length, confirmPrintQuality, editor, printSize, printDpi, fileBaseName]);
 
   const sendToBackend = useCallback(async () => {
     if (!selectedModel) return;
+    if (!layers.length) {
+      alert('Please add a photo or text first');
+      return;
+    }
+    if (!confirmPrintQuality() || !confirmCameraArea()) return;
+
+    const print = editor.exportPrintFile(printSize, { dpi: printDpi, bleedMm: DEFAULT_BLEED_MM });
+    const mockup = editor.exportMockup();
+    const [printBlob, mockupBlob] = await Promise.all([dataUrlToBlob(print?.dataUrl), dataUrlToBlob(mockup)]);
+    if (!printBlob || !mockupBlob) {
+      alert('Could not render the design');
+      return;
+    }
+    const design = createFabricDesign({
+      objects: editor.serializeLayers(),
+      canvas: { width: CANVAS_WIDTH, height: CANVAS_HEIGHT },
+      model: { id: selectedModel._id, name: selectedModel.name, company: selectedModel.company, geometry },
+      frame: selectedModel.framePath || null,
+      meta: { company: selectedModel.company, model: selectedModel.name, print: print.spec },
+    });
+    const formData = new FormData();
+    formData.append('design', printBlob, 'custom_design_print.png');
+    formData.append('mockup', mockupBlob, 'custom_design_mockup.png');
+    formData.append('company', selectedModel.company || 'Unknown');
+    formData.append('model', selectedModel.name);
+    formData.append('designDocument', JSON.stringify(design));
+    formData.append('dpi', String(printDpi));
+    formData.append('bleedMm', String(DEFAULT_BLEED_MM));
+    formData.append('printWidthMm', String(printSize.widthMm));
+    formData.append('printHeightMm', String(printSize.heightMm));
 
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = 300;
-    canvas.height = 600;
-
-    // Load frame image
-    const frameImg = new Image();
-    frameImg.crossOrigin = 'anonymous';
-    frameImg.onload = async () => {
-      ctx.drawImage(frameImg, 0, 0, 300, 600);
-
-      // Draw user image if exists
-      if (userImage) {
-        const userImg = new Image();
-        userImg.crossOrigin = 'anonymous';
-        userImg.onload = async () => {
-          ctx.save();
-          ctx.translate(SCREEN_RECT.left + SCREEN_RECT.width / 2, SCREEN_RECT.top + SCREEN_RECT.height / 2);
-          ctx.scale(transform.scale, transform.scale);
-          ctx.translate(transform.x, transform.y);
-          ctx.drawImage(userImg, -userImg.width / 2, -userImg.height / 2);
-          ctx.restore();
-
-          // Convert to blob and send to backend
-          canvas.toBlob(async (blob) => {
-            const formData = new FormData();
-            formData.append('design', blob, 'custom_design.png');
-            formData.append('company', selectedModel.company || 'Unknown');
-            formData.append('model', selectedModel.name);
-
-            try {
-              const response = await fetch('/api/custom-designs', {
-                method: 'POST',
-                body: formData,
-              });
-
-              if (response.ok) {
-                const result = await response.json();
-                alert(`Design saved successfully! Path: ${result.path}`);
-                onSave && onSave({ image: userImage, transform, model: selectedModel });
-              } else {
-                alert('Failed to save design');
-              }
-            } catch (error) {
-              console.error('Error saving design:', error);
-              alert('Error saving design');
-            }
-          });
-        };
-        userImg.src = userImage;
+    try {
+      const response = await fetch('/api/custom-designs', {
+        method: 'POST',
+        body: formData,
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        alert(`Design saved successfully! Path: ${result.path}`);
+        onSave && onSave({
+          image: mockup,
+          design,
+          transform: editor.getDesignTransform(),
+          geometry,
+          model: selectedModel,
+          print: print.spec,
+        });
       } else {
-        alert('Please upload an image first');
+        alert('Failed to save design');
       }
-    };
-    frameImg.src = selectedModel.framePath;
-  }, [selectedModel, userImage, transform, onSave]);
+    } catch (error) {
+      console.error('Error saving design:', error);
+      alert('Error saving design');
+    }
+  }, [selectedModel, layers.length, confirmPrintQuality, confirmCameraArea, editor, printSize, printDpi, geometry, onSave]);
 
   if (!selectedModel) {
     return <div className="text-center p-8">Please select a phone model first</div>;
   }
 
   return (
-    <div className="max-w-4xl mx-auto p-6">
+    <div className="max-w-5xl mx-auto p-6">
       <h2 className="text-2xl font-bold mb-6 text-center">Customize Your {selectedModel.name} Cover</h2>
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Canvas Preview */}
-        <div className="flex justify-center">
+        <div className="flex flex-col items-center gap-3">
+          <div className="flex gap-2">
+            <button
+              onClick={history.undo}
+              disabled={!history.canUndo}
+              title={history.undoLabel ? `Undo ${history.undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)'}
+              className="px-3 py-2 bg-white border rounded hover:bg-gray-50 disabled:opacity-40 flex items-center gap-1 text-sm"
+            >
+              <FiCornerUpLeft /> Undo
+            </button>
+            <button
+              onClick={history.redo}
+              disabled={!history.canRedo}
+              title={history.redoLabel ? `Redo ${history.redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)'}
+              className="px-3 py-2 bg-white border rounded hover:bg-gray-50 disabled:opacity-40 flex items-center gap-1 text-sm"
+            >
+              <FiCornerUpRight /> Redo
+            </button>
+            <button
+              onClick={() => setShowSafeZone((prev) => !prev)}
+              aria-pressed={showSafeZone}
+              title="Show the camera cut-out and safe margin"
+              className={`px-3 py-2 border rounded flex items-center gap-1 text-sm ${showSafeZone ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white hover:bg-gray-50'}`}
+            >
+              <FiCamera /> Camera zone
+            </button>
+          </div>
+          <div className="w-[300px] flex items-center justify-between gap-2 text-sm">
+            <span className="text-xs text-gray-400">{draftStatusLabel}</span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => designDraft.saveVersion()}
+                disabled={!designDraft.draft}
+                title="Save a version you can come back to"
+                className="px-2 py-1 bg-white border rounded hover:bg-gray-50 disabled:opacity-40 flex items-center gap-1"
+              >
+                <FiSave /> Save version
+              </button>
+              <button
+                onClick={() => setShowVersions((prev) => !prev)}
+                disabled={!designDraft.versions.length}
+                aria-pressed={showVersions}
+                title="Version history"
+                className="px-2 py-1 bg-white border rounded hover:bg-gray-50 disabled:opacity-40 flex items-center gap-1"
+              >
+                <FiClock /> Versions
+              </button>
+            </div>
+          </div>
+          {showVersions && designDraft.versions.length > 0 && (
+            <ul className="w-[300px] max-h-48 overflow-y-auto divide-y border rounded text-sm">
+              {[...designDraft.versions].reverse().map((version) => (
+                <li key={version.id} className="flex items-center justify-between gap-3 px-3 py-2">
+                  <span className="text-gray-700">
+                    {version.label}
+                    <span className="block text-xs text-gray-400">{new Date(version.savedAt).toLocaleString()}</span>
+                  </span>
+                  <button
+                    onClick={() => handleRestoreVersion(version.id)}
+                    disabled={!version.state}
+                    title={version.state ? undefined : 'Saved on another device'}
+                    className="text-xs font-semibold text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                  >
+                    Restore
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
           <div
-            ref={canvasRef}
-            className="relative w-[300px] h-[600px] bg-gray-100 border-2 border-gray-300 cursor-move select-none"
-            onMouseDown={handleMouseDown}
-            onMouseMove={handleMouseMove}
-            onMouseUp={handleMouseUp}
-            onMouseLeave={handleMouseUp}
+            ref={stageRef}
+            className="relative w-[300px] h-[600px] bg-gray-100 border-2 border-gray-300 select-none touch-none"
           >
-            {/* User Image */}
-            {userImage && (
-              <img
-                src={userImage}
-                alt="User design"
-                className="absolute"
-                style={{
-                  left: '50%',
-                  top: '50%',
-                  transform: `translate(-50%, -50%) scale(${transform.scale}) translate(${transform.x}px, ${transform.y}px)`,
-                  transformOrigin: 'center center',
-                  maxWidth: 'none',
-                  maxHeight: 'none',
-                  pointerEvents: 'none',
-                }}
-              />
-            )}
-
-            {/* Phone Frame Overlay */}
-            <img
-              src={selectedModel.framePath}
-              alt="Phone frame"
-              className="absolute inset-0 w-full h-full object-cover pointer-events-none"
-            />
+            <div className="relative" style={{ width: CANVAS_WIDTH, height: CANVAS_HEIGHT }}>
+              <canvas ref={editor.canvasElRef} />
+              {showSafeZone && (
+                <SafeZoneOverlay geometry={geometry} flaggedIds={cutoutConflicts.map((conflict) => conflict.id)} />
+              )}
+            </div>
           </div>
+          {cutoutConflicts.length > 0 && (
+            <div className="w-[300px] p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+              <p className="flex items-center gap-2 font-medium">
+                <FiAlertTriangle /> Content under the camera
+              </p>
+              <p className="mt-1">{describeCutoutConflicts(cutoutConflicts)}. Move it away from the highlighted area.</p>
+            </div>
+          )}
         </div>
 
         {/* Controls */}
         <div className="space-y-6">
-          {/* Image Upload */}
+          {/* Add layers */}
           <div>
-            <label className="block">
+            <h3 className="text-lg font-semibold mb-4">Add to Design</h3>
+            <label className="block mb-3">
               <input
                 type="file"
                 accept="image/*"
+                multiple
                 onChange={handleImageUpload}
                 className="hidden"
               />
-              <div className="border-2 border-dashed border-gray-300 p-6 text-center cursor-pointer hover:border-gray-400 transition-colors rounded-lg">
-                <div className="text-4xl mb-2">📷</div>
-                <p className="text-gray-600">Click to upload your image</p>
+              <div className="border-2 border-dashed border-gray-300 p-4 text-center cursor-pointer hover:border-gray-400 transition-colors rounded-lg">
+                <FiImage className="w-6 h-6 mx-auto mb-1 text-gray-500" />
+                <p className="text-gray-600 text-sm">Click to add photos</p>
               </div>
             </label>
-          </div>
 
-          {/* Transform Controls */}
-          <div>
-            <h3 className="text-lg font-semibold mb-4">Adjust Image</h3>
-            <div className="grid grid-cols-2 gap-2 mb-4">
+            <div className="flex gap-2 mb-3">
+              <input
+                type="text"
+                value={textDraft}
+                onChange={(e) => setTextDraft(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddText()}
+                placeholder="Type a name or message"
+                maxLength={40}
+                className="flex-1 border rounded px-3 py-2 text-sm"
+              />
               <button
-                onClick={zoomIn}
-                className="p-3 bg-blue-500 text-white rounded hover:bg-blue-600"
+                onClick={handleAddText}
+                className="px-3 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center gap-1 text-sm"
               >
-                Zoom In
+                <FiType /> Add Text
               </button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
               <button
-                onClick={zoomOut}
-                className="p-3 bg-blue-500 text-white rounded hover:bg-blue-600"
+                onClick={() => setShowStickers((prev) => !prev)}
+                className="p-2 bg-gray-100 rounded hover:bg-gray-200 flex items-center justify-center gap-1 text-sm"
               >
-                Zoom Out
+                <FiSmile /> Stickers
               </button>
+              <div className="flex gap-1">
+                {EDITOR_SHAPES.map((shape) => (
+                  <button
+                    key={shape.id}
+                    title={shape.label}
+                    onClick={() => addShape(shape.id)}
+                    className="flex-1 p-2 bg-gray-100 rounded hover:bg-gray-200 text-xs"
+                  >
+                    {shape.id === 'rect' ? <FiSquare className="mx-auto" /> : shape.label}
+                  </button>
+                ))}
+              </div>
             </div>
-            <button
-              onClick={fitToFrame}
-              className="w-full p-3 bg-gray-500 text-white rounded hover:bg-gray-600"
-            >
-              Fit to Frame
-            </button>
+
+            {showStickers && (
+              <div className="mt-3 grid grid-cols-6 gap-2 border rounded-lg p-2">
+                {EDITOR_STICKERS.map((sticker) => (
+                  <button
+                    key={sticker}
+                    onClick={() => addSticker(sticker)}
+                    className="text-2xl p-1 rounded hover:bg-gray-100"
+                  >
+                    {sticker}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Layers */}
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">Layers</h3>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => scaleActive(1.2)}
+                  disabled={!activeLayer}
+                  title="Zoom in"
+                  className="p-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                >
+                  <FiZoomIn />
+                </button>
+                <button
+                  onClick={() => scaleActive(1 / 1.2)}
+                  disabled={!activeLayer}
+                  title="Zoom out"
+                  className="p-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                >
+                  <FiZoomOut />
+                </button>
+              </div>
+            </div>
+            <LayerPanel
+              layers={layers}
+              activeLayer={activeLayer}
+              onSelect={editor.selectLayer}
+              onUpdate={updateLayer}
+              onReorder={editor.reorderLayer}
+              onRemove={editor.removeLayer}
+            />
+          </div>
+
+          {/* Print settings */}
+          <div>
+            <h3 className="text-lg font-semibold mb-4">Print Quality</h3>
+            <div className="flex items-center gap-3 mb-2">
+              <label htmlFor="print-dpi" className="text-sm text-gray-700">Resolution</label>
+              <select
+                id="print-dpi"
+                value={printDpi}
+                onChange={(e) => setPrintDpi(Number(e.target.value))}
+                className="border rounded px-2 py-1 text-sm"
+              >
+                {PRINT_DPI_OPTIONS.map((dpi) => (
+                  <option key={dpi} value={dpi}>{dpi} DPI</option>
+                ))}
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">
+              Print area {printSize.widthMm} × {printSize.heightMm} mm plus {DEFAULT_BLEED_MM} mm bleed
+            </p>
+            {lowResolutionLayers.length > 0 && (
+              <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+                <p className="flex items-center gap-2 font-medium">
+                  <FiAlertTriangle /> Low resolution for print
+                </p>
+                <ul className="mt-1 space-y-0.5">
+                  {lowResolutionLayers.map((layer) => (
+                    <li key={layer.id}>
+                      {layer.name} prints at ~{layer.dpi} DPI; use a larger photo or shrink it
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
 
           {/* Actions */}
@@ -261,10 +519,17 @@ const FrameCustomizer = ({ selectedModel, onSave }) => {
             <h3 className="text-lg font-semibold mb-4">Actions</h3>
             <div className="space-y-2">
               <button
-                onClick={exportAsPNG}
+                onClick={downloadMockup}
                 className="w-full p-3 bg-green-500 text-white rounded hover:bg-green-600"
               >
-                Download PNG
+                Download Mockup
+              </button>
+              <button
+                onClick={downloadPrintFile}
+                disabled={!layers.length}
+                className="w-full p-3 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:opacity-50"
+              >
+                Download Print File
               </button>
               <button
                 onClick={sendToBackend}
@@ -272,6 +537,13 @@ const FrameCustomizer = ({ selectedModel, onSave }) => {
               >
                 Send to Backend
               </button>
+              <button
+                onClick={editor.clearLayers}
+                disabled={!layers.length}
+                className="w-full p-3 bg-gray-500 text-white rounded hover:bg-gray-600 disabled:opacity-50"
+              >
+                Clear Design
+              </button>
             </div>
           </div>
 
@@ -279,10 +551,14 @@ const FrameCustomizer = ({ selectedModel, onSave }) => {
           <div className="bg-blue-50 p-4 rounded-lg">
             <h4 className="font-semibold mb-2">How to use:</h4>
             <ul className="text-sm text-gray-700 space-y-1">
-              <li>• Upload your image</li>
-              <li>• Drag to move the image</li>
-              <li>• Use zoom buttons to resize</li>
-              <li>• Download or send to backend</li>
+              <li>• Add photos, text, stickers or shapes</li>
+              <li>• Drag, resize and rotate layers on the cover</li>
+              <li>• On touch screens, pinch to zoom and twist two fingers to rotate</li>
+              <li>• Double-click text to edit it in place</li>
+              <li>• Reorder, fade or lock layers from the list</li>
+              <li>• Keep faces and text out of the camera zone</li>
+              <li>• Undo with Ctrl+Z, redo with Ctrl+Shift+Z</li>
+              <li>• Download a mockup or the print file, or send to backend</li>
             </ul>
           </div>
         </div>
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-toastify';
+import { FiUserPlus } from 'react-icons/fi';
+import { register } from '../redux/slices/authSlice';
+
+/**
+ * Offers a guest the option to turn their checkout details into an account; the register
+ * thunk attaches the guest orders placed in this browser to it
+ * @param {Object} order - the guest order being viewed
+ * @param {Function} onCreated - () => void, called once the account exists
+ */
+export default function GuestAccountPrompt({ order, onCreated }) {
+  const dispatch = useDispatch();
+  const [open, setOpen] = useState(false);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  const name = order.shippingAddress?.name || '';
+  const email = order.guest?.email || '';
+  const phone = String(order.guest?.phone || order.shippingAddress?.phone || '').replace(/\D/g, '').slice(-10);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setCreating(true);
+    setError(null);
+    try {
+      await dispatch(register({ name, email, phone, password })).unwrap();
+      toast.success('Account created. Your order is now saved to it.');
+      onCreated?.();
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Could not create your account');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (!email) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
+      <div className="flex items-start gap-3">
+        <FiUserPlus className="mt-1 w-5 h-5 text-primary-600 flex-shrink-0" aria-hidden="true" />
+        <div className="flex-1">
+          <h2 className="text-lg font-semibold text-gray-900">Save this order to an account</h2>
+          <p className="text-sm text-gray-600">
+            Choose a password to track orders, reorder and check out faster next time as {email}.
+          </p>
+          {!open ? (
+            <button
+              type="button"
+              onClick={() => setOpen(true)}
+              className="mt-3 text-sm font-medium text-primary-600 hover:underline"
+            >
+              Create account
+            </button>
+          ) : (
+            <form onSubmit={handleSubmit} className="mt-4 grid gap-3 sm:grid-cols-2">
+              <div>
+                <label htmlFor="guest-account-password" className="block text-sm">Password</label>
+                <input
+                  id="guest-account-password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="new-password"
+                  className="mt-1 block w-full border border-gray-300 rounded px-3 py-2"
+                />
+              </div>
+              <div>
+                <label htmlFor="guest-account-confirm" className="block text-sm">Confirm password</label>
+                <input
+                  id="guest-account-confirm"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  autoComplete="new-password"
+                  className="mt-1 block w-full border border-gray-300 rounded px-3 py-2"
+                />
+              </div>
+              {error && <p className="text-sm text-red-600 sm:col-span-2">{error}</p>}
+              <div className="sm:col-span-2">
+                <button
+                  type="submit"
+                  disabled={creating}
+                  className="bg-primary-600 text-white py-2 px-4 rounded hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {creating ? 'Creating account…' : 'Create account'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,8 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { FiShoppingCart, FiUser, FiMenu, FiX, FiSearch, FiHeart } from 'react-icons/fi';
 import { logout } from '../redux/slices/authSlice';
+import authAPI from '../api/authAPI';
+import { getRefreshToken } from '../utils/authTokens';
 import { selectCartItemCount } from '../redux/slices/cartSlice';
 import { selectWishlistCount } from '../redux/slices/wishlistSlice';
 
@@ -17,6 +19,9 @@ const Header = () => {
   const wishlistCount = useSelector(selectWishlistCount);
 
   const handleLogout = () => {
+    const refreshToken = getRefreshToken();
+    // Best effort: the tokens are dropped locally whether or not the server hears about it
+    if (refreshToken) authAPI.logout(refreshToken).catch(() => {});
     dispatch(logout());
     navigate('/');
   };
@@ -47,6 +52,9 @@ const Header = () => {
             <Link to="/products" className="text-gray-700 hover:text-primary-600 font-medium">
               Products
             </Link>
+            <Link to="/designer" className="text-gray-700 hover:text-primary-600 font-medium">
+              Design Studio
+            </Link>
             {isAuthenticated && (
               <>
                 <Link to="/my-designs" className="text-gray-700 hover:text-primary-600 font-medium">
@@ -57,6 +65,11 @@ const Header = () => {
                 </Link>
               </>
             )}
+            {!isAuthenticated && (
+              <Link to="/track-order" className="text-gray-700 hover:text-primary-600 font-medium">
+                Track Order
+              </Link>
+            )}
           </nav>
 
           {/* Search Bar */}
@@ -158,11 +171,19 @@ const Header = () => {
               <Link to="/products" className="px-4 py-2 text-gray-700 hover:text-primary-600 font-medium">
                 Products
               </Link>
+              <Link to="/designer" className="px-4 py-2 text-gray-700 hover:text-primary-600 font-medium">
+                Design Studio
+              </Link>
               {isAuthenticated && (
                 <Link to="/my-designs" className="px-4 py-2 text-gray-700 hover:text-primary-600 font-medium">
                   My Designs
                 </Link>
               )}
+              {!isAuthenticated && (
+                <Link to="/track-order" className="px-4 py-2 text-gray-700 hover:text-primary-600 font-medium">
+                  Track Order
+                </Link>
+              )}
               
               {/* Mobile Search */}
               <form onSubmit={handleSearch} className="px-4 py-2">
@@ -0,0 +1,161 @@
+import React from 'react';
+import {
+  FiArrowDown,
+  FiArrowUp,
+  FiChevronsDown,
+  FiChevronsUp,
+  FiImage,
+  FiLock,
+  FiSquare,
+  FiSmile,
+  FiTrash2,
+  FiType,
+  FiUnlock,
+} from 'react-icons/fi';
+import { EDITOR_COLORS, EDITOR_FONTS } from '../data/editorAssets';
+
+const LAYER_ICONS = {
+  image: FiImage,
+  text: FiType,
+  sticker: FiSmile,
+  shape: FiSquare,
+};
+
+/**
+ * Layer list and property inspector for the layered cover editor
+ * @param {Array} layers - Layer descriptors from useFabricEditor (top-most first)
+ * @param {Object} activeLayer - Currently selected layer descriptor
+ * @param {Function} onSelect - (id) => void
+ * @param {Function} onUpdate - (id, props) => void
+ * @param {Function} onReorder - (id, 'forward' | 'backward' | 'front' | 'back') => void
+ * @param {Function} onRemove - (id) => void
+ */
+export default function LayerPanel({ layers, activeLayer, onSelect, onUpdate, onReorder, onRemove }) {
+  if (!layers.length) {
+    return <p className="text-sm text-gray-500">No layers yet. Add a photo, text, sticker or shape to start.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <ul className="divide-y border rounded-lg overflow-hidden">
+        {layers.map((layer) => {
+          const Icon = LAYER_ICONS[layer.type] || FiSquare;
+          const active = activeLayer?.id === layer.id;
+          return (
+            <li key={layer.id}>
+              <div
+                className={`flex items-center gap-2 px-3 py-2 cursor-pointer ${active ? 'bg-blue-50' : 'bg-white hover:bg-gray-50'}`}
+                onClick={() => onSelect(layer.id)}
+              >
+                <Icon className="w-4 h-4 text-gray-500" />
+                <span className="flex-1 text-sm truncate">{layer.text || layer.name}</span>
+                <button
+                  type="button"
+                  title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onUpdate(layer.id, { locked: !layer.locked });
+                  }}
+                  className="p-1 text-gray-500 hover:text-gray-800"
+                >
+                  {layer.locked ? <FiLock className="w-4 h-4" /> : <FiUnlock className="w-4 h-4" />}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {activeLayer && (
+        <div className="space-y-3 border rounded-lg p-3 bg-gray-50">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-semibold">{activeLayer.name}</p>
+            <div className="flex gap-1">
+              <button type="button" title="Bring to front" onClick={() => onReorder(activeLayer.id, 'front')} className="p-1 rounded hover:bg-gray-200">
+                <FiChevronsUp className="w-4 h-4" />
+              </button>
+              <button type="button" title="Bring forward" onClick={() => onReorder(activeLayer.id, 'forward')} className="p-1 rounded hover:bg-gray-200">
+                <FiArrowUp className="w-4 h-4" />
+              </button>
+              <button type="button" title="Send backward" onClick={() => onReorder(activeLayer.id, 'backward')} className="p-1 rounded hover:bg-gray-200">
+                <FiArrowDown className="w-4 h-4" />
+              </button>
+              <button type="button" title="Send to back" onClick={() => onReorder(activeLayer.id, 'back')} className="p-1 rounded hover:bg-gray-200">
+                <FiChevronsDown className="w-4 h-4" />
+              </button>
+              <button type="button" title="Delete layer" onClick={() => onRemove(activeLayer.id)} className="p-1 rounded text-red-600 hover:bg-red-50">
+                <FiTrash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          {activeLayer.type === 'text' && (
+            <>
+              <input
+                type="text"
+                value={activeLayer.text}
+                disabled={activeLayer.locked}
+                onChange={(e) => onUpdate(activeLayer.id, { text: e.target.value })}
+                className="w-full border rounded px-3 py-2 text-sm"
+              />
+              <select
+                value={activeLayer.fontFamily}
+                disabled={activeLayer.locked}
+                onChange={(e) => onUpdate(activeLayer.id, { fontFamily: e.target.value })}
+                className="w-full border rounded px-3 py-2 text-sm"
+              >
+                {EDITOR_FONTS.map((font) => (
+                  <option key={font.id} value={font.family} style={{ fontFamily: font.family }}>
+                    {font.label}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+
+          {(activeLayer.type === 'text' || activeLayer.type === 'shape') && (
+            <div className="flex flex-wrap gap-2">
+              {EDITOR_COLORS.map((color) => (
+                <button
+                  key={color}
+                  type="button"
+                  aria-label={`Use colour ${color}`}
+                  disabled={activeLayer.locked}
+                  onClick={() => onUpdate(activeLayer.id, { fill: color })}
+                  className={`w-6 h-6 rounded-full border ${activeLayer.fill === color ? 'ring-2 ring-blue-500' : ''}`}
+                  style={{ backgroundColor: color }}
+                />
+              ))}
+            </div>
+          )}
+
+          <label className="block text-xs text-gray-600">
+            Rotation ({activeLayer.angle}°)
+            <input
+              type="range"
+              min="-180"
+              max="180"
+              value={activeLayer.angle > 180 ? activeLayer.angle - 360 : activeLayer.angle}
+              disabled={activeLayer.locked}
+              onChange={(e) => onUpdate(activeLayer.id, { angle: Number(e.target.value) })}
+              className="w-full"
+            />
+          </label>
+
+          <label className="block text-xs text-gray-600">
+            Opacity ({Math.round(activeLayer.opacity * 100)}%)
+            <input
+              type="range"
+              min="0.1"
+              max="1"
+              step="0.05"
+              value={activeLayer.opacity}
+              onChange={(e) => onUpdate(activeLayer.id, { opacity: Number(e.target.value) })}
+              className="w-full"
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,36 +5,36 @@ const MobileSelector = ({ onSelect, selectedCompany, selectedModel }) => {
     {
       name: 'Apple',
       models: [
-        { name: 'iPhone 14', framePath: '/frames/Apple/iPhone14.png' },
-        { name: 'iPhone 15', framePath: '/frames/Apple/iPhone15.png' }
+        { name: 'iPhone 14', framePath: '/frames/Apple/iPhone14.png', geometry: { printSize: { widthMm: 71.5, heightMm: 146.7 } } },
+        { name: 'iPhone 15', framePath: '/frames/Apple/iPhone15.png', geometry: { printSize: { widthMm: 71.6, heightMm: 147.6 } } }
       ]
     },
     {
       name: 'Samsung',
       models: [
-        { name: 'Galaxy S23', framePath: '/frames/Samsung/S23.png' },
-        { name: 'Galaxy S24', framePath: '/frames/Samsung/S24.png' }
+        { name: 'Galaxy S23', framePath: '/frames/Samsung/S23.png', geometry: { printSize: { widthMm: 70.9, heightMm: 146.3 } } },
+        { name: 'Galaxy S24', framePath: '/frames/Samsung/S24.png', geometry: { printSize: { widthMm: 70.6, heightMm: 147.0 } } }
       ]
     },
     {
       name: 'Vivo',
       models: [
-        { name: 'Vivo V25', framePath: '/frames/Vivo/V25.png' },
-        { name: 'Vivo X80', framePath: '/frames/Vivo/X80.png' }
+        { name: 'Vivo V25', framePath: '/frames/Vivo/V25.png', geometry: { printSize: { widthMm: 74.2, heightMm: 159.2 } } },
+        { name: 'Vivo X80', framePath: '/frames/Vivo/X80.png', geometry: { printSize: { widthMm: 75.2, heightMm: 164.9 } } }
       ]
     },
     {
       name: 'Oppo',
       models: [
-        { name: 'Oppo Reno 10', framePath: '/frames/Oppo/Reno10.png' },
-        { name: 'Oppo Find X5', framePath: '/frames/Oppo/FindX5.png' }
+        { name: 'Oppo Reno 10', framePath: '/frames/Oppo/Reno10.png', geometry: { printSize: { widthMm: 74.6, heightMm: 162.4 } } },
+        { name: 'Oppo Find X5', framePath: '/frames/Oppo/FindX5.png', geometry: { printSize: { widthMm: 72.6, heightMm: 160.0 } } }
       ]
     },
     {
       name: 'Xiaomi',
       models: [
-        { name: 'Redmi Note 12', framePath: '/frames/Xiaomi/RedmiNote12.png' },
-        { name: 'Mi 13', framePath: '/frames/Xiaomi/Mi13.png' }
+        { name: 'Redmi Note 12', framePath: '/frames/Xiaomi/RedmiNote12.png', geometry: { printSize: { widthMm: 76.2, heightMm: 165.9 } } },
+        { name: 'Mi 13', framePath: '/frames/Xiaomi/Mi13.png', geometry: { printSize: { widthMm: 71.5, heightMm: 152.8 } } }
       ]
     }
   ]);
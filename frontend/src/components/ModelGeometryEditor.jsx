@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from 'react';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+import {
+  FRAME_SPACE,
+  formatPolygonPoints,
+  parsePolygonPoints,
+  resolveModelGeometry,
+} from '../utils/modelGeometry';
+
+const SCREEN_FIELDS = [
+  { key: 'left', label: 'Left' },
+  { key: 'top', label: 'Top' },
+  { key: 'width', label: 'Width' },
+  { key: 'height', label: 'Height' },
+  { key: 'radius', label: 'Corner radius' },
+];
+
+const toDraft = (model) => {
+  const geometry = resolveModelGeometry(model);
+  return {
+    screen: { ...geometry.screen },
+    printSize: { ...geometry.printSize },
+    cutouts: geometry.cutouts.map((cutout) => ({
+      id: cutout.id,
+      label: cutout.label,
+      pointsText: formatPolygonPoints(cutout.points),
+    })),
+  };
+};
+
+/**
+ * Admin editor for a model's printable area, corner radius, physical print size and
+ * camera cut-out polygons. All coordinates are in the shared 260×520 frame space.
+ * @param {Object} model - mobile model being edited
+ * @param {boolean} saving - disables the form while a save is in flight
+ * @param {Function} onSave - called with the geometry object to persist
+ */
+export default function ModelGeometryEditor({ model, saving, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(model));
+
+  useEffect(() => {
+    setDraft(toDraft(model));
+  }, [model]);
+
+  const frameUrl = model?.images?.[0]?.url || model?.framePath || '';
+
+  const updateScreen = (key, value) => {
+    setDraft((prev) => ({ ...prev, screen: { ...prev.screen, [key]: value } }));
+  };
+
+  const updatePrintSize = (key, value) => {
+    setDraft((prev) => ({ ...prev, printSize: { ...prev.printSize, [key]: value } }));
+  };
+
+  const updateCutout = (index, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      cutouts: prev.cutouts.map((cutout, i) => (i === index ? { ...cutout, ...changes } : cutout)),
+    }));
+  };
+
+  const addCutout = () => {
+    const { screen } = draft;
+    const left = Number(screen.left) + 12;
+    const top = Number(screen.top) + 12;
+    setDraft((prev) => ({
+      ...prev,
+      cutouts: [
+        ...prev.cutouts,
+        {
+          id: `cutout-${Date.now()}`,
+          label: `Camera ${prev.cutouts.length + 1}`,
+          pointsText: formatPolygonPoints([
+            { x: left, y: top },
+            { x: left + 60, y: top },
+            { x: left + 60, y: top + 60 },
+            { x: left, y: top + 60 },
+          ]),
+        },
+      ],
+    }));
+  };
+
+  const removeCutout = (index) => {
+    setDraft((prev) => ({ ...prev, cutouts: prev.cutouts.filter((_, i) => i !== index) }));
+  };
+
+  // Parsed through the same normalizer consumers use, so the preview shows exactly what will be saved
+  const preview = resolveModelGeometry({
+    screen: draft.screen,
+    printSize: draft.printSize,
+    cutouts: draft.cutouts.map((cutout) => ({ ...cutout, points: parsePolygonPoints(cutout.pointsText) })),
+  });
+
+  const invalidCutouts = draft.cutouts.filter((cutout) => parsePolygonPoints(cutout.pointsText).length < 3);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (invalidCutouts.length) return;
+    onSave(preview);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid gap-6 lg:grid-cols-[260px_1fr]">
+      <div className="relative bg-gray-50 border rounded" style={{ width: FRAME_SPACE.width, height: FRAME_SPACE.height }}>
+        {frameUrl && (
+          <img src={frameUrl} alt={`${model?.name || 'Model'} frame`} className="absolute inset-0 w-full h-full object-contain" />
+        )}
+        <svg
+          className="absolute inset-0 pointer-events-none"
+          width={FRAME_SPACE.width}
+          height={FRAME_SPACE.height}
+          viewBox={`0 0 ${FRAME_SPACE.width} ${FRAME_SPACE.height}`}
+        >
+          <rect
+            x={preview.screen.left}
+            y={preview.screen.top}
+            width={preview.screen.width}
+            height={preview.screen.height}
+            rx={preview.screen.radius}
+            fill="rgba(59,130,246,0.15)"
+            stroke="#3b82f6"
+            strokeDasharray="4 3"
+          />
+          {preview.cutouts.map((cutout) => (
+            <polygon
+              key={cutout.id}
+              points={cutout.points.map((p) => `${p.x},${p.y}`).join(' ')}
+              fill="rgba(239,68,68,0.25)"
+              stroke="#ef4444"
+            />
+          ))}
+        </svg>
+      </div>
+
+      <div className="space-y-5">
+        <div>
+          <h4 className="text-sm font-semibold mb-2">Printable area (frame pixels)</h4>
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+            {SCREEN_FIELDS.map((field) => (
+              <label key={field.key} className="text-xs text-gray-600">
+                {field.label}
+                <input
+                  type="number"
+                  step="0.5"
+                  value={draft.screen[field.key]}
+                  onChange={(e) => updateScreen(field.key, e.target.value)}
+                  className="mt-1 w-full border rounded px-2 py-1 text-sm"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-semibold mb-2">Physical print size (mm)</h4>
+          <div className="grid grid-cols-2 gap-2 max-w-xs">
+            <label className="text-xs text-gray-600">
+              Width
+              <input
+                type="number"
+                step="0.1"
+                min="1"
+                value={draft.printSize.widthMm}
+                onChange={(e) => updatePrintSize('widthMm', e.target.value)}
+                className="mt-1 w-full border rounded px-2 py-1 text-sm"
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Height
+              <input
+                type="number"
+                step="0.1"
+                min="1"
+                value={draft.printSize.heightMm}
+                onChange={(e) => updatePrintSize('heightMm', e.target.value)}
+                className="mt-1 w-full border rounded px-2 py-1 text-sm"
+              />
+            </label>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-semibold">Camera cut-outs</h4>
+            <button type="button" onClick={addCutout} className="flex items-center gap-1 text-sm text-blue-600 hover:underline">
+              <FiPlus /> Add cut-out
+            </button>
+          </div>
+          {draft.cutouts.length === 0 && (
+            <p className="text-xs text-gray-500">No cut-outs. Add one for each camera or sensor opening.</p>
+          )}
+          <div className="space-y-3">
+            {draft.cutouts.map((cutout, index) => (
+              <div key={cutout.id} className="border rounded p-3 space-y-2">
+                <div className="flex items-center gap-2">
+                  <input
+                    value={cutout.label}
+                    onChange={(e) => updateCutout(index, { label: e.target.value })}
+                    className="flex-1 border rounded px-2 py-1 text-sm"
+                  />
+                  <button type="button" onClick={() => removeCutout(index)} className="text-red-600" title="Remove cut-out">
+                    <FiTrash2 />
+                  </button>
+                </div>
+                <textarea
+                  rows={2}
+                  value={cutout.pointsText}
+                  onChange={(e) => updateCutout(index, { pointsText: e.target.value })}
+                  className="w-full border rounded px-2 py-1 text-xs font-mono"
+                />
+                {parsePolygonPoints(cutout.pointsText).length < 3 && (
+                  <p className="text-xs text-red-600">Enter at least three points as "x,y x,y x,y".</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving || invalidCutouts.length > 0}
+            className="px-4 py-2 bg-green-600 text-white rounded disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Save geometry'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
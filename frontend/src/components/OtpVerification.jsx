@@ -0,0 +1,117 @@
+import { useEffect, useState } from 'react';
+import { FiCheckCircle, FiSmartphone } from 'react-icons/fi';
+import { sendOtp, verifyOtp } from '../utils/otp';
+import { isOtpSpent } from '../utils/otpErrors';
+
+/**
+ * Confirms a mobile number with an SMS code (utils/otp)
+ * @param {string} phone - number to confirm
+ * @param {string} purpose - what the code confirms, e.g. 'cod'
+ * @param {boolean} verified - the number is already confirmed
+ * @param {Function} onVerified - ({ phone, token }) => void, may return a promise
+ * @param {string} label - prompt before a code is sent
+ */
+export default function OtpVerification({ phone, purpose, verified = false, onVerified, label }) {
+  const [sent, setSent] = useState(null);
+  const [code, setCode] = useState('');
+  const [sending, setSending] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState(null);
+  const [resendIn, setResendIn] = useState(0);
+
+  // A code sent to a different number no longer applies
+  useEffect(() => {
+    setSent(null);
+    setCode('');
+    setError(null);
+  }, [phone]);
+
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn((value) => value - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const handleSend = async () => {
+    setSending(true);
+    setError(null);
+    try {
+      const result = await sendOtp({ phone, purpose });
+      setSent(result);
+      setResendIn(result.resendIn || 30);
+      setCode('');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Could not send the code');
+      // Rate limited: count down to when the next request is allowed
+      if (err.retryAfter) setResendIn(err.retryAfter);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    setError(null);
+    try {
+      await onVerified(await verifyOtp({ phone, purpose, code }));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Could not verify the code');
+      if (isOtpSpent(err)) {
+        setSent(null);
+        setCode('');
+      }
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  if (verified) {
+    return (
+      <p className="flex items-center gap-2 text-sm text-green-700">
+        <FiCheckCircle /> {phone} confirmed
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2 rounded-lg border border-gray-200 p-3">
+      <p className="flex items-center gap-2 text-sm text-gray-700">
+        <FiSmartphone className="text-gray-500" />
+        {sent ? `Enter the code sent to ${phone}` : label || `Confirm ${phone || 'your phone number'} to pay on delivery`}
+      </p>
+      {sent && (
+        <div className="flex gap-2">
+          <label htmlFor={`otp-${purpose}`} className="sr-only">One-time code</label>
+          <input
+            id={`otp-${purpose}`}
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={8}
+            placeholder="6-digit code"
+            className="flex-1 min-w-0 rounded border border-gray-300 px-3 py-2 text-sm tracking-widest"
+          />
+          <button
+            type="button"
+            onClick={handleVerify}
+            disabled={verifying || !code}
+            className="rounded bg-primary-600 px-3 py-2 text-sm text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            {verifying ? 'Verifying…' : 'Verify'}
+          </button>
+        </div>
+      )}
+      {import.meta.env.DEV && sent?.devCode && <p className="text-xs text-gray-500">Test mode: your code is {sent.devCode}</p>}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <button
+        type="button"
+        onClick={handleSend}
+        disabled={sending || resendIn > 0}
+        className="text-sm font-medium text-primary-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+      >
+        {sending ? 'Sending…' : sent ? (resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code') : 'Send code'}
+      </button>
+    </div>
+  );
+}
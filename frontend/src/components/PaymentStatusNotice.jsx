@@ -0,0 +1,42 @@
+import { FiAlertCircle, FiClock, FiXCircle } from 'react-icons/fi';
+import { getOrderPaymentState } from '../utils/payments';
+
+const STYLES = {
+  pending: { box: 'border-amber-200 bg-amber-50 text-amber-800', Icon: FiClock },
+  failed: { box: 'border-red-200 bg-red-50 text-red-700', Icon: FiAlertCircle },
+  expired: { box: 'border-gray-200 bg-gray-50 text-gray-700', Icon: FiXCircle },
+};
+
+/**
+ * Payment status for an order paid online that is not paid yet, with a way to pay
+ * @param {Object} order
+ * @param {Function} onPay - () => void, starts the payment
+ * @param {boolean} paying - a payment is in progress
+ * @param {boolean} compact - single line, for order lists
+ * @param {boolean} expires - the order is cancelled when left unpaid (see getOrderPaymentState)
+ */
+export default function PaymentStatusNotice({ order, onPay, paying = false, compact = false, expires = true }) {
+  const paymentState = getOrderPaymentState(order, { expires });
+  const style = paymentState && STYLES[paymentState.state];
+  if (!style) return null;
+  const { Icon } = style;
+
+  return (
+    <div className={`flex ${compact ? 'flex-wrap items-center gap-2 p-2 text-xs' : 'flex-col gap-3 p-4 text-sm sm:flex-row sm:items-center sm:justify-between'} rounded-lg border ${style.box}`}>
+      <p className="flex items-start gap-2">
+        <Icon className="mt-0.5 flex-shrink-0" aria-hidden="true" />
+        <span>{paymentState.message}</span>
+      </p>
+      {paymentState.canPay && onPay && (
+        <button
+          type="button"
+          onClick={onPay}
+          disabled={paying}
+          className={`rounded-lg bg-primary-600 font-medium text-white hover:bg-primary-700 disabled:opacity-50 ${compact ? 'px-2 py-1' : 'px-4 py-2'}`}
+        >
+          {paying ? 'Opening payment…' : 'Complete payment'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-toastify';
+import { FiMail, FiPhone, FiUser } from 'react-icons/fi';
+import OtpVerification from './OtpVerification';
+import { loginWithOtp, signupWithOtp } from '../redux/slices/authSlice';
+import { normalizePhone } from '../utils/otp';
+
+const OTP_LOGIN_PURPOSE = 'login';
+
+const inputClass = 'block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+/**
+ * Passwordless sign-in and sign-up by mobile number: confirm the number by OTP, then sign in
+ * to the account that has it, or name a new one. Used by Login and Signup; the pages react to
+ * the session like they do for email sign-in.
+ */
+export default function PhoneAuthForm() {
+  const dispatch = useDispatch();
+  const [phone, setPhone] = useState('');
+  const [verification, setVerification] = useState(null);
+  const [details, setDetails] = useState({ name: '', email: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleVerified = async (result) => {
+    try {
+      const session = await dispatch(loginWithOtp({ phone: result.phone, verificationToken: result.token })).unwrap();
+      if (session.signupRequired) {
+        setVerification(result);
+        return;
+      }
+      toast.success('Signed in');
+      if (session.linked) toast.info('Your mobile number is now linked to your account. Sign in with either next time.');
+    } catch (err) {
+      // OtpVerification shows the message under the code
+      throw new Error(typeof err === 'string' ? err : 'Could not sign in with this number');
+    }
+  };
+
+  const handleSignup = async (e) => {
+    e.preventDefault();
+    const name = details.name.trim();
+    const email = details.email.trim();
+    if (name.length < 2) {
+      setError('Name must be at least 2 characters');
+      return;
+    }
+    if (email && !/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await dispatch(signupWithOtp({
+        name,
+        ...(email ? { email } : {}),
+        phone: verification.phone,
+        verificationToken: verification.token,
+      })).unwrap();
+      toast.success('Account created successfully!');
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Could not create your account');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startOver = () => {
+    setVerification(null);
+    setError(null);
+  };
+
+  if (verification) {
+    return (
+      <form onSubmit={handleSignup} className="space-y-6">
+        <p className="text-sm text-gray-600">
+          {verification.phone} is confirmed. Tell us who you are to create your account.
+        </p>
+        <div>
+          <label htmlFor="otp-signup-name" className="block text-sm font-medium text-gray-700 mb-2">Full Name</label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FiUser className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              id="otp-signup-name"
+              value={details.name}
+              onChange={(e) => setDetails((prev) => ({ ...prev, name: e.target.value }))}
+              autoComplete="name"
+              className={inputClass}
+              placeholder="Enter your full name"
+            />
+          </div>
+        </div>
+        <div>
+          <label htmlFor="otp-signup-email" className="block text-sm font-medium text-gray-700 mb-2">Email Address (optional)</label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FiMail className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              id="otp-signup-email"
+              type="email"
+              value={details.email}
+              onChange={(e) => setDetails((prev) => ({ ...prev, email: e.target.value }))}
+              autoComplete="email"
+              className={inputClass}
+              placeholder="For order updates and receipts"
+            />
+          </div>
+        </div>
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-primary-600 text-white py-3 px-4 rounded-lg font-semibold hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {submitting ? 'Creating Account...' : 'Create Account'}
+        </button>
+        <button type="button" onClick={startOver} className="w-full text-sm text-gray-600 hover:underline">
+          Use a different number
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <label htmlFor="otp-login-phone" className="block text-sm font-medium text-gray-700 mb-2">Mobile Number</label>
+        <div className="relative">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <FiPhone className="h-5 w-5 text-gray-400" />
+          </div>
+          <input
+            id="otp-login-phone"
+            type="tel"
+            inputMode="tel"
+            autoComplete="tel"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            className={inputClass}
+            placeholder="10-digit mobile number"
+          />
+        </div>
+      </div>
+      <OtpVerification
+        phone={normalizePhone(phone)}
+        purpose={OTP_LOGIN_PURPOSE}
+        label="We'll text you a code to sign in. New here? We'll create your account."
+        onVerified={handleVerified}
+      />
+    </div>
+  );
+}
+
+/**
+ * Email / mobile number switch above the sign-in and sign-up forms
+ * @param {string} method - 'email' or 'phone'
+ * @param {Function} onChange - (method) => void
+ */
+export function AuthMethodTabs({ method, onChange }) {
+  const tabs = [
+    { id: 'phone', label: 'Mobile number' },
+    { id: 'email', label: 'Email' },
+  ];
+  return (
+    <div className="grid grid-cols-2 gap-1 mb-6 rounded-lg bg-gray-100 p-1" role="tablist">
+      {tabs.map((tab) => (
+        <button
+          key={tab.id}
+          type="button"
+          role="tab"
+          aria-selected={method === tab.id}
+          onClick={() => onChange(tab.id)}
+          className={`py-2 rounded-md text-sm font-medium transition-colors ${
+            method === tab.id ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+          }`}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+}
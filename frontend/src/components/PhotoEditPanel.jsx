@@ -0,0 +1,142 @@
+import React from 'react';
+import { FiRotateCcw, FiScissors } from 'react-icons/fi';
+import { themeCollections } from '../data/themeCollections';
+import { DEFAULT_PHOTO_ADJUSTMENTS, PHOTO_ADJUSTMENT_CONTROLS } from '../utils/photoEffects';
+
+const SOLID_BACKDROPS = ['#ffffff', '#111827', ...themeCollections.map((theme) => theme.accentColor)]
+  .filter((color, index, list) => color && list.indexOf(color) === index);
+
+const isSameBackdrop = (a, b) => {
+  if (!a || !b) return a === b;
+  return a.type === b.type && (a.type === 'color' ? a.color === b.color : a.themeId === b.themeId);
+};
+
+/**
+ * Controls for non-destructive photo edits: colour adjustments, background removal and a
+ * backdrop from the theme collections. Works on photo params (see utils/photoEffects).
+ * @param {Object} params - current photo params
+ * @param {Function} onChange - called with the next params
+ * @param {boolean} busy - a render is in progress
+ */
+export default function PhotoEditPanel({ params, onChange, busy = false }) {
+  const { adjustments, background, backdrop } = params;
+
+  const setAdjustment = (key, value) => onChange({ ...params, adjustments: { ...adjustments, [key]: value } });
+  const setBackground = (patch) => onChange({ ...params, background: { ...background, ...patch } });
+  const setBackdrop = (next) => onChange({ ...params, backdrop: next });
+
+  return (
+    <div className="space-y-5 rounded-2xl border border-gray-200 p-4" onClick={(event) => event.stopPropagation()}>
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-semibold text-gray-700">Photo adjustments</p>
+        <button
+          type="button"
+          className="inline-flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700"
+          onClick={() => onChange({ ...params, adjustments: { ...DEFAULT_PHOTO_ADJUSTMENTS } })}
+        >
+          <FiRotateCcw className="w-3 h-3" /> Reset
+        </button>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3">
+        {PHOTO_ADJUSTMENT_CONTROLS.map(({ key, label, min, max }) => (
+          <label key={key} className="text-xs text-gray-600">
+            <span className="flex justify-between">
+              <span>{label}</span>
+              <span>{adjustments[key]}%</span>
+            </span>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              value={adjustments[key]}
+              onChange={(event) => setAdjustment(key, Number(event.target.value))}
+              className="w-full accent-primary-600"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="border-t pt-4 space-y-3">
+        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={background.removed}
+            onChange={(event) => setBackground({ removed: event.target.checked })}
+          />
+          <FiScissors className="w-4 h-4" /> Remove background
+          {busy && <span className="text-xs font-normal text-gray-400">Working…</span>}
+        </label>
+
+        {background.removed && (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3">
+              <label className="text-xs text-gray-600">
+                <span>Strength</span>
+                <input
+                  type="range"
+                  min={2}
+                  max={60}
+                  value={background.tolerance}
+                  onChange={(event) => setBackground({ tolerance: Number(event.target.value) })}
+                  className="w-full accent-primary-600"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                <span>Edge softness</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={6}
+                  value={background.feather}
+                  onChange={(event) => setBackground({ feather: Number(event.target.value) })}
+                  className="w-full accent-primary-600"
+                />
+              </label>
+            </div>
+            <p className="text-xs text-gray-500">Works best with a plain background behind you.</p>
+
+            <div>
+              <p className="text-xs font-semibold text-gray-600 mb-2">Backdrop</p>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={() => setBackdrop(null)}
+                  className={`h-10 px-3 rounded-lg border text-xs ${!backdrop ? 'border-primary-500 ring-2 ring-primary-200' : 'border-gray-200'}`}
+                >
+                  None
+                </button>
+                {SOLID_BACKDROPS.map((color) => {
+                  const option = { type: 'color', color };
+                  return (
+                    <button
+                      key={color}
+                      type="button"
+                      aria-label={`Solid ${color} backdrop`}
+                      onClick={() => setBackdrop(option)}
+                      className={`h-10 w-10 rounded-lg border ${isSameBackdrop(backdrop, option) ? 'border-primary-500 ring-2 ring-primary-200' : 'border-gray-200'}`}
+                      style={{ backgroundColor: color }}
+                    />
+                  );
+                })}
+                {themeCollections.map((theme) => {
+                  const option = { type: 'theme', themeId: theme.id, image: theme.posterImage };
+                  return (
+                    <button
+                      key={theme.id}
+                      type="button"
+                      title={theme.name}
+                      onClick={() => setBackdrop(option)}
+                      className={`h-10 w-10 rounded-lg border overflow-hidden ${isSameBackdrop(backdrop, option) ? 'border-primary-500 ring-2 ring-primary-200' : 'border-gray-200'}`}
+                    >
+                      <img src={theme.posterImage} alt={theme.name} className="w-full h-full object-cover" />
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
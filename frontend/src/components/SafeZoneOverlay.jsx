@@ -0,0 +1,48 @@
+import React from 'react';
+import { FRAME_SPACE, resolveModelGeometry } from '../utils/modelGeometry';
+
+const SAFE_MARGIN = 6; // frame px kept clear along the printable edge
+
+/**
+ * Draws the printable area's safe margin and the model's camera cut-outs on top of a preview.
+ * Rendered in frame space and stretched over its positioned parent.
+ * @param {Object} geometry - model or geometry object (see resolveModelGeometry)
+ * @param {Array<string>} flaggedIds - cut-outs the auto-check found covering content
+ */
+export default function SafeZoneOverlay({ geometry, flaggedIds = [] }) {
+  const { screen, cutouts } = resolveModelGeometry(geometry);
+
+  return (
+    <svg
+      className="absolute inset-0 w-full h-full pointer-events-none"
+      viewBox={`0 0 ${FRAME_SPACE.width} ${FRAME_SPACE.height}`}
+      preserveAspectRatio="none"
+      aria-hidden="true"
+    >
+      <rect
+        x={screen.left + SAFE_MARGIN}
+        y={screen.top + SAFE_MARGIN}
+        width={Math.max(screen.width - SAFE_MARGIN * 2, 0)}
+        height={Math.max(screen.height - SAFE_MARGIN * 2, 0)}
+        rx={Math.max(screen.radius - SAFE_MARGIN, 0)}
+        fill="none"
+        stroke="#10b981"
+        strokeWidth="1"
+        strokeDasharray="4 3"
+      />
+      {cutouts.map((cutout) => {
+        const flagged = flaggedIds.includes(cutout.id);
+        return (
+          <polygon
+            key={cutout.id}
+            points={cutout.points.map((p) => `${p.x},${p.y}`).join(' ')}
+            fill={flagged ? 'rgba(239,68,68,0.45)' : 'rgba(17,24,39,0.35)'}
+            stroke={flagged ? '#ef4444' : '#ffffff'}
+            strokeWidth="1"
+            strokeDasharray={flagged ? undefined : '3 2'}
+          />
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,57 @@
+import { FiEdit2, FiPlus } from 'react-icons/fi';
+import { formatAddress } from '../utils/address';
+
+/**
+ * Choose a delivery address from the address book (hooks/useAddressBook)
+ * @param {Array} addresses - saved addresses, utils/address shape
+ * @param {string|null} selectedId - the address in use; null while entering a new one
+ * @param {Function} onSelect - (address | null) => void, null picks "new address"
+ * @param {Function} onEdit - (address) => void
+ * @param {Function} onSetDefault - (addressId) => void
+ * @param {boolean} disabled - the book is being saved
+ */
+export default function SavedAddressPicker({ addresses, selectedId, onSelect, onEdit, onSetDefault, disabled = false }) {
+  if (!addresses.length) return null;
+
+  return (
+    <fieldset className="mb-4 space-y-2" disabled={disabled}>
+      <legend className="text-sm font-medium text-gray-700 mb-2">Saved addresses</legend>
+      {addresses.map((address) => (
+        <div
+          key={address._id}
+          className={`flex items-start gap-3 rounded-lg border p-3 ${selectedId === address._id ? 'border-primary-500 bg-primary-50' : 'border-gray-200'}`}
+        >
+          <input
+            id={`address-${address._id}`}
+            type="radio"
+            name="saved-address"
+            checked={selectedId === address._id}
+            onChange={() => onSelect(address)}
+            className="mt-1"
+          />
+          <label htmlFor={`address-${address._id}`} className="flex-1 cursor-pointer text-sm">
+            <span className="font-medium text-gray-900">{address.name}</span>
+            {address.isDefault && <span className="ml-2 text-xs text-green-600">(Default)</span>}
+            <span className="block text-gray-600">{formatAddress(address)}</span>
+            <span className="block text-gray-500">{address.phone}</span>
+          </label>
+          <div className="flex flex-col items-end gap-1 text-xs">
+            <button type="button" onClick={() => onEdit(address)} className="flex items-center gap-1 text-primary-600 hover:underline">
+              <FiEdit2 /> Edit
+            </button>
+            {!address.isDefault && (
+              <button type="button" onClick={() => onSetDefault(address._id)} className="text-gray-600 hover:underline">
+                Set as default
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+      <label className={`flex items-center gap-3 rounded-lg border p-3 text-sm cursor-pointer ${selectedId ? 'border-gray-200' : 'border-primary-500 bg-primary-50'}`}>
+        <input type="radio" name="saved-address" checked={!selectedId} onChange={() => onSelect(null)} />
+        <FiPlus className="text-gray-500" />
+        Use a new address
+      </label>
+    </fieldset>
+  );
+}
@@ -0,0 +1,48 @@
+import { FcGoogle } from 'react-icons/fc';
+import { useOAuth } from '../hooks/useOAuth';
+import { getEnabledProviders, OAUTH_PROVIDERS } from '../utils/oauth';
+
+export const PROVIDER_ICONS = {
+  google: FcGoogle,
+};
+
+/**
+ * "Continue with Google" and any other configured providers, for Login and Signup. Renders
+ * nothing when no provider has a client id.
+ * @param {string} redirectTo - where to go once signed in
+ */
+export default function SocialSignIn({ redirectTo = '/' }) {
+  const { start, busy } = useOAuth();
+  const providers = getEnabledProviders();
+  if (!providers.length) return null;
+
+  return (
+    <div className="mt-6">
+      <div className="relative mb-4">
+        <div className="absolute inset-0 flex items-center" aria-hidden="true">
+          <div className="w-full border-t border-gray-200" />
+        </div>
+        <p className="relative text-center">
+          <span className="bg-white px-3 text-sm text-gray-500">or</span>
+        </p>
+      </div>
+      <div className="space-y-2">
+        {providers.map((provider) => {
+          const Icon = PROVIDER_ICONS[provider];
+          return (
+            <button
+              key={provider}
+              type="button"
+              onClick={() => start(provider, { intent: 'login', redirectTo })}
+              disabled={!!busy}
+              className="w-full flex items-center justify-center gap-3 border border-gray-300 py-3 px-4 rounded-lg font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              {Icon && <Icon className="h-5 w-5" />}
+              {busy === provider ? 'Signing in...' : `Continue with ${OAUTH_PROVIDERS[provider].name}`}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { formatPrice } from '../utils/helpers';
+
+/**
+ * CGST + SGST or IGST rows for a breakdown from utils/gst computeGst (or an order's saved `tax`).
+ * Prices include GST, so the rows show what the total contains rather than add to it.
+ * @param {Object} gst - { totals, interState, placeOfSupply }
+ * @param {string} className - row class, to match the surrounding summary
+ */
+export default function TaxBreakdown({ gst, className = 'flex justify-between text-sm' }) {
+  if (!gst?.totals) return null;
+  const { totals } = gst;
+  const rows = gst.interState
+    ? [['Includes IGST', totals.igst]]
+    : [['Includes CGST', totals.cgst], ['Includes SGST', totals.sgst]];
+
+  return (
+    <>
+      {rows.map(([label, amount]) => (
+        <div key={label} className={className}>
+          <span className="text-gray-600">{label}</span>
+          <span className="font-medium">{formatPrice(amount)}</span>
+        </div>
+      ))}
+      {gst.placeOfSupply && (
+        <p className="text-xs text-gray-500">Place of supply: {gst.placeOfSupply}</p>
+      )}
+    </>
+  );
+}
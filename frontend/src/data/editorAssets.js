@@ -0,0 +1,22 @@
+// Static assets offered by the layered cover editor (fonts, stickers, shapes).
+// Fonts are limited to families that are either loaded in index.html or ship with every OS.
+export const EDITOR_FONTS = [
+  { id: 'inter', label: 'Inter', family: 'Inter' },
+  { id: 'georgia', label: 'Georgia', family: 'Georgia' },
+  { id: 'times', label: 'Times New Roman', family: 'Times New Roman' },
+  { id: 'courier', label: 'Courier New', family: 'Courier New' },
+  { id: 'impact', label: 'Impact', family: 'Impact' },
+  { id: 'comic', label: 'Comic Sans MS', family: 'Comic Sans MS' },
+  { id: 'brush', label: 'Brush Script', family: 'Brush Script MT' },
+];
+
+export const EDITOR_STICKERS = ['❤️', '⭐', '🔥', '🌸', '🦋', '😎', '👑', '🎵', '🌙', '⚡', '🍀', '🎉'];
+
+export const EDITOR_SHAPES = [
+  { id: 'rect', label: 'Square' },
+  { id: 'circle', label: 'Circle' },
+  { id: 'triangle', label: 'Triangle' },
+  { id: 'star', label: 'Star' },
+];
+
+export const EDITOR_COLORS = ['#111827', '#ffffff', '#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899'];
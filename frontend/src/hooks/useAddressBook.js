@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import authAPI from '../api/authAPI';
+import { getUserProfile } from '../redux/slices/authSlice';
+import { getDefaultAddress, isSameAddress, normalizeAddress, serializeAddress } from '../utils/address';
+import { lookupPinCode } from '../utils/shipping';
+
+/**
+ * The signed-in user's saved addresses (utils/address shape) and the calls that change them.
+ * Every change reloads the profile, which is where the book lives.
+ * @returns {{ addresses, defaultAddress, saving, saveAddress, setDefault, removeAddress }}
+ */
+export const useAddressBook = () => {
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+  const [saving, setSaving] = useState(false);
+
+  const addresses = useMemo(() => (user?.addresses || []).map(normalizeAddress), [user]);
+  const defaultAddress = useMemo(() => getDefaultAddress(addresses), [addresses]);
+
+  const withReload = useCallback(async (request) => {
+    setSaving(true);
+    try {
+      const result = await request();
+      await dispatch(getUserProfile());
+      return result;
+    } finally {
+      setSaving(false);
+    }
+  }, [dispatch]);
+
+  /**
+   * Adds the address, or updates it when it has an _id. An address already in the book is
+   * not added twice.
+   * @param {Object} address
+   * @param {Object} options - { makeDefault }
+   */
+  const saveAddress = useCallback((address, { makeDefault = false } = {}) => withReload(async () => {
+    const payload = { ...serializeAddress(address), ...(makeDefault ? { isDefault: true } : {}) };
+    if (address._id) return authAPI.updateAddress(address._id, payload);
+    const existing = addresses.find((saved) => isSameAddress(saved, address));
+    if (existing) return makeDefault && !existing.isDefault ? authAPI.setDefaultAddress(existing._id) : null;
+    return authAPI.addAddress(payload);
+  }), [addresses, withReload]);
+
+  const setDefault = useCallback(async (addressId) => {
+    try {
+      await withReload(() => authAPI.setDefaultAddress(addressId));
+      toast.success('Default address updated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not update the default address');
+    }
+  }, [withReload]);
+
+  const removeAddress = useCallback(async (addressId) => {
+    if (!window.confirm('Delete this address?')) return;
+    try {
+      await withReload(() => authAPI.deleteAddress(addressId));
+      toast.success('Address removed');
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message || 'Failed to delete address');
+    }
+  }, [withReload]);
+
+  return { addresses, defaultAddress, saving, saveAddress, setDefault, removeAddress };
+};
+
+/**
+ * Calls onResolve({ city, district, state }) when the PIN code is found; city is null when
+ * the lookup only knows the state.
+ * @param {string} pin
+ * @param {Function} onResolve
+ */
+export const usePinAutofill = (pin, onResolve) => {
+  const onResolveRef = useRef(onResolve);
+  onResolveRef.current = onResolve;
+
+  useEffect(() => {
+    let cancelled = false;
+    lookupPinCode(pin).then((place) => {
+      if (place && !cancelled) onResolveRef.current(place);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [pin]);
+};
+
+export default useAddressBook;
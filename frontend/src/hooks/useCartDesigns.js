@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getCachedAssetUrl, hydrateDesign } from '../utils/cartAssets';
+
+// Design with the urls of images already in memory filled in
+const withCachedAssets = (design) => {
+  if (!design?.assets) return design;
+  const assets = {};
+  Object.entries(design.assets).forEach(([id, asset]) => {
+    assets[id] = asset?.hash && !asset.url ? { ...asset, url: getCachedAssetUrl(asset.hash) } : asset;
+  });
+  return { ...design, assets };
+};
+
+/**
+ * Cart item designs with their stored images loaded for display.
+ * @param {Array} items - cart items
+ * @returns {(item) => Object} the item's design, hydrated once its images have been read
+ */
+export const useCartDesigns = (items) => {
+  const [hydrated, setHydrated] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    const designed = items.filter((item) => item.product?.design);
+    Promise.all(designed.map(async (item) => [
+      item.product._id,
+      { source: item.product.design, design: await hydrateDesign(item.product.design) },
+    ]))
+      .then((entries) => {
+        if (!cancelled) setHydrated(Object.fromEntries(entries));
+      })
+      .catch((err) => console.warn('Failed to load cart images', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [items]);
+
+  return useCallback((item) => {
+    const entry = hydrated[item.product?._id];
+    // Until the store has answered for this exact design, show what memory already holds
+    return entry && entry.source === item.product.design ? entry.design : withCachedAssets(item.product?.design);
+  }, [hydrated]);
+};
+
+export default useCartDesigns;
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  addDraftVersion,
+  createDraft,
+  getLocalDraft,
+  hydrateDraftState,
+  isNetworkError,
+  loadDraft,
+  pruneDraftAssets,
+  saveLocalDraft,
+  syncDraft,
+  syncPendingDrafts,
+  updateDraftState,
+} from '../utils/designDrafts';
+
+const AUTOSAVE_DELAY = 1500;
+
+/**
+ * Autosave the customizer into a versioned draft.
+ * @param {Object} options
+ *  - draftId: draft to continue (local or server id); a new draft is started otherwise
+ *  - snapshot: { name, meta, geometry, state, renderPreview } describing the current design,
+ *    or null while there is nothing worth saving yet. renderPreview() returns the preview image
+ *    when state.image is not one; it only runs when a changed state is about to be saved
+ *  - canSync: whether drafts may be pushed to the server (signed in)
+ *  - ownerId: id of the signed-in user, stamped on new drafts and on guest drafts they touch
+ *  - onCreated(draft): first save of a new draft, e.g. to put its id in the URL
+ * @returns {{ draft, loadedState, status, versions, saveVersion, restoreVersion }}
+ *  loadedState is the state of the continued draft once it has been read
+ */
+export const useDesignDraft = ({ draftId, snapshot, canSync, ownerId = null, onCreated }) => {
+  const [draft, setDraft] = useState(null);
+  const [loadedState, setLoadedState] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const draftRef = useRef(null);
+  const loadingIdRef = useRef(null);
+  const onCreatedRef = useRef(onCreated);
+  onCreatedRef.current = onCreated;
+
+  const commit = useCallback(async (next) => {
+    draftRef.current = await saveLocalDraft(next.ownerId || !ownerId ? next : { ...next, ownerId });
+    setDraft(draftRef.current);
+    if (!canSync || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+      setStatus('local');
+      return draftRef.current;
+    }
+    setStatus('saving');
+    try {
+      draftRef.current = await syncDraft(draftRef.current);
+      setDraft(draftRef.current);
+      setStatus('synced');
+    } catch (error) {
+      setStatus(isNetworkError(error) ? 'local' : 'error');
+    }
+    return draftRef.current;
+  }, [canSync, ownerId]);
+
+  useEffect(() => {
+    if (!draftId || draftRef.current?.localId === draftId || draftRef.current?._id === draftId) return;
+    let cancelled = false;
+    loadingIdRef.current = draftId;
+    loadDraft(draftId, ownerId)
+      .then((loaded) => {
+        if (cancelled || !loaded) return;
+        draftRef.current = loaded;
+        setDraft(loaded);
+        setLoadedState(loaded.draft?.state || null);
+        setStatus(loaded.dirty ? 'local' : 'synced');
+      })
+      .catch((error) => {
+        console.error('Failed to open draft', error);
+        if (!cancelled) setStatus('error');
+      })
+      .finally(() => {
+        if (!cancelled) loadingIdRef.current = null;
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [draftId, ownerId]);
+
+  // Images of versions that have dropped off the list
+  useEffect(() => {
+    pruneDraftAssets().catch((error) => console.warn('Draft image cleanup failed:', error));
+  }, []);
+
+  // Debounced autosave; the first save creates the draft
+  useEffect(() => {
+    if (!snapshot?.state) return undefined;
+    // Wait for a continued draft to load before overwriting it
+    if (loadingIdRef.current) return undefined;
+    const timer = setTimeout(() => {
+      const current = draftRef.current;
+      if (current && JSON.stringify(current.draft?.state) === JSON.stringify(snapshot.state)) return;
+      const { renderPreview, ...fields } = snapshot;
+      if (renderPreview) fields.imgSrc = renderPreview();
+      const base = current ? updateDraftState(current, fields) : createDraft({ ...fields, ownerId });
+      commit(addDraftVersion(base, 'Autosave')).then((saved) => {
+        if (!current && onCreatedRef.current) onCreatedRef.current(saved);
+      });
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [snapshot, commit, ownerId]);
+
+  // Catch up on drafts saved while offline
+  useEffect(() => {
+    if (!canSync || !ownerId) return undefined;
+    const handleOnline = () => {
+      syncPendingDrafts(ownerId)
+        .then(() => (draftRef.current ? getLocalDraft(draftRef.current.localId, ownerId) : null))
+        .then((stored) => {
+          if (!stored) return;
+          draftRef.current = stored;
+          setDraft(stored);
+          setStatus(stored.dirty ? 'local' : 'synced');
+        });
+    };
+    if (typeof navigator === 'undefined' || navigator.onLine !== false) handleOnline();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [canSync, ownerId]);
+
+  const saveVersion = useCallback(async (label = 'Saved version') => {
+    if (!draftRef.current) return null;
+    return commit(addDraftVersion(draftRef.current, label, true));
+  }, [commit]);
+
+  /**
+   * Bring back an earlier version. The current state is kept as a version first, so a restore
+   * can itself be undone from the list. Resolves with the restored state for the page to apply.
+   * Versions listed from the server copy carry no state and can't be restored here.
+   */
+  const restoreVersion = useCallback(async (versionId) => {
+    const current = draftRef.current;
+    const version = current?.draft?.versions?.find((item) => item.id === versionId);
+    if (!version?.state) return null;
+    const state = await hydrateDraftState(version.state);
+    const withBackup = addDraftVersion(current, 'Before restore', true);
+    await commit({
+      ...withBackup,
+      imgSrc: state?.image || current.imgSrc || '',
+      draft: { ...withBackup.draft, state },
+    });
+    return state;
+  }, [commit]);
+
+  return {
+    draft,
+    loadedState,
+    status,
+    versions: draft?.draft?.versions || [],
+    saveVersion,
+    restoreVersion,
+  };
+};
+
+export default useDesignDraft;
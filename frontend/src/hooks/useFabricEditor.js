@@ -0,0 +1,634 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fabric } from 'fabric';
+import { DEFAULT_DESIGN_TRANSFORM, generateId } from '../utils/helpers';
+import { FRAME_SPACE } from '../utils/modelGeometry';
+import {
+  MOCKUP_MULTIPLIER,
+  dataUrlToBlob,
+  effectiveDpi,
+  getPrintSpec,
+  isUnderResolution,
+} from '../utils/printExport';
+
+// Custom properties persisted with every layer when the canvas is serialized
+export const LAYER_PROPS = ['layerId', 'layerName', 'layerType', 'locked'];
+
+const LOCK_PROPS = [
+  'lockMovementX',
+  'lockMovementY',
+  'lockRotation',
+  'lockScalingX',
+  'lockScalingY',
+];
+
+const TEXT_TYPES = ['i-text', 'text', 'textbox'];
+
+const starPoints = (outer, inner, spikes = 5) => {
+  const points = [];
+  const step = Math.PI / spikes;
+  for (let i = 0; i < spikes * 2; i += 1) {
+    const radius = i % 2 === 0 ? outer : inner;
+    const angle = i * step - Math.PI / 2;
+    points.push({ x: outer + radius * Math.cos(angle), y: outer + radius * Math.sin(angle) });
+  }
+  return points;
+};
+
+const applyLock = (obj, locked) => {
+  const lockState = {};
+  LOCK_PROPS.forEach((prop) => { lockState[prop] = locked; });
+  obj.set({
+    ...lockState,
+    locked,
+    hasControls: !locked,
+    editable: TEXT_TYPES.includes(obj.type) ? !locked : obj.editable,
+    hoverCursor: locked ? 'default' : 'move',
+  });
+};
+
+// Transform/appearance props captured for undo snapshots
+const SNAPSHOT_PROPS = [
+  'left',
+  'top',
+  'scaleX',
+  'scaleY',
+  'angle',
+  'flipX',
+  'flipY',
+  'skewX',
+  'skewY',
+  'opacity',
+  'fill',
+  'text',
+  'fontFamily',
+  'locked',
+];
+
+const snapshotLayer = (obj) => {
+  const snapshot = {};
+  SNAPSHOT_PROPS.forEach((prop) => {
+    if (obj[prop] !== undefined) snapshot[prop] = obj[prop];
+  });
+  return snapshot;
+};
+
+const restoreSnapshot = (obj, snapshot) => {
+  const { locked, ...rest } = snapshot;
+  obj.set(rest);
+  applyLock(obj, !!locked);
+  obj.setCoords();
+};
+
+const sameSnapshot = (a, b) => SNAPSHOT_PROPS.every((prop) => a[prop] === b[prop]);
+
+// Approximate bytes an object keeps alive (image layers hold their data URL)
+const layerSize = (obj) => (typeof obj.getSrc === 'function' ? (obj.getSrc() || '').length : 256);
+
+const MIN_LAYER_SCALE = 0.05;
+const MAX_LAYER_SCALE = 20;
+
+const clampScale = (value) => Math.min(Math.max(value, MIN_LAYER_SCALE), MAX_LAYER_SCALE);
+
+const describeLayer = (obj) => ({
+  id: obj.layerId,
+  name: obj.layerName,
+  type: obj.layerType,
+  locked: !!obj.locked,
+  opacity: obj.opacity ?? 1,
+  angle: Math.round(obj.angle || 0),
+  scaleX: obj.scaleX || 1,
+  scaleY: obj.scaleY || 1,
+  fill: typeof obj.fill === 'string' ? obj.fill : '',
+  text: TEXT_TYPES.includes(obj.type) ? obj.text : undefined,
+  fontFamily: TEXT_TYPES.includes(obj.type) ? obj.fontFamily : undefined,
+});
+
+/**
+ * Manages a fabric.js canvas for the layered cover editor.
+ * Every object on the canvas is a layer clipped to the phone's screen rect;
+ * the frame artwork is drawn as an overlay so it always stays on top.
+ * @param {Object} options
+ *  - width, height: canvas size in CSS pixels
+ *  - screenRect: { left, top, width, height, radius } printable area
+ *  - frameSrc: frame overlay image url
+ *  - history: optional useHistory() instance; edits are recorded as undoable commands
+ */
+export const useFabricEditor = ({ width, height, screenRect, frameSrc, history }) => {
+  const canvasElRef = useRef(null);
+  const canvasRef = useRef(null);
+  const counterRef = useRef({});
+  const pendingRef = useRef(null);
+  const gestureTargetRef = useRef(null);
+  const record = history?.record;
+  const clearHistory = history?.clear;
+  const [layers, setLayers] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+
+  const syncLayers = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    // Top-most layer first, the way layer panels usually read
+    setLayers(canvas.getObjects().map(describeLayer).reverse());
+    const active = canvas.getActiveObject();
+    setActiveId(active?.layerId || null);
+  }, []);
+
+  useEffect(() => {
+    const canvas = new fabric.Canvas(canvasElRef.current, {
+      width,
+      height,
+      preserveObjectStacking: true,
+      controlsAboveOverlay: true,
+      selection: false,
+    });
+    canvasRef.current = canvas;
+
+    const events = [
+      'object:added',
+      'object:removed',
+      'object:modified',
+      'selection:created',
+      'selection:updated',
+      'selection:cleared',
+      'text:changed',
+    ];
+    events.forEach((name) => canvas.on(name, syncLayers));
+
+    // Snapshot a layer when a drag/scale/rotate or inline text edit starts,
+    // and turn it into a single history step once fabric reports the modification
+    const beginEdit = (target) => {
+      if (target?.layerId) pendingRef.current = { target, before: snapshotLayer(target) };
+    };
+    const handleBeforeTransform = (e) => beginEdit(e.transform?.target);
+    const handleEditingEntered = (e) => beginEdit(e.target);
+    const handleModified = (e) => {
+      const pending = pendingRef.current;
+      // Panel-driven updates record their own commands
+      if (e.internal) {
+        pendingRef.current = null;
+        return;
+      }
+      if (!record || !pending || pending.target !== e.target) return;
+      pendingRef.current = null;
+      const { target, before } = pending;
+      const after = snapshotLayer(target);
+      if (sameSnapshot(before, after)) return;
+      record({
+        label: `Edit ${target.layerName}`,
+        execute: () => restoreSnapshot(target, after),
+        undo: () => restoreSnapshot(target, before),
+      });
+    };
+    canvas.on('before:transform', handleBeforeTransform);
+    canvas.on('text:editing:entered', handleEditingEntered);
+    canvas.on('object:modified', handleModified);
+
+    return () => {
+      events.forEach((name) => canvas.off(name, syncLayers));
+      canvas.off('before:transform', handleBeforeTransform);
+      canvas.off('text:editing:entered', handleEditingEntered);
+      canvas.off('object:modified', handleModified);
+      canvas.dispose();
+      canvasRef.current = null;
+    };
+  }, [width, height, syncLayers, record]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !screenRect) return;
+    canvas.clipPath = new fabric.Rect({
+      left: screenRect.left,
+      top: screenRect.top,
+      width: screenRect.width,
+      height: screenRect.height,
+      rx: screenRect.radius || 0,
+      ry: screenRect.radius || 0,
+      absolutePositioned: true,
+    });
+    canvas.requestRenderAll();
+  }, [screenRect, width, height]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    if (!frameSrc) {
+      canvas.overlayImage = null;
+      canvas.requestRenderAll();
+      return undefined;
+    }
+    let cancelled = false;
+    fabric.Image.fromURL(frameSrc, (img, isError) => {
+      if (cancelled || isError || !img || canvasRef.current !== canvas) return;
+      img.set({
+        scaleX: width / (img.width || width),
+        scaleY: height / (img.height || height),
+        originX: 'left',
+        originY: 'top',
+      });
+      canvas.overlayImage = img;
+      canvas.requestRenderAll();
+    }, { crossOrigin: 'anonymous' });
+    return () => {
+      cancelled = true;
+    };
+  }, [frameSrc, width, height]);
+
+  // Record an already-applied canvas mutation; replays re-render and resync the layer list
+  const recordCanvasCommand = useCallback((command) => {
+    if (!record) return;
+    const refresh = (fn) => () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      fn(canvas);
+      canvas.discardActiveObject();
+      canvas.requestRenderAll();
+      syncLayers();
+    };
+    record({
+      ...command,
+      execute: refresh(command.execute),
+      undo: refresh(command.undo),
+    });
+  }, [record, syncLayers]);
+
+  const screenCenter = useCallback(() => ({
+    left: screenRect.left + screenRect.width / 2,
+    top: screenRect.top + screenRect.height / 2,
+  }), [screenRect]);
+
+  const nextName = useCallback((label) => {
+    const count = (counterRef.current[label] || 0) + 1;
+    counterRef.current[label] = count;
+    return `${label} ${count}`;
+  }, []);
+
+  const addLayer = useCallback((obj, layerType, label) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return null;
+    obj.set({
+      ...screenCenter(),
+      originX: 'center',
+      originY: 'center',
+      layerId: generateId(),
+      layerName: nextName(label),
+      layerType,
+      locked: false,
+      cornerStyle: 'circle',
+      transparentCorners: false,
+    });
+    canvas.add(obj);
+    canvas.setActiveObject(obj);
+    canvas.requestRenderAll();
+    syncLayers();
+    recordCanvasCommand({
+      label: `Add ${obj.layerName}`,
+      size: layerSize(obj),
+      execute: (c) => c.add(obj),
+      undo: (c) => c.remove(obj),
+    });
+    return obj.layerId;
+  }, [screenCenter, nextName, syncLayers, recordCanvasCommand]);
+
+  const addImage = useCallback((src) => new Promise((resolve, reject) => {
+    fabric.Image.fromURL(src, (img, isError) => {
+      if (isError || !img) {
+        reject(new Error('Failed to load image'));
+        return;
+      }
+      // Cover the printable area by default; users can shrink it afterwards
+      const scale = Math.max(screenRect.width / img.width, screenRect.height / img.height);
+      img.set({ scaleX: scale, scaleY: scale });
+      resolve(addLayer(img, 'image', 'Photo'));
+    }, { crossOrigin: 'anonymous' });
+  }), [screenRect, addLayer]);
+
+  const addText = useCallback((text = 'Your name', options = {}) => {
+    const obj = new fabric.IText(text, {
+      fontFamily: options.fontFamily || 'Inter',
+      fontSize: options.fontSize || 32,
+      fill: options.fill || '#111827',
+      fontWeight: options.fontWeight || 'bold',
+    });
+    return addLayer(obj, 'text', 'Text');
+  }, [addLayer]);
+
+  const addSticker = useCallback((emoji) => {
+    const obj = new fabric.Text(emoji, { fontSize: 64 });
+    return addLayer(obj, 'sticker', 'Sticker');
+  }, [addLayer]);
+
+  const addShape = useCallback((shape, fill = '#3b82f6') => {
+    let obj;
+    switch (shape) {
+      case 'circle':
+        obj = new fabric.Circle({ radius: 50, fill });
+        break;
+      case 'triangle':
+        obj = new fabric.Triangle({ width: 100, height: 90, fill });
+        break;
+      case 'star':
+        obj = new fabric.Polygon(starPoints(50, 22), { fill });
+        break;
+      case 'rect':
+      default:
+        obj = new fabric.Rect({ width: 100, height: 100, fill, rx: 8, ry: 8 });
+        break;
+    }
+    return addLayer(obj, 'shape', 'Shape');
+  }, [addLayer]);
+
+  const findLayer = useCallback((id) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return null;
+    return canvas.getObjects().find((obj) => obj.layerId === id) || null;
+  }, []);
+
+  const selectLayer = useCallback((id) => {
+    const canvas = canvasRef.current;
+    const obj = findLayer(id);
+    if (!canvas || !obj) return;
+    canvas.setActiveObject(obj);
+    canvas.requestRenderAll();
+    syncLayers();
+  }, [findLayer, syncLayers]);
+
+  const updateLayer = useCallback((id, props) => {
+    const canvas = canvasRef.current;
+    const obj = findLayer(id);
+    if (!canvas || !obj) return;
+    const before = snapshotLayer(obj);
+    const { locked, angle, ...rest } = props;
+    obj.set(rest);
+    if (angle !== undefined) obj.rotate(Number(angle));
+    if (locked !== undefined) applyLock(obj, locked);
+    obj.setCoords();
+    canvas.requestRenderAll();
+    canvas.fire('object:modified', { target: obj, internal: true });
+    const after = snapshotLayer(obj);
+    if (!record || sameSnapshot(before, after)) return;
+    record({
+      label: `Edit ${obj.layerName}`,
+      // Slider drags fire many updates; collapse them per layer + property set
+      coalesceKey: `update:${id}:${Object.keys(props).sort().join(',')}`,
+      execute: () => {
+        restoreSnapshot(obj, after);
+        canvas.requestRenderAll();
+        syncLayers();
+      },
+      undo: () => {
+        restoreSnapshot(obj, before);
+        canvas.requestRenderAll();
+        syncLayers();
+      },
+    });
+  }, [findLayer, record, syncLayers]);
+
+  const removeLayer = useCallback((id) => {
+    const canvas = canvasRef.current;
+    const obj = findLayer(id);
+    if (!canvas || !obj) return;
+    const index = canvas.getObjects().indexOf(obj);
+    canvas.remove(obj);
+    canvas.discardActiveObject();
+    canvas.requestRenderAll();
+    recordCanvasCommand({
+      label: `Delete ${obj.layerName}`,
+      size: layerSize(obj),
+      execute: (c) => c.remove(obj),
+      undo: (c) => c.insertAt(obj, index),
+    });
+  }, [findLayer, recordCanvasCommand]);
+
+  const reorderLayer = useCallback((id, direction) => {
+    const canvas = canvasRef.current;
+    const obj = findLayer(id);
+    if (!canvas || !obj) return;
+    const fromIndex = canvas.getObjects().indexOf(obj);
+    if (direction === 'forward') canvas.bringForward(obj);
+    else if (direction === 'backward') canvas.sendBackwards(obj);
+    else if (direction === 'front') canvas.bringToFront(obj);
+    else if (direction === 'back') canvas.sendToBack(obj);
+    const toIndex = canvas.getObjects().indexOf(obj);
+    canvas.requestRenderAll();
+    canvas.fire('object:modified', { target: obj, internal: true });
+    if (fromIndex === toIndex) return;
+    recordCanvasCommand({
+      label: `Reorder ${obj.layerName}`,
+      execute: (c) => c.moveTo(obj, toIndex),
+      undo: (c) => c.moveTo(obj, fromIndex),
+    });
+  }, [findLayer, recordCanvasCommand]);
+
+  const clearLayers = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const objects = canvas.getObjects().slice();
+    if (!objects.length) return;
+    canvas.discardActiveObject();
+    objects.forEach((obj) => canvas.remove(obj));
+    canvas.requestRenderAll();
+    syncLayers();
+    recordCanvasCommand({
+      label: 'Clear design',
+      size: objects.reduce((sum, obj) => sum + layerSize(obj), 0),
+      execute: (c) => objects.forEach((obj) => c.remove(obj)),
+      undo: (c) => objects.forEach((obj) => c.add(obj)),
+    });
+  }, [syncLayers, recordCanvasCommand]);
+
+  // Touch gestures: pick the touched layer, apply incremental deltas, then commit one history step
+  const beginGesture = useCallback((event) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const pointer = canvas.getPointer(event);
+    const point = new fabric.Point(pointer.x, pointer.y);
+    const touched = canvas.getObjects().slice().reverse()
+      .find((obj) => obj.visible !== false && obj.containsPoint(point));
+    if (touched) {
+      canvas.setActiveObject(touched);
+      canvas.requestRenderAll();
+      syncLayers();
+    }
+    const target = canvas.getActiveObject();
+    if (!target || target.locked) {
+      gestureTargetRef.current = null;
+      return;
+    }
+    gestureTargetRef.current = target;
+    pendingRef.current = { target, before: snapshotLayer(target) };
+  }, [syncLayers]);
+
+  const applyGesture = useCallback(({ dx = 0, dy = 0, scale = 1, rotation = 0 }) => {
+    const canvas = canvasRef.current;
+    const target = gestureTargetRef.current;
+    if (!canvas || !target) return;
+    // Gesture deltas are in CSS pixels; the canvas may be displayed smaller than its backing size
+    const bounds = canvas.upperCanvasEl.getBoundingClientRect();
+    const ratio = bounds.width ? canvas.getWidth() / bounds.width : 1;
+    target.set({
+      left: target.left + dx * ratio,
+      top: target.top + dy * ratio,
+      scaleX: clampScale(target.scaleX * scale),
+      scaleY: clampScale(target.scaleY * scale),
+    });
+    if (rotation) target.rotate((target.angle || 0) + rotation);
+    target.setCoords();
+    canvas.requestRenderAll();
+  }, []);
+
+  const endGesture = useCallback(() => {
+    const canvas = canvasRef.current;
+    const target = gestureTargetRef.current;
+    gestureTargetRef.current = null;
+    if (!canvas || !target) return;
+    canvas.fire('object:modified', { target });
+  }, []);
+
+  // Placement of the bottom-most photo as the { x, y, scale, rotation } transform
+  // understood by DesignPreview, cart thumbnails and saved designs. The canvas is
+  // assumed to span the whole frame, so canvas pixels map linearly onto frame space.
+  const getDesignTransform = useCallback(() => {
+    const canvas = canvasRef.current;
+    const photo = canvas?.getObjects().find((obj) => obj.layerType === 'image');
+    if (!photo) return { ...DEFAULT_DESIGN_TRANSFORM };
+    const ratio = FRAME_SPACE.width / width;
+    const center = screenCenter();
+    return {
+      x: (photo.left - center.left) * ratio,
+      y: (photo.top - center.top) * ratio,
+      scale: (photo.getScaledWidth() * ratio) / FRAME_SPACE.width,
+      rotation: photo.angle || 0,
+    };
+  }, [width, screenCenter]);
+
+  const toDataURL = useCallback((options = {}) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return '';
+    return canvas.toDataURL({ format: 'png', multiplier: 1, ...options });
+  }, []);
+
+  const toBlob = useCallback((options = {}) => dataUrlToBlob(toDataURL(options)), [toDataURL]);
+
+  // Customer-facing render with the frame overlay, sharper than the on-screen canvas
+  const exportMockup = useCallback(() => toDataURL({ multiplier: MOCKUP_MULTIPLIER }), [toDataURL]);
+
+  /**
+   * Render the printable area at print resolution: no frame overlay, no rounded clip,
+   * and layers extended into the bleed around the cut line.
+   * @param {Object} printSize - { widthMm, heightMm } of the model's printable area
+   * @param {Object} options - { dpi, bleedMm }
+   * @returns {{ dataUrl: string, spec: Object } | null}
+   */
+  const exportPrintFile = useCallback((printSize, options = {}) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return null;
+    const spec = getPrintSpec(screenRect, printSize, options);
+    const { clipPath, overlayImage } = canvas;
+    canvas.clipPath = null;
+    canvas.overlayImage = null;
+    try {
+      const dataUrl = canvas.toDataURL({
+        format: 'png',
+        multiplier: spec.multiplier,
+        left: screenRect.left - spec.bleed,
+        top: screenRect.top - spec.bleed,
+        width: screenRect.width + spec.bleed * 2,
+        height: screenRect.height + spec.bleed * 2,
+      });
+      return { dataUrl, spec };
+    } finally {
+      canvas.clipPath = clipPath;
+      canvas.overlayImage = overlayImage;
+      canvas.requestRenderAll();
+    }
+  }, [screenRect]);
+
+  // Layers only (no frame overlay) at canvas resolution, e.g. for the camera cut-out check
+  const renderContentCanvas = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return null;
+    const { overlayImage } = canvas;
+    canvas.overlayImage = null;
+    try {
+      return canvas.toCanvasElement(1);
+    } finally {
+      canvas.overlayImage = overlayImage;
+      canvas.requestRenderAll();
+    }
+  }, []);
+
+  // Effective DPI of every photo layer at the given print size; text and shapes are vector
+  const checkPrintResolution = useCallback((printSize, dpi) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return [];
+    return canvas.getObjects()
+      .filter((obj) => obj.layerType === 'image')
+      .map((obj) => {
+        const value = Math.round(effectiveDpi(obj.width, obj.getScaledWidth(), screenRect, printSize));
+        return {
+          id: obj.layerId,
+          name: obj.layerName,
+          dpi: value,
+          underResolution: isUnderResolution(value, dpi),
+        };
+      });
+  }, [screenRect]);
+
+  const serializeLayers = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return [];
+    return canvas.getObjects().map((obj) => obj.toObject(LAYER_PROPS));
+  }, []);
+
+  const loadLayers = useCallback((serialized = []) => new Promise((resolve) => {
+    const canvas = canvasRef.current;
+    if (!canvas) {
+      resolve();
+      return;
+    }
+    fabric.util.enlivenObjects(serialized, (objects) => {
+      canvas.discardActiveObject();
+      canvas.getObjects().slice().forEach((obj) => canvas.remove(obj));
+      objects.forEach((obj) => {
+        if (obj.locked) applyLock(obj, true);
+        canvas.add(obj);
+      });
+      canvas.requestRenderAll();
+      syncLayers();
+      // A freshly loaded design starts a new history
+      if (clearHistory) clearHistory();
+      resolve();
+    });
+  }), [syncLayers, clearHistory]);
+
+  return {
+    canvasElRef,
+    canvasRef,
+    layers,
+    activeId,
+    activeLayer: layers.find((layer) => layer.id === activeId) || null,
+    addImage,
+    addText,
+    addSticker,
+    addShape,
+    selectLayer,
+    updateLayer,
+    removeLayer,
+    reorderLayer,
+    clearLayers,
+    beginGesture,
+    applyGesture,
+    endGesture,
+    getDesignTransform,
+    toDataURL,
+    toBlob,
+    exportMockup,
+    exportPrintFile,
+    checkPrintResolution,
+    renderContentCanvas,
+    serializeLayers,
+    loadLayers,
+  };
+};
+
+export default useFabricEditor;
@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createHistoryStack, estimateSize } from '../utils/historyStack';
+
+const isTypingTarget = (target) => {
+  if (!target) return false;
+  const tag = (target.tagName || '').toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable;
+};
+
+/**
+ * React wrapper around createHistoryStack with Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) bindings.
+ * @param {Object} options - createHistoryStack options plus `keyboard` (default true)
+ */
+export const useHistory = (options = {}) => {
+  const { keyboard = true, ...stackOptions } = options;
+  const [state, setState] = useState({ canUndo: false, canRedo: false, undoLabel: '', redoLabel: '', bytes: 0 });
+  const stackRef = useRef(null);
+  if (!stackRef.current) {
+    stackRef.current = createHistoryStack({ ...stackOptions, onChange: setState });
+  }
+
+  const undo = useCallback(() => stackRef.current.undo(), []);
+  const redo = useCallback(() => stackRef.current.redo(), []);
+  const record = useCallback((command) => stackRef.current.record(command), []);
+  const execute = useCallback((command) => stackRef.current.execute(command), []);
+  const clear = useCallback(() => stackRef.current.clear(), []);
+  const isReplaying = useCallback(() => stackRef.current.isReplaying(), []);
+
+  useEffect(() => {
+    if (!keyboard) return undefined;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isTypingTarget(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keyboard, undo, redo]);
+
+  return { ...state, undo, redo, record, execute, clear, isReplaying };
+};
+
+/**
+ * useState with undo/redo. The setter accepts an optional { label, coalesceKey }
+ * so rapid updates (slider or drag) collapse into a single history step.
+ */
+export const useUndoableState = (initialValue, options = {}) => {
+  const history = useHistory(options);
+  const { execute } = history;
+  const [value, setValue] = useState(initialValue);
+  const valueRef = useRef(value);
+
+  const apply = useCallback((next) => {
+    valueRef.current = next;
+    setValue(next);
+  }, []);
+
+  const setUndoable = useCallback((next, { label, coalesceKey } = {}) => {
+    const previous = valueRef.current;
+    const resolved = typeof next === 'function' ? next(previous) : next;
+    if (Object.is(previous, resolved)) return;
+    execute({
+      label,
+      coalesceKey,
+      size: estimateSize(previous) + estimateSize(resolved),
+      execute: () => apply(resolved),
+      undo: () => apply(previous),
+    });
+  }, [execute, apply]);
+
+  return [value, setUndoable, history];
+};
+
+export default useHistory;
@@ -0,0 +1,60 @@
+import { useCallback, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import authAPI from '../api/authAPI';
+import { getUserProfile, loginWithProvider } from '../redux/slices/authSlice';
+import { isOAuthCancelled, OAUTH_PROVIDERS, startOAuth } from '../utils/oauth';
+
+/**
+ * Provider sign-in and account linking (utils/oauth) for buttons and the callback page.
+ * @returns {{ start, finish, busy }}
+ *  - start(provider, { intent, redirectTo }): from a click; the popup flow ends here, the
+ *    redirect flow in pages/OAuthCallback
+ *  - finish(callback): signs in or links with a callback from readOAuthCallback, then
+ *    navigates; resolves false when it failed
+ *  - busy: the provider whose sign-in the server is completing, or null. Not set while the
+ *    popup is open: an abandoned popup is only noticed when its request expires
+ */
+export const useOAuth = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [busy, setBusy] = useState(null);
+
+  const finish = useCallback(async (callback) => {
+    const { name } = OAUTH_PROVIDERS[callback.provider];
+    setBusy(callback.provider);
+    try {
+      if (callback.intent === 'link') {
+        await authAPI.linkProvider(callback.provider, callback);
+        await dispatch(getUserProfile());
+        toast.success(`${name} is now connected to your account`);
+        navigate('/profile', { replace: true });
+        return true;
+      }
+      const session = await dispatch(loginWithProvider(callback)).unwrap();
+      toast.success(session.linked ? `Signed in. ${name} is now connected to your account` : 'Signed in');
+      navigate(callback.redirectTo || '/', { replace: true });
+      return true;
+    } catch (err) {
+      const message = typeof err === 'string' ? err : err.response?.data?.message || err.message;
+      toast.error(message || `${name} sign-in failed`);
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  }, [dispatch, navigate]);
+
+  const start = useCallback(async (provider, options) => {
+    try {
+      const callback = await startOAuth(provider, options);
+      if (callback) await finish(callback);
+    } catch (err) {
+      if (!isOAuthCancelled(err)) toast.error(err.message || 'Sign-in failed');
+    }
+  }, [finish]);
+
+  return { start, finish, busy };
+};
+
+export default useOAuth;
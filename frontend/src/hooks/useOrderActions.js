@@ -1,6 +1,16 @@
 import { useState, useCallback } from 'react';
 import { toast } from 'react-toastify';
 import orderAPI from '../api/orderAPI';
+import customAPI from '../api/customAPI';
+import { INVOICES_ENABLED, downloadInvoice as saveInvoicePdf } from '../utils/invoice';
+import {
+  collectPayment,
+  customOrderPaymentServer,
+  getOrderPaymentState,
+  isPaymentCancelled,
+  orderPaymentServer,
+  PAYMENT_FAILED,
+} from '../utils/payments';
 
 const SUPPORT_CHAT_URL = import.meta.env.VITE_SUPPORT_CHAT_URL || '';
 const SUPPORT_PHONE = (import.meta.env.VITE_SUPPORT_PHONE || '').replace(/[^0-9+]/g, '');
@@ -9,6 +19,8 @@ const SUPPORT_EMAIL = import.meta.env.VITE_SUPPORT_EMAIL || 'support@mobilecover
 export const useOrderActions = (orderId, onOrderUpdate) => {
   const [cancelling, setCancelling] = useState(false);
   const [printing, setPrinting] = useState(false);
+  const [downloadingInvoice, setDownloadingInvoice] = useState(false);
+  const [paying, setPaying] = useState(false);
 
   const cancelOrder = useCallback(async (order, reason = '') => {
     const status = (order.status || order.payment?.status || '').toString().toLowerCase();
@@ -67,6 +79,66 @@ export const useOrderActions = (orderId, onOrderUpdate) => {
     }
   }, []);
 
+  const downloadInvoice = useCallback(async (order) => {
+    try {
+      setDownloadingInvoice(true);
+      const invoiceNumber = saveInvoicePdf(order);
+      toast.success(`Invoice ${invoiceNumber} downloaded`);
+    } catch (err) {
+      console.error('[Invoice] Failed to generate invoice', err, 'Order:', order);
+      toast.error('Failed to generate invoice');
+    } finally {
+      setDownloadingInvoice(false);
+    }
+  }, []);
+
+  // Pay for an order whose payment was abandoned or failed; custom orders use their own endpoints
+  const completePayment = useCallback(async (order, { custom = false } = {}) => {
+    const paymentState = getOrderPaymentState(order, { expires: !custom });
+    if (!paymentState?.canPay) {
+      toast.info(paymentState?.message || 'This order does not need a payment');
+      return false;
+    }
+
+    const id = order._id || order.id;
+    try {
+      setPaying(true);
+      await collectPayment({
+        server: custom ? customOrderPaymentServer(id) : orderPaymentServer(id),
+        amount: order.total || order.amount || 0,
+        checkout: {
+          name: 'CopadMob',
+          description: `${custom ? 'Custom order' : 'Order'} #${id}`,
+          prefill: {
+            name: order.shippingAddress?.name,
+            contact: order.shippingAddress?.phone,
+          },
+          notes: { platform: 'copadmob', retry: 'true' },
+          onAttemptFailed: (message) => toast.error(message),
+        },
+      });
+      toast.success('Payment successful');
+
+      // The payment stands even if the refreshed order cannot be loaded
+      const resp = await (custom ? customAPI.getOrder(id) : orderAPI.getOrder(id)).catch(() => null);
+      if (resp) {
+        const data = resp.data?.data || resp.data || resp;
+        onOrderUpdate?.(data.order || data.customOrder || data);
+      }
+      return true;
+    } catch (err) {
+      if (isPaymentCancelled(err)) {
+        toast.info('Payment cancelled. You can complete it later from your orders.');
+      } else if (err.code !== PAYMENT_FAILED) {
+        toast.error(err.response?.data?.message || err.message || 'Payment could not be completed');
+        console.error('[CompletePayment] Error:', err, 'Order:', order);
+      }
+      return false;
+    } finally {
+      setPaying(false);
+    }
+  }, [onOrderUpdate]);
+
   const chatWithSupport = useCallback((orderId) => {
     const orderLabel = orderId ? `Order ID: ${orderId}` : 'my recent order';
     const rawMessage = `Hi team, I need help with ${orderLabel}.`;
@@ -94,8 +166,14 @@ export const useOrderActions = (orderId, onOrderUpdate) => {
   return {
     cancelOrder,
     printReceipt,
+    downloadInvoice,
+    // false until the seller GSTIN is configured; hide invoice buttons then
+    canDownloadInvoice: INVOICES_ENABLED,
+    completePayment,
     chatWithSupport,
     cancelling,
-    printing
+    printing,
+    downloadingInvoice,
+    paying
   };
 };
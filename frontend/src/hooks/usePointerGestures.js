@@ -0,0 +1,181 @@
+import { useEffect, useRef } from 'react';
+
+const FRICTION = 0.92; // velocity retained per 16ms frame
+const MIN_PAN_VELOCITY = 0.02; // px/ms
+const MIN_ROTATION_VELOCITY = 0.005; // deg/ms
+const VELOCITY_SMOOTHING = 0.8;
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+const angleBetween = (a, b) => (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI;
+const centroid = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+});
+
+// Keep angle deltas in (-180, 180] so crossing the atan2 seam doesn't spin the layer
+const normalizeAngleDelta = (delta) => {
+  if (delta > 180) return delta - 360;
+  if (delta <= -180) return delta + 360;
+  return delta;
+};
+
+/**
+ * Pointer-event based pan / pinch-zoom / two-finger rotate with release inertia.
+ * Handlers receive incremental deltas so the caller decides what to transform.
+ * @param {React.RefObject<HTMLElement>} targetRef - element receiving the gestures
+ * @param {Object} handlers
+ *  - onStart(event): first pointer went down (event is the PointerEvent); mouse-compat events are suppressed
+ *  - onChange({ dx, dy, scale, rotation }): incremental pan (px), zoom factor, rotation (deg)
+ *  - onEnd(): gesture and any inertia finished
+ * @param {Object} options
+ *  - pointerTypes: pointer types to handle (default touch + pen, mouse is left to the canvas)
+ *  - inertia: keep panning/rotating after release (default true)
+ */
+export const usePointerGestures = (targetRef, handlers, options = {}) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  const { pointerTypes = ['touch', 'pen'], inertia = true } = options;
+  const pointerTypesKey = pointerTypes.join(',');
+
+  useEffect(() => {
+    const el = targetRef.current;
+    if (!el) return undefined;
+    const allowed = pointerTypesKey.split(',');
+    const pointers = new Map();
+    let last = null;
+    let velocity = { x: 0, y: 0, rotation: 0, time: 0 };
+    let inertiaFrame = null;
+    let active = false;
+
+    const emit = (delta) => handlersRef.current?.onChange?.(delta);
+
+    const finish = () => {
+      if (!active) return;
+      active = false;
+      handlersRef.current?.onEnd?.();
+    };
+
+    const stopInertia = () => {
+      if (inertiaFrame) {
+        cancelAnimationFrame(inertiaFrame);
+        inertiaFrame = null;
+        finish();
+      }
+    };
+
+    const snapshot = () => {
+      const points = Array.from(pointers.values());
+      return {
+        center: centroid(points),
+        distance: points.length > 1 ? distance(points[0], points[1]) : 0,
+        angle: points.length > 1 ? angleBetween(points[0], points[1]) : 0,
+        count: points.length,
+      };
+    };
+
+    const startInertia = () => {
+      let previous = performance.now();
+      const step = (now) => {
+        const elapsed = Math.max(now - previous, 1);
+        previous = now;
+        const decay = Math.pow(FRICTION, elapsed / 16);
+        velocity = {
+          x: velocity.x * decay,
+          y: velocity.y * decay,
+          rotation: velocity.rotation * decay,
+        };
+        const panning = Math.hypot(velocity.x, velocity.y) > MIN_PAN_VELOCITY;
+        const rotating = Math.abs(velocity.rotation) > MIN_ROTATION_VELOCITY;
+        if (!panning && !rotating) {
+          inertiaFrame = null;
+          finish();
+          return;
+        }
+        emit({
+          dx: panning ? velocity.x * elapsed : 0,
+          dy: panning ? velocity.y * elapsed : 0,
+          scale: 1,
+          rotation: rotating ? velocity.rotation * elapsed : 0,
+        });
+        inertiaFrame = requestAnimationFrame(step);
+      };
+      inertiaFrame = requestAnimationFrame(step);
+    };
+
+    const handlePointerDown = (event) => {
+      if (!allowed.includes(event.pointerType)) return;
+      stopInertia();
+      event.preventDefault();
+      el.setPointerCapture?.(event.pointerId);
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (!active) {
+        active = true;
+        handlersRef.current?.onStart?.(event);
+      }
+      last = snapshot();
+      velocity = { x: 0, y: 0, rotation: 0, time: event.timeStamp };
+    };
+
+    const handlePointerMove = (event) => {
+      if (!pointers.has(event.pointerId)) return;
+      event.preventDefault();
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      const current = snapshot();
+      if (!last || current.count !== last.count) {
+        last = current;
+        return;
+      }
+      const dx = current.center.x - last.center.x;
+      const dy = current.center.y - last.center.y;
+      const scale = current.count > 1 && last.distance ? current.distance / last.distance : 1;
+      const rotation = current.count > 1 ? normalizeAngleDelta(current.angle - last.angle) : 0;
+      const elapsed = Math.max(event.timeStamp - (velocity.time || event.timeStamp), 1);
+      velocity = {
+        x: VELOCITY_SMOOTHING * (dx / elapsed) + (1 - VELOCITY_SMOOTHING) * velocity.x,
+        y: VELOCITY_SMOOTHING * (dy / elapsed) + (1 - VELOCITY_SMOOTHING) * velocity.y,
+        rotation: VELOCITY_SMOOTHING * (rotation / elapsed) + (1 - VELOCITY_SMOOTHING) * velocity.rotation,
+        time: event.timeStamp,
+      };
+      last = current;
+      emit({ dx, dy, scale, rotation });
+    };
+
+    const handlePointerUp = (event) => {
+      if (!pointers.has(event.pointerId)) return;
+      pointers.delete(event.pointerId);
+      el.releasePointerCapture?.(event.pointerId);
+      last = pointers.size ? snapshot() : null;
+      if (pointers.size) return;
+      // A finger that rested before lifting shouldn't fling the layer
+      const idle = event.timeStamp - (velocity.time || 0) > 80;
+      if (inertia && !idle && event.type === 'pointerup') {
+        startInertia();
+      } else {
+        finish();
+      }
+    };
+
+    // Keep the canvas library's own touch handlers from fighting the gesture;
+    // callers pick the touched target themselves in onStart
+    const blockTouch = (event) => event.stopPropagation();
+
+    el.addEventListener('pointerdown', handlePointerDown);
+    el.addEventListener('pointermove', handlePointerMove);
+    el.addEventListener('pointerup', handlePointerUp);
+    el.addEventListener('pointercancel', handlePointerUp);
+    el.addEventListener('touchstart', blockTouch, { capture: true });
+    el.addEventListener('touchmove', blockTouch, { capture: true });
+
+    return () => {
+      if (inertiaFrame) cancelAnimationFrame(inertiaFrame);
+      el.removeEventListener('pointerdown', handlePointerDown);
+      el.removeEventListener('pointermove', handlePointerMove);
+      el.removeEventListener('pointerup', handlePointerUp);
+      el.removeEventListener('pointercancel', handlePointerUp);
+      el.removeEventListener('touchstart', blockTouch, { capture: true });
+      el.removeEventListener('touchmove', blockTouch, { capture: true });
+    };
+  }, [targetRef, pointerTypesKey, inertia]);
+};
+
+export default usePointerGestures;
@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useState } from 'react';
+import uploadAPI from '../api/uploadAPI';
+
+/**
+ * Interrupted resumable uploads of one kind ('design', 'model-frame'), so a page can offer
+ * to resume or discard them after a reload.
+ */
+export const useResumableUploads = (kind) => {
+  const [pending, setPending] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setPending(await uploadAPI.listPendingUploads(kind));
+    } catch (err) {
+      console.error('Failed to read pending uploads', err);
+      setPending([]);
+    }
+  }, [kind]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const resume = useCallback(async (key, options = {}) => {
+    const result = await uploadAPI.resumeUpload(key, options);
+    await refresh();
+    return result;
+  }, [refresh]);
+
+  const discard = useCallback(async (key) => {
+    await uploadAPI.discardUpload(key);
+    await refresh();
+  }, [refresh]);
+
+  return { pending, refresh, resume, discard };
+};
+
+export default useResumableUploads;
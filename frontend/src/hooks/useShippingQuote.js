@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getSavedPinCode, getShippingQuote, isValidPinCode, savePinCode } from '../utils/shipping';
+
+/**
+ * The delivery PIN code the customer last checked, shared by product, cart and checkout.
+ * @returns {[string, Function]} pin and setter (valid codes are remembered)
+ */
+export const useDeliveryPin = () => {
+  const [pin, setPinState] = useState(getSavedPinCode);
+  const setPin = useCallback((value) => {
+    setPinState(value);
+    if (isValidPinCode(value)) savePinCode(value);
+  }, []);
+  return [pin, setPin];
+};
+
+/**
+ * Shipping quote for the items, refreshed when the PIN code or the items change.
+ * @param {Object} options - { pin, items, cod }
+ * @returns {{ quote, loading, error }} quote is null until a valid PIN code was quoted
+ */
+export const useShippingQuote = ({ pin, items, cod = false }) => {
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  // Callers often build `items` inline; only a change in what is shipped re-quotes
+  const itemsKey = items
+    .map((item) => `${item.product?._id}:${item.variant?._id}:${item.variant?.price}:${item.quantity}`)
+    .join(',');
+
+  useEffect(() => {
+    if (!isValidPinCode(pin) || !itemsRef.current.length) {
+      setQuote(null);
+      setError(null);
+      setLoading(false);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    getShippingQuote({ pin, items: itemsRef.current, cod })
+      .then((result) => {
+        if (!cancelled) setQuote(result);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setQuote(null);
+        setError(err.response?.data?.message || err.message || 'Could not check delivery');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pin, itemsKey, cod]);
+
+  return { quote, loading, error };
+};
+
+export default useShippingQuote;
@@ -33,8 +33,14 @@ window.addEventListener('app:unauthorized', () => {
   } catch (e) {
     // ignore
   }
-  // Navigate to login page
-  window.location.href = '/login';
+  // Navigate to login page, coming back here afterwards
+  const { pathname, search } = window.location;
+  window.location.href = pathname === '/login' ? '/login' : `/login?redirect=${encodeURIComponent(pathname + search)}`;
+});
+
+// The API client refreshed the session; keep the store's token in step
+window.addEventListener('app:tokenRefreshed', (event) => {
+  store.dispatch({ type: 'auth/setToken', payload: event.detail.token });
 });
 
 // Auth state is preloaded into the store from `store.js` (no startup dispatch here).
@@ -2,6 +2,25 @@ import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { fetchAllCustomOrders, updateCustomOrderStatus, deleteCustomOrder } from '../redux/slices/adminCustomOrderSlice';
 import Loader from '../components/Loader';
+import { renderPhotoDesign } from '../utils/photoEffects';
+import { resolveModelGeometry } from '../utils/modelGeometry';
+import { DEFAULT_PRINT_DPI, getPrintSpec } from '../utils/printExport';
+import { getAssetUrl, safeParseDesign } from '../utils/designDocument';
+
+// Source photo, edit params and geometry for the print file. Orders placed before the design
+// document keep them as loose designData fields next to imageUrls.
+const getPrintableDesign = (order) => {
+  const legacy = order.designData || {};
+  const design = legacy.schemaVersion ? safeParseDesign(legacy) : null;
+  const layer = design?.layers.find((item) => item.type === 'image');
+  const photo = layer?.photo || legacy.photo;
+  if (!photo) return null;
+  return {
+    source: (layer && getAssetUrl(design, layer.asset)) || order.imageUrls?.[0] || order.image,
+    photo,
+    geometry: design?.model.geometry || legacy.geometry,
+  };
+};
 
 const STATUS_OPTIONS = [
   { value: 'pending', label: 'Pending' },
@@ -30,6 +49,24 @@ const humanizeStatus = (status) => {
   return (normalized || '').replace(/[_-]/g, ' ');
 };
 
+const downloadCanvas = (canvas, filename) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => {
+    if (!blob) {
+      reject(new Error('Could not encode the print file'));
+      return;
+    }
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    resolve();
+  }, 'image/png');
+});
+
 export default function AdminCustomOrders() {
   const dispatch = useDispatch();
   const { customOrders, loading, error, pagination } = useSelector((state) => state.adminCustomOrders);
@@ -37,6 +74,7 @@ export default function AdminCustomOrders() {
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showStatusModal, setShowStatusModal] = useState(false);
   const [newStatus, setNewStatus] = useState('');
+  const [renderingId, setRenderingId] = useState(null);
 
   useEffect(() => {
     dispatch(fetchAllCustomOrders({ page: pagination.page, status: statusFilter }));
@@ -67,6 +105,27 @@ export default function AdminCustomOrders() {
     }
   };
 
+  // Re-apply the customer's photo edits to the original upload at print resolution
+  const handleRenderPrintFile = async (order) => {
+    const printable = getPrintableDesign(order);
+    if (!printable?.source) return;
+    setRenderingId(order._id);
+    try {
+      const geometry = resolveModelGeometry(printable.geometry);
+      const spec = getPrintSpec(geometry.screen, geometry.printSize, { dpi: DEFAULT_PRINT_DPI });
+      const canvas = await renderPhotoDesign(printable.source, printable.photo, {
+        width: spec.widthPx,
+        height: spec.heightPx,
+      });
+      await downloadCanvas(canvas, `custom-order-${order._id.slice(-8)}-${spec.dpi}dpi.png`);
+    } catch (error) {
+      console.error('Error rendering print file:', error);
+      alert(error.message || 'Could not render the print file');
+    } finally {
+      setRenderingId(null);
+    }
+  };
+
   const openStatusModal = (order) => {
     setSelectedOrder(order);
     setNewStatus(normalizeStatusValue(order.status));
@@ -152,6 +211,15 @@ export default function AdminCustomOrders() {
               >
                 Update Status
               </button>
+              {getPrintableDesign(order) && (
+                <button
+                  onClick={() => handleRenderPrintFile(order)}
+                  disabled={renderingId === order._id}
+                  className="bg-gray-800 text-white px-4 py-2 rounded hover:bg-gray-900 disabled:opacity-50"
+                >
+                  {renderingId === order._id ? 'Rendering…' : 'Download Print File'}
+                </button>
+              )}
               {(order.status === 'rejected' || order.status === 'pending') && (
                 <button
                   onClick={() => handleDelete(order._id)}
@@ -1,6 +1,9 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import mobileAPI from '../api/mobileAPI';
+import uploadAPI from '../api/uploadAPI';
+import ModelGeometryEditor from '../components/ModelGeometryEditor';
+import { useResumableUploads } from '../hooks/useResumableUploads';
 
 export default function AdminMobileManagement() {
   const { type } = useParams();
@@ -18,6 +21,9 @@ export default function AdminMobileManagement() {
   const [frameSelection, setFrameSelection] = useState({ companyId: '', modelId: '' });
   const [frameMessage, setFrameMessage] = useState('');
   const [frameUploading, setFrameUploading] = useState(false);
+  const [frameProgress, setFrameProgress] = useState('');
+  const pendingFrames = useResumableUploads('model-frame');
+  const [geometrySaving, setGeometrySaving] = useState(false);
   const frameInputRef = useRef(null);
 
   useEffect(() => {
@@ -150,31 +156,71 @@ export default function AdminMobileManagement() {
     }
   }
 
-  async function handleUploadFrames(event) {
-    const files = Array.from(event.target.files || []);
-    if (!frameSelection.modelId || files.length === 0) {
-      if (frameInputRef.current) frameInputRef.current.value = '';
-      return;
+  // Frames go up one file at a time in resumable chunks; the server attaches each to its model
+  async function uploadFrame(file, index, total, resumeKey) {
+    const label = total > 1 ? `frame ${index + 1} of ${total}` : 'frame';
+    const options = {
+      onUploadProgress: (event) => setFrameProgress(`Uploading ${label}… ${Math.round((event.progress || 0) * 100)}%`),
+      onRetry: (attempt) => setFrameProgress(`Connection lost, retrying ${label} (attempt ${attempt})…`),
+    };
+    const res = resumeKey
+      ? await pendingFrames.resume(resumeKey, options)
+      : await uploadAPI.uploadResumable(file, {
+        ...options,
+        // Frames are transparent PNGs; re-encoding could flatten them
+        preprocess: false,
+        target: { kind: 'model-frame', id: frameSelection.modelId },
+      });
+    if (!res.success) {
+      throw new Error(res.error?.message || res.error || `Failed to upload ${label}`);
     }
+    const updated = res.data?.model;
+    if (updated) {
+      setModels((prev) => prev.map((m) => (m._id === updated._id ? updated : m)));
+    }
+    return !!updated;
+  }
+
+  async function runFrameUploads(jobs) {
     setFrameMessage('');
     setError('');
     setFrameUploading(true);
+    let allUpdatedInPlace = true;
     try {
-      const res = await mobileAPI.adminUploadModelFrames(frameSelection.modelId, files);
-      const updated = res.data?.data;
-      if (updated) {
-        setModels((prev) => prev.map((m) => (m._id === updated._id ? updated : m)));
-        setFrameMessage(`Uploaded ${files.length} frame${files.length > 1 ? 's' : ''} successfully.`);
+      for (let i = 0; i < jobs.length; i += 1) {
+        const updated = await uploadFrame(jobs[i].file, i, jobs.length, jobs[i].key);
+        allUpdatedInPlace = allUpdatedInPlace && updated;
       }
+      if (!allUpdatedInPlace) await fetchData();
+      setFrameMessage(`Uploaded ${jobs.length} frame${jobs.length > 1 ? 's' : ''} successfully.`);
     } catch (err) {
       console.error(err);
-      setError(err.response?.data?.message || err.message || 'Failed to upload frames');
+      setError(`${err.message || 'Failed to upload frames'}. You can resume the upload below.`);
     } finally {
       setFrameUploading(false);
+      setFrameProgress('');
+      pendingFrames.refresh();
       if (frameInputRef.current) frameInputRef.current.value = '';
     }
   }
 
+  async function handleUploadFrames(event) {
+    const files = Array.from(event.target.files || []);
+    if (!frameSelection.modelId || files.length === 0) {
+      if (frameInputRef.current) frameInputRef.current.value = '';
+      return;
+    }
+    await runFrameUploads(files.map((file) => ({ file })));
+  }
+
+  async function handleResumeFrames() {
+    await runFrameUploads(pendingFrames.pending.map((record) => ({ file: record.file, key: record.key })));
+  }
+
+  async function handleDiscardFrame(key) {
+    await pendingFrames.discard(key);
+  }
+
   async function handleDeleteFrame(frameId) {
     if (!frameSelection.modelId || !frameId) return;
     if (!window.confirm('Remove this frame image?')) return;
@@ -192,6 +238,27 @@ export default function AdminMobileManagement() {
     }
   }
 
+  async function handleSaveGeometry(geometry) {
+    if (!frameSelection.modelId) return;
+    setError('');
+    setFrameMessage('');
+    setGeometrySaving(true);
+    try {
+      const res = await mobileAPI.adminUpdateModelGeometry(frameSelection.modelId, geometry);
+      const updated = res.data?.data;
+      setModels((prev) => prev.map((m) => {
+        if (m._id !== frameSelection.modelId) return m;
+        return updated?._id ? updated : { ...m, geometry };
+      }));
+      setFrameMessage('Screen and print area saved.');
+    } catch (err) {
+      console.error(err);
+      setError(err.response?.data?.message || err.message || 'Failed to save geometry');
+    } finally {
+      setGeometrySaving(false);
+    }
+  }
+
   const isCompanies = activeTab === 'companies';
   const isModels = activeTab === 'models';
   const isFrames = activeTab === 'frames';
@@ -282,10 +349,57 @@ export default function AdminMobileManagement() {
                 className="w-full border border-dashed rounded px-3 py-4 text-sm text-gray-600 cursor-pointer disabled:opacity-50"
               />
               <p className="text-xs text-gray-500 mt-2">Use transparent PNG files that match your device mockups.</p>
-              {frameUploading && <p className="text-sm text-blue-600 mt-2">Uploading frames…</p>}
+              {frameUploading && <p className="text-sm text-blue-600 mt-2">{frameProgress || 'Uploading frames…'}</p>}
+              {!frameUploading && pendingFrames.pending.length > 0 && (
+                <div className="mt-3 border border-yellow-300 bg-yellow-50 rounded p-3 text-sm">
+                  <div className="flex items-center justify-between gap-3 mb-2">
+                    <span className="font-medium text-yellow-800">Unfinished frame uploads</span>
+                    <button
+                      type="button"
+                      onClick={handleResumeFrames}
+                      className="px-3 py-1 rounded bg-yellow-600 text-white text-xs hover:bg-yellow-700"
+                    >
+                      Resume all
+                    </button>
+                  </div>
+                  <ul className="space-y-1">
+                    {pendingFrames.pending.map((record) => {
+                      const model = models.find((m) => m._id === record.target?.id);
+                      const done = Math.round(((record.completedChunks?.length || 0) / record.totalChunks) * 100);
+                      return (
+                        <li key={record.key} className="flex items-center justify-between gap-3 text-yellow-900">
+                          <span className="truncate">
+                            {record.fileName}
+                            {model ? ` · ${model.name}` : ''} · {done}% sent
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => handleDiscardFrame(record.key)}
+                            className="text-xs text-red-600 hover:underline"
+                          >
+                            Discard
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              )}
               {frameMessage && <p className="text-sm text-green-600 mt-2">{frameMessage}</p>}
             </div>
 
+            <div className="border-t pt-6">
+              <h3 className="text-lg font-semibold mb-1">Step 4 · Screen &amp; print area</h3>
+              <p className="text-xs text-gray-500 mb-4">
+                Positions are in the 260×520 frame preview. Designs are clipped to this area and camera cut-outs are kept clear.
+              </p>
+              {selectedFrameModel ? (
+                <ModelGeometryEditor model={selectedFrameModel} saving={geometrySaving} onSave={handleSaveGeometry} />
+              ) : (
+                <p className="text-gray-500">Select a company and model to edit its print area.</p>
+              )}
+            </div>
+
             <div className="border-t pt-6">
               <h3 className="text-lg font-semibold mb-4">Uploaded frames</h3>
               {selectedFrameModel ? (
@@ -11,11 +11,17 @@ import {
   FiPackage,
   FiClock,
   FiTag,
+  FiFileText,
 } from 'react-icons/fi';
 import Loader from '../components/Loader';
+import CodReconciliation from '../components/CodReconciliation';
+import { useOrderActions } from '../hooks/useOrderActions';
+import { COD_STATUS_LABELS, getCodStatus, isCodOrder } from '../utils/cod';
+import { refundOrderPayment } from '../utils/payments';
 import {
   fetchAllOrders,
   updateOrderStatus,
+  recordCodRemittance,
   setPage as setAdminOrdersPage,
 } from '../redux/slices/adminOrderSlice';
 
@@ -47,6 +53,14 @@ const PAYMENT_STYLES = {
   refunded: 'bg-slate-100 text-slate-800',
 };
 
+// COD orders stay unpaid until delivery, then until the courier remits the cash
+const COD_PAYMENT_STYLES = {
+  awaiting_delivery: 'bg-amber-100 text-amber-800',
+  collected: 'bg-sky-100 text-sky-800',
+  remitted: 'bg-emerald-100 text-emerald-800',
+  void: 'bg-slate-100 text-slate-600',
+};
+
 const defaultPagination = {
   currentPage: 1,
   totalPages: 1,
@@ -69,7 +83,9 @@ export default function AdminOrders() {
     pagination: paginationState,
   } = adminOrdersState;
   const pagination = paginationState || defaultPagination;
+  const { downloadInvoice, canDownloadInvoice } = useOrderActions();
 
+  const [view, setView] = useState('orders');
   const [statusFilter, setStatusFilter] = useState('');
   const [limit, setLimit] = useState(LIMIT_OPTIONS[0]);
   const [searchValue, setSearchValue] = useState('');
@@ -79,8 +95,10 @@ export default function AdminOrders() {
     status: 'pending',
     trackingNumber: '',
     notes: '',
+    codCollectedAmount: '',
   });
   const [showModal, setShowModal] = useState(false);
+  const [refundingId, setRefundingId] = useState(null);
 
   const isInitialLoading = loading && orders.length === 0;
   const inlineLoading = loading && orders.length > 0;
@@ -97,8 +115,9 @@ export default function AdminOrders() {
     };
     if (statusFilter) params.status = statusFilter;
     if (debouncedSearch) params.search = debouncedSearch;
+    if (view === 'cod') params.paymentMethod = 'cod';
     return params;
-  }, [pagination.currentPage, limit, statusFilter, debouncedSearch]);
+  }, [pagination.currentPage, limit, statusFilter, debouncedSearch, view]);
 
   useEffect(() => {
     dispatch(fetchAllOrders(queryParams));
@@ -132,6 +151,36 @@ export default function AdminOrders() {
     }
   };
 
+  const handleViewChange = (value) => {
+    setView(value);
+    if (pagination.currentPage !== 1) {
+      dispatch(setAdminOrdersPage(1));
+    }
+  };
+
+  const handleRecordRemittance = async (order, remittance) => {
+    try {
+      await dispatch(recordCodRemittance({ id: order._id, remittance })).unwrap();
+      toast.success('Remittance recorded');
+    } catch (err) {
+      toast.error(typeof err === 'string' ? err : 'Failed to record remittance');
+    }
+  };
+
+  const handleRefund = async (order) => {
+    if (!window.confirm(`Refund ${formatCurrency(order.total)} for ${order.orderNumber || shortId(order._id)}?`)) return;
+    setRefundingId(order._id);
+    try {
+      await refundOrderPayment(order, { reason: 'Refunded by admin' });
+      toast.success('Refund initiated');
+      dispatch(fetchAllOrders(queryParams));
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message || 'Failed to refund payment');
+    } finally {
+      setRefundingId(null);
+    }
+  };
+
   const handleLimitChange = (value) => {
     setLimit(value);
     if (pagination.currentPage !== 1) {
@@ -152,6 +201,7 @@ export default function AdminOrders() {
       status: order.status || 'pending',
       trackingNumber: order.trackingNumber || '',
       notes: order.notes || '',
+      codCollectedAmount: order.cod?.collectedAmount ?? order.total ?? '',
     });
     setShowModal(true);
   };
@@ -170,6 +220,9 @@ export default function AdminOrders() {
       trackingNumber: statusForm.trackingNumber.trim() || undefined,
       notes: statusForm.notes.trim() || undefined,
     };
+    if (isCodOrder(selectedOrder) && statusForm.status === 'delivered') {
+      payload.codCollectedAmount = Number(statusForm.codCollectedAmount) || 0;
+    }
 
     try {
       await dispatch(updateOrderStatus({ id: selectedOrder._id, statusData: payload })).unwrap();
@@ -229,6 +282,17 @@ export default function AdminOrders() {
           </p>
         </div>
         <div className="flex gap-2">
+          <div className="inline-flex rounded-lg border border-slate-200 p-1 text-sm">
+            {[['orders', 'All orders'], ['cod', 'COD reconciliation']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => handleViewChange(value)}
+                className={`rounded-md px-3 py-1 font-medium ${view === value ? 'bg-slate-900 text-white' : 'text-slate-600 hover:bg-slate-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
           <button
             onClick={handleRefresh}
             className="inline-flex items-center gap-2 rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-700 hover:border-slate-400"
@@ -328,7 +392,9 @@ export default function AdminOrders() {
         </div>
       )}
 
-      {orders.length === 0 && !inlineLoading ? (
+      {view === 'cod' ? (
+        <CodReconciliation orders={orders} onRecordRemittance={handleRecordRemittance} />
+      ) : orders.length === 0 && !inlineLoading ? (
         <div className="rounded-2xl border border-dashed border-slate-200 bg-white p-10 text-center text-slate-500">
           <p className="text-lg font-semibold text-slate-700">No orders match your filters</p>
           <p className="text-sm">Try adjusting the filters or refresh the feed.</p>
@@ -337,6 +403,7 @@ export default function AdminOrders() {
         <div className="space-y-4">
           {orders.map((order) => {
             const statusLabel = STATUS_OPTIONS.find((option) => option.value === order.status)?.label || order.status;
+            const codStatus = isCodOrder(order) ? getCodStatus(order) : null;
             const paymentStatus = order.payment?.status || 'pending';
             const customMix = Array.isArray(order.items) && order.items.some((item) => typeof item.productId === 'string' && item.productId.startsWith('custom_'));
             const lineItems = Array.isArray(order.items) ? order.items : [];
@@ -352,9 +419,15 @@ export default function AdminOrders() {
                     <span className={`rounded-full px-3 py-1 font-semibold ${STATUS_STYLES[order.status] || 'bg-slate-100 text-slate-700'}`}>
                       {statusLabel || 'Unknown status'}
                     </span>
-                    <span className={`rounded-full px-3 py-1 font-semibold ${PAYMENT_STYLES[paymentStatus] || 'bg-slate-100 text-slate-600'}`}>
-                      {paymentStatus}
-                    </span>
+                    {codStatus ? (
+                      <span className={`rounded-full px-3 py-1 font-semibold ${COD_PAYMENT_STYLES[codStatus]}`}>
+                        {COD_STATUS_LABELS[codStatus]}
+                      </span>
+                    ) : (
+                      <span className={`rounded-full px-3 py-1 font-semibold ${PAYMENT_STYLES[paymentStatus] || 'bg-slate-100 text-slate-600'}`}>
+                        {paymentStatus}
+                      </span>
+                    )}
                     {customMix && (
                       <span className="rounded-full bg-fuchsia-100 px-3 py-1 font-semibold text-fuchsia-700">
                         Includes custom items
@@ -394,6 +467,16 @@ export default function AdminOrders() {
                       <p className="text-xs uppercase text-slate-400">Amount</p>
                       <p className="text-sm font-semibold text-slate-900">{formatCurrency(order.total)}</p>
                       <p className="text-xs text-slate-500 capitalize">{order.payment?.method || 'razorpay'}</p>
+                      {(order.discounts || []).map((line) => (
+                        <p key={line.code} className="text-xs text-emerald-600">
+                          {line.code}: −{formatCurrency(line.amount)}
+                        </p>
+                      ))}
+                      {order.tax && (
+                        <p className="text-xs text-slate-500">
+                          GST {formatCurrency(order.tax.tax)} ({order.tax.interState ? 'IGST' : 'CGST + SGST'})
+                        </p>
+                      )}
                     </div>
                   </div>
 
@@ -457,6 +540,24 @@ export default function AdminOrders() {
                     Last updated {formatDateTime(order.updatedAt)}
                   </div>
                   <div className="flex flex-wrap gap-2">
+                    {canDownloadInvoice && (
+                      <button
+                        onClick={() => downloadInvoice(order)}
+                        className="inline-flex items-center gap-2 rounded-lg border border-slate-200 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-50"
+                      >
+                        <FiFileText />
+                        Invoice
+                      </button>
+                    )}
+                    {!codStatus && paymentStatus === 'paid' && (
+                      <button
+                        onClick={() => handleRefund(order)}
+                        disabled={refundingId === order._id}
+                        className="rounded-lg border border-rose-200 px-4 py-2 text-sm font-semibold text-rose-700 transition hover:bg-rose-50 disabled:opacity-50"
+                      >
+                        {refundingId === order._id ? 'Refunding…' : 'Refund'}
+                      </button>
+                    )}
                     <button
                       onClick={() => openStatusModal(order)}
                       className="rounded-lg bg-slate-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
@@ -525,6 +626,20 @@ export default function AdminOrders() {
                 />
               </div>
 
+              {isCodOrder(selectedOrder) && statusForm.status === 'delivered' && (
+                <div>
+                  <label className="text-xs font-semibold uppercase tracking-wide text-slate-500">Cash collected (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={statusForm.codCollectedAmount}
+                    onChange={(e) => setStatusForm((prev) => ({ ...prev, codCollectedAmount: e.target.value }))}
+                    className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 text-sm focus:border-slate-400 focus:outline-none"
+                  />
+                  <p className="mt-1 text-xs text-slate-500">As reported by the courier; due {formatCurrency(selectedOrder.total)}</p>
+                </div>
+              )}
+
               <div>
                 <label className="text-xs font-semibold uppercase tracking-wide text-slate-500">Notes</label>
                 <textarea
@@ -1,18 +1,27 @@
 import { useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { Link } from 'react-router-dom';
-import { removeFromCart, updateQuantity, loadCart } from '../redux/slices/cartSlice';
+import { removeFromCart, updateQuantity, loadCart, selectAppliedCoupons } from '../redux/slices/cartSlice';
 import ProductCard from '../components/ProductCard';
+import CouponBox from '../components/CouponBox';
+import DeliveryEstimate from '../components/DeliveryEstimate';
+import { useDeliveryPin, useShippingQuote } from '../hooks/useShippingQuote';
 
 import { useNavigate } from 'react-router-dom'
 import { FiShoppingCart, FiTrash2, FiPlus, FiMinus, FiArrowLeft } from 'react-icons/fi';
-import { formatPrice, getProductImage, SCREEN_RECT } from '../utils/helpers';
+import { formatPrice, getProductImage, buildDesignTransformCss } from '../utils/helpers';
+import { getScreenRect } from '../utils/modelGeometry';
+import { getDesignPreview } from '../utils/designDocument';
+import { FREE_SHIPPING_THRESHOLD, computeOrderPricing } from '../utils/orderPricing';
+import useCartDesigns from '../hooks/useCartDesigns';
 import { toast } from 'react-toastify';
 
 const Cart = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const { items } = useSelector((state) => state.cart);
+  const coupons = useSelector(selectAppliedCoupons);
+  const getCartDesign = useCartDesigns(items);
   const { products, loading } = useSelector((state) => state.products);
 
   useEffect(() => {
@@ -34,10 +43,13 @@ const Cart = () => {
     toast.info('Item removed from cart');
   };
 
-  const subtotal = items.reduce((sum, item) => sum + (item.variant.price * item.quantity), 0);
-  const shipping = subtotal > 500 ? 0 : 50; // Free shipping over ₹500
-  const tax = Math.round(subtotal * 0.18); // 18% GST
-  const finalTotal = subtotal + shipping + tax;
+  const [deliveryPin, setDeliveryPin] = useDeliveryPin();
+  const shippingQuote = useShippingQuote({ pin: deliveryPin, items });
+  const quotedFee = shippingQuote.quote?.serviceable ? shippingQuote.quote.fee : undefined;
+  const pricing = computeOrderPricing({ items, coupons, shippingFee: quotedFee });
+  const { subtotal } = pricing;
+  const shipping = pricing.shipping - pricing.shippingDiscount;
+  const { tax, total: finalTotal } = pricing;
 
   if (items.length === 0) {
     return (
@@ -84,23 +96,23 @@ const Cart = () => {
                         const thumbOuterW = 80; // same as container
                         const fullW = 260; // canvas width used elsewhere
                         const scale = thumbOuterW / fullW; // scale transforms
-                        const d = item.product.design;
-                        const t = d.transform || { x: 0, y: 0, scale: 1 };
-                        const sx = SCREEN_RECT.left * scale;
-                        const sy = SCREEN_RECT.top * scale;
-                        const sw = SCREEN_RECT.width * scale;
-                        const sh = SCREEN_RECT.height * scale;
+                        const d = getDesignPreview(getCartDesign(item));
+                        const screen = getScreenRect(d.geometry, thumbOuterW);
+                        const sx = screen.left;
+                        const sy = screen.top;
+                        const sw = screen.width;
+                        const sh = screen.height;
                         const imgStyle = {
                           position: 'absolute',
                           left: `${sx + (sw / 2)}px`,
                           top: `${sy + (sh / 2)}px`,
-                          transform: `translate(-50%,-50%) translate(${t.x * scale}px, ${t.y * scale}px) scale(${t.scale})`,
+                          transform: buildDesignTransformCss(d.transform, scale),
                           transformOrigin: 'center center',
                           width: `${fullW * scale}px`,
                         };
                         return (
                           <>
-                            <div style={{ position: 'absolute', left: sx, top: sy, width: sw, height: sh, overflow: 'hidden', background: '#fff' }}>
+                            <div style={{ position: 'absolute', left: sx, top: sy, width: sw, height: sh, borderRadius: screen.radius, overflow: 'hidden', background: '#fff' }}>
                               {d.imgSrc ? <img src={d.imgSrc} alt="design" style={imgStyle} /> : null}
                             </div>
                             {/* frame */}
@@ -221,6 +233,13 @@ const Cart = () => {
                   <span className="font-medium">{formatPrice(subtotal)}</span>
                 </div>
 
+                {pricing.discountLines.filter((line) => line.type !== 'free_shipping').map((line) => (
+                  <div key={line.code} className="flex justify-between text-green-700">
+                    <span>Discount ({line.code})</span>
+                    <span className="font-medium">−{formatPrice(line.amount)}</span>
+                  </div>
+                ))}
+
                 <div className="flex justify-between">
                   <span className="text-gray-600">Shipping</span>
                   <span className={`font-medium ${shipping === 0 ? 'text-green-600' : ''}`}>
@@ -229,7 +248,7 @@ const Cart = () => {
                 </div>
 
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Tax (GST 18%)</span>
+                  <span className="text-gray-600">Includes GST</span>
                   <span className="font-medium">{formatPrice(tax)}</span>
                 </div>
 
@@ -241,11 +260,25 @@ const Cart = () => {
                 </div>
               </div>
 
+              <div className="mt-4">
+                <DeliveryEstimate
+                  pin={deliveryPin}
+                  onPinChange={setDeliveryPin}
+                  quote={shippingQuote.quote}
+                  loading={shippingQuote.loading}
+                  error={shippingQuote.error}
+                />
+              </div>
+
+              <div className="mt-4">
+                <CouponBox rejected={pricing.rejectedCoupons} />
+              </div>
+
               {/* Shipping Notice */}
-              {subtotal < 500 && (
+              {shipping > 0 && subtotal <= FREE_SHIPPING_THRESHOLD && (
                 <div className="mt-4 p-3 bg-blue-50 rounded-lg">
                   <p className="text-sm text-blue-800">
-                    Add {formatPrice(500 - subtotal)} more for free shipping!
+                    Add {formatPrice(FREE_SHIPPING_THRESHOLD - subtotal)} more for free shipping!
                   </p>
                 </div>
               )}
@@ -1,11 +1,28 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import orderAPI from '../api/orderAPI';
 import authAPI from '../api/authAPI';
-import { selectCartItems, selectCartTotal, clearCart, loadCart } from '../redux/slices/cartSlice';
+import { selectCartItems, selectAppliedCoupons, clearCart, loadCart } from '../redux/slices/cartSlice';
 import { toast } from 'react-toastify';
-import { formatPrice, SCREEN_RECT } from '../utils/helpers';
+import { formatPrice, buildDesignTransformCss } from '../utils/helpers';
+import { getScreenRect } from '../utils/modelGeometry';
+import { getDesignPreview, parseDesign } from '../utils/designDocument';
+import { hydrateDesign } from '../utils/cartAssets';
+import useCartDesigns from '../hooks/useCartDesigns';
+import CouponBox from '../components/CouponBox';
+import TaxBreakdown from '../components/TaxBreakdown';
+import { computeOrderPricing } from '../utils/orderPricing';
+import { formatDeliveryEstimate, getSavedPinCode } from '../utils/shipping';
+import { useShippingQuote } from '../hooks/useShippingQuote';
+import OtpVerification from '../components/OtpVerification';
+import { COD_FEE, COD_OTP_PURPOSE, getCodEligibility } from '../utils/cod';
+import { normalizePhone } from '../utils/otp';
+import { isValidEmail, saveGuestOrder } from '../utils/guestOrders';
+import { collectPayment, isPaymentCancelled, orderPaymentServer, PAYMENT_FAILED } from '../utils/payments';
+import { EMPTY_ADDRESS, getAddressFields, isAddressChanged, serializeAddress, validateAddress } from '../utils/address';
+import { useAddressBook, usePinAutofill } from '../hooks/useAddressBook';
+import SavedAddressPicker from '../components/SavedAddressPicker';
 
 const UPI_APPS = [
   { id: 'phonepe', label: 'PhonePe', accent: '#5f259f', hint: 'Instant collect request' },
@@ -18,7 +35,8 @@ export default function Checkout() {
   const navigate = useNavigate();
 
   const cartItems = useSelector(selectCartItems);
-  const total = useSelector(selectCartTotal);
+  const getCartDesign = useCartDesigns(cartItems);
+  const coupons = useSelector(selectAppliedCoupons);
   const user = useSelector((state) => state.auth.user);
 
   const [loading, setLoading] = useState(false);
@@ -26,24 +44,78 @@ export default function Checkout() {
   const [upiId, setUpiId] = useState('');
   const [saveUpi, setSaveUpi] = useState(false);
   const [selectedUpiApp, setSelectedUpiApp] = useState('');
+  const [codVerification, setCodVerification] = useState(null);
+  const [guestEmail, setGuestEmail] = useState('');
 
   const [shipping, setShipping] = useState({
+    ...EMPTY_ADDRESS,
     name: user?.name || '',
     phone: user?.phone || '',
-    address1: '',
-    address2: '',
-    city: '',
-    state: '',
-    postalCode: '',
-    country: '',
+    postalCode: getSavedPinCode(),
   });
+  const addressBook = useAddressBook();
+  const [addressId, setAddressId] = useState(null);
+  const [saveToBook, setSaveToBook] = useState(true);
+  const [makeDefault, setMakeDefault] = useState(false);
+  const savedAddress = addressBook.addresses.find((address) => address._id === addressId) || null;
+  const addressChanged = !!savedAddress && isAddressChanged(savedAddress, shipping);
+  const offerSaveAddress = !!user && (!savedAddress || addressChanged);
+
+  const shippingQuote = useShippingQuote({
+    pin: shipping.postalCode,
+    items: cartItems || [],
+    cod: paymentMethod === 'cod',
+  });
+  const pricing = computeOrderPricing({
+    items: cartItems || [],
+    coupons,
+    shippingFee: shippingQuote.quote?.serviceable ? shippingQuote.quote.fee : undefined,
+    codFee: paymentMethod === 'cod' ? COD_FEE : 0,
+    shippingState: shipping.state,
+  });
+  const { total } = pricing;
+  const codEligibility = getCodEligibility({
+    quote: shippingQuote.quote,
+    orderValue: pricing.subtotal - pricing.discount,
+  });
+  // Verification is for one number; editing the phone asks for a new code
+  const codVerified = !!codVerification && codVerification.phone === normalizePhone(shipping.phone);
 
   const [errors, setErrors] = useState({});
   const currentUpiApp = UPI_APPS.find((app) => app.id === selectedUpiApp);
 
+  const selectAddress = (address) => {
+    setAddressId(address?._id || null);
+    setShipping((s) => (address ? getAddressFields(address) : { ...EMPTY_ADDRESS, name: s.name, phone: s.phone }));
+    setErrors({});
+  };
+
+  const editAddress = (address) => {
+    selectAddress(address);
+    setSaveToBook(true);
+    document.getElementById('shipping-address1')?.focus();
+  };
+
+  // Start from the default address once the book has loaded
+  const pickedDefaultRef = useRef(false);
+  useEffect(() => {
+    if (pickedDefaultRef.current || !addressBook.defaultAddress) return;
+    pickedDefaultRef.current = true;
+    setAddressId(addressBook.defaultAddress._id);
+    setShipping(getAddressFields(addressBook.defaultAddress));
+  }, [addressBook.defaultAddress]);
+
+  // A saved address keeps its own city and state; a typed PIN code fills them in
+  usePinAutofill(shipping.postalCode, (place) => {
+    if (savedAddress && savedAddress.postalCode === shipping.postalCode) return;
+    setShipping((s) => ({ ...s, state: place.state, city: place.city || s.city }));
+    setErrors((prev) => ({ ...prev, city: place.city ? undefined : prev.city, state: undefined }));
+  });
+
   useEffect(() => {
     if (user) {
-      setShipping((s) => ({ ...s, name: user.name || s.name, phone: user.phone || s.phone }));
+      // Fills blanks only: a chosen address keeps its own recipient when the profile reloads
+      setShipping((s) => ({ ...s, name: s.name || user.name || '', phone: s.phone || user.phone || '' }));
     }
     // load saved UPI id if present
     try {
@@ -71,51 +143,37 @@ export default function Checkout() {
   }, [dispatch]);
 
   const validate = () => {
-    const e = {};
-    if (!shipping.name.trim()) e.name = 'Name is required';
-    if (!/^[0-9]{7,15}$/.test(shipping.phone)) e.phone = 'Phone must be 7-15 digits';
-    if (!shipping.address1.trim()) e.address1 = 'Address is required';
-    if (!shipping.city.trim()) e.city = 'City is required';
-    if (!shipping.state.trim() || shipping.state.trim().length < 2) e.state = 'State is required';
-    if (!shipping.postalCode.trim()) e.postalCode = 'Postal code is required';
-    if (!shipping.country.trim()) e.country = 'Country is required';
+    const e = validateAddress(shipping);
+    if (!user && !isValidEmail(guestEmail)) e.email = 'Enter an email address for your order updates';
+    if (!e.postalCode && shippingQuote.quote && !shippingQuote.quote.serviceable) {
+      e.postalCode = shippingQuote.quote.message || 'We do not deliver to this PIN code yet';
+    }
     if (paymentMethod === 'upi') {
       // basic VPA check like 'name@bank'
       if (!upiId || !/^\S+@\S+$/.test(upiId)) e.upiId = 'Enter a valid UPI ID (example: user@bank)';
     }
+    if (paymentMethod === 'cod' && !codEligibility.eligible) e.payment = codEligibility.reason;
     setErrors(e);
     return Object.keys(e).length === 0;
   };
 
-  const loadRazorpayScript = () => {
-    return new Promise((resolve, reject) => {
-      if (window.Razorpay) return resolve(true);
-      const script = document.createElement('script');
-      script.src = 'https://checkout.razorpay.com/v1/checkout.js';
-      script.onload = () => resolve(true);
-      script.onerror = () => reject(new Error('Razorpay SDK failed to load'));
-      document.body.appendChild(script);
-    });
-  };
-
   const handlePlaceOrder = async () => {
     if (!cartItems || cartItems.length === 0) {
       return toast.error('Your cart is empty');
     }
 
-    // Require user to be authenticated before placing an order
-    if (!user) {
-      toast.error('Please log in to place an order');
-      navigate('/login');
-      return;
-    }
-
+    if (shippingQuote.loading) return toast.info('Checking delivery to your PIN code, one moment…');
     if (!validate()) return toast.error('Please fix shipping errors');
+    if (paymentMethod === 'cod' && !codVerified) return toast.error('Confirm your phone number to pay on delivery');
 
     setLoading(true);
     try {
+      // Cart designs only reference their images; orders carry them inline
+      const orderDesigns = await Promise.all((cartItems || []).map((item) => (
+        item.product?.design ? hydrateDesign(item.product.design, { inline: true, required: true }) : null
+      )));
       const normalizedItems = (cartItems || [])
-        .map((item) => {
+        .map((item, index) => {
           const rawProductId = item.product && (item.product._id || item.product.id);
           if (!rawProductId) return null;
           const productId = String(rawProductId);
@@ -134,7 +192,10 @@ export default function Checkout() {
           };
 
           if (productId.startsWith('custom_')) {
-            baseItem.product = { ...item.product, _id: productId };
+            const { design: _design, ...product } = item.product;
+            baseItem.product = { ...product, _id: productId };
+            // Orders always carry the current design schema; a broken design stops checkout
+            if (orderDesigns[index]) baseItem.design = parseDesign(orderDesigns[index]);
             baseItem.variant = {
               ...item.variant,
               _id: variantId,
@@ -154,18 +215,38 @@ export default function Checkout() {
 
       const orderPayload = {
         items: normalizedItems,
+        subtotal: pricing.subtotal,
+        shippingFee: pricing.shipping - pricing.shippingDiscount,
+        // The server re-checks the codes and recomputes these lines
+        couponCodes: pricing.discountLines.map((line) => line.code),
+        discounts: pricing.discountLines,
+        discountTotal: pricing.discount + pricing.shippingDiscount,
+        tax: {
+          ...pricing.gst.totals,
+          interState: pricing.gst.interState,
+          placeOfSupply: pricing.gst.placeOfSupply,
+          lines: pricing.gst.lines,
+        },
         total,
         paymentMethod,
-        shippingAddress: {
-          name: shipping.name,
-          phone: shipping.phone,
-          address1: shipping.address1,
-          address2: shipping.address2,
-          city: shipping.city,
-          state: shipping.state,
-          postalCode: shipping.postalCode,
-          country: shipping.country || 'India',
-        },
+        ...(paymentMethod === 'cod' ? {
+          cod: {
+            fee: pricing.codFee,
+            // The server checks the token before accepting the order
+            verification: codVerification,
+          },
+        } : {}),
+        ...(shippingQuote.quote?.serviceable ? {
+          delivery: {
+            provider: shippingQuote.quote.provider,
+            zone: shippingQuote.quote.zone,
+            estimatedFrom: shippingQuote.quote.estimate?.from,
+            estimatedTo: shippingQuote.quote.estimate?.to,
+          },
+        } : {}),
+        // Guests are contacted, and find the order again, by these
+        ...(user ? {} : { guest: { email: guestEmail.trim(), phone: shipping.phone } }),
+        shippingAddress: serializeAddress(shipping),
       };
 
       // 1) Create order on server
@@ -194,63 +275,66 @@ export default function Checkout() {
           localStorage.removeItem('savedUpiApp');
         } catch (e) { console.debug('Could not remove savedUpi', e); }
       }
+      // new or edited addresses go back to the address book (non-fatal)
+      if (offerSaveAddress && saveToBook) {
+        try {
+          await addressBook.saveAddress(savedAddress ? { ...shipping, _id: savedAddress._id } : shipping, {
+            makeDefault: !savedAddress && (makeDefault || !addressBook.addresses.length),
+          });
+        } catch (e) {
+          console.debug('Could not save the address', e);
+        }
+      }
 
-      const createResp = await orderAPI.createOrder(orderPayload);
+      const createResp = user ? await orderAPI.createOrder(orderPayload) : await orderAPI.createGuestOrder(orderPayload);
       const created = createResp.data?.data || createResp.data || createResp;
       const order = created.order || created;
+      if (!user) {
+        saveGuestOrder({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          email: guestEmail.trim(),
+          phone: shipping.phone,
+          accessToken: created.guestAccessToken,
+        }, { placedHere: true });
+      }
 
       if (paymentMethod === 'razorpay' || paymentMethod === 'upi') {
-        // 2) Create Razorpay order on server
-        const payResp = await orderAPI.createPaymentOrder(order._id);
-        const payData = payResp.data?.data || payResp.data || payResp;
-
-        // Expect server to return at least orderId and keyId/amount
-        const razorpayOrderId = payData.razorpayOrderId || payData.orderId || payData.id;
-        const keyId = payData.keyId || payData.key || payData.key_id || import.meta.env.VITE_RAZORPAY_KEY;
-        const amount = payData.amount || order.total || Math.round(total * 100);
-        const currency = payData.currency || 'INR';
-
-        await loadRazorpayScript();
-
-        const options = {
-          key: keyId,
-          amount: amount,
-          currency,
-          order_id: razorpayOrderId,
-          name: 'CopadMob',
-          description: `Order #${order._id}`,
-          handler: async function (response) {
-            try {
-              await orderAPI.verifyPayment({
-                orderId: order._id || order.id,
-                razorpay_payment_id: response.razorpay_payment_id,
-                razorpay_signature: response.razorpay_signature,
-              });
-              dispatch(clearCart());
-              toast.success('Payment successful');
-              navigate(`/order-success/${order._id}`);
-            } catch (err) {
-              toast.error(err.response?.data?.message || 'Payment verification failed');
-            }
-          },
-          prefill: {
-            name: shipping.name,
-            contact: shipping.phone,
-            // prefill vpa for UPI flows if provided
-            ...(paymentMethod === 'upi' && upiId ? { vpa: upiId } : {})
-          },
-          notes: {
-            platform: 'copadmob',
-            ...(paymentMethod === 'upi' && selectedUpiApp ? { upiApp: selectedUpiApp } : {}),
-          },
-          theme: { color: '#2563eb' },
-        };
-
-        const rzp = new window.Razorpay(options);
-        rzp.on('payment.failed', function (resp) {
-          toast.error(resp.error?.description || 'Payment failed');
-        });
-        rzp.open();
+        // 2) Collect the payment through the gateway and have the server verify it
+        try {
+          await collectPayment({
+            server: orderPaymentServer(order._id),
+            amount: order.total || total,
+            checkout: {
+              name: 'CopadMob',
+              description: `Order #${order._id}`,
+              prefill: {
+                name: shipping.name,
+                contact: shipping.phone,
+              },
+              // prefill vpa for UPI flows if provided
+              vpa: paymentMethod === 'upi' && upiId ? upiId : undefined,
+              notes: {
+                platform: 'copadmob',
+                ...(paymentMethod === 'upi' && selectedUpiApp ? { upiApp: selectedUpiApp } : {}),
+              },
+              onAttemptFailed: (message) => toast.error(message),
+            },
+          });
+          dispatch(clearCart());
+          toast.success('Payment successful');
+          navigate(`/order-success/${order._id}`);
+        } catch (err) {
+          // The order exists either way; its page shows the payment status and lets the
+          // customer pay again, so checking out twice does not create a second order
+          dispatch(clearCart());
+          if (isPaymentCancelled(err)) {
+            toast.info('Payment cancelled. Your order is saved and waiting for payment.');
+          } else if (err.code !== PAYMENT_FAILED) {
+            toast.error(err.response?.data?.message || (err.stage === 'verify' ? 'Payment verification failed' : err.message) || 'Payment could not be completed');
+          }
+          navigate(`/order-success/${order._id}`);
+        }
       } else {
         // COD or other non-online
         dispatch(clearCart());
@@ -271,8 +355,38 @@ export default function Checkout() {
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         {/* Shipping Form */}
         <div className="md:col-span-2 bg-white rounded-lg p-4 shadow-sm border">
+          {!user && (
+            <div className="mb-5 pb-5 border-b">
+              <h3 className="text-lg font-medium mb-1">Contact</h3>
+              <p className="text-sm text-gray-600 mb-3">
+                Checking out as a guest.{' '}
+                <Link to="/login?redirect=/checkout" className="text-primary-600 hover:underline">Log in</Link>
+                {' '}to use your saved details.
+              </p>
+              <label className="block text-sm">Email</label>
+              <input
+                type="email"
+                value={guestEmail}
+                onChange={(e) => setGuestEmail(e.target.value)}
+                autoComplete="email"
+                className={`mt-1 block w-full border rounded px-3 py-2 ${errors.email ? 'border-red-400' : 'border-gray-300'}`}
+              />
+              {errors.email && <p className="text-xs text-red-600 mt-1">{errors.email}</p>}
+              <p className="text-xs text-gray-500 mt-1">We send the order confirmation here. Your phone number and order number let you track it.</p>
+            </div>
+          )}
+
           <h3 className="text-lg font-medium mb-3">Shipping Information</h3>
 
+          <SavedAddressPicker
+            addresses={addressBook.addresses}
+            selectedId={addressId}
+            onSelect={selectAddress}
+            onEdit={editAddress}
+            onSetDefault={addressBook.setDefault}
+            disabled={addressBook.saving}
+          />
+
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
             <div>
               <label className="block text-sm">Full name</label>
@@ -297,6 +411,7 @@ export default function Checkout() {
             <div className="sm:col-span-2">
               <label className="block text-sm">Address</label>
               <input
+                id="shipping-address1"
                 value={shipping.address1}
                 onChange={(e) => setShipping((s) => ({ ...s, address1: e.target.value }))}
                 className={`mt-1 block w-full border rounded px-3 py-2 ${errors.address1 ? 'border-red-400' : 'border-gray-300'}`}
@@ -330,8 +445,9 @@ export default function Checkout() {
               <input
                 value={shipping.state}
                 onChange={(e) => setShipping((s) => ({ ...s, state: e.target.value }))}
-                className="mt-1 block w-full border rounded px-3 py-2 border-gray-300"
+                className={`mt-1 block w-full border rounded px-3 py-2 ${errors.state ? 'border-red-400' : 'border-gray-300'}`}
               />
+              {errors.state && <p className="text-xs text-red-600 mt-1">{errors.state}</p>}
             </div>
 
             <div>
@@ -342,6 +458,14 @@ export default function Checkout() {
                 className={`mt-1 block w-full border rounded px-3 py-2 ${errors.postalCode ? 'border-red-400' : 'border-gray-300'}`}
               />
               {errors.postalCode && <p className="text-xs text-red-600 mt-1">{errors.postalCode}</p>}
+              {!errors.postalCode && shippingQuote.loading && <p className="text-xs text-gray-500 mt-1">Checking delivery…</p>}
+              {!errors.postalCode && shippingQuote.quote && (
+                <p className={`text-xs mt-1 ${shippingQuote.quote.serviceable ? 'text-green-700' : 'text-red-600'}`}>
+                  {shippingQuote.quote.serviceable
+                    ? `Delivery by ${formatDeliveryEstimate(shippingQuote.quote.estimate)}`
+                    : shippingQuote.quote.message || 'We do not deliver to this PIN code yet'}
+                </p>
+              )}
             </div>
 
             <div>
@@ -354,6 +478,21 @@ export default function Checkout() {
               {errors.country && <p className="text-xs text-red-600 mt-1">{errors.country}</p>}
             </div>
           </div>
+
+          {offerSaveAddress && (
+            <div className="mt-3 space-y-1 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={saveToBook} onChange={(e) => setSaveToBook(e.target.checked)} />
+                {savedAddress ? 'Update this saved address' : 'Save this address to my address book'}
+              </label>
+              {!savedAddress && addressBook.addresses.length > 0 && (
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={makeDefault} disabled={!saveToBook} onChange={(e) => setMakeDefault(e.target.checked)} />
+                  Make this my default address
+                </label>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Order Summary */}
@@ -374,23 +513,23 @@ export default function Checkout() {
                             const thumbOuterW = 48; // inner width slightly smaller to keep aspect
                             const fullW = 260;
                             const scale = thumbOuterW / fullW;
-                            const d = item.product.design;
-                            const t = d.transform || { x: 0, y: 0, scale: 1 };
-                            const sx = SCREEN_RECT.left * scale;
-                            const sy = SCREEN_RECT.top * scale;
-                            const sw = SCREEN_RECT.width * scale;
-                            const sh = SCREEN_RECT.height * scale;
+                            const d = getDesignPreview(getCartDesign(item));
+                            const screen = getScreenRect(d.geometry, thumbOuterW);
+                            const sx = screen.left;
+                            const sy = screen.top;
+                            const sw = screen.width;
+                            const sh = screen.height;
                             const imgStyle = {
                               position: 'absolute',
                               left: `${sx + (sw / 2)}px`,
                               top: `${sy + (sh / 2)}px`,
-                              transform: `translate(-50%,-50%) translate(${t.x * scale}px, ${t.y * scale}px) scale(${t.scale})`,
+                              transform: buildDesignTransformCss(d.transform, scale),
                               transformOrigin: 'center center',
                               width: `${fullW * scale}px`,
                             };
                             return (
                               <>
-                                <div style={{ position: 'absolute', left: sx, top: sy, width: sw, height: sh, overflow: 'hidden', background: '#fff' }}>
+                                <div style={{ position: 'absolute', left: sx, top: sy, width: sw, height: sh, borderRadius: screen.radius, overflow: 'hidden', background: '#fff' }}>
                                   {d.imgSrc ? <img src={d.imgSrc} alt="design" style={imgStyle} /> : null}
                                 </div>
                                 {d.frame && <img src={d.frame} alt="frame" className="absolute inset-0 w-full h-full object-cover pointer-events-none" />}
@@ -433,7 +572,33 @@ export default function Checkout() {
             <div className="pt-2 border-t">
               <div className="flex justify-between">
                 <span className="text-sm text-gray-600">Subtotal</span>
-                <span className="font-medium">{formatPrice(total)}</span>
+                <span className="font-medium">{formatPrice(pricing.subtotal)}</span>
+              </div>
+              {pricing.discountLines.filter((line) => line.type !== 'free_shipping').map((line) => (
+                <div key={line.code} className="flex justify-between text-green-700">
+                  <span className="text-sm">Discount ({line.code})</span>
+                  <span className="font-medium">−{formatPrice(line.amount)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between">
+                <span className="text-sm text-gray-600">Shipping</span>
+                <span className={`font-medium ${pricing.shipping === pricing.shippingDiscount ? 'text-green-600' : ''}`}>
+                  {pricing.shipping === pricing.shippingDiscount ? 'FREE' : formatPrice(pricing.shipping - pricing.shippingDiscount)}
+                </span>
+              </div>
+              {pricing.codFee > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-sm text-gray-600">Cash on delivery fee</span>
+                  <span className="font-medium">{formatPrice(pricing.codFee)}</span>
+                </div>
+              )}
+              <TaxBreakdown gst={pricing.gst} />
+              <div className="flex justify-between font-semibold">
+                <span>Total</span>
+                <span>{formatPrice(total)}</span>
+              </div>
+              <div className="mt-3">
+                <CouponBox rejected={pricing.rejectedCoupons} />
               </div>
             </div>
 
@@ -448,11 +613,29 @@ export default function Checkout() {
                   <input type="radio" name="pm" checked={paymentMethod === 'upi'} onChange={() => setPaymentMethod('upi')} />
                   <span>Pay with UPI</span>
                 </label>
-                <label className="flex items-center space-x-2">
-                  <input type="radio" name="pm"  checked={paymentMethod === 'cod'} onChange={() => setPaymentMethod('cod')} />
-                  <span>Cash on Delivery</span>
+                <label className={`flex items-center space-x-2 ${codEligibility.eligible ? '' : 'text-gray-400'}`}>
+                  <input
+                    type="radio"
+                    name="pm"
+                    checked={paymentMethod === 'cod'}
+                    disabled={!codEligibility.eligible && paymentMethod !== 'cod'}
+                    onChange={() => setPaymentMethod('cod')}
+                  />
+                  <span>Cash on Delivery {COD_FEE > 0 && `(+${formatPrice(COD_FEE)})`}</span>
                 </label>
+                {!codEligibility.eligible && <p className="text-xs text-gray-500 ml-6">{codEligibility.reason}</p>}
               </div>
+              {errors.payment && <p className="text-xs text-red-600 mt-1">{errors.payment}</p>}
+              {paymentMethod === 'cod' && codEligibility.eligible && (
+                <div className="mt-2">
+                  <OtpVerification
+                    phone={normalizePhone(shipping.phone)}
+                    purpose={COD_OTP_PURPOSE}
+                    verified={codVerified}
+                    onVerified={setCodVerification}
+                  />
+                </div>
+              )}
               {paymentMethod === 'upi' && (
                 <div className="mt-2 space-y-4">
                   <div>
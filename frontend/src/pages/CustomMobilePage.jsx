@@ -1,14 +1,18 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   FiCamera,
   FiCheckCircle,
   FiChevronDown,
+  FiClock,
+  FiCornerUpLeft,
+  FiCornerUpRight,
   FiImage,
   FiMinus,
   FiPackage,
   FiPlus,
+  FiSave,
   FiShield,
   FiSmartphone,
   FiStar,
@@ -19,10 +23,32 @@ import {
 } from 'react-icons/fi';
 import { toast } from 'react-toastify';
 import mobileAPI from '../api/mobileAPI';
+import uploadAPI from '../api/uploadAPI';
 import Loader from '../components/Loader';
 import { formatPrice } from '../utils/helpers';
 import { createCustomOrder, createCustomPayment, verifyCustomPayment } from '../redux/slices/customSlice';
 import { FALLBACK_MOBILE_COMPANIES } from '../data/fallbackMobileCompanies';
+import { useUndoableState } from '../hooks/useHistory';
+import { useResumableUploads } from '../hooks/useResumableUploads';
+import { useDesignDraft } from '../hooks/useDesignDraft';
+import SafeZoneOverlay from '../components/SafeZoneOverlay';
+import PhotoEditPanel from '../components/PhotoEditPanel';
+import { FRAME_SPACE, getScreenRect, resolveModelGeometry } from '../utils/modelGeometry';
+import { describeCutoutConflicts, findCutoutConflicts, renderCoverToCanvas } from '../utils/safeZone';
+import { preprocessImage } from '../utils/imagePreprocess';
+import { createImageDesign } from '../utils/designDocument';
+import { collectPayment, isPaymentCancelled, PAYMENT_FAILED } from '../utils/payments';
+import { EMPTY_ADDRESS, getAddressFields, isAddressChanged, serializeAddress, validateAddress } from '../utils/address';
+import { useAddressBook, usePinAutofill } from '../hooks/useAddressBook';
+import SavedAddressPicker from '../components/SavedAddressPicker';
+import {
+  buildCssFilter,
+  createPhotoParams,
+  hasPhotoEdits,
+  normalizePhotoParams,
+  renderPhotoDesign,
+} from '../utils/photoEffects';
+import { UPLOAD_LIMITS } from '../utils/constants';
 
 const MATERIAL_OPTIONS = [
   {
@@ -126,39 +152,75 @@ const CustomMobilePage = () => {
   const [models, setModels] = useState([]);
   const [selectedCompany, setSelectedCompany] = useState(null);
   const [selectedModel, setSelectedModel] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Model to select once a continued draft's brand has loaded its models
+  const pendingModelIdRef = useRef(null);
   const [selectedMaterial, setSelectedMaterial] = useState(MATERIAL_OPTIONS[0]);
   const [quantity, setQuantity] = useState(1);
-  const [imagePreview, setImagePreview] = useState('');
+  const [imagePreview, setImagePreview, designHistory] = useUndoableState('');
   const [loadingCompanies, setLoadingCompanies] = useState(true);
   const [loadingModels, setLoadingModels] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [openFaq, setOpenFaq] = useState(FAQS[0]?.id || null);
   const [shipping, setShipping] = useState({
+    ...EMPTY_ADDRESS,
     name: user?.name || '',
     phone: user?.phone ? String(user.phone).replace(/[^0-9]/g, '') : '',
-    street: '',
-    city: '',
-    state: '',
-    postalCode: '',
-    country: 'India',
   });
   const [shippingErrors, setShippingErrors] = useState({});
+  const addressBook = useAddressBook();
+  const [addressId, setAddressId] = useState(null);
+  const [saveToBook, setSaveToBook] = useState(true);
+  const savedAddress = addressBook.addresses.find((address) => address._id === addressId) || null;
+  const addressChanged = !!savedAddress && isAddressChanged(savedAddress, shipping);
   const [submittingAction, setSubmittingAction] = useState(null);
   const [orderFeedback, setOrderFeedback] = useState(null);
   const builderRef = useRef(null);
   const fileInputRef = useRef(null);
   const [specialNotes, setSpecialNotes] = useState('');
+  const [showSafeZone, setShowSafeZone] = useState(true);
+  const [processingProgress, setProcessingProgress] = useState(null);
+  const [cutoutConflicts, setCutoutConflicts] = useState([]);
+  const [designUpload, setDesignUpload] = useState(null);
+  const [photoParams, setPhotoParams] = useState(createPhotoParams);
+  const [cutoutPreview, setCutoutPreview] = useState('');
+  const [renderingCutout, setRenderingCutout] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
+  const pendingDesigns = useResumableUploads('design');
+  // Hosted URL per preview, so undo/redo between images keeps their uploads
+  const uploadedUrlsRef = useRef(new Map());
+  const uploadControllerRef = useRef(null);
+
+  // Leaving the page pauses the upload; it stays resumable from IndexedDB
+  useEffect(() => () => uploadControllerRef.current?.abort(), []);
 
   useEffect(() => {
     if (user) {
+      // Fills blanks only: a chosen address keeps its own recipient when the profile reloads
       setShipping((prev) => ({
         ...prev,
-        name: user.name || prev.name,
-        phone: user.phone ? String(user.phone).replace(/[^0-9]/g, '') : prev.phone,
+        name: prev.name || user.name || '',
+        phone: prev.phone || (user.phone ? String(user.phone).replace(/[^0-9]/g, '') : ''),
       }));
     }
   }, [user]);
 
+  // Start from the default address once the book has loaded
+  const pickedDefaultRef = useRef(false);
+  useEffect(() => {
+    if (pickedDefaultRef.current || !addressBook.defaultAddress) return;
+    pickedDefaultRef.current = true;
+    setAddressId(addressBook.defaultAddress._id);
+    setShipping(getAddressFields(addressBook.defaultAddress));
+  }, [addressBook.defaultAddress]);
+
+  // A saved address keeps its own city and state; a typed PIN code fills them in
+  usePinAutofill(shipping.postalCode, (place) => {
+    if (savedAddress && savedAddress.postalCode === shipping.postalCode) return;
+    setShipping((prev) => ({ ...prev, state: place.state, city: place.city || prev.city }));
+    setShippingErrors((prev) => ({ ...prev, city: place.city ? '' : prev.city, state: '' }));
+  });
+
   useEffect(() => {
     const fetchCompanies = async () => {
       try {
@@ -181,6 +243,12 @@ const CustomMobilePage = () => {
     fetchCompanies();
   }, []);
 
+  const pickModel = (list) => {
+    const wanted = pendingModelIdRef.current;
+    pendingModelIdRef.current = null;
+    return list.find((model) => model._id === wanted) || list[0] || null;
+  };
+
   useEffect(() => {
     if (!selectedCompany) {
       setModels([]);
@@ -190,7 +258,7 @@ const CustomMobilePage = () => {
 
     if (selectedCompany.__isFallback) {
       setModels(selectedCompany.models || []);
-      setSelectedModel((selectedCompany.models || [])[0] || null);
+      setSelectedModel(pickModel(selectedCompany.models || []));
       return;
     }
 
@@ -200,7 +268,7 @@ const CustomMobilePage = () => {
         const response = await mobileAPI.getModels({ company: selectedCompany._id, limit: 200 });
         const fetchedModels = response?.data?.data?.models || [];
         setModels(fetchedModels);
-        setSelectedModel(fetchedModels[0] || null);
+        setSelectedModel(pickModel(fetchedModels));
       } catch (error) {
         toast.error('Unable to load models for this brand. Try again in a bit.');
         setModels([]);
@@ -233,10 +301,154 @@ const CustomMobilePage = () => {
   //   return DEFAULT_FRAME;
   // }, [selectedModel, selectedCompany]);
 
+  const modelGeometry = useMemo(() => resolveModelGeometry(selectedModel), [selectedModel]);
+  const previewScreen = useMemo(() => getScreenRect(modelGeometry), [modelGeometry]);
+
+  useEffect(() => {
+    setCutoutConflicts([]);
+  }, [imagePreview, modelGeometry, photoParams]);
+
+  // Filters preview through CSS; a removed background needs a real render (debounced for sliders)
+  useEffect(() => {
+    if (!imagePreview || !photoParams.background.removed) {
+      setCutoutPreview('');
+      return undefined;
+    }
+    let cancelled = false;
+    setRenderingCutout(true);
+    const timer = setTimeout(async () => {
+      try {
+        const canvas = await renderPhotoDesign(imagePreview, photoParams, {
+          width: previewScreen.width * 2,
+          height: previewScreen.height * 2,
+        });
+        if (!cancelled) setCutoutPreview(canvas.toDataURL('image/png'));
+      } catch (error) {
+        console.warn('Background removal preview failed:', error);
+      } finally {
+        if (!cancelled) setRenderingCutout(false);
+      }
+    }, 150);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [imagePreview, photoParams, previewScreen]);
+
+  // The artwork as it will be printed; the original is sent alongside with the edit params
+  const renderEditedArtwork = async () => {
+    if (!imagePreview || !hasPhotoEdits(photoParams)) return '';
+    try {
+      const canvas = await renderPhotoDesign(imagePreview, photoParams, {
+        width: previewScreen.width * 2,
+        height: previewScreen.height * 2,
+      });
+      return canvas.toDataURL('image/png');
+    } catch (error) {
+      console.warn('Could not render edited artwork:', error);
+      return '';
+    }
+  };
+
+  // Everything needed to reopen this design exactly as it is now
+  const draftSnapshot = useMemo(() => {
+    if (!imagePreview || loadingModels) return null;
+    const meta = {
+      company: selectedCompany?.name || '',
+      model: selectedModel?.name || '',
+      type: selectedMaterial.label,
+    };
+    return {
+      name: `${meta.company} ${meta.model}`.trim() || 'Custom case',
+      meta,
+      geometry: modelGeometry,
+      state: {
+        companyId: selectedCompany?._id || null,
+        modelId: selectedModel?._id || null,
+        materialId: selectedMaterial.id,
+        quantity,
+        notes: specialNotes,
+        // Prefer the hosted copy once the background upload has finished
+        image: uploadedUrlsRef.current.get(imagePreview) || imagePreview,
+        photo: normalizePhotoParams(photoParams),
+      },
+    };
+  }, [imagePreview, loadingModels, selectedCompany, selectedModel, selectedMaterial, quantity, specialNotes, photoParams, modelGeometry, designUpload]);
+
+  const designDraft = useDesignDraft({
+    draftId: searchParams.get('draft'),
+    snapshot: draftSnapshot,
+    canSync: isAuthenticated,
+    ownerId: user?._id || null,
+    // Keep the draft in the URL so a reload continues it
+    onCreated: (created) => setSearchParams({ draft: created.localId }, { replace: true }),
+  });
+
+  const applyDraftState = (state) => {
+    if (!state) return;
+    const company = companies.find((item) => item._id === state.companyId);
+    if (company && company._id !== selectedCompany?._id) {
+      pendingModelIdRef.current = state.modelId;
+      setSelectedCompany(company);
+    } else if (company) {
+      setSelectedModel(models.find((model) => model._id === state.modelId) || selectedModel);
+    }
+    setSelectedMaterial(MATERIAL_OPTIONS.find((option) => option.id === state.materialId) || MATERIAL_OPTIONS[0]);
+    setQuantity(state.quantity || 1);
+    setSpecialNotes(state.notes || '');
+    if (state.image && !state.image.startsWith('data:')) {
+      uploadedUrlsRef.current.set(state.image, state.image);
+    }
+    setImagePreview(state.image || '', { label: 'Restore draft' });
+    setPhotoParams(normalizePhotoParams(state.photo));
+  };
+
+  useEffect(() => {
+    if (designDraft.loadedState && companies.length) {
+      applyDraftState(designDraft.loadedState);
+    }
+  }, [designDraft.loadedState, companies]);
+
+  const handleSaveVersion = async () => {
+    const saved = await designDraft.saveVersion();
+    if (saved) toast.success('Version saved');
+  };
+
+  const handleRestoreVersion = async (versionId) => {
+    const state = await designDraft.restoreVersion(versionId);
+    if (!state) return;
+    applyDraftState(state);
+    setShowVersions(false);
+    toast.success('Version restored');
+  };
+
+  const draftStatusLabel = {
+    saving: 'Saving draft…',
+    synced: 'Draft saved',
+    local: 'Draft saved on this device',
+    error: 'Draft saved on this device (sync failed)',
+  }[designDraft.status];
+
+  // Scan the artwork under the camera cut-outs and let the customer back out before ordering
+  const confirmCameraArea = async (artwork = imagePreview) => {
+    if (!artwork || !modelGeometry.cutouts.length) return true;
+    let conflicts = [];
+    try {
+      const rendered = await renderCoverToCanvas(artwork, previewScreen, FRAME_SPACE);
+      conflicts = findCutoutConflicts(rendered, modelGeometry.cutouts);
+    } catch (error) {
+      console.warn('Camera area check skipped:', error);
+    }
+    setCutoutConflicts(conflicts);
+    if (!conflicts.length) return true;
+    setShowSafeZone(true);
+    return window.confirm(`${describeCutoutConflicts(conflicts)}. The camera cut-out will hide it. Continue anyway?`);
+  };
+
   const shippingReady = Boolean(
     shipping.name.trim() &&
     shipping.phone.trim() &&
-    shipping.street.trim() &&
+    shipping.address1.trim() &&
     shipping.city.trim() &&
     shipping.state.trim() &&
     shipping.postalCode.trim()
@@ -269,26 +481,72 @@ const CustomMobilePage = () => {
     });
   };
 
-  const handleImageUpload = (file) => {
-    if (!file) return;
-    if (!file.type.startsWith('image/')) {
-      toast.error('Please upload a valid image file.');
-      return;
+  const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+  // Uploads in the background; ordering falls back to the inline image if this never finishes
+  const runDesignUpload = async (dataUrl, start) => {
+    uploadControllerRef.current?.abort();
+    const controller = new AbortController();
+    uploadControllerRef.current = controller;
+    setDesignUpload({ status: 'uploading', progress: 0 });
+    const res = await start({
+      signal: controller.signal,
+      onUploadProgress: (event) => setDesignUpload({ status: 'uploading', progress: event.progress || 0 }),
+      onRetry: () => setDesignUpload((prev) => ({ ...prev, status: 'retrying' })),
+    });
+    if (controller.signal.aborted) return;
+    uploadControllerRef.current = null;
+    if (res.success && res.data?.url) {
+      uploadedUrlsRef.current.set(dataUrl, res.data.url);
+      setDesignUpload(null);
+    } else {
+      setDesignUpload({ status: 'failed' });
     }
-    if (file.size > 8 * 1024 * 1024) {
-      toast.error('Image must be under 8MB.');
+    pendingDesigns.refresh();
+  };
+
+  const handleImageUpload = async (file) => {
+    if (!file) return;
+    let processed;
+    try {
+      setProcessingProgress(0);
+      // Orients, strips GPS/EXIF and downscales before the photo ever reaches the order payload
+      processed = await preprocessImage(file, { onProgress: (fraction) => setProcessingProgress(fraction) });
+    } catch (error) {
+      toast.error(error?.message || 'Could not process that image.');
       return;
+    } finally {
+      setProcessingProgress(null);
     }
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      setImagePreview(e.target.result);
-    };
-    reader.readAsDataURL(file);
+    const dataUrl = await readAsDataUrl(processed);
+    setImagePreview(dataUrl, { label: 'Upload image' });
+    setPhotoParams(createPhotoParams());
+
+    // Only one artwork per order: an older unfinished upload is no longer needed
+    await Promise.all(pendingDesigns.pending.map((record) => pendingDesigns.discard(record.key)));
+    runDesignUpload(dataUrl, (options) => uploadAPI.uploadResumable(processed, {
+      ...options,
+      preprocess: false,
+      target: { kind: 'design' },
+    }));
+  };
+
+  const handleResumeDesignUpload = async (record) => {
+    const dataUrl = await readAsDataUrl(record.file);
+    setImagePreview(dataUrl, { label: 'Restore image' });
+    setPhotoParams(createPhotoParams());
+    runDesignUpload(dataUrl, (options) => pendingDesigns.resume(record.key, options));
   };
 
   const handleFileInput = (event) => {
     const file = event.target.files?.[0];
     handleImageUpload(file);
+    event.target.value = '';
   };
 
   const scrollToBuilder = () => {
@@ -308,126 +566,102 @@ const CustomMobilePage = () => {
     setShippingErrors((prev) => ({ ...prev, [field]: '' }));
   };
 
+  const selectAddress = (address) => {
+    setAddressId(address?._id || null);
+    setShipping((prev) => (address ? getAddressFields(address) : { ...EMPTY_ADDRESS, name: prev.name, phone: prev.phone }));
+    setShippingErrors({});
+  };
+
+  const editAddress = (address) => {
+    selectAddress(address);
+    setSaveToBook(true);
+    document.getElementById('custom-shipping-address1')?.focus();
+  };
+
   const validateShipping = () => {
-    const errors = {};
-    const trimmedPhone = shipping.phone.trim();
-    if (!shipping.name.trim()) errors.name = 'Name is required';
-    if (!/^[0-9]{7,15}$/.test(trimmedPhone)) errors.phone = 'Phone must be 7-15 digits';
-    if (!shipping.street.trim()) errors.street = 'Street address is required';
-    if (!shipping.city.trim()) errors.city = 'City is required';
-    if (!shipping.state.trim()) errors.state = 'State is required';
-    if (!/^[0-9]{3,10}$/.test(shipping.postalCode.trim())) errors.postalCode = 'Enter a valid postal code';
-    if (!shipping.country.trim()) errors.country = 'Country is required';
+    const errors = validateAddress(shipping);
     setShippingErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
-  const loadRazorpayScript = () => new Promise((resolve, reject) => {
-    if (typeof window === 'undefined') {
-      reject(new Error('Window is not available'));
-      return;
-    }
-    if (window.Razorpay) {
-      resolve(true);
-      return;
+  // New or edited addresses go back to the address book; failing to save one is not an order error
+  const saveShippingAddress = async () => {
+    if (!saveToBook || (savedAddress && !addressChanged)) return;
+    try {
+      await addressBook.saveAddress(savedAddress ? { ...shipping, _id: savedAddress._id } : shipping, {
+        makeDefault: !addressBook.addresses.length,
+      });
+    } catch (error) {
+      console.debug('Could not save the address', error);
     }
-    const script = document.createElement('script');
-    script.src = 'https://checkout.razorpay.com/v1/checkout.js';
-    script.onload = () => resolve(true);
-    script.onerror = () => reject(new Error('Failed to load Razorpay SDK'));
-    document.body.appendChild(script);
-  });
+  };
 
   const initiatePayment = async (customOrder) => {
-    try {
-      await loadRazorpayScript();
-
-      const paymentResponse = await dispatch(createCustomPayment(customOrder._id)).unwrap();
-      const paymentData = paymentResponse?.data || paymentResponse;
-      const razorpayOrderId = paymentData?.razorpayOrderId || paymentData?.orderId;
-      if (!razorpayOrderId) {
-        throw new Error('Unable to initialize payment');
-      }
+    const retryFeedback = (title, message) => showOrderFeedback({
+      status: 'error',
+      title,
+      message,
+      orderId: customOrder._id,
+      ctaLabel: 'Retry payment',
+      // Pay for the same order rather than creating another one
+      onCta: () => initiatePayment(customOrder),
+    });
 
-      const keyId = paymentData?.keyId || paymentData?.key || import.meta.env.VITE_RAZORPAY_KEY;
-      const amount = paymentData?.amount || Math.round((customOrder.price || selectedMaterial.price) * 100);
-      const currency = paymentData?.currency || 'INR';
-
-      const options = {
-        key: keyId,
-        amount,
-        currency,
-        order_id: razorpayOrderId,
-        name: 'Copad Custom Cover',
-        description: `Custom order #${customOrder._id}`,
-        prefill: {
-          name: shipping.name,
-          contact: shipping.phone,
-        },
-        notes: {
-          customOrderId: customOrder._id,
-          brand: selectedCompany?.name,
-          model: selectedModel?.name,
+    try {
+      await collectPayment({
+        server: {
+          createPayment: async () => {
+            const paymentResponse = await dispatch(createCustomPayment(customOrder._id)).unwrap();
+            return paymentResponse?.data || paymentResponse;
+          },
+          verifyPayment: (fields) => dispatch(verifyCustomPayment({
+            ...fields,
+            customOrderId: customOrder._id,
+          })).unwrap(),
         },
-        theme: { color: '#2563eb' },
-        handler: async (response) => {
-          try {
-            await dispatch(verifyCustomPayment({
-              razorpay_order_id: response.razorpay_order_id,
-              razorpay_payment_id: response.razorpay_payment_id,
-              razorpay_signature: response.razorpay_signature,
-              customOrderId: customOrder._id,
-            })).unwrap();
-            toast.success('Payment successful! We will start printing your cover.');
-            showOrderFeedback({
-              status: 'success',
-              title: 'Payment completed',
-              message: 'Your artwork heads to printing next. Check progress in custom orders.',
-              orderId: customOrder._id,
-              ctaLabel: 'View custom orders',
-              onCta: () => navigate('/custom-orders'),
-            });
-          } catch (error) {
-            const message = error?.response?.data?.message || error?.message || 'Payment verification failed';
+        amount: customOrder.price || selectedMaterial.price,
+        checkout: {
+          name: 'Copad Custom Cover',
+          description: `Custom order #${customOrder._id}`,
+          prefill: {
+            name: shipping.name,
+            contact: shipping.phone,
+          },
+          notes: {
+            customOrderId: customOrder._id,
+            brand: selectedCompany?.name,
+            model: selectedModel?.name,
+          },
+          onAttemptFailed: (message) => {
             toast.error(message);
-            showOrderFeedback({
-              status: 'error',
-              title: 'Verification failed',
-              message,
-              orderId: customOrder._id,
-              ctaLabel: 'Retry payment',
-              onCta: () => handleSubmit('buy'),
-            });
-          }
+            retryFeedback('Payment failed', message);
+          },
         },
-      };
-
-      const razorpay = new window.Razorpay(options);
-      razorpay.on('payment.failed', (resp) => {
-        const message = resp.error?.description || 'Payment failed. Please try again.';
-        toast.error(message);
-        showOrderFeedback({
-          status: 'error',
-          title: 'Payment failed',
-          message,
-          orderId: customOrder._id,
-          ctaLabel: 'Retry payment',
-          onCta: () => handleSubmit('buy'),
-        });
       });
-      razorpay.open();
-    } catch (error) {
-      const message = error?.response?.data?.message || error?.message || 'Unable to initiate payment';
-      toast.error(message);
+      toast.success('Payment successful! We will start printing your cover.');
       showOrderFeedback({
-        status: 'error',
-        title: 'Payment setup issue',
-        message,
+        status: 'success',
+        title: 'Payment completed',
+        message: 'Your artwork heads to printing next. Check progress in custom orders.',
         orderId: customOrder._id,
-        ctaLabel: 'Retry payment',
-        onCta: () => handleSubmit('buy'),
+        ctaLabel: 'View custom orders',
+        onCta: () => navigate('/custom-orders'),
       });
-      throw error;
+    } catch (error) {
+      if (isPaymentCancelled(error)) {
+        retryFeedback('Payment cancelled', 'Your custom order is saved. Complete the payment to send it for printing.');
+        return;
+      }
+      // Declined payments were already reported by onAttemptFailed
+      if (error.code === PAYMENT_FAILED) return;
+      const message = error?.response?.data?.message || error?.message || 'Unable to initiate payment';
+      if (error?.stage === 'verify') {
+        toast.error(message);
+        retryFeedback('Verification failed', message);
+        return;
+      }
+      toast.error(message);
+      retryFeedback('Payment setup issue', message);
     }
   };
 
@@ -455,6 +689,18 @@ const CustomMobilePage = () => {
       return;
     }
 
+    if (designUpload && designUpload.status !== 'failed') {
+      toast.info('Your photo is still uploading, one moment…');
+      return;
+    }
+
+    const editedArtwork = await renderEditedArtwork();
+    if (!(await confirmCameraArea(editedArtwork || imagePreview))) {
+      return;
+    }
+
+    const artworkUrl = uploadedUrlsRef.current.get(imagePreview) || imagePreview;
+
     const payload = {
       variant: {
         name: selectedMaterial.label,
@@ -464,27 +710,28 @@ const CustomMobilePage = () => {
         sku: `custom-${selectedMaterial.id}`,
       },
       quantity,
-      imageUrls: [imagePreview],
-      mockupUrl: imagePreview,
+      imageUrls: [artworkUrl],
+      mockupUrl: editedArtwork || artworkUrl,
       instructions: specialNotes,
-      designData: {
-        companyId: selectedCompany._id,
-        companyName: selectedCompany.name,
-        modelId: selectedModel._id,
-        modelName: selectedModel.name,
-        material: selectedMaterial.label,
-      },
-      shippingAddress: {
-        name: shipping.name.trim(),
-        phone: shipping.phone.trim(),
-        street: shipping.street.trim(),
-        address1: shipping.street.trim(),
-        city: shipping.city.trim(),
-        state: shipping.state.trim(),
-        postalCode: shipping.postalCode.trim(),
-        zipCode: shipping.postalCode.trim(),
-        country: shipping.country.trim() || 'India',
-      },
+      // Edits are re-applied to the photo layer's asset when the print file is rendered
+      designData: createImageDesign({
+        imageUrl: artworkUrl,
+        photo: hasPhotoEdits(photoParams) ? normalizePhotoParams(photoParams) : undefined,
+        model: {
+          id: selectedModel._id,
+          name: selectedModel.name,
+          company: selectedCompany.name,
+          geometry: modelGeometry,
+        },
+        material: { id: selectedMaterial.id, label: selectedMaterial.label },
+        meta: {
+          companyId: selectedCompany._id,
+          company: selectedCompany.name,
+          model: selectedModel.name,
+          type: selectedMaterial.label,
+        },
+      }),
+      shippingAddress: serializeAddress(shipping),
     };
 
     let createdOrder = null;
@@ -495,6 +742,7 @@ const CustomMobilePage = () => {
       if (!createdOrder?._id) {
         throw new Error('Unexpected response from server');
       }
+      await saveShippingAddress();
 
       if (action === 'buy') {
         await initiatePayment(createdOrder);
@@ -520,7 +768,7 @@ const CustomMobilePage = () => {
         orderId: createdOrder?._id,
         ctaLabel: createdOrder ? 'Try payment again' : undefined,
         onCta: createdOrder
-          ? () => handleSubmit('buy')
+          ? () => initiatePayment(createdOrder)
           : undefined,
       });
     } finally {
@@ -589,24 +837,121 @@ const CustomMobilePage = () => {
               <div className="flex items-center justify-between mb-4">
                 <div>
                   <p className="text-sm uppercase tracking-wide text-gray-500">Preview</p>
-                 
+                  {draftStatusLabel && <p className="text-xs text-gray-400">{draftStatusLabel}</p>}
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={handleSaveVersion}
+                    disabled={!designDraft.draft}
+                    title="Save a version you can come back to"
+                    aria-label="Save version"
+                    className="p-2 rounded-xl border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+                  >
+                    <FiSave className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowVersions((prev) => !prev)}
+                    disabled={!designDraft.versions.length}
+                    aria-pressed={showVersions}
+                    title="Version history"
+                    aria-label="Version history"
+                    className="p-2 rounded-xl border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+                  >
+                    <FiClock className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowSafeZone((prev) => !prev)}
+                    aria-pressed={showSafeZone}
+                    title="Show the camera cut-out"
+                    aria-label="Toggle camera zone"
+                    className={`p-2 rounded-xl border ${showSafeZone ? 'border-primary-300 bg-primary-50 text-primary-700' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}`}
+                  >
+                    <FiCamera className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={designHistory.undo}
+                    disabled={!designHistory.canUndo}
+                    title="Undo (Ctrl+Z)"
+                    aria-label="Undo"
+                    className="p-2 rounded-xl border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+                  >
+                    <FiCornerUpLeft className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={designHistory.redo}
+                    disabled={!designHistory.canRedo}
+                    title="Redo (Ctrl+Shift+Z)"
+                    aria-label="Redo"
+                    className="p-2 rounded-xl border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+                  >
+                    <FiCornerUpRight className="w-4 h-4" />
+                  </button>
                 </div>
-               
               </div>
-              <div className="relative mx-auto w-64 aspect-[9/19]">
+              {showVersions && designDraft.versions.length > 0 && (
+                <ul className="mb-4 max-h-48 overflow-y-auto divide-y rounded-2xl border border-gray-200 text-sm">
+                  {[...designDraft.versions].reverse().map((version) => (
+                    <li key={version.id} className="flex items-center justify-between gap-3 px-3 py-2">
+                      <span className="text-gray-700">
+                        {version.label}
+                        <span className="block text-xs text-gray-400">{new Date(version.savedAt).toLocaleString()}</span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleRestoreVersion(version.id)}
+                        disabled={!version.state}
+                        title={version.state ? undefined : 'Saved on another device'}
+                        className="text-xs font-semibold text-primary-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                      >
+                        Restore
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="relative mx-auto" style={{ width: FRAME_SPACE.width, height: FRAME_SPACE.height }}>
                 <div className="absolute inset-0 rounded-[32px] bg-gradient-to-br from-slate-100 via-white to-slate-100" />
-                <div className="absolute inset-[18px] rounded-[24px] bg-gray-200 overflow-hidden">
-                  {imagePreview ? (
-                    <img src={imagePreview} alt="Uploaded preview" className="w-full h-full object-cover" />
+                <div
+                  className="absolute bg-gray-200 overflow-hidden"
+                  style={{
+                    left: previewScreen.left,
+                    top: previewScreen.top,
+                    width: previewScreen.width,
+                    height: previewScreen.height,
+                    borderRadius: previewScreen.radius,
+                  }}
+                >
+                  {imagePreview && cutoutPreview ? (
+                    <img src={cutoutPreview} alt="Uploaded preview" className="w-full h-full object-cover" />
+                  ) : imagePreview ? (
+                    <img
+                      src={imagePreview}
+                      alt="Uploaded preview"
+                      className="w-full h-full object-cover"
+                      style={{ filter: buildCssFilter(photoParams.adjustments) }}
+                    />
                   ) : (
                     <div className="w-full h-full flex items-center justify-center px-6 text-center">
                       <p className="text-gray-500 text-sm">Upload a photo to preview your custom print</p>
                     </div>
                   )}
                 </div>
-               
+                {showSafeZone && (
+                  <SafeZoneOverlay geometry={modelGeometry} flaggedIds={cutoutConflicts.map((conflict) => conflict.id)} />
+                )}
               </div>
-              <p className="mt-4 text-sm text-gray-500 text-center">Kindly upload a high quality image for best results.</p>
+              {cutoutConflicts.length > 0 ? (
+                <p className="mt-4 text-sm text-red-600 text-center">
+                  {describeCutoutConflicts(cutoutConflicts)}. Try a photo with the subject lower or to the side.
+                </p>
+              ) : (
+                <p className="mt-4 text-sm text-gray-500 text-center">Kindly upload a high quality image for best results.</p>
+              )}
 
               <div className="mt-6 grid grid-cols-2 gap-4">
                 <div className="rounded-2xl bg-primary-50 p-4">
@@ -722,26 +1067,76 @@ const CustomMobilePage = () => {
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept="image/*"
+                  accept={UPLOAD_LIMITS.ALLOWED_TYPES.join(',')}
                   className="hidden"
                   onChange={handleFileInput}
+                  disabled={processingProgress !== null}
                 />
                 <FiUpload className="w-10 h-10 text-primary-600 mx-auto mb-3" />
                 <p className="font-semibold text-gray-900">Drag & drop or click to upload</p>
-                <p className="text-sm text-gray-500">High resolution JPG/PNG up to 8MB • You can also share via WhatsApp later</p>
+                <p className="text-sm text-gray-500">
+                  High resolution JPG/PNG/WebP up to {Math.round(UPLOAD_LIMITS.MAX_SOURCE_FILE_SIZE / (1024 * 1024))}MB • You can also share via WhatsApp later
+                </p>
+                {processingProgress !== null && (
+                  <div className="mt-4">
+                    <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+                      <div
+                        className="h-full bg-primary-500 transition-all"
+                        style={{ width: `${Math.round(processingProgress * 100)}%` }}
+                      />
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">Optimising image… {Math.round(processingProgress * 100)}%</p>
+                  </div>
+                )}
+                {processingProgress === null && designUpload && (
+                  <p className={`mt-3 text-xs ${designUpload.status === 'failed' ? 'text-amber-600' : 'text-gray-500'}`}>
+                    {designUpload.status === 'failed'
+                      ? 'Upload did not finish; your image will be sent with the order instead.'
+                      : designUpload.status === 'retrying'
+                        ? 'Connection lost, retrying upload…'
+                        : `Uploading image… ${Math.round(designUpload.progress * 100)}%`}
+                  </p>
+                )}
+                {!imagePreview && !designUpload && pendingDesigns.pending.length > 0 && (
+                  <div
+                    className="mt-4 rounded-xl bg-amber-50 border border-amber-200 p-3 text-left text-sm"
+                    onClick={(event) => event.stopPropagation()}
+                  >
+                    <p className="text-amber-800 font-semibold">You have an unfinished photo upload.</p>
+                    <div className="mt-2 flex gap-3">
+                      <button
+                        type="button"
+                        className="font-semibold text-primary-600"
+                        onClick={() => handleResumeDesignUpload(pendingDesigns.pending[pendingDesigns.pending.length - 1])}
+                      >
+                        Resume upload
+                      </button>
+                      <button
+                        type="button"
+                        className="text-gray-500"
+                        onClick={() => Promise.all(pendingDesigns.pending.map((record) => pendingDesigns.discard(record.key)))}
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  </div>
+                )}
                 {imagePreview && (
                   <button
                     type="button"
                     className="mt-4 text-sm font-semibold text-primary-600"
                     onClick={(event) => {
                       event.stopPropagation();
-                      setImagePreview('');
+                      setImagePreview('', { label: 'Remove image' });
                     }}
                   >
                     Remove image
                   </button>
                 )}
               </div>
+              {imagePreview && (
+                <PhotoEditPanel params={photoParams} onChange={setPhotoParams} busy={renderingCutout} />
+              )}
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -776,6 +1171,14 @@ const CustomMobilePage = () => {
                 <h3 className="text-xl font-semibold text-gray-900">Shipping details</h3>
                 <p className="text-sm text-gray-500">We deliver pan-India within 5-7 working days.</p>
               </div>
+              <SavedAddressPicker
+                addresses={addressBook.addresses}
+                selectedId={addressId}
+                onSelect={selectAddress}
+                onEdit={editAddress}
+                onSetDefault={addressBook.setDefault}
+                disabled={addressBook.saving}
+              />
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
                   <label className="text-sm font-semibold text-gray-700">Full name</label>
@@ -806,15 +1209,16 @@ const CustomMobilePage = () => {
                 <div className="md:col-span-2">
                   <label className="text-sm font-semibold text-gray-700">Street address</label>
                   <input
+                    id="custom-shipping-address1"
                     type="text"
-                    value={shipping.street}
-                    onChange={(event) => updateShippingField('street', event.target.value)}
+                    value={shipping.address1}
+                    onChange={(event) => updateShippingField('address1', event.target.value)}
                     className={`mt-2 w-full rounded-2xl border px-4 py-3 focus:outline-none focus:ring-2 ${
-                      shippingErrors.street ? 'border-red-400 focus:ring-red-200' : 'border-gray-200 focus:ring-primary-500'
+                      shippingErrors.address1 ? 'border-red-400 focus:ring-red-200' : 'border-gray-200 focus:ring-primary-500'
                     }`}
                     placeholder="House number, street, locality"
                   />
-                  {shippingErrors.street && <p className="text-xs text-red-600 mt-1">{shippingErrors.street}</p>}
+                  {shippingErrors.address1 && <p className="text-xs text-red-600 mt-1">{shippingErrors.address1}</p>}
                 </div>
                 <div>
                   <label className="text-sm font-semibold text-gray-700">City</label>
@@ -866,6 +1270,12 @@ const CustomMobilePage = () => {
                   {shippingErrors.country && <p className="text-xs text-red-600 mt-1">{shippingErrors.country}</p>}
                 </div>
               </div>
+              {(!savedAddress || addressChanged) && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={saveToBook} onChange={(event) => setSaveToBook(event.target.checked)} />
+                  {savedAddress ? 'Update this saved address' : 'Save this address to my address book'}
+                </label>
+              )}
             </div>
 
             <div className="space-y-3">
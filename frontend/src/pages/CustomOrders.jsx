@@ -1,10 +1,23 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import orderAPI from '../api/orderAPI';
+import PaymentStatusNotice from '../components/PaymentStatusNotice';
+import { useOrderActions } from '../hooks/useOrderActions';
 
 export default function CustomOrders() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [payingOrderId, setPayingOrderId] = useState(null);
+  const replaceOrder = useCallback((updated) => {
+    setOrders((list) => list.map((order) => (order._id === updated._id ? { ...order, ...updated } : order)));
+  }, []);
+  const { completePayment } = useOrderActions(null, replaceOrder);
+
+  const handlePay = async (order) => {
+    setPayingOrderId(order._id);
+    await completePayment(order, { custom: true });
+    setPayingOrderId(null);
+  };
 
   useEffect(() => {
     async function fetchOrders() {
@@ -53,6 +66,15 @@ export default function CustomOrders() {
                 <td className="py-2 px-3">{order.items[0]?.model || '-'}</td>
                 <td className="py-2 px-3">
                   <span className={`px-2 py-1 rounded text-xs font-semibold ${order.status === 'Delivered' ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'}`}>{order.status}</span>
+                  <div className="mt-2">
+                    <PaymentStatusNotice
+                      order={order}
+                      compact
+                      expires={false}
+                      paying={payingOrderId === order._id}
+                      onPay={() => handlePay(order)}
+                    />
+                  </div>
                 </td>
                 <td className="py-2 px-3">Rs.{order.items[0]?.price || order.total}.00</td>
                 <td className="py-2 px-3">{new Date(order.createdAt).toLocaleDateString()}</td>
@@ -5,7 +5,8 @@ import { toast } from 'react-toastify';
 import { FiArrowLeft, FiSmartphone, FiShoppingBag } from 'react-icons/fi';
 import collectionAPI from '../api/collectionAPI';
 import mobileAPI from '../api/mobileAPI';
-import { resolveImageUrl, formatPrice } from '../utils/helpers';
+import { resolveImageUrl, formatPrice, DEFAULT_DESIGN_TRANSFORM } from '../utils/helpers';
+import { resolveModelGeometry } from '../utils/modelGeometry';
 import { addToCart } from '../redux/slices/cartSlice';
 import { FALLBACK_COLLECTION_MAP } from '../data/fallbackCollections';
 import { FALLBACK_MOBILE_COMPANIES } from '../data/fallbackMobileCompanies';
@@ -195,7 +196,8 @@ const GalleryImagePage = () => {
       design: {
         imgSrc: selectedImageUrl,
         frame: selectedFrame,
-        transform: { x: 0, y: 0, scale: 1 },
+        transform: { ...DEFAULT_DESIGN_TRANSFORM },
+        geometry: resolveModelGeometry(selectedModel),
         meta: {
           collectionId: collection._id,
           collectionHandle: collection.handle,
@@ -1,11 +1,13 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { toast } from 'react-toastify';
 import customDesignAPI from '../api/customDesignAPI';
 import DesignCard from '../components/DesignCard';
 import { PageLoader } from '../components/Loader';
 import { addToCart } from '../redux/slices/cartSlice';
+import { discardDraft, draftFromDesign, listLocalDrafts } from '../utils/designDrafts';
+import { isFabricDesign, safeParseDesign } from '../utils/designDocument';
 
 const sortDesigns = (designs, sortBy) => {
 	const list = [...designs];
@@ -24,29 +26,67 @@ const sortDesigns = (designs, sortBy) => {
 	}
 };
 
+// Local copies win over the server's when they hold newer (possibly unsynced) edits
+// The layer editor uploads its document as a form field, so it may come back as a string
+const readDesignDocument = (design) => {
+	const value = design.designDocument;
+	if (typeof value !== 'string') return value || null;
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		return null;
+	}
+};
+
+const mergeDrafts = (localDrafts, serverDesigns) => {
+	const merged = [...localDrafts];
+	serverDesigns.forEach((design) => {
+		const local = merged.find((draft) => draft._id === design._id);
+		const remote = draftFromDesign(design);
+		if (!local) merged.push(remote);
+		else if (remote.updatedAt > local.updatedAt && !local.dirty) {
+			merged[merged.indexOf(local)] = { ...remote, localId: local.localId };
+		}
+	});
+	return merged.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
 export default function MyDesigns() {
 	const [designs, setDesigns] = useState([]);
+	const [drafts, setDrafts] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
 	const [search, setSearch] = useState('');
 	const [sortBy, setSortBy] = useState('recent');
 	const navigate = useNavigate();
 	const dispatch = useDispatch();
+	const userId = useSelector((state) => state.auth.user?._id || null);
 
 	const loadDesigns = useCallback(async () => {
 		setLoading(true);
 		setError(null);
+		// Drafts saved on this device are listed even when the server can't be reached
+		const [localDrafts, serverDrafts] = await Promise.all([
+			listLocalDrafts(userId).catch(() => []),
+			customDesignAPI.getMyDrafts().catch(() => null),
+		]);
+		const draftList = serverDrafts?.data?.designs || serverDrafts?.designs || [];
+		setDrafts(mergeDrafts(
+			localDrafts.filter((draft) => draft.status === 'draft'),
+			draftList.filter((design) => design.status === 'draft')
+		));
+
 		try {
 			const response = await customDesignAPI.getMyDesigns();
 			const list = response?.data?.designs || response?.designs || [];
-			setDesigns(list);
+			setDesigns(list.filter((design) => design.status !== 'draft'));
 		} catch (err) {
 			const message = err.response?.data?.message || err.message || 'Failed to load designs';
 			setError(message);
 		} finally {
 			setLoading(false);
 		}
-	}, []);
+	}, [userId]);
 
 	useEffect(() => {
 		loadDesigns();
@@ -66,7 +106,24 @@ export default function MyDesigns() {
 		return sortDesigns(searched, sortBy);
 	}, [designs, search, sortBy]);
 
+	const handleContinueEditing = useCallback((design) => {
+		// Layered designs reopen in the layer editor, photo designs in the custom case page
+		const path = design.draft?.state?.editor === 'layers' ? '/designer' : '/customizer';
+		navigate(`${path}?draft=${encodeURIComponent(design.localId || design._id)}`);
+	}, [navigate]);
+
 	const handleEditDesign = useCallback((design) => {
+		// Designs saved from the customizer carry their full editor state
+		if (design.draft?.state) {
+			handleContinueEditing(design);
+			return;
+		}
+		// Designs sent from the layer editor reopen there with every layer
+		const designDocument = safeParseDesign(readDesignDocument(design));
+		if (isFabricDesign(designDocument)) {
+			navigate('/designer', { state: { design: designDocument } });
+			return;
+		}
 		sessionStorage.setItem('currentDesign', JSON.stringify({
 			frame: design.frame || '/frames/frame-1.svg',
 			imgSrc: design.imgSrc,
@@ -79,7 +136,7 @@ export default function MyDesigns() {
 		const metaKey = `${meta.company || ''}__${meta.model || ''}__${meta.type || ''}`;
 		const hasMeta = meta.company || meta.model || meta.type;
 		navigate(hasMeta ? `/customizer/${encodeURIComponent(metaKey)}` : '/customizer');
-	}, [navigate]);
+	}, [navigate, handleContinueEditing]);
 
 	const handleAddToCart = useCallback((design) => {
 		const meta = design.meta || {};
@@ -128,6 +185,18 @@ export default function MyDesigns() {
 		}
 	}, [loadDesigns]);
 
+	const handleDeleteDraft = useCallback(async (draft) => {
+		if (!window.confirm(`Discard the draft "${draft.name || 'Custom case'}"?`)) return;
+		try {
+			await discardDraft(draft);
+			toast.success('Draft discarded');
+			loadDesigns();
+		} catch (err) {
+			const message = err.response?.data?.message || err.message || 'Failed to discard draft';
+			toast.error(message);
+		}
+	}, [loadDesigns]);
+
 	const handleCreateDesign = useCallback(() => {
 		navigate('/customizer');
 	}, [navigate]);
@@ -202,6 +271,23 @@ export default function MyDesigns() {
 					</div>
 				</section>
 
+				{drafts.length > 0 && (
+					<section className="mb-10">
+						<h2 className="text-lg font-semibold text-gray-900 mb-4">Drafts</h2>
+						<div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+							{drafts.map((draft) => (
+								<DesignCard
+									key={draft.localId}
+									design={draft}
+									isDraft
+									onEdit={handleContinueEditing}
+									onDelete={handleDeleteDraft}
+								/>
+							))}
+						</div>
+					</section>
+				)}
+
 				{filteredDesigns.length === 0 ? (
 					<div className="bg-white border rounded-lg shadow-sm p-12 text-center">
 						<div className="max-w-md mx-auto space-y-4">
@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { PageLoader } from '../components/Loader';
+import { useOAuth } from '../hooks/useOAuth';
+import { handOffOAuthCallback, isOAuthCancelled, readOAuthCallback } from '../utils/oauth';
+
+// Where the identity provider sends the browser back (utils/oauth). In the popup the answer
+// goes to the tab that opened it; after a full-page redirect it is finished here.
+export default function OAuthCallback() {
+  const { provider } = useParams();
+  const { search } = useLocation();
+  const { finish } = useOAuth();
+  const [error, setError] = useState(null);
+  const [handedOff, setHandedOff] = useState(false);
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    // StrictMode runs effects twice; the pending request can only be used once
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    if (handOffOAuthCallback(search)) {
+      setHandedOff(true);
+      window.close();
+      return;
+    }
+
+    let callback;
+    try {
+      callback = readOAuthCallback(provider, search);
+    } catch (err) {
+      setError(isOAuthCancelled(err) ? 'Sign-in was cancelled.' : err.message);
+      return;
+    }
+    finish(callback).then((done) => {
+      if (!done) setError('We could not sign you in.');
+    });
+  }, [provider, search, finish]);
+
+  // Some browsers keep a popup open after the provider's pages; say what to do next
+  if (handedOff) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+        <p className="text-gray-600">You can close this window and continue in the store.</p>
+      </div>
+    );
+  }
+
+  if (!error) return <PageLoader />;
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-sm border p-6 text-center">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Sign-in did not complete</h2>
+        <p className="text-gray-600 mb-6">{error}</p>
+        <Link
+          to="/login"
+          className="inline-block bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+        >
+          Back to sign in
+        </Link>
+      </div>
+    </div>
+  );
+}
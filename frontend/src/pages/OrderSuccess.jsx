@@ -3,6 +3,7 @@ import ConfirmationModal from '../components/ConfirmationModal';
 import CancellationReasonModal from '../components/CancellationReasonModal';
 import io from 'socket.io-client';
 import { useParams, Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import orderAPI from '../api/orderAPI';
 import Loader, { PageLoader } from '../components/Loader';
 import OrderTracking from '../components/OrderTracking';
@@ -10,9 +11,18 @@ import SuccessAnimation from '../components/SuccessAnimation';
 import { formatPrice } from '../utils/helpers';
 import { toast } from 'react-toastify';
 import { useOrderActions } from '../hooks/useOrderActions';
+import TaxBreakdown from '../components/TaxBreakdown';
+import { getOrderTax } from '../utils/invoice';
+import { isCodOrder } from '../utils/cod';
+import PaymentStatusNotice from '../components/PaymentStatusNotice';
+import { getOrderPaymentState } from '../utils/payments';
+import GuestAccountPrompt from '../components/GuestAccountPrompt';
+import { getGuestOrder } from '../utils/guestOrders';
 
 export default function OrderSuccess() {
   const { id } = useParams();
+  const isAuthenticated = useSelector((state) => state.auth.isAuthenticated);
+  const ordersLink = isAuthenticated ? '/orders' : '/track-order';
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -20,7 +30,18 @@ export default function OrderSuccess() {
   const [retryCount, setRetryCount] = useState(0);
 
   // Custom hook for order actions
-  const { cancelOrder, printReceipt, chatWithSupport, cancelling, printing } = useOrderActions(id, setOrder);
+  const {
+    cancelOrder,
+    printReceipt,
+    downloadInvoice,
+    canDownloadInvoice,
+    completePayment,
+    chatWithSupport,
+    cancelling,
+    printing,
+    downloadingInvoice,
+    paying,
+  } = useOrderActions(id, setOrder);
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [showReasonModal, setShowReasonModal] = useState(false);
   const [selectedReason, setSelectedReason] = useState('');
@@ -41,6 +62,9 @@ export default function OrderSuccess() {
     };
   }, [order]);
 
+  const paymentState = useMemo(() => getOrderPaymentState(order), [order]);
+  const awaitingPayment = !!paymentState?.canPay;
+
   // Enhanced fetch order with retry mechanism
   const fetchOrder = useCallback(async (showLoader = true) => {
     if (showLoader) setLoading(true);
@@ -56,7 +80,7 @@ export default function OrderSuccess() {
       }
       
       setOrder(orderData);
-      setShowAnimation(true);
+      setShowAnimation(!getOrderPaymentState(orderData)?.canPay);
       setRetryCount(0);
     } catch (err) {
       const errorMessage = err.response?.data?.message || err.message || 'Failed to load order';
@@ -185,6 +209,14 @@ export default function OrderSuccess() {
               >
                 {retryCount >= 3 ? 'Max Retries Reached' : `Retry (${retryCount}/3)`}
               </button>
+              {!isAuthenticated && (
+                <Link
+                  to="/track-order"
+                  className="bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 transition-colors duration-200 text-center"
+                >
+                  Look Up Order
+                </Link>
+              )}
               <Link 
                 to="/" 
                 className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 transition-colors duration-200 text-center"
@@ -212,10 +244,10 @@ export default function OrderSuccess() {
             <h2 className="text-xl font-semibold text-gray-900 mb-2">Order Not Found</h2>
             <p className="text-gray-600 mb-6">We couldn't find the order you're looking for.</p>
             <Link 
-              to="/orders" 
+              to={ordersLink}
               className="inline-block bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 transition-colors duration-200"
             >
-              View All Orders
+              {isAuthenticated ? 'View All Orders' : 'Track an Order'}
             </Link>
           </div>
         </div>
@@ -230,11 +262,15 @@ export default function OrderSuccess() {
         <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
           <div className="text-center">
             <SuccessAnimation 
-              show={showAnimation} 
+              show={showAnimation && !awaitingPayment} 
               onComplete={() => console.log('Animation complete')} 
             />
             <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">
-              Thank you — your order is confirmed!
+              {awaitingPayment
+                ? 'Your order is saved — complete the payment'
+                : paymentState?.state === 'expired'
+                  ? 'This order has expired'
+                  : 'Thank you — your order is confirmed!'}
             </h1>
             <p className="text-sm sm:text-base text-gray-600 mb-4">
               Order ID: <span className="font-mono font-semibold text-gray-900">{order._id || order.id}</span>
@@ -247,9 +283,17 @@ export default function OrderSuccess() {
               </svg>
               {orderStatus?.status || 'Confirmed'}
             </div>
+            <div className="mt-4 text-left">
+              <PaymentStatusNotice order={order} onPay={() => completePayment(order)} paying={paying} />
+            </div>
           </div>
         </div>
 
+        {/* Only the browser that placed the order can attach it to a new account */}
+        {!isAuthenticated && order.guest && getGuestOrder(order._id)?.placedHere && (
+          <GuestAccountPrompt order={order} onCreated={() => fetchOrder(false)} />
+        )}
+
         {/* Order Details */}
         <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
@@ -297,10 +341,38 @@ export default function OrderSuccess() {
                     {orderStatus?.status || 'Pending'}
                   </span>
                 </div>
+                {order.subtotal != null && (
+                  <div className="flex justify-between">
+                    <span>Subtotal:</span>
+                    <span>{formatPrice(order.subtotal)}</span>
+                  </div>
+                )}
+                {(order.discounts || []).map((line) => (
+                  <div key={line.code} className="flex justify-between text-green-700">
+                    <span>{line.type === 'free_shipping' ? 'Free shipping' : 'Discount'} ({line.code}):</span>
+                    <span>−{formatPrice(line.amount)}</span>
+                  </div>
+                ))}
+                {order.shippingFee != null && (
+                  <div className="flex justify-between">
+                    <span>Shipping:</span>
+                    <span>{order.shippingFee ? formatPrice(order.shippingFee) : 'FREE'}</span>
+                  </div>
+                )}
+                {order.cod?.fee > 0 && (
+                  <div className="flex justify-between">
+                    <span>Cash on delivery fee:</span>
+                    <span>{formatPrice(order.cod.fee)}</span>
+                  </div>
+                )}
+                {order.tax && <TaxBreakdown gst={getOrderTax(order)} className="flex justify-between" />}
                 <div className="flex justify-between text-lg font-semibold text-gray-900 pt-2 border-t">
                   <span>Total:</span>
                   <span>{formatPrice(order.total || order.amount || 0)}</span>
                 </div>
+                {isCodOrder(order) && !['delivered', 'cancelled'].includes(order.status) && (
+                  <p className="text-xs text-gray-500">Pay {formatPrice(order.total || order.amount || 0)} in cash or UPI when your order arrives.</p>
+                )}
               </div>
             </section>
           </div>
@@ -332,10 +404,10 @@ export default function OrderSuccess() {
           <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4 pt-6 border-t mt-6">
             <div className="flex flex-col sm:flex-row items-start sm:items-center gap-3">
               <Link 
-                to="/orders" 
+                to={ordersLink}
                 className="text-primary-600 hover:text-primary-800 hover:underline focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 rounded transition-colors duration-200"
               >
-                View All Orders
+                {isAuthenticated ? 'View All Orders' : 'Track an Order'}
               </Link>
               <button
                 type="button"
@@ -361,6 +433,20 @@ export default function OrderSuccess() {
                   </>
                 )}
               </button>
+              {canDownloadInvoice && (
+                <button
+                  type="button"
+                  onClick={() => downloadInvoice(order)}
+                  disabled={downloadingInvoice}
+                  className="flex items-center text-sm bg-gray-100 text-gray-700 py-2 px-3 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                  aria-label="Download GST invoice"
+                >
+                  <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                  </svg>
+                  Download Invoice
+                </button>
+              )}
             </div>
 
             <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 w-full sm:w-auto">
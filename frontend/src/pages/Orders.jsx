@@ -4,6 +4,8 @@ import { PageLoader } from '../components/Loader';
 import { formatPrice } from '../utils/helpers';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
+import { useOrderActions } from '../hooks/useOrderActions';
+import PaymentStatusNotice from '../components/PaymentStatusNotice';
 
 const STATUS_OPTIONS = [
   { value: '', label: 'All' },
@@ -27,6 +29,18 @@ export default function Orders() {
   const [status, setStatus] = useState('');
   const [search, setSearch] = useState('');
   const [refreshKey, setRefreshKey] = useState(0);
+  const [payingOrderId, setPayingOrderId] = useState(null);
+
+  const replaceOrder = useCallback((updated) => {
+    setOrders((list) => list.map((order) => ((order._id || order.id) === (updated._id || updated.id) ? updated : order)));
+  }, []);
+  const { downloadInvoice, canDownloadInvoice, completePayment } = useOrderActions(null, replaceOrder);
+
+  const handlePay = async (order) => {
+    setPayingOrderId(order._id || order.id);
+    await completePayment(order);
+    setPayingOrderId(null);
+  };
 
   const fetchOrders = useCallback(async () => {
     setLoading(true);
@@ -143,12 +157,28 @@ export default function Orders() {
               <div className="font-medium">Order <span className="font-mono">{order._id || order.id}</span></div>
               <div className="text-sm text-gray-600">{(order.items || order.orderItems || []).length} items • {new Date(order.createdAt || order.created || order.date || Date.now()).toLocaleString()}</div>
               <div className="text-sm mt-1">Status: <span className="font-medium">{order.status || order.payment?.status || 'Pending'}</span></div>
+              <div className="mt-2">
+                <PaymentStatusNotice
+                  order={order}
+                  compact
+                  paying={payingOrderId === (order._id || order.id)}
+                  onPay={() => handlePay(order)}
+                />
+              </div>
             </div>
 
             <div className="text-right">
               <div className="font-medium">{formatPrice(order.total || order.amount || 0)}</div>
               <div className="mt-2 space-x-2">
                 <Link to={`/order-success/${order._id || order.id}`} className="text-sm text-primary-600">View</Link>
+                {canDownloadInvoice && (
+                  <button
+                    onClick={() => downloadInvoice(order)}
+                    className="text-sm bg-gray-100 text-gray-700 py-1 px-2 rounded"
+                  >
+                    Invoice
+                  </button>
+                )}
                 <button
                   onClick={() => handleCancel(order._id || order.id)}
                   className="text-sm bg-red-100 text-red-700 py-1 px-2 rounded"
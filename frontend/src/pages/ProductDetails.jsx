@@ -20,6 +20,8 @@ import { addToWishlist, removeFromWishlist, selectWishlistItems } from '../redux
 import Loader from '../components/Loader';
 import ProductCard from '../components/ProductCard';
 import ProductReviewsSection from '../components/ProductReviewsSection';
+import DeliveryEstimate from '../components/DeliveryEstimate';
+import { useDeliveryPin, useShippingQuote } from '../hooks/useShippingQuote';
 import { formatPrice, getAvailableVariants, getProductImage, isInStock, resolveImageUrl } from '../utils/helpers';
 
 
@@ -48,6 +50,11 @@ const ProductDetails = ({ productIdOverride }) => {
   const [selectedVariant, setSelectedVariant] = useState(null);
   const [quantity, setQuantity] = useState(1);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
+  const [deliveryPin, setDeliveryPin] = useDeliveryPin();
+  const shippingQuote = useShippingQuote({
+    pin: deliveryPin,
+    items: currentProduct && selectedVariant ? [{ product: currentProduct, variant: selectedVariant, quantity }] : [],
+  });
 
   useEffect(() => {
     if (resolvedProductId) {
@@ -313,6 +320,16 @@ const ProductDetails = ({ productIdOverride }) => {
                 <span className={`w-2 h-2 rounded-full ${isInStock(currentProduct) ? 'bg-green-500' : 'bg-red-500'}`} />
                 {isInStock(currentProduct) ? 'In stock · ships within 24 hrs' : 'Currently sold out'}
               </div>
+
+              {isInStock(currentProduct) && (
+                <DeliveryEstimate
+                  pin={deliveryPin}
+                  onPinChange={setDeliveryPin}
+                  quote={shippingQuote.quote}
+                  loading={shippingQuote.loading}
+                  error={shippingQuote.error}
+                />
+              )}
             </div>
           </div>
         </section>
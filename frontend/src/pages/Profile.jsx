@@ -1,14 +1,18 @@
 import { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { getUserProfile, updateProfile } from '../redux/slices/authSlice';
-import authAPI from '../api/authAPI';
 import customDesignAPI from '../api/customDesignAPI'
 import { useNavigate } from 'react-router-dom'
 import { useDispatch as useReduxDispatch } from 'react-redux'
 import { addToCart } from '../redux/slices/cartSlice'
-import { formatDate, SCREEN_RECT } from '../utils/helpers'
+import { formatDate, buildDesignTransformCss } from '../utils/helpers'
+import { getScreenRect } from '../utils/modelGeometry'
+import { getDesignPreview } from '../utils/designDocument'
 import { PageLoader } from '../components/Loader';
 import { toast } from 'react-toastify';
+import { EMPTY_ADDRESS, formatAddress, validateAddress } from '../utils/address';
+import { useAddressBook, usePinAutofill } from '../hooks/useAddressBook';
+import ConnectedAccounts from '../components/ConnectedAccounts';
 
 export default function Profile() {
   const dispatch = useDispatch();
@@ -16,7 +20,8 @@ export default function Profile() {
 
   const [form, setForm] = useState({ name: '', email: '', phone: '' });
   const [addingAddress, setAddingAddress] = useState(false);
-  const [newAddress, setNewAddress] = useState({ name: '', phone: '', street: '', city: '', state: '', zipCode: '', country: 'India' });
+  const [newAddress, setNewAddress] = useState(EMPTY_ADDRESS);
+  const addressBook = useAddressBook();
   const [saving, setSaving] = useState(false);
   const navigate = useNavigate();
   const reduxDispatch = useReduxDispatch();
@@ -71,30 +76,27 @@ export default function Profile() {
     }
   };
 
+  usePinAutofill(newAddress.postalCode, (place) => {
+    setNewAddress((a) => ({ ...a, state: place.state, city: place.city || a.city }));
+  });
+
   const handleAddAddress = async (e) => {
     e.preventDefault();
+    const [firstError] = Object.values(validateAddress(newAddress));
+    if (firstError) {
+      toast.error(firstError);
+      return;
+    }
     try {
-      await authAPI.addAddress(newAddress);
+      await addressBook.saveAddress(newAddress, { makeDefault: !addressBook.addresses.length });
       toast.success('Address added');
-      setNewAddress({ name: '', phone: '', street: '', city: '', state: '', zipCode: '', country: 'India' });
+      setNewAddress(EMPTY_ADDRESS);
       setAddingAddress(false);
-      dispatch(getUserProfile());
     } catch (err) {
       toast.error(err.response?.data?.message || err.message || 'Failed to add address');
     }
   };
 
-  const handleDeleteAddress = async (id) => {
-    if (!window.confirm('Delete this address?')) return;
-    try {
-      await authAPI.deleteAddress(id);
-      toast.success('Address removed');
-      dispatch(getUserProfile());
-    } catch (err) {
-      toast.error(err.response?.data?.message || err.message || 'Failed to delete address');
-    }
-  };
-
   const handleEditDesign = (d) => {
     try {
       sessionStorage.setItem('currentDesign', JSON.stringify({ frame: d.frame || '/frames/frame-1.svg', imgSrc: d.imgSrc, transform: d.transform, meta: d.meta }));
@@ -167,39 +169,45 @@ export default function Profile() {
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
               <input placeholder="Name" required value={newAddress.name} onChange={(e) => setNewAddress({ ...newAddress, name: e.target.value })} className="border rounded px-2 py-1" />
               <input placeholder="Phone" required value={newAddress.phone} onChange={(e) => setNewAddress({ ...newAddress, phone: e.target.value })} className="border rounded px-2 py-1" />
-              <input placeholder="Street" value={newAddress.street} onChange={(e) => setNewAddress({ ...newAddress, street: e.target.value })} className="border rounded px-2 py-1 col-span-2" />
+              <input placeholder="Address" value={newAddress.address1} onChange={(e) => setNewAddress({ ...newAddress, address1: e.target.value })} className="border rounded px-2 py-1 col-span-2" />
+              <input placeholder="Address line 2 (optional)" value={newAddress.address2} onChange={(e) => setNewAddress({ ...newAddress, address2: e.target.value })} className="border rounded px-2 py-1 col-span-2" />
+              <input placeholder="PIN code" value={newAddress.postalCode} onChange={(e) => setNewAddress({ ...newAddress, postalCode: e.target.value })} className="border rounded px-2 py-1" />
               <input placeholder="City" value={newAddress.city} onChange={(e) => setNewAddress({ ...newAddress, city: e.target.value })} className="border rounded px-2 py-1" />
               <input placeholder="State" value={newAddress.state} onChange={(e) => setNewAddress({ ...newAddress, state: e.target.value })} className="border rounded px-2 py-1" />
-              <input placeholder="Zip code" value={newAddress.zipCode} onChange={(e) => setNewAddress({ ...newAddress, zipCode: e.target.value })} className="border rounded px-2 py-1" />
               <input placeholder="Country" value={newAddress.country} onChange={(e) => setNewAddress({ ...newAddress, country: e.target.value })} className="border rounded px-2 py-1" />
             </div>
             <div>
-              <button type="submit" className="bg-primary-600 text-white px-4 py-2 rounded">Add Address</button>
+              <button type="submit" disabled={addressBook.saving} className="bg-primary-600 text-white px-4 py-2 rounded disabled:opacity-50">Add Address</button>
             </div>
           </form>
         )}
 
         <div className="space-y-3">
-          {(user?.addresses || []).length === 0 && (
+          {addressBook.addresses.length === 0 && (
             <div className="text-sm text-gray-600">No saved addresses yet.</div>
           )}
 
-          {(user?.addresses || []).map((addr) => (
-            <div key={addr._id || addr.id || `${addr.street}-${addr.phone}`} className="border rounded p-3 flex items-start justify-between">
+          {addressBook.addresses.map((addr) => (
+            <div key={addr._id || `${addr.address1}-${addr.phone}`} className="border rounded p-3 flex items-start justify-between">
               <div>
                 <div className="font-medium">{addr.name} {addr.isDefault ? <span className="text-xs text-green-600 ml-2">(Default)</span> : null}</div>
                 <div className="text-sm text-gray-700">{addr.phone}</div>
-                <div className="text-sm text-gray-600 mt-1">{[addr.street, addr.city, addr.state, addr.zipCode, addr.country].filter(Boolean).join(', ')}</div>
+                <div className="text-sm text-gray-600 mt-1">{[formatAddress(addr), addr.country].filter(Boolean).join(', ')}</div>
               </div>
 
               <div className="flex flex-col items-end space-y-2">
-                <button onClick={() => handleDeleteAddress(addr._id || addr.id)} className="text-sm text-red-600">Delete</button>
+                {!addr.isDefault && (
+                  <button onClick={() => addressBook.setDefault(addr._id)} disabled={addressBook.saving} className="text-sm text-gray-600">Set as default</button>
+                )}
+                <button onClick={() => addressBook.removeAddress(addr._id)} disabled={addressBook.saving} className="text-sm text-red-600">Delete</button>
               </div>
             </div>
           ))}
         </div>
           </div>
 
+          <ConnectedAccounts />
+
           {/* My saved designs panel */}
           <div className="bg-white rounded-lg shadow-sm border p-6 mt-6">
             <div className="flex items-center justify-between mb-4">
@@ -218,18 +226,19 @@ export default function Profile() {
                     {designs.slice(0,6).map(d => (
                       <div key={d._id} className="bg-gray-50 rounded p-3 border relative">
                         <div className="w-full h-40 bg-gray-100 rounded overflow-hidden relative mb-3">
-                          {d.imgSrc && (
+                          {getDesignPreview(d).imgSrc && (
                             (() => {
+                              const preview = getDesignPreview(d);
                               const thumbW = 260; const scale = 160/thumbW;
-                              const sx = SCREEN_RECT.left * scale; const sy = SCREEN_RECT.top * scale; const sw = SCREEN_RECT.width * scale; const sh = SCREEN_RECT.height * scale;
-                              const t = d.transform || { x:0,y:0,scale:1 };
-                              const style = { position:'absolute', left:`${sx + (sw/2)}px`, top:`${sy + (sh/2)}px`, transform:`translate(-50%,-50%) translate(${t.x*scale}px, ${t.y*scale}px) scale(${t.scale})`, width:`${thumbW*scale}px` };
+                              const screen = getScreenRect(preview.geometry, 160);
+                              const sx = screen.left; const sy = screen.top; const sw = screen.width; const sh = screen.height;
+                              const style = { position:'absolute', left:`${sx + (sw/2)}px`, top:`${sy + (sh/2)}px`, transform: buildDesignTransformCss(preview.transform, scale), width:`${thumbW*scale}px` };
                               return (
                                 <>
-                                  <div style={{position:'absolute', left:sx, top:sy, width:sw, height:sh, overflow:'hidden', background:'#fff'}}>
-                                    <img src={d.imgSrc} alt={d.name||'design'} style={style} />
+                                  <div style={{position:'absolute', left:sx, top:sy, width:sw, height:sh, borderRadius:screen.radius, overflow:'hidden', background:'#fff'}}>
+                                    <img src={preview.imgSrc} alt={d.name||'design'} style={style} />
                                   </div>
-                                  {d.frame && <img src={d.frame} alt="frame" className="absolute inset-0 w-full h-full object-cover" />}
+                                  {preview.frame && <img src={preview.frame} alt="frame" className="absolute inset-0 w-full h-full object-cover" />}
                                 </>
                               )
                             })()
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import { FiPackage, FiSearch } from 'react-icons/fi';
+import orderAPI from '../api/orderAPI';
+import { getGuestOrders, saveGuestOrder } from '../utils/guestOrders';
+
+export default function TrackOrder() {
+  const navigate = useNavigate();
+  const isAuthenticated = useSelector((state) => state.auth.isAuthenticated);
+  const [form, setForm] = useState({ orderNumber: '', phone: '' });
+  const [error, setError] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const recentOrders = getGuestOrders().sort((a, b) => b.savedAt - a.savedAt);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const orderNumber = form.orderNumber.trim().replace(/^#/, '');
+    const phone = form.phone.replace(/\D/g, '');
+    if (!orderNumber || phone.length < 7) {
+      setError('Enter your order number and the phone number used for the order');
+      return;
+    }
+
+    setSearching(true);
+    setError(null);
+    try {
+      const resp = await orderAPI.lookupGuestOrder({ orderNumber, phone });
+      const data = resp.data?.data || resp.data || resp;
+      const order = data.order || data;
+      saveGuestOrder({
+        orderId: order._id,
+        orderNumber: order.orderNumber || orderNumber,
+        email: order.guest?.email,
+        phone,
+        accessToken: data.accessToken,
+      });
+      navigate(`/order-success/${order._id}`);
+    } catch (err) {
+      const message = err.response?.status === 404
+        ? 'No order matches that order number and phone number'
+        : err.response?.data?.message || 'Could not look up the order';
+      setError(message);
+      toast.error(message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto p-6">
+      <div className="bg-white rounded-lg shadow-sm border p-6">
+        <h1 className="text-2xl font-semibold mb-1">Track your order</h1>
+        <p className="text-sm text-gray-600 mb-5">
+          Use the order number from your confirmation email and the phone number you checked out with.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="track-order-number" className="block text-sm">Order number</label>
+            <input
+              id="track-order-number"
+              value={form.orderNumber}
+              onChange={(e) => setForm((prev) => ({ ...prev, orderNumber: e.target.value }))}
+              className="mt-1 block w-full border border-gray-300 rounded px-3 py-2"
+              placeholder="e.g. ORD-3F9A21"
+            />
+          </div>
+          <div>
+            <label htmlFor="track-order-phone" className="block text-sm">Phone</label>
+            <input
+              id="track-order-phone"
+              value={form.phone}
+              onChange={(e) => setForm((prev) => ({ ...prev, phone: e.target.value }))}
+              inputMode="tel"
+              autoComplete="tel"
+              className="mt-1 block w-full border border-gray-300 rounded px-3 py-2"
+            />
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            type="submit"
+            disabled={searching}
+            className="w-full flex items-center justify-center gap-2 bg-primary-600 text-white py-2 px-4 rounded hover:bg-primary-700 disabled:opacity-50"
+          >
+            <FiSearch />
+            {searching ? 'Looking up…' : 'Find order'}
+          </button>
+        </form>
+
+        {recentOrders.length > 0 && (
+          <div className="mt-6 border-t pt-4">
+            <p className="text-sm font-medium text-gray-700 mb-2">Orders placed on this device</p>
+            <ul className="space-y-2">
+              {recentOrders.map((entry) => (
+                <li key={entry.orderId}>
+                  <Link to={`/order-success/${entry.orderId}`} className="flex items-center gap-2 text-sm text-primary-600 hover:underline">
+                    <FiPackage />
+                    {entry.orderNumber || entry.orderId}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <p className="mt-6 text-sm text-gray-600">
+          {isAuthenticated ? (
+            <Link to="/orders" className="text-primary-600 hover:underline">See all your orders</Link>
+          ) : (
+            <>Have an account? <Link to="/login?redirect=/orders" className="text-primary-600 hover:underline">Log in</Link> to see all your orders.</>
+          )}
+        </p>
+      </div>
+    </div>
+  );
+}
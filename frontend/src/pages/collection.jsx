@@ -8,7 +8,8 @@ import mobileAPI from '../api/mobileAPI';
 import { FALLBACK_MOBILE_COMPANIES } from '../data/fallbackMobileCompanies';
 import { FALLBACK_COLLECTION_MAP } from '../data/fallbackCollections';
 import { addToCart } from '../redux/slices/cartSlice';
-import { formatPrice, resolveImageUrl, SCREEN_RECT } from '../utils/helpers';
+import { formatPrice, resolveImageUrl, DEFAULT_DESIGN_TRANSFORM } from '../utils/helpers';
+import { resolveModelGeometry } from '../utils/modelGeometry';
 
 const emptyMeta = {
   title: '',
@@ -216,6 +217,10 @@ const CollectionPage = () => {
 
   // const builderReady = Boolean(selectedImage && selectedCompany && selectedModel);
 
+  // Screen area of the selected model's frame for the preview step, like DesignPreview
+  // (getScreenRect from utils/modelGeometry)
+  // const screenRect = useMemo(() => getScreenRect(resolveModelGeometry(selectedModel)), [selectedModel]);
+
   // const scrollToGallery = () => {
   //   galleryRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
   // };
@@ -273,7 +278,8 @@ const CollectionPage = () => {
       design: {
         imgSrc: selectedImageUrl,
         frame: selectedFrame,
-        transform: { x: 0, y: 0, scale: 1 },
+        transform: { ...DEFAULT_DESIGN_TRANSFORM },
+        geometry: resolveModelGeometry(selectedModel),
         meta: {
           collectionId: collection._id,
           collectionHandle: collection.handle,
@@ -645,10 +651,10 @@ const CollectionPage = () => {
                       <div
                         className="absolute rounded-[18px] overflow-hidden bg-white shadow-inner"
                         style={{
-                          left: `${SCREEN_RECT.left}px`,
-                          top: `${SCREEN_RECT.top}px`,
-                          width: `${SCREEN_RECT.width}px`,
-                          height: `${SCREEN_RECT.height}px`,
+                          left: `${screenRect.left}px`,
+                          top: `${screenRect.top}px`,
+                          width: `${screenRect.width}px`,
+                          height: `${screenRect.height}px`,
                         }}
                       >
                         {selectedImage ? (
@@ -0,0 +1,61 @@
+import { createListenerMiddleware, isAnyOf } from '@reduxjs/toolkit';
+import {
+  getUserProfile,
+  login,
+  loginWithOtp,
+  loginWithProvider,
+  register,
+  signupWithOtp,
+} from './slices/authSlice';
+import {
+  addToCart,
+  clearCart,
+  pullCart,
+  pushCart,
+  removeFromCart,
+  updateDesign,
+  updateQuantity,
+} from './slices/cartSlice';
+
+// Keeps a signed-in user's cart on the server: local changes are pushed (debounced), the
+// account cart is pulled with the profile, and a guest cart is merged in on login.
+
+const PUSH_DELAY = 800;
+
+export const cartSyncListener = createListenerMiddleware();
+
+cartSyncListener.startListening({
+  matcher: isAnyOf(addToCart, removeFromCart, updateQuantity, updateDesign, clearCart),
+  effect: async (action, listenerApi) => {
+    if (!listenerApi.getState().auth.isAuthenticated) return;
+    listenerApi.cancelActiveListeners();
+    await listenerApi.delay(PUSH_DELAY);
+    if (!listenerApi.getState().auth.isAuthenticated) return;
+    listenerApi.dispatch(pushCart());
+  },
+});
+
+cartSyncListener.startListening({
+  matcher: isAnyOf(
+    login.fulfilled,
+    register.fulfilled,
+    signupWithOtp.fulfilled,
+    loginWithProvider.fulfilled,
+    // a number without an account fulfils without a session
+    (action) => loginWithOtp.fulfilled.match(action) && !!action.payload.token
+  ),
+  effect: (action, listenerApi) => {
+    listenerApi.dispatch(pullCart({ merge: true }));
+  },
+});
+
+cartSyncListener.startListening({
+  actionCreator: getUserProfile.fulfilled,
+  effect: (action, listenerApi) => {
+    // A sign-in picked up from another tab is synced by that tab (see crossTabSync)
+    if (action.meta.arg?.fromOtherTab) return;
+    listenerApi.dispatch(pullCart());
+  },
+});
+
+export default cartSyncListener;
@@ -0,0 +1,103 @@
+import { createListenerMiddleware, isAnyOf } from '@reduxjs/toolkit';
+import { getUserProfile, logout, setToken } from './slices/authSlice';
+import {
+  addToCart,
+  applyCoupon,
+  clearCart,
+  loadCart,
+  pullCart,
+  pushCart,
+  removeCoupon,
+  removeFromCart,
+  updateDesign,
+  updateQuantity,
+} from './slices/cartSlice';
+import { addToWishlist, fetchWishlist, removeFromWishlist } from './slices/wishlistSlice';
+import { flushAssetWrites } from '../utils/cartAssets';
+import { createTabChannel } from '../utils/tabChannel';
+
+// Keeps cart, auth and wishlist state the same in every open tab.
+//  - cart: tabs re-read the cart from localStorage when another tab changed it
+//  - auth: the `token` key is watched, so logging in or out anywhere applies everywhere;
+//    an `app:unauthorized` in one tab runs the same flow (logout + login page) in the others
+//  - wishlist: server state, so other tabs refetch it after a change
+
+const channel = createTabChannel('copad-app');
+
+export const crossTabListener = createListenerMiddleware();
+
+crossTabListener.startListening({
+  matcher: isAnyOf(
+    addToCart,
+    removeFromCart,
+    updateQuantity,
+    updateDesign,
+    clearCart,
+    removeCoupon,
+    applyCoupon.fulfilled,
+    pushCart.fulfilled,
+    pullCart.fulfilled
+  ),
+  effect: async () => {
+    // Wait for new design images so the other tabs can show them straight away
+    await flushAssetWrites();
+    channel.post({ type: 'cart' });
+  },
+});
+
+crossTabListener.startListening({
+  matcher: isAnyOf(addToWishlist.fulfilled, removeFromWishlist.fulfilled),
+  effect: () => {
+    channel.post({ type: 'wishlist' });
+  },
+});
+
+/**
+ * Start applying other tabs' changes to this tab's store.
+ * @returns {Function} stop listening
+ */
+export const startCrossTabSync = (store) => {
+  const unsubscribe = channel.subscribe((message) => {
+    switch (message?.type) {
+      case 'cart':
+        store.dispatch(loadCart());
+        break;
+      case 'wishlist':
+        if (store.getState().auth.isAuthenticated) store.dispatch(fetchWishlist());
+        break;
+      case 'unauthorized':
+        window.dispatchEvent(new CustomEvent('app:unauthorized', { detail: { ...message.detail, fromOtherTab: true } }));
+        break;
+      default:
+        break;
+    }
+  });
+
+  const handleStorage = (event) => {
+    if (event.key !== 'token' && event.key !== null) return;
+    const token = localStorage.getItem('token');
+    if (token === store.getState().auth.token) return;
+    if (!token) {
+      store.dispatch(logout());
+      return;
+    }
+    // Signed in (possibly as someone else) in another tab. That tab syncs the cart and this
+    // one follows it through the 'cart' messages
+    store.dispatch(setToken(token));
+    store.dispatch(getUserProfile({ fromOtherTab: true }));
+  };
+
+  const handleUnauthorized = (event) => {
+    if (!event.detail?.fromOtherTab) channel.post({ type: 'unauthorized', detail: event.detail });
+  };
+
+  window.addEventListener('storage', handleStorage);
+  window.addEventListener('app:unauthorized', handleUnauthorized);
+  return () => {
+    unsubscribe();
+    window.removeEventListener('storage', handleStorage);
+    window.removeEventListener('app:unauthorized', handleUnauthorized);
+  };
+};
+
+export default crossTabListener;
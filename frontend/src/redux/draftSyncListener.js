@@ -0,0 +1,22 @@
+import { createListenerMiddleware } from '@reduxjs/toolkit';
+import { logout } from './slices/authSlice';
+import { forgetSyncedDrafts } from '../utils/designDrafts';
+
+// Design drafts live in IndexedDB per account; on logout the ones the server already holds are
+// dropped so the next person on this browser doesn't see them.
+
+export const draftSyncListener = createListenerMiddleware();
+
+draftSyncListener.startListening({
+  actionCreator: logout,
+  effect: async (action, listenerApi) => {
+    const ownerId = listenerApi.getOriginalState().auth.user?._id;
+    try {
+      await forgetSyncedDrafts(ownerId);
+    } catch (error) {
+      console.error('Failed to clear design drafts', error);
+    }
+  },
+});
+
+export default draftSyncListener;
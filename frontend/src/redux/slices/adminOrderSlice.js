@@ -26,6 +26,18 @@ export const updateOrderStatus = createAsyncThunk(
   }
 );
 
+export const recordCodRemittance = createAsyncThunk(
+  'adminOrders/recordCodRemittance',
+  async ({ id, remittance }, { rejectWithValue }) => {
+    try {
+      const response = await orderAPI.recordCodRemittance(id, remittance);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to record remittance');
+    }
+  }
+);
+
 export const deleteOrder = createAsyncThunk(
   'adminOrders/deleteOrder',
   async (id, { rejectWithValue }) => {
@@ -107,6 +119,16 @@ const adminOrderSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
       })
+      // Record COD Remittance
+      .addCase(recordCodRemittance.fulfilled, (state, action) => {
+        const index = state.orders.findIndex(o => o._id === action.payload.order._id);
+        if (index !== -1) {
+          state.orders[index] = action.payload.order;
+        }
+      })
+      .addCase(recordCodRemittance.rejected, (state, action) => {
+        state.error = action.payload;
+      })
       // Delete Order
       .addCase(deleteOrder.pending, (state) => {
         state.loading = true;
@@ -1,5 +1,10 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import authAPI from '../../api/authAPI';
+import { forgetGuestOrders, getPlacedGuestOrders } from '../../utils/guestOrders';
+import { clearTokens, getAccessToken, setTokens } from '../../utils/authTokens';
+
+// Guest orders placed in this browser, handed to a new account (utils/guestOrders)
+const guestOrderClaims = () => getPlacedGuestOrders().map(({ orderId, accessToken }) => ({ orderId, accessToken }));
 
 // Async thunks
 export const login = createAsyncThunk(
@@ -7,9 +12,9 @@ export const login = createAsyncThunk(
   async (credentials, { rejectWithValue }) => {
     try {
       const response = await authAPI.login(credentials);
-      // backend returns { success, message, data: { user, token } }
+      // backend returns { success, message, data: { user, token, refreshToken } }
       const payload = response.data?.data || response.data;
-      localStorage.setItem('token', payload.token);
+      setTokens(payload);
       return payload;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Login failed');
@@ -21,9 +26,12 @@ export const register = createAsyncThunk(
   'auth/register',
   async (userData, { rejectWithValue }) => {
     try {
-      const response = await authAPI.register(userData);
+      // Orders placed as a guest in this browser move to the new account
+      const guestOrders = guestOrderClaims();
+      const response = await authAPI.register(guestOrders.length ? { ...userData, guestOrders } : userData);
       const payload = response.data?.data || response.data;
-      localStorage.setItem('token', payload.token);
+      setTokens(payload);
+      forgetGuestOrders(guestOrders.map(({ orderId }) => orderId));
       return payload;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Registration failed');
@@ -31,6 +39,57 @@ export const register = createAsyncThunk(
   }
 );
 
+// Phone + OTP sign-in. Fulfils with { signupRequired: true } (and no session) for a number
+// without an account; the page then asks for a name and calls signupWithOtp
+export const loginWithOtp = createAsyncThunk(
+  'auth/loginWithOtp',
+  async ({ phone, verificationToken }, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.otpLogin({ phone, verificationToken });
+      const payload = response.data?.data || response.data;
+      if (payload.token) setTokens(payload);
+      return payload;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Could not sign in with this number');
+    }
+  }
+);
+
+export const signupWithOtp = createAsyncThunk(
+  'auth/signupWithOtp',
+  async (userData, { rejectWithValue }) => {
+    try {
+      // Orders placed as a guest in this browser move to the new account, as in register
+      const guestOrders = guestOrderClaims();
+      const response = await authAPI.otpSignup(guestOrders.length ? { ...userData, guestOrders } : userData);
+      const payload = response.data?.data || response.data;
+      setTokens(payload);
+      forgetGuestOrders(guestOrders.map(({ orderId }) => orderId));
+      return payload;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Could not create your account');
+    }
+  }
+);
+
+// Sign-in with an identity provider, from the callback utils/oauth returns
+export const loginWithProvider = createAsyncThunk(
+  'auth/loginWithProvider',
+  async ({ provider, ...callback }, { rejectWithValue }) => {
+    try {
+      // A new account made from the provider takes this browser's guest orders, as in register
+      const guestOrders = guestOrderClaims();
+      const response = await authAPI.oauthLogin(provider, guestOrders.length ? { ...callback, guestOrders } : callback);
+      const payload = response.data?.data || response.data;
+      setTokens(payload);
+      forgetGuestOrders(guestOrders.map(({ orderId }) => orderId));
+      return payload;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Sign-in failed');
+    }
+  }
+);
+
 export const getUserProfile = createAsyncThunk(
   'auth/getUserProfile',
   async (_, { rejectWithValue }) => {
@@ -58,7 +117,7 @@ export const updateProfile = createAsyncThunk(
 );
 
 // Initial state
-const storedToken = localStorage.getItem('token');
+const storedToken = getAccessToken();
 
 const initialState = {
   user: null,
@@ -73,7 +132,7 @@ const authSlice = createSlice({
   initialState,
   reducers: {
     logout: (state) => {
-      localStorage.removeItem('token');
+      clearTokens();
       state.user = null;
       state.token = null;
       state.isAuthenticated = false;
@@ -85,12 +144,8 @@ const authSlice = createSlice({
     setToken: (state, action) => {
       state.token = action.payload;
       state.isAuthenticated = !!action.payload;
-      try {
-        if (action.payload) localStorage.setItem('token', action.payload);
-        else localStorage.removeItem('token');
-      } catch (e) {
-        // ignore storage errors
-      }
+      if (action.payload) setTokens({ token: action.payload });
+      else clearTokens();
     },
   },
   extraReducers: (builder) => {
@@ -129,6 +184,27 @@ const authSlice = createSlice({
         state.error = action.payload;
         state.isAuthenticated = false;
       })
+      // OTP and provider sign-in: the forms show their own progress, so the global
+      // loading flag (which swaps Login/Signup for a loader) is left alone
+      .addCase(loginWithOtp.fulfilled, (state, action) => {
+        if (!action.payload.token) return;
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        state.isAuthenticated = true;
+        state.error = null;
+      })
+      .addCase(loginWithProvider.fulfilled, (state, action) => {
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        state.isAuthenticated = true;
+        state.error = null;
+      })
+      .addCase(signupWithOtp.fulfilled, (state, action) => {
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        state.isAuthenticated = true;
+        state.error = null;
+      })
       // Get User Profile
       .addCase(getUserProfile.pending, (state) => {
         state.loading = true;
@@ -144,7 +220,7 @@ const authSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
         if (action.payload === 'Invalid token' || action.payload === 'Token expired.') {
-          localStorage.removeItem('token');
+          clearTokens();
           state.token = null;
           state.isAuthenticated = false;
         }
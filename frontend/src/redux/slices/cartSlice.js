@@ -1,78 +1,137 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import cartAPI from '../../api/cartAPI';
+import couponAPI from '../../api/couponAPI';
+import { logout } from './authSlice';
+import { joinInlineAssets, safeParseDesign } from '../../utils/designDocument';
+import { flushAssetWrites, scheduleAssetRefSync, storeDesignAssets } from '../../utils/cartAssets';
+import { cartItemKey, fromServerCart, getCartTotal, mergeCartItems, toServerItems } from '../../utils/cartSync';
+import { addCoupon, normalizeCouponCode } from '../../utils/coupons';
+
+// Designs are always kept as current-schema design documents whose images live in the cart
+// asset store (utils/cartAssets); the cart itself only holds references to them
+const normalizeItemDesign = (item) => {
+  if (!item?.product?.design) return item;
+  const design = safeParseDesign(item.product.design);
+  return { ...item, product: { ...item.product, design: design ? storeDesignAssets(design) : undefined } };
+};
+
+// Carts saved before the asset store kept inline images in these localStorage keys
+const LEGACY_IMAGE_KEYS = ['cartAssets', 'cartImages'];
+
+const readLegacyImages = () => LEGACY_IMAGE_KEYS.map((key) => {
+  const value = localStorage.getItem(key);
+  return value ? JSON.parse(value) : {};
+});
 
 // Load cart from localStorage
 const loadCartFromStorage = () => {
   try {
     const cart = localStorage.getItem('cart');
-    const images = localStorage.getItem('cartImages');
-    const parsedCart = cart ? JSON.parse(cart) : { items: [], total: 0 };
-    const parsedImages = images ? JSON.parse(images) : {};
-
-    // Restore imgSrc to designs
-    parsedCart.items = parsedCart.items.map(item => {
-      if (item.product.design && !item.product.design.imgSrc && parsedImages[item.product._id]) {
-        item.product.design.imgSrc = parsedImages[item.product._id];
+    const parsedCart = { dirty: false, revision: 0, coupons: [], ...(cart ? JSON.parse(cart) : { items: [], total: 0 }) };
+    const [legacyAssets, legacyImages] = readLegacyImages();
+
+    parsedCart.items = parsedCart.items.map((item) => {
+      const id = item.product._id;
+      let { design } = item.product;
+      if (design && !design.schemaVersion && !design.imgSrc && legacyImages[id]) {
+        design = { ...design, imgSrc: legacyImages[id] };
       }
-      return item;
+      if (design?.schemaVersion && legacyAssets[id]) design = joinInlineAssets(design, legacyAssets[id]);
+      return normalizeItemDesign({ ...item, product: { ...item.product, design } });
     });
 
+    if (LEGACY_IMAGE_KEYS.some((key) => localStorage.getItem(key) !== null)) {
+      localStorage.setItem('cart', JSON.stringify(parsedCart));
+      flushAssetWrites().then(() => LEGACY_IMAGE_KEYS.forEach((key) => localStorage.removeItem(key)));
+    }
+    scheduleAssetRefSync(parsedCart.items);
+
     return parsedCart;
   } catch (error) {
-    return { items: [], total: 0 };
+    return { items: [], total: 0, dirty: false, revision: 0, coupons: [] };
   }
 };
 
-// Save cart to localStorage
-const saveCartToStorage = (cart) => {
+const writeCartToStorage = (cart) => {
   try {
-    // Create a copy of the cart without imgSrc in designs to reduce storage size
-    const cartCopy = {
-      ...cart,
-      items: cart.items.map(item => ({
-        ...item,
-        product: {
-          ...item.product,
-          design: item.product.design ? {
-            ...item.product.design,
-            imgSrc: undefined // Remove imgSrc to reduce size
-          } : item.product.design
-        }
-      }))
-    };
-
-    localStorage.setItem('cart', JSON.stringify(cartCopy));
-
-    // Try to store imgSrc separately, but handle quota exceeded gracefully
-    try {
-      const images = {};
-      cart.items.forEach(item => {
-        if (item.product.design && item.product.design.imgSrc) {
-          images[item.product._id] = item.product.design.imgSrc;
-        }
-      });
-      localStorage.setItem('cartImages', JSON.stringify(images));
-    } catch (imageError) {
-      // If storing images exceeds quota, clear any existing images and don't store new ones
-      console.warn('Cart images too large for localStorage, thumbnails will show placeholders');
-      try {
-        localStorage.removeItem('cartImages');
-      } catch (e) {
-        // Ignore cleanup errors
-      }
-    }
+    localStorage.setItem('cart', JSON.stringify(cart));
   } catch (error) {
     console.error('Failed to save cart to localStorage:', error);
   }
 };
 
+// Save cart to localStorage. Every local change is also marked for the next push to the
+// account cart (see redux/cartSyncListener); `dirty: false` is for carts that match it
+const saveCartToStorage = (cart, { dirty = true } = {}) => {
+  cart.dirty = dirty;
+  cart.revision = (cart.revision || 0) + 1;
+  writeCartToStorage(cart);
+  scheduleAssetRefSync(cart.items);
+};
+
 const initialState = loadCartFromStorage();
 
+const sameItems = (a, b) => a.length === b.length
+  && a.every((item, index) => cartItemKey(item) === cartItemKey(b[index]) && item.quantity === b[index].quantity);
+
+// Validate a coupon code against the current cart and apply it
+export const applyCoupon = createAsyncThunk(
+  'cart/applyCoupon',
+  async (code, { getState, rejectWithValue }) => {
+    const normalized = normalizeCouponCode(code);
+    if (!normalized) return rejectWithValue('Enter a coupon code');
+    try {
+      const response = await couponAPI.validate(normalized, getState().cart.items);
+      const coupon = response.data?.data?.coupon || response.data?.coupon;
+      if (!coupon) return rejectWithValue('Invalid coupon code');
+      return { ...coupon, code: normalizeCouponCode(coupon.code || normalized) };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Could not apply coupon');
+    }
+  }
+);
+
+// Send the local cart to the account; resolves with the revision that was sent
+export const pushCart = createAsyncThunk(
+  'cart/pushCart',
+  async (_, { getState, rejectWithValue }) => {
+    const { items, revision } = getState().cart;
+    try {
+      await cartAPI.replaceCart(await toServerItems(items));
+      return revision;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save cart');
+    }
+  }
+);
+
+/**
+ * Bring in the account cart. With `merge` (after login), or when local changes were never
+ * pushed, both carts are merged and the result is pushed back; otherwise the account wins.
+ */
+export const pullCart = createAsyncThunk(
+  'cart/pullCart',
+  async ({ merge = false } = {}, { getState, rejectWithValue }) => {
+    const { items, dirty, revision } = getState().cart;
+    try {
+      const serverItems = fromServerCart(await cartAPI.getCart());
+      if (!merge && !dirty) return { items: serverItems, revision };
+      const merged = mergeCartItems(items, serverItems);
+      if (!sameItems(merged, serverItems)) await cartAPI.replaceCart(await toServerItems(merged));
+      return { items: merged, revision };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load cart');
+    }
+  }
+);
+
 const cartSlice = createSlice({
   name: 'cart',
   initialState,
   reducers: {
     addToCart: (state, action) => {
-      const { product, variant, quantity = 1 } = action.payload;
+      const { variant, quantity = 1 } = action.payload;
+      const { product } = normalizeItemDesign(action.payload);
       
       const existingItem = state.items.find(
         item => item.product._id === product._id && item.variant._id === variant._id
@@ -146,7 +205,7 @@ const cartSlice = createSlice({
       const { productId, design } = action.payload;
       const item = state.items.find(i => i.product && i.product._id === productId);
       if (item) {
-        item.product = { ...item.product, design };
+        item.product = normalizeItemDesign({ product: { ...item.product, design } }).product;
 
         // Recalculate total (design doesn't affect price but we re-save)
         state.total = state.items.reduce(
@@ -158,30 +217,68 @@ const cartSlice = createSlice({
       }
     },
 
+    removeCoupon: (state, action) => {
+      state.coupons = (state.coupons || []).filter((coupon) => coupon.code !== action.payload);
+      saveCartToStorage(state);
+    },
+
     clearCart: (state) => {
       state.items = [];
       state.total = 0;
+      state.coupons = [];
       try {
-        localStorage.removeItem('cart');
-        localStorage.removeItem('cartImages');
+        LEGACY_IMAGE_KEYS.forEach((key) => localStorage.removeItem(key));
       } catch (error) {
         console.error('Failed to clear cart from localStorage:', error);
       }
+      saveCartToStorage(state);
     },
 
     loadCart: (state) => {
       const savedCart = loadCartFromStorage();
       state.items = savedCart.items;
       state.total = savedCart.total;
+      state.dirty = savedCart.dirty;
+      state.revision = savedCart.revision;
+      state.coupons = savedCart.coupons;
     },
   },
+  extraReducers: (builder) => {
+    builder
+      .addCase(applyCoupon.fulfilled, (state, action) => {
+        state.coupons = addCoupon(state.coupons || [], action.payload);
+        saveCartToStorage(state);
+      })
+      .addCase(pushCart.fulfilled, (state, action) => {
+        // Changes made while the request was in flight still need a push
+        if (state.revision !== action.payload) return;
+        state.dirty = false;
+        writeCartToStorage(state);
+      })
+      .addCase(pullCart.fulfilled, (state, action) => {
+        const pulled = action.payload.items.map(normalizeItemDesign);
+        const editedMeanwhile = state.revision !== action.payload.revision;
+        state.items = editedMeanwhile ? mergeCartItems(state.items, pulled) : pulled;
+        state.total = getCartTotal(state.items);
+        saveCartToStorage(state, { dirty: editedMeanwhile });
+      })
+      .addCase(logout, (state) => {
+        // The cart stays with the account; whoever signs in next on this device must not
+        // get it merged into theirs
+        state.items = [];
+        state.total = 0;
+        state.coupons = [];
+        saveCartToStorage(state, { dirty: false });
+      });
+  },
 });
 
-export const { addToCart, removeFromCart, updateQuantity, updateDesign, clearCart, loadCart } = cartSlice.actions;
+export const { addToCart, removeFromCart, updateQuantity, updateDesign, removeCoupon, clearCart, loadCart } = cartSlice.actions;
 
 // Selectors
 export const selectCartItems = (state) => state.cart.items;
 export const selectCartTotal = (state) => state.cart.total;
+export const selectAppliedCoupons = (state) => state.cart.coupons || [];
 export const selectCartItemCount = (state) => 
   state.cart.items.reduce((count, item) => count + item.quantity, 0);
 
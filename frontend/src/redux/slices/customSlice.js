@@ -9,7 +9,7 @@ export const createCustomOrder = createAsyncThunk(
       const response = await customAPI.createOrder(orderData);
       return response.data;
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to create custom order');
+      return rejectWithValue(error.response?.data?.message || (error.errors ? error.message : 'Failed to create custom order'));
     }
   }
 );
@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import wishlistAPI from '../../api/wishlistAPI';
+import { logout } from './authSlice';
 
 export const fetchWishlist = createAsyncThunk(
   'wishlist/fetchWishlist',
@@ -68,7 +69,10 @@ const wishlistSlice = createSlice({
       .addCase(removeFromWishlist.fulfilled, (state, action) => {
         state.items = state.items.filter(p => p._id !== action.payload);
       })
-      .addCase(removeFromWishlist.rejected, (state, action) => { state.error = action.payload; });
+      .addCase(removeFromWishlist.rejected, (state, action) => { state.error = action.payload; })
+
+      // Another account may sign in next (possibly from another tab)
+      .addCase(logout, () => initialState);
   }
 });
 
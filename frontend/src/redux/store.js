@@ -8,6 +8,9 @@ import adminCustomOrderSlice from './slices/adminCustomOrderSlice';
 import adminUserSlice from './slices/adminUserSlice';
 import adminDashboardSlice from './slices/adminDashboardSlice';
 import wishlistSlice from './slices/wishlistSlice';
+import cartSyncListener from './cartSyncListener';
+import draftSyncListener from './draftSyncListener';
+import { crossTabListener, startCrossTabSync } from './crossTabSync';
 
 export const store = configureStore({
   reducer: {
@@ -21,6 +24,10 @@ export const store = configureStore({
     adminDashboard: adminDashboardSlice,
     wishlist: wishlistSlice,
   },
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware()
+    .prepend(cartSyncListener.middleware, draftSyncListener.middleware, crossTabListener.middleware),
 });
 
+startCrossTabSync(store);
+
 export default store;
@@ -0,0 +1,85 @@
+import { isValidPinCode, normalizePinCode } from './shipping';
+
+// One address shape for the address book, checkout and custom orders:
+// { _id, name, phone, address1, address2, city, state, postalCode, country, isDefault }.
+// Profile addresses and custom orders were stored as street/zipCode, and older records may
+// use line1/pincode; normalizeAddress reads any of those and serializeAddress writes both
+// spellings so either kind of record on the server keeps working.
+
+export const EMPTY_ADDRESS = {
+  name: '',
+  phone: '',
+  address1: '',
+  address2: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: 'India',
+};
+
+const text = (value) => (value == null ? '' : String(value).trim());
+
+export const normalizeAddress = (raw = {}) => ({
+  ...(raw._id || raw.id ? { _id: String(raw._id || raw.id) } : {}),
+  name: text(raw.name || raw.fullName),
+  phone: text(raw.phone).replace(/\D/g, ''),
+  address1: text(raw.address1 || raw.street || raw.line1),
+  address2: text(raw.address2 || raw.line2),
+  city: text(raw.city),
+  state: text(raw.state),
+  postalCode: normalizePinCode(raw.postalCode || raw.zipCode || raw.pincode || raw.pinCode),
+  country: text(raw.country) || 'India',
+  isDefault: !!raw.isDefault,
+});
+
+// The editable fields, without the book's _id and isDefault
+export const getAddressFields = (address) => {
+  const { _id, isDefault: _isDefault, ...fields } = normalizeAddress(address);
+  return fields;
+};
+
+/**
+ * Address for an API payload (orders, custom orders, the address book)
+ */
+export const serializeAddress = (address) => {
+  const fields = getAddressFields(address);
+  return { ...fields, street: fields.address1, zipCode: fields.postalCode };
+};
+
+export const isAddressChanged = (saved, current) => (
+  JSON.stringify(getAddressFields(saved)) !== JSON.stringify(getAddressFields(current))
+);
+
+const isIndia = (country) => !text(country) || text(country).toLowerCase() === 'india';
+
+/**
+ * Field errors keyed like the address fields; empty when the address is complete
+ */
+export const validateAddress = (address) => {
+  const errors = {};
+  if (!text(address.name)) errors.name = 'Name is required';
+  if (!/^[0-9]{7,15}$/.test(text(address.phone))) errors.phone = 'Phone must be 7-15 digits';
+  if (!text(address.address1)) errors.address1 = 'Address is required';
+  if (!text(address.city)) errors.city = 'City is required';
+  if (text(address.state).length < 2) errors.state = 'State is required';
+  if (!text(address.postalCode)) errors.postalCode = 'Postal code is required';
+  else if (isIndia(address.country) && !isValidPinCode(address.postalCode)) errors.postalCode = 'Enter a valid 6-digit PIN code';
+  if (!text(address.country)) errors.country = 'Country is required';
+  return errors;
+};
+
+export const formatAddress = (address) => {
+  const { address1, address2, city, state, postalCode } = normalizeAddress(address);
+  return [address1, address2, city, [state, postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+};
+
+// Same place and recipient, ignoring case and spacing; used to avoid saving duplicates
+export const isSameAddress = (a, b) => {
+  const key = (address) => {
+    const { phone, address1, address2, postalCode } = normalizeAddress(address);
+    return [phone, address1, address2, postalCode].join('|').toLowerCase().replace(/\s+/g, ' ');
+  };
+  return key(a) === key(b);
+};
+
+export const getDefaultAddress = (addresses = []) => addresses.find((address) => address.isDefault) || addresses[0] || null;
@@ -0,0 +1,42 @@
+// Session tokens. The access token is a short-lived JWT sent as the Bearer header; the
+// refresh token is exchanged at POST /auth/refresh for a new pair and is single use (the
+// server rotates it). The access token stays under the `token` key that other tabs watch
+// (redux/crossTabSync), so a refresh or logout in one tab reaches the others.
+
+const ACCESS_TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+const read = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    if (value) localStorage.setItem(key, value);
+    else localStorage.removeItem(key);
+  } catch (error) {
+    // storage unavailable; the session lasts until the access token expires
+  }
+};
+
+export const getAccessToken = () => read(ACCESS_TOKEN_KEY);
+
+export const getRefreshToken = () => read(REFRESH_TOKEN_KEY);
+
+/**
+ * @param {Object} tokens - { token, refreshToken } as returned by login, register and refresh
+ */
+export const setTokens = ({ token, refreshToken }) => {
+  // Refresh token first: a tab that sees the new access token may refresh straight away
+  if (refreshToken !== undefined) write(REFRESH_TOKEN_KEY, refreshToken);
+  write(ACCESS_TOKEN_KEY, token);
+};
+
+export const clearTokens = () => {
+  write(REFRESH_TOKEN_KEY, null);
+  write(ACCESS_TOKEN_KEY, null);
+};
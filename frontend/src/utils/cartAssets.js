@@ -0,0 +1,175 @@
+import { createIdbStore } from './idbStore';
+import { dataUrlToBlob } from './printExport';
+
+// Images of designs in the cart live in IndexedDB, keyed by a hash of their content, so the
+// Redux cart (and its localStorage copy) only carries references: a design asset becomes
+// `{ url: null, hash, role }` and the url is filled in again when the image is needed.
+// Each record counts how many cart items use it; unreferenced records are deleted once they
+// have been unused for GC_GRACE_MS, which leaves time for other tabs sharing the cart.
+
+export const GC_GRACE_MS = 60 * 60 * 1000;
+const REF_SYNC_DELAY = 500;
+
+const assets = createIdbStore('copad-cart-assets', 'assets', { keyPath: 'hash' });
+
+// hash -> url usable in <img> (the original data URL until stored, then an object URL)
+const urlCache = new Map();
+const pendingWrites = new Map();
+let refSyncTimer = null;
+let latestCounts = new Map();
+
+// FNV-1a and a second multiplicative hash over the string, plus its length. Synchronous so
+// reducers can swap data URLs for references immediately; it only has to tell images apart.
+export const contentHash = (text) => {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x5bd1e995;
+  for (let i = 0; i < text.length; i += 1) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x5bd1e995) ^ (h2 >>> 15);
+  }
+  const hex = (value) => (value >>> 0).toString(16).padStart(8, '0');
+  return `${text.length.toString(36)}-${hex(h1)}${hex(h2)}`;
+};
+
+const isInline = (url) => typeof url === 'string' && url.startsWith('data:');
+
+const persistAsset = (hash, dataUrl) => {
+  if (pendingWrites.has(hash)) return pendingWrites.get(hash);
+  const write = (async () => {
+    const existing = await assets.get(hash);
+    if (existing) {
+      await assets.put({ ...existing, lastUsedAt: Date.now() });
+      return;
+    }
+    const blob = await dataUrlToBlob(dataUrl);
+    if (!blob) throw new Error('Could not read design image');
+    const now = Date.now();
+    await assets.put({ hash, blob, type: blob.type, size: blob.size, refs: 0, createdAt: now, lastUsedAt: now });
+  })()
+    .catch((error) => console.warn('Failed to store cart image:', error))
+    .finally(() => pendingWrites.delete(hash));
+  pendingWrites.set(hash, write);
+  return write;
+};
+
+/**
+ * Resolves once every image handed to storeDesignAssets has been written.
+ */
+export const flushAssetWrites = () => Promise.all(Array.from(pendingWrites.values()));
+
+/**
+ * Move a design's inline (data:) images into the asset store.
+ * @returns the design with those assets replaced by `{ url: null, hash }` references
+ */
+export const storeDesignAssets = (design) => {
+  if (!design?.assets) return design;
+  let changed = false;
+  const next = {};
+  Object.entries(design.assets).forEach(([id, asset]) => {
+    if (!isInline(asset?.url)) {
+      next[id] = asset;
+      return;
+    }
+    const hash = contentHash(asset.url);
+    if (!urlCache.has(hash)) urlCache.set(hash, asset.url);
+    persistAsset(hash, asset.url);
+    next[id] = { ...asset, url: null, hash };
+    changed = true;
+  });
+  return changed ? { ...design, assets: next } : design;
+};
+
+export const getDesignAssetHashes = (design) => Object.values(design?.assets || {})
+  .map((asset) => asset?.hash)
+  .filter(Boolean);
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Url for a stored asset, or null when it is gone (e.g. site data was cleared).
+ * @param {boolean} inline - return a data URL, for payloads sent to the server
+ */
+export const loadAssetUrl = async (hash, { inline = false } = {}) => {
+  const cached = urlCache.get(hash);
+  if (cached && (!inline || isInline(cached))) return cached;
+  await pendingWrites.get(hash);
+  const record = await assets.get(hash);
+  if (!record?.blob) return null;
+  if (inline) return readAsDataUrl(record.blob);
+  const url = URL.createObjectURL(record.blob);
+  urlCache.set(hash, url);
+  return url;
+};
+
+/**
+ * Fill in the urls of a design's stored assets.
+ * @param {Object} options - { inline: data URLs instead of object URLs, required: throw when an
+ *  image is missing instead of leaving its url null }
+ */
+export const hydrateDesign = async (design, { inline = false, required = false } = {}) => {
+  if (!design?.assets) return design;
+  const entries = await Promise.all(Object.entries(design.assets).map(async ([id, asset]) => {
+    if (!asset?.hash || (asset.url && !inline)) return [id, asset];
+    const url = await loadAssetUrl(asset.hash, { inline });
+    if (!url && required) throw new Error('A design image in your cart is no longer available. Please add the design again.');
+    return [id, { ...asset, url }];
+  }));
+  return { ...design, assets: Object.fromEntries(entries) };
+};
+
+/**
+ * Url for an asset that is already in memory, without touching IndexedDB.
+ */
+export const getCachedAssetUrl = (hash) => urlCache.get(hash) || null;
+
+// hash -> number of cart items using it
+const countAssetRefs = (items) => {
+  const counts = new Map();
+  items.forEach((item) => {
+    getDesignAssetHashes(item.product?.design).forEach((hash) => {
+      counts.set(hash, (counts.get(hash) || 0) + 1);
+    });
+  });
+  return counts;
+};
+
+/**
+ * Recount references from the cart's items and drop images no item has used for a while.
+ */
+export const syncAssetRefs = (items) => applyAssetRefs(countAssetRefs(items));
+
+const applyAssetRefs = async (counts) => {
+  await flushAssetWrites();
+  const now = Date.now();
+  const records = await assets.getAll();
+  await Promise.all(records.map((record) => {
+    const refs = counts.get(record.hash) || 0;
+    if (refs > 0) {
+      return record.refs === refs ? null : assets.put({ ...record, refs, lastUsedAt: now });
+    }
+    if (record.refs > 0) return assets.put({ ...record, refs: 0, lastUsedAt: now });
+    if (now - record.lastUsedAt < GC_GRACE_MS) return null;
+    const url = urlCache.get(record.hash);
+    if (url && !isInline(url)) URL.revokeObjectURL(url);
+    urlCache.delete(record.hash);
+    return assets.delete(record.hash);
+  }));
+};
+
+/**
+ * Debounced syncAssetRefs for the cart's save path. References are counted right away, so
+ * reducers may pass their draft state.
+ */
+export const scheduleAssetRefSync = (items) => {
+  latestCounts = countAssetRefs(items);
+  clearTimeout(refSyncTimer);
+  refSyncTimer = setTimeout(() => {
+    applyAssetRefs(latestCounts).catch((error) => console.warn('Cart image cleanup failed:', error));
+  }, REF_SYNC_DELAY);
+};
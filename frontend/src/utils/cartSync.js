@@ -0,0 +1,63 @@
+import { hydrateDesign } from './cartAssets';
+
+// Helpers for keeping the local cart and the account cart (api/cartAPI) in step.
+
+export const cartItemKey = (item) => `${item.product?._id}::${item.variant?._id}`;
+
+const clampQuantity = (item, quantity) => {
+  const stock = Number(item.variant?.stock);
+  return Number.isFinite(stock) && stock > 0 ? Math.min(quantity, stock) : quantity;
+};
+
+/**
+ * Merge two carts. Items only in one cart are kept. When both hold the same product/variant
+ * pair the larger quantity wins (capped at stock) rather than the sum, because the guest cart
+ * is often the account cart from the previous session on this device; the `preferred` side
+ * supplies the product data, which decides the design of a custom item.
+ * @param {Array} preferred - e.g. the cart that was just edited
+ * @param {Array} other
+ */
+export const mergeCartItems = (preferred, other) => {
+  const merged = new Map();
+  other.forEach((item) => merged.set(cartItemKey(item), item));
+  preferred.forEach((item) => {
+    const key = cartItemKey(item);
+    const existing = merged.get(key);
+    const quantity = existing ? Math.max(existing.quantity, item.quantity) : item.quantity;
+    merged.set(key, { ...item, quantity: clampQuantity(item, quantity) });
+  });
+  return Array.from(merged.values());
+};
+
+export const getCartTotal = (items) => items.reduce(
+  (sum, item) => sum + (item.variant.price * item.quantity),
+  0
+);
+
+/**
+ * Items in the shape the cart endpoint stores. Design images are sent inline so the cart
+ * can be rebuilt on another device, whose asset store does not have them.
+ */
+export const toServerItems = (items) => Promise.all(items.map(async (item) => ({
+  productId: item.product._id,
+  variantId: item.variant._id,
+  quantity: item.quantity,
+  product: item.product.design
+    ? { ...item.product, design: await hydrateDesign(item.product.design, { inline: true }) }
+    : item.product,
+  variant: item.variant,
+})));
+
+/**
+ * Cart items from a GET /cart response; entries without product data are dropped.
+ */
+export const fromServerCart = (response) => {
+  const cart = response?.data?.data?.cart || response?.data?.cart || response?.data || {};
+  return (cart.items || [])
+    .filter((item) => item.product?._id && item.variant?._id)
+    .map((item) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: Math.max(1, Number(item.quantity) || 1),
+    }));
+};
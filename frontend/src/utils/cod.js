@@ -0,0 +1,56 @@
+import { formatPrice } from './helpers';
+
+// Cash on delivery. Nothing is paid up front, so COD is limited: the courier must collect at
+// the PIN code (the shipping quote's codAvailable), the order value must sit within
+// COD_LIMITS, and the customer confirms their mobile number with an OTP (utils/otp) before
+// the order is created. A flat fee covers the courier's collection charge.
+//
+// The payment on a COD order stays pending until delivery. The courier then owes the cash
+// to us until they remit it, which the admin records against the order.
+
+export const COD_FEE = Number(import.meta.env.VITE_COD_FEE ?? 40);
+
+export const COD_LIMITS = {
+  min: 199,
+  max: Number(import.meta.env.VITE_COD_MAX_ORDER || 5000),
+};
+
+export const COD_OTP_PURPOSE = 'cod';
+
+/**
+ * Whether an order can be paid on delivery.
+ * @param {Object} options - { quote, orderValue } where quote is the shipping quote for the
+ *  delivery PIN code and orderValue the goods total after discounts
+ * @returns {{ eligible: boolean, reason: string | null }}
+ */
+export const getCodEligibility = ({ quote, orderValue }) => {
+  if (!quote) return { eligible: false, reason: 'Enter your PIN code to check cash on delivery' };
+  if (!quote.codAvailable) return { eligible: false, reason: 'Cash on delivery is not available for this PIN code' };
+  if (orderValue < COD_LIMITS.min) {
+    return { eligible: false, reason: `Cash on delivery is available on orders of ${formatPrice(COD_LIMITS.min)} or more` };
+  }
+  if (orderValue > COD_LIMITS.max) {
+    return { eligible: false, reason: `Cash on delivery is available on orders up to ${formatPrice(COD_LIMITS.max)}` };
+  }
+  return { eligible: true, reason: null };
+};
+
+export const isCodOrder = (order) => (order?.paymentMethod || order?.payment?.method) === 'cod';
+
+export const COD_STATUS_LABELS = {
+  awaiting_delivery: 'COD · pending until delivery',
+  collected: 'COD · awaiting remittance',
+  remitted: 'COD · remitted',
+  void: 'COD · not collected',
+};
+
+/**
+ * Where the cash for a COD order is: with the customer until delivery, with the courier
+ * until remitted, then with us. Cancelled orders are never collected.
+ */
+export const getCodStatus = (order) => {
+  if (order.cod?.remittedAt) return 'remitted';
+  if (order.status === 'cancelled') return 'void';
+  if (order.status === 'delivered') return 'collected';
+  return 'awaiting_delivery';
+};
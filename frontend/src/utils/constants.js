@@ -39,6 +39,10 @@ export const API_ENDPOINTS = {
     PRODUCT_IMAGE: (productId, variantId) => `/uploads/product/${productId}/variant/${variantId}`,
     MOCKUP: (productId) => `/uploads/mockup/${productId}`,
     DELETE: (publicId) => `/uploads/${publicId}`,
+    CHUNKED_SESSIONS: '/uploads/chunked',
+    CHUNKED_SESSION: (uploadId) => `/uploads/chunked/${uploadId}`,
+    CHUNKED_CHUNK: (uploadId, index) => `/uploads/chunked/${uploadId}/chunks/${index}`,
+    CHUNKED_COMPLETE: (uploadId) => `/uploads/chunked/${uploadId}/complete`,
   },
   ADMIN: {
     ORDERS: '/admin/orders',
@@ -99,9 +103,13 @@ export const USER_ROLES = {
 
 // File upload limits
 export const UPLOAD_LIMITS = {
-  MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
+  MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB, after client-side processing
+  MAX_SOURCE_FILE_SIZE: 25 * 1024 * 1024, // 25MB, raw phone photos before processing
   MAX_FILES: 10,
   ALLOWED_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
+  MAX_DIMENSION: 3600, // px on the long edge, enough for a cover at 600 DPI
+  OUTPUT_QUALITY: 0.9,
+  MIN_OUTPUT_QUALITY: 0.6,
 };
 
 // Pagination defaults
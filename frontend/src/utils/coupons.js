@@ -0,0 +1,124 @@
+// Coupon engine. Coupons come from the server (POST /coupons/validate) as rules:
+//
+// {
+//   code, description,
+//   type: 'percent' | 'flat' | 'free_shipping',
+//   value,            // percent (0-100) or rupees; unused for free_shipping
+//   maxDiscount?,     // cap for percent coupons
+//   minOrder?,        // cart subtotal required
+//   brands?,          // only items of these brands are discounted (per-brand coupon)
+//   firstOrderOnly?,  // only on the customer's first order
+//   exclusive?,       // cannot be combined with other coupons
+// }
+//
+// Several coupons may be applied together. They are evaluated in a fixed order so the result
+// doesn't depend on the order codes were typed in:
+//   1. brand-scoped before cart-wide coupons
+//   2. within a scope, percent before flat
+//   3. free shipping last
+// Each discount is taken from what is left after the previous ones, so the total can never
+// exceed the subtotal. An exclusive coupon replaces every other coupon.
+// The server re-validates the codes when the order is created; this is for display and the
+// order payload.
+
+export const COUPON_TYPES = ['percent', 'flat', 'free_shipping'];
+
+const TYPE_ORDER = { percent: 0, flat: 1, free_shipping: 2 };
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const getItemBrand = (item) => String(
+  item.product?.brand || item.product?.design?.meta?.company || ''
+).trim().toLowerCase();
+
+const isBrandScoped = (coupon) => Array.isArray(coupon.brands) && coupon.brands.length > 0;
+
+const comparePrecedence = (a, b) => {
+  const scope = Number(isBrandScoped(b)) - Number(isBrandScoped(a));
+  return scope || TYPE_ORDER[a.type] - TYPE_ORDER[b.type];
+};
+
+/**
+ * Coupons after adding `coupon` to those already applied (exclusive coupons replace the rest).
+ */
+export const addCoupon = (applied, coupon) => {
+  const others = applied.filter((item) => item.code !== coupon.code);
+  if (coupon.exclusive) return [coupon];
+  return [...others.filter((item) => !item.exclusive), coupon];
+};
+
+/**
+ * Why a coupon doesn't apply to this cart, or null when it does.
+ * @param {Object} context - { subtotal, items, isFirstOrder } (isFirstOrder undefined = unknown)
+ */
+export const getCouponIneligibility = (coupon, { subtotal, items, isFirstOrder }) => {
+  if (!COUPON_TYPES.includes(coupon.type)) return 'This coupon is not supported';
+  if (coupon.minOrder && subtotal < coupon.minOrder) return `Add items worth ₹${coupon.minOrder} or more to use ${coupon.code}`;
+  if (coupon.firstOrderOnly && isFirstOrder === false) return `${coupon.code} is only valid on your first order`;
+  if (isBrandScoped(coupon)) {
+    const brands = coupon.brands.map((brand) => String(brand).toLowerCase());
+    if (!items.some((item) => brands.includes(getItemBrand(item)))) {
+      return `${coupon.code} applies to ${coupon.brands.join(', ')} products only`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out the discount lines for a cart.
+ * @param {Object} options
+ *  - items: cart items
+ *  - coupons: applied coupons
+ *  - shippingFee: shipping before discounts
+ *  - isFirstOrder: optional, see getCouponIneligibility
+ * @returns {{ lines, discount, shippingDiscount, rejected }}
+ *  lines: [{ code, label, type, amount }]; rejected: [{ code, reason }]
+ */
+export const evaluateCoupons = ({ items, coupons = [], shippingFee = 0, isFirstOrder }) => {
+  const subtotal = items.reduce((sum, item) => sum + item.variant.price * item.quantity, 0);
+  const exclusive = coupons.find((coupon) => coupon.exclusive);
+  const active = exclusive ? [exclusive] : coupons;
+  // What is left to discount, per cart line
+  const remaining = items.map((item) => item.variant.price * item.quantity);
+  const lines = [];
+  const rejected = [];
+  let shippingDiscount = 0;
+
+  [...active].sort(comparePrecedence).forEach((coupon) => {
+    const reason = getCouponIneligibility(coupon, { subtotal, items, isFirstOrder });
+    if (reason) {
+      rejected.push({ code: coupon.code, reason });
+      return;
+    }
+    const label = coupon.description || coupon.code;
+
+    if (coupon.type === 'free_shipping') {
+      shippingDiscount = shippingFee;
+      lines.push({ code: coupon.code, label, type: coupon.type, amount: roundMoney(shippingFee) });
+      return;
+    }
+
+    const brands = isBrandScoped(coupon) ? coupon.brands.map((brand) => String(brand).toLowerCase()) : null;
+    const eligible = items.map((item, index) => (!brands || brands.includes(getItemBrand(item)) ? index : -1))
+      .filter((index) => index >= 0);
+    const base = eligible.reduce((sum, index) => sum + remaining[index], 0);
+    if (base <= 0) return;
+
+    let amount = coupon.type === 'percent' ? (base * Number(coupon.value || 0)) / 100 : Number(coupon.value || 0);
+    if (coupon.type === 'percent' && coupon.maxDiscount) amount = Math.min(amount, coupon.maxDiscount);
+    amount = roundMoney(Math.min(amount, base));
+    if (amount <= 0) return;
+
+    // Spread the discount over the eligible lines in proportion to what is left on each
+    eligible.forEach((index) => {
+      remaining[index] -= (amount * remaining[index]) / base;
+    });
+    lines.push({ code: coupon.code, label, type: coupon.type, amount });
+  });
+
+  const discount = roundMoney(lines.filter((line) => line.type !== 'free_shipping')
+    .reduce((sum, line) => sum + line.amount, 0));
+  return { lines, discount, shippingDiscount: roundMoney(shippingDiscount), rejected };
+};
@@ -0,0 +1,254 @@
+import { DEFAULT_DESIGN_TRANSFORM, normalizeDesignTransform } from './helpers';
+import { FRAME_SPACE, resolveModelGeometry } from './modelGeometry';
+
+// Versioned design document shared by the editors, the cart and orders.
+//
+// {
+//   schemaVersion: 2,
+//   model:    { id, name, company, geometry },
+//   material: { id, label } | null,
+//   frame:    frame overlay url | null,
+//   canvas:   { width, height } coordinate space of 'fabric' layers (frame space by default),
+//   layers:   [{ id, type: 'image', asset, transform: { x, y, scale, rotation }, photo? }
+//              | { id, type: 'fabric', name, locked, asset?, object }],
+//   assets:   { [assetId]: { url, role } } images referenced by layers / preview,
+//   preview:  assetId of a rendered mockup | null,
+//   meta:     free-form display data (company, model, type, collection ids…)
+// }
+//
+// Image layer transforms are in frame space (see utils/modelGeometry). Version 1 is the legacy
+// ad-hoc `{ imgSrc, frame, transform, geometry, meta }` object; migrateDesign upgrades it.
+
+export const DESIGN_SCHEMA_VERSION = 2;
+export const LAYER_TYPES = ['image', 'fabric'];
+export const SOURCE_ASSET_ID = 'source';
+export const PREVIEW_ASSET_ID = 'preview';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const inferVersion = (design) => (Number.isInteger(design?.schemaVersion) ? design.schemaVersion : 1);
+
+/**
+ * Build a single-photo design, the shape most of the shop produces.
+ * @param {Object} fields
+ *  - imageUrl, transform, photo: the photo layer (photo = edit params from utils/photoEffects)
+ *  - model: { id, name, company, geometry } or a catalog model (geometry resolved from it)
+ *  - material: { id, label }, frame, previewUrl, meta
+ */
+export const createImageDesign = ({
+  imageUrl,
+  transform,
+  photo,
+  model = {},
+  material = null,
+  frame = null,
+  previewUrl = null,
+  meta = {},
+}) => {
+  const assets = {};
+  const layers = [];
+  if (imageUrl) {
+    assets[SOURCE_ASSET_ID] = { url: imageUrl, role: 'source' };
+    layers.push({
+      id: 'photo',
+      type: 'image',
+      asset: SOURCE_ASSET_ID,
+      transform: normalizeDesignTransform(transform || DEFAULT_DESIGN_TRANSFORM),
+      ...(photo ? { photo } : {}),
+    });
+  }
+  if (previewUrl) assets[PREVIEW_ASSET_ID] = { url: previewUrl, role: 'preview' };
+  return {
+    schemaVersion: DESIGN_SCHEMA_VERSION,
+    model: {
+      id: model.id || model._id || null,
+      name: model.name || meta.model || '',
+      company: model.company?.name || model.company || meta.company || '',
+      geometry: resolveModelGeometry(model.geometry || model),
+    },
+    material: material ? { id: material.id || null, label: material.label || material.name || String(material) } : null,
+    frame,
+    canvas: { ...FRAME_SPACE },
+    layers,
+    assets,
+    preview: previewUrl ? PREVIEW_ASSET_ID : null,
+    meta,
+  };
+};
+
+/**
+ * Build a design from the fabric editor's serialized layers. Image sources are moved into
+ * `assets` so the layer list stays small and the same picture is stored once.
+ * @param {Object} fields
+ *  - objects: fabric objects from serializeLayers (layerId, layerName, locked included)
+ *  - canvas: { width, height } editor size the objects are positioned in
+ *  - model, material, frame, previewUrl, meta: as for createImageDesign
+ */
+export const createFabricDesign = ({ objects = [], canvas, ...fields }) => {
+  const design = createImageDesign(fields);
+  const urlToAsset = new Map();
+  design.canvas = { width: canvas.width, height: canvas.height };
+  design.layers = objects.map((object, index) => {
+    const id = object.layerId || `layer_${index + 1}`;
+    const layer = { id, type: 'fabric', name: object.layerName || id, locked: !!object.locked };
+    if (object.type === 'image' && object.src) {
+      if (!urlToAsset.has(object.src)) {
+        const assetId = `asset_${urlToAsset.size + 1}`;
+        urlToAsset.set(object.src, assetId);
+        design.assets[assetId] = { url: object.src, role: 'layer' };
+      }
+      layer.asset = urlToAsset.get(object.src);
+      layer.object = { ...object, src: null };
+    } else {
+      layer.object = object;
+    }
+    return layer;
+  });
+  return design;
+};
+
+// Made in the layer editor (FrameCustomizer) rather than the single-photo customizer
+export const isFabricDesign = (design) => (design?.layers || []).some((layer) => layer.type === 'fabric');
+
+/**
+ * Fabric objects for loadLayers, with image sources put back from `assets`.
+ */
+export const getFabricObjects = (design) => (design?.layers || [])
+  .filter((layer) => layer.type === 'fabric')
+  .map((layer) => (layer.asset ? { ...layer.object, src: getAssetUrl(design, layer.asset) } : layer.object));
+
+// Each step upgrades a document from version n to n + 1
+const MIGRATIONS = {
+  1: (legacy) => createImageDesign({
+    imageUrl: legacy.imgSrc,
+    transform: legacy.transform,
+    photo: legacy.photo,
+    model: {
+      id: legacy.modelId || null,
+      name: legacy.meta?.model,
+      company: legacy.meta?.company,
+      geometry: legacy.geometry,
+    },
+    material: legacy.meta?.type || legacy.meta?.material
+      ? { label: legacy.meta.type || legacy.meta.material?.label || legacy.meta.material }
+      : null,
+    frame: legacy.frame || null,
+    meta: { ...(legacy.meta || {}), ...(legacy.savedId ? { savedId: legacy.savedId } : {}) },
+  }),
+};
+
+/**
+ * Check a document against the current schema.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export const validateDesign = (design) => {
+  const errors = [];
+  if (!isObject(design)) return { valid: false, errors: ['design must be an object'] };
+  if (design.schemaVersion !== DESIGN_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${DESIGN_SCHEMA_VERSION}`);
+  }
+  if (!isObject(design.model)) errors.push('model is required');
+  else if (!isObject(design.model.geometry)) errors.push('model.geometry is required');
+  if (design.material !== null && design.material !== undefined && !isObject(design.material)) {
+    errors.push('material must be an object or null');
+  }
+  if (!isObject(design.assets)) errors.push('assets must be an object');
+  if (!Array.isArray(design.layers)) {
+    errors.push('layers must be an array');
+  } else {
+    const ids = new Set();
+    design.layers.forEach((layer, index) => {
+      const label = `layers[${index}]`;
+      if (!isObject(layer)) {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (!layer.id) errors.push(`${label}.id is required`);
+      else if (ids.has(layer.id)) errors.push(`${label}.id "${layer.id}" is not unique`);
+      ids.add(layer.id);
+      if (!LAYER_TYPES.includes(layer.type)) errors.push(`${label}.type must be one of ${LAYER_TYPES.join(', ')}`);
+      if (layer.type === 'image' && !layer.asset) errors.push(`${label}.asset is required for image layers`);
+      if (layer.type === 'fabric' && !isObject(layer.object)) errors.push(`${label}.object is required for fabric layers`);
+      if (layer.asset && !design.assets?.[layer.asset]) errors.push(`${label}.asset "${layer.asset}" is not in assets`);
+    });
+  }
+  if (design.preview && !design.assets?.[design.preview]) {
+    errors.push(`preview "${design.preview}" is not in assets`);
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Upgrade any stored design (legacy object or older document) to the current schema.
+ * Throws when the document comes from a newer app version or can't be migrated.
+ */
+export const migrateDesign = (design) => {
+  if (!isObject(design)) throw new Error('Design must be an object');
+  let version = inferVersion(design);
+  if (version > DESIGN_SCHEMA_VERSION) {
+    throw new Error(`Design schema ${version} is newer than this app supports (${DESIGN_SCHEMA_VERSION})`);
+  }
+  let current = design;
+  while (version < DESIGN_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from design schema ${version}`);
+    current = migrate(current);
+    version += 1;
+  }
+  return current;
+};
+
+/**
+ * migrateDesign + validateDesign; throws an Error carrying `errors` when invalid.
+ */
+export const parseDesign = (design) => {
+  const migrated = migrateDesign(design);
+  const { valid, errors } = validateDesign(migrated);
+  if (!valid) throw Object.assign(new Error(`Invalid design: ${errors.join('; ')}`), { errors });
+  return migrated;
+};
+
+/**
+ * Like parseDesign but returns null instead of throwing, for display code.
+ */
+export const safeParseDesign = (design) => {
+  if (!design) return null;
+  try {
+    return parseDesign(design);
+  } catch (error) {
+    console.warn('Ignoring unreadable design:', error);
+    return null;
+  }
+};
+
+export const getAssetUrl = (design, assetId) => design?.assets?.[assetId]?.url || null;
+
+/**
+ * What a flat thumbnail needs: the main photo, how it sits in the frame, the model geometry
+ * and the frame overlay. Accepts any design version.
+ * @returns {{ imgSrc, transform, geometry, frame, previewSrc }}
+ */
+export const getDesignPreview = (design) => {
+  const doc = safeParseDesign(design);
+  if (!doc) return { imgSrc: null, transform: { ...DEFAULT_DESIGN_TRANSFORM }, geometry: null, frame: null, previewSrc: null };
+  const photo = doc.layers.find((layer) => layer.type === 'image');
+  return {
+    imgSrc: photo ? getAssetUrl(doc, photo.asset) : null,
+    transform: photo ? normalizeDesignTransform(photo.transform) : { ...DEFAULT_DESIGN_TRANSFORM },
+    geometry: doc.model.geometry,
+    frame: doc.frame,
+    previewSrc: getAssetUrl(doc, doc.preview),
+  };
+};
+
+/**
+ * Put inline (data:) asset payloads, as `{ assetId: dataUrl }`, back into a document whose
+ * asset urls were stored separately.
+ */
+export const joinInlineAssets = (design, assets = {}) => {
+  const joined = {};
+  Object.entries(design.assets || {}).forEach(([id, asset]) => {
+    joined[id] = asset?.url || !assets[id] ? asset : { ...asset, url: assets[id] };
+  });
+  return { ...design, assets: joined };
+};
@@ -0,0 +1,318 @@
+import customDesignAPI from '../api/customDesignAPI';
+import { createIdbStore } from './idbStore';
+import { generateId } from './helpers';
+import { contentHash } from './cartAssets';
+
+// Autosaved customizer drafts. Every save lands in IndexedDB first so nothing is lost offline;
+// drafts marked dirty are pushed to /custom-designs (status 'draft') whenever we are online.
+// A draft is shaped like a saved design (imgSrc, meta, geometry) so it can be previewed the
+// same way, with the customizer's full state and its version history under `draft`.
+// Each local draft records the account it belongs to (`ownerId`, null for a guest) so people
+// sharing a browser only see and sync their own; a guest's drafts go to whoever signs in next,
+// like the guest cart.
+// Images (data URLs anywhere in a state) are kept once in their own store, keyed by content
+// hash like the cart's assets, and saved states and versions hold `{ $asset: hash }` instead.
+// The current state is filled in again when a draft is read; versions only when restored.
+// The server gets the current state and the version list without states.
+
+export const MAX_DRAFT_VERSIONS = 20;
+// Autosave records a version at most this often; "Save version" always records one
+export const VERSION_INTERVAL = 5 * 60 * 1000;
+
+// Unreferenced images are kept this long, so a save in flight can't lose its images
+const ASSET_GRACE_MS = 60 * 60 * 1000;
+
+const drafts = createIdbStore('copad-design-drafts', 'drafts', { keyPath: 'localId' });
+const assets = createIdbStore('copad-draft-assets', 'assets', { keyPath: 'hash' });
+
+// Hashes written during this session, so unchanged images aren't written on every autosave
+const storedHashes = new Set();
+
+const unwrapDesign = (response) => response?.data?.design || response?.design || response?.data || response;
+
+const isNetworkError = (error) => !error?.response;
+
+const isInline = (value) => typeof value === 'string' && value.startsWith('data:');
+const isAssetRef = (value) => typeof value?.$asset === 'string';
+
+// Copy of a JSON tree where replace(value) swaps out values; it returns undefined to keep one
+const mapTree = (value, replace) => {
+  const replaced = replace(value);
+  if (replaced !== undefined) return replaced;
+  if (Array.isArray(value)) return value.map((item) => mapTree(item, replace));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapTree(item, replace)]));
+  }
+  return value;
+};
+
+const collectAssetHashes = (value, hashes = new Set()) => {
+  mapTree(value, (item) => {
+    if (!isAssetRef(item)) return undefined;
+    hashes.add(item.$asset);
+    return item;
+  });
+  return hashes;
+};
+
+const storeAsset = (hash, dataUrl) => {
+  storedHashes.add(hash);
+  return assets.put({ hash, dataUrl, savedAt: Date.now() }).catch((error) => {
+    storedHashes.delete(hash);
+    throw error;
+  });
+};
+
+/**
+ * Swap the images in the draft's state and versions for references, storing each image once.
+ */
+const storeDraftAssets = async (draft) => {
+  const writes = [];
+  const dehydrate = (state) => state && mapTree(state, (value) => {
+    if (!isInline(value)) return undefined;
+    const hash = contentHash(value);
+    if (!storedHashes.has(hash)) writes.push(storeAsset(hash, value));
+    return { $asset: hash };
+  });
+  const next = {
+    ...draft,
+    draft: {
+      ...draft.draft,
+      state: dehydrate(draft.draft?.state),
+      versions: (draft.draft?.versions || []).map((version) => (
+        version.state ? { ...version, state: dehydrate(version.state) } : version
+      )),
+    },
+  };
+  await Promise.all(writes);
+  return next;
+};
+
+/**
+ * Put the images back into a stored state. An image that is gone (site data cleared) becomes null.
+ */
+export const hydrateDraftState = async (state) => {
+  const hashes = Array.from(collectAssetHashes(state));
+  if (!hashes.length) return state;
+  const records = await Promise.all(hashes.map((hash) => assets.get(hash)));
+  const urls = new Map(records.filter(Boolean).map((record) => [record.hash, record.dataUrl]));
+  return mapTree(state, (value) => (isAssetRef(value) ? urls.get(value.$asset) ?? null : undefined));
+};
+
+const withState = (draft, state) => ({ ...draft, draft: { ...draft.draft, state } });
+
+// Every write goes through here so IndexedDB only holds references; resolves with the record
+const putDraft = async (draft) => {
+  const stored = await storeDraftAssets(draft);
+  await drafts.put(stored);
+  return stored;
+};
+
+const readDraft = async (record) => record && withState(record, await hydrateDraftState(record.draft?.state));
+
+/**
+ * @param {Object} fields - { name, meta, geometry, state, imgSrc, ownerId } where state is the
+ *  customizer state; imgSrc is the preview, state.image when left out
+ */
+export const createDraft = ({ name, meta, geometry, state, imgSrc, ownerId = null }) => {
+  const now = Date.now();
+  return {
+    localId: `draft_${generateId()}`,
+    _id: null,
+    ownerId,
+    name,
+    status: 'draft',
+    meta,
+    geometry,
+    imgSrc: imgSrc ?? (state?.image || ''),
+    draft: { state, versions: [] },
+    createdAt: now,
+    updatedAt: now,
+    dirty: true,
+  };
+};
+
+// A design that exists only on the server, e.g. opened from another device
+export const draftFromDesign = (design, ownerId = null) => ({
+  ...design,
+  localId: `draft_${design._id}`,
+  ownerId,
+  status: design.status || 'draft',
+  draft: { state: design.draft?.state || null, versions: design.draft?.versions || [] },
+  createdAt: new Date(design.createdAt || Date.now()).getTime(),
+  updatedAt: new Date(design.updatedAt || design.createdAt || Date.now()).getTime(),
+  dirty: false,
+});
+
+const belongsTo = (record, ownerId) => !record.ownerId || record.ownerId === ownerId;
+
+/**
+ * Drafts on this device for an account (and guest drafts), newest first. States hold image
+ * references; open one with loadDraft.
+ */
+export const listLocalDrafts = async (ownerId = null) => {
+  const records = await drafts.getAll();
+  return records.filter((record) => belongsTo(record, ownerId)).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Find a draft by local id or by its server id.
+ */
+export const getLocalDraft = async (id, ownerId = null) => {
+  if (!id) return null;
+  const direct = await drafts.get(id);
+  const record = direct || (await drafts.getAll()).find((item) => item._id === id);
+  return record && belongsTo(record, ownerId) ? readDraft(record) : null;
+};
+
+/**
+ * Local draft first, then the server copy (kept locally from then on).
+ */
+export const loadDraft = async (id, ownerId = null) => {
+  const local = await getLocalDraft(id, ownerId);
+  if (local) return local;
+  if (!ownerId) return null;
+  const response = await customDesignAPI.getDesign(id);
+  const design = unwrapDesign(response);
+  if (!design?._id) return null;
+  const draft = draftFromDesign(design, ownerId);
+  await putDraft(draft);
+  return draft;
+};
+
+/**
+ * Store a draft. Resolves with it as the page keeps it: current state with its images,
+ * versions with references.
+ */
+export const saveLocalDraft = async (draft) => {
+  const next = { ...draft, updatedAt: Date.now(), dirty: true };
+  const stored = await putDraft(next);
+  return withState(stored, next.draft?.state);
+};
+
+/**
+ * Drop images no stored draft refers to any more (discarded drafts, versions past the limit).
+ */
+export const pruneDraftAssets = async () => {
+  const [records, stored] = await Promise.all([drafts.getAll(), assets.getAll()]);
+  const used = new Set();
+  records.forEach((record) => collectAssetHashes(record.draft, used));
+  const now = Date.now();
+  await Promise.all(stored
+    .filter((asset) => !used.has(asset.hash) && now - asset.savedAt > ASSET_GRACE_MS)
+    .map((asset) => {
+      storedHashes.delete(asset.hash);
+      return assets.delete(asset.hash);
+    }));
+};
+
+export const deleteLocalDraft = async (localId) => {
+  await drafts.delete(localId);
+  await pruneDraftAssets();
+};
+
+/**
+ * Replace the draft's current state.
+ */
+export const updateDraftState = (draft, { name, meta, geometry, state, imgSrc }) => ({
+  ...draft,
+  name: name || draft.name,
+  meta: meta || draft.meta,
+  geometry: geometry || draft.geometry,
+  imgSrc: imgSrc ?? (state?.image || ''),
+  draft: { ...draft.draft, state },
+});
+
+/**
+ * Snapshot the current state into the version list.
+ * @param {Object} draft
+ * @param {string} label - shown in the version list
+ * @param {boolean} force - ignore VERSION_INTERVAL
+ */
+export const addDraftVersion = (draft, label, force = false) => {
+  const versions = draft.draft?.versions || [];
+  const last = versions[versions.length - 1];
+  if (!draft.draft?.state) return draft;
+  if (!force && last && Date.now() - last.savedAt < VERSION_INTERVAL) return draft;
+  const version = { id: generateId(), savedAt: Date.now(), label, state: draft.draft.state };
+  return {
+    ...draft,
+    draft: { ...draft.draft, versions: [...versions, version].slice(-MAX_DRAFT_VERSIONS) },
+  };
+};
+
+// Versions stay on this device; the server only lists them
+const toPayload = (draft, state) => ({
+  name: draft.name,
+  status: draft.status,
+  meta: draft.meta,
+  geometry: draft.geometry,
+  imgSrc: draft.imgSrc,
+  draft: {
+    state,
+    versions: (draft.draft?.versions || []).map(({ id, savedAt, label }) => ({ id, savedAt, label })),
+  },
+});
+
+/**
+ * Push one draft to the server. Resolves with the stored draft (now carrying the server _id).
+ * Network failures reject with the original error; callers keep the draft dirty.
+ */
+export const syncDraft = async (draft) => {
+  const state = await hydrateDraftState(draft.draft?.state);
+  const payload = toPayload(draft, state);
+  const response = draft._id
+    ? await customDesignAPI.updateDesign(draft._id, payload)
+    : await customDesignAPI.createDesign(payload);
+  const saved = unwrapDesign(response);
+  const serverId = saved?._id || draft._id;
+
+  // Edits made while the request was in flight stay dirty for the next sync
+  const current = await drafts.get(draft.localId);
+  if (current && current.updatedAt > draft.updatedAt) {
+    return readDraft(await putDraft({ ...current, _id: serverId, ownerId: draft.ownerId }));
+  }
+  const next = await putDraft({ ...draft, _id: serverId, dirty: false, syncedAt: Date.now() });
+  return withState(next, state);
+};
+
+/**
+ * Push an account's dirty drafts, taking over guest drafts; stops at the first network failure
+ * since the rest would fail too.
+ */
+export const syncPendingDrafts = async (ownerId) => {
+  if (!ownerId) return;
+  const records = await drafts.getAll();
+  const pending = records.filter((record) => record.dirty && belongsTo(record, ownerId));
+  for (let i = 0; i < pending.length; i += 1) {
+    try {
+      await syncDraft({ ...pending[i], ownerId });
+    } catch (error) {
+      if (isNetworkError(error)) return;
+      console.warn('Draft sync failed:', error);
+    }
+  }
+};
+
+/**
+ * On logout: drop the account's drafts that the server already has. Unsynced ones stay, hidden
+ * from anyone else, until the account signs in here again.
+ */
+export const forgetSyncedDrafts = async (ownerId) => {
+  if (!ownerId) return;
+  const records = await drafts.getAll();
+  await Promise.all(records
+    .filter((record) => record.ownerId === ownerId && !record.dirty)
+    .map((record) => drafts.delete(record.localId)));
+  await pruneDraftAssets();
+};
+
+/**
+ * Remove a draft locally and on the server.
+ */
+export const discardDraft = async (draft) => {
+  if (draft.localId) await deleteLocalDraft(draft.localId);
+  if (draft._id) await customDesignAPI.deleteDesign(draft._id);
+};
+
+export { isNetworkError };
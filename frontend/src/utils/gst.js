@@ -0,0 +1,152 @@
+// GST on orders. Catalog prices are MRPs and include GST, so the tax is worked back out of
+// what the customer pays rather than added on top. Supplies within the seller's state are taxed
+// as CGST + SGST (half the rate each), supplies to other states as IGST. Shipping is charged at
+// the rate of the goods it delivers, as part of the same supply, and so is the cash on
+// delivery fee.
+
+export const SELLER = {
+  name: import.meta.env.VITE_SELLER_NAME || 'Cover Ghar',
+  gstin: import.meta.env.VITE_SELLER_GSTIN || '',
+  address: import.meta.env.VITE_SELLER_ADDRESS || 'Neemuch, Madhya Pradesh 458441',
+  state: 'Madhya Pradesh',
+};
+
+// GST state codes (first two digits of a GSTIN), used for the place of supply
+export const GST_STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  punjab: '03',
+  chandigarh: '04',
+  uttarakhand: '05',
+  haryana: '06',
+  delhi: '07',
+  rajasthan: '08',
+  'uttar pradesh': '09',
+  bihar: '10',
+  sikkim: '11',
+  'arunachal pradesh': '12',
+  nagaland: '13',
+  manipur: '14',
+  mizoram: '15',
+  tripura: '16',
+  meghalaya: '17',
+  assam: '18',
+  'west bengal': '19',
+  jharkhand: '20',
+  odisha: '21',
+  chhattisgarh: '22',
+  'madhya pradesh': '23',
+  gujarat: '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  maharashtra: '27',
+  karnataka: '29',
+  goa: '30',
+  lakshadweep: '31',
+  kerala: '32',
+  'tamil nadu': '33',
+  puducherry: '34',
+  'andaman and nicobar islands': '35',
+  telangana: '36',
+  'andhra pradesh': '37',
+  ladakh: '38',
+};
+
+// HSN code and GST rate by product type; phone cases are "other articles of plastics"
+export const HSN_BY_PRODUCT_TYPE = {
+  'glossy metal': { hsn: '3926', rate: 18 },
+  'glossy metal + gel': { hsn: '3926', rate: 18 },
+  glass: { hsn: '7007', rate: 18 },
+  default: { hsn: '3926', rate: 18 },
+};
+export const SHIPPING_SAC = '996812';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+
+export const getStateCode = (state) => GST_STATE_CODES[normalizeName(state)] || '';
+
+export const getItemTaxClass = (item) => {
+  const type = normalizeName(item.product?.type || item.variant?.name || item.variant?.color);
+  if (HSN_BY_PRODUCT_TYPE[type]) return HSN_BY_PRODUCT_TYPE[type];
+  return type.includes('glass') ? HSN_BY_PRODUCT_TYPE.glass : HSN_BY_PRODUCT_TYPE.default;
+};
+
+// Taxable value and tax contained in a GST-inclusive amount
+const splitTax = (amount, rate, interState) => {
+  const taxable = roundMoney(amount / (1 + rate / 100));
+  const tax = roundMoney(amount - taxable);
+  if (interState) return { taxable, cgst: 0, sgst: 0, igst: tax, tax };
+  const cgst = roundMoney(tax / 2);
+  return { taxable, cgst, sgst: roundMoney(tax - cgst), igst: 0, tax };
+};
+
+/**
+ * GST breakdown for an order.
+ * @param {Object} options
+ *  - items: cart or order items ({ product, variant, quantity } or { title, price, quantity })
+ *    priced GST-inclusive
+ *  - discount: order discount, spread over the items by value
+ *  - shippingFee: shipping charged (after any free-shipping coupon), GST-inclusive
+ *  - codFee: cash on delivery fee, if any, GST-inclusive
+ *  - shippingState: destination state; unknown states are treated as inter-state
+ * @returns {{ lines, totals: { taxable, cgst, sgst, igst, tax, total }, interState, placeOfSupply }}
+ *  totals.total is the amount charged: items after discount plus shipping and the COD fee
+ */
+export const computeGst = ({ items, discount = 0, shippingFee = 0, codFee = 0, shippingState }) => {
+  const interState = normalizeName(shippingState) !== normalizeName(SELLER.state);
+  const gross = items.map((item) => Number(item.variant?.price ?? item.price ?? 0) * item.quantity);
+  const subtotal = gross.reduce((sum, value) => sum + value, 0);
+  const discounted = roundMoney(Math.max(0, subtotal - discount));
+  // The discount is spread by value; the last item takes the rounding so lines add up exactly
+  const amounts = gross.map((value) => (subtotal > 0 ? roundMoney((value * discounted) / subtotal) : 0));
+  if (amounts.length) {
+    const spread = amounts.slice(0, -1).reduce((sum, value) => sum + value, 0);
+    amounts[amounts.length - 1] = roundMoney(discounted - spread);
+  }
+
+  const lines = items.map((item, index) => {
+    const { hsn, rate } = getItemTaxClass(item);
+    return {
+      title: item.product?.title || item.title || item.name || 'Item',
+      hsn,
+      quantity: item.quantity,
+      rate,
+      ...splitTax(amounts[index], rate, interState),
+      total: amounts[index],
+    };
+  });
+
+  // Charges take the highest rate among the goods, per the composite supply rule
+  const chargeRate = lines.length ? Math.max(...lines.map((line) => line.rate)) : HSN_BY_PRODUCT_TYPE.default.rate;
+  const addCharge = (title, amount) => {
+    if (!(amount > 0)) return;
+    lines.push({
+      title,
+      hsn: SHIPPING_SAC,
+      quantity: 1,
+      rate: chargeRate,
+      ...splitTax(amount, chargeRate, interState),
+      total: roundMoney(amount),
+    });
+  };
+  addCharge('Shipping', shippingFee);
+  addCharge('Cash on delivery fee', codFee);
+
+  const sum = (key) => roundMoney(lines.reduce((total, line) => total + line[key], 0));
+  const totals = {
+    taxable: sum('taxable'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    tax: sum('tax'),
+    total: sum('total'),
+  };
+  const stateCode = getStateCode(shippingState);
+  return {
+    lines,
+    totals,
+    interState,
+    placeOfSupply: shippingState ? `${shippingState}${stateCode ? ` (${stateCode})` : ''}` : '',
+  };
+};
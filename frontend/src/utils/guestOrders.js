@@ -0,0 +1,58 @@
+// Orders placed without an account. The server answers a guest order (and an order lookup
+// by order number + phone) with an access token for that one order; it is kept here and sent
+// as X-Guest-Order-Token on that order's requests (api/orderAPI) so a guest can view, pay for
+// and cancel it. Creating an account hands the tokens of orders placed in this browser to the
+// server, which attaches them to the new user; orders only looked up here may be someone
+// else's and are left alone.
+
+const STORAGE_KEY = 'guestOrders';
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeAll = (entries) => {
+  try {
+    if (Object.keys(entries).length) localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // storage full or unavailable; the order can still be looked up by number + phone
+  }
+};
+
+/**
+ * @param {Object} access - { orderId, orderNumber, email, phone, accessToken }
+ * @param {Object} options - { placedHere } for orders checked out in this browser
+ */
+export const saveGuestOrder = (access, { placedHere = false } = {}) => {
+  if (!access?.orderId || !access.accessToken) return;
+  const entries = readAll();
+  const previous = entries[access.orderId];
+  writeAll({
+    ...entries,
+    [access.orderId]: { ...access, placedHere: placedHere || !!previous?.placedHere, savedAt: Date.now() },
+  });
+};
+
+export const getGuestOrder = (orderId) => (orderId ? readAll()[orderId] || null : null);
+
+export const getGuestOrders = () => Object.values(readAll());
+
+export const getPlacedGuestOrders = () => getGuestOrders().filter((access) => access.placedHere);
+
+export const forgetGuestOrders = (orderIds) => {
+  const entries = readAll();
+  orderIds.forEach((id) => delete entries[id]);
+  writeAll(entries);
+};
+
+export const guestOrderHeaders = (orderId) => {
+  const access = getGuestOrder(orderId);
+  return access ? { 'X-Guest-Order-Token': access.accessToken } : {};
+};
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
@@ -126,8 +126,10 @@ export const getAvailableVariants = (product) => {
 // Get product image
 export const getProductImage = (product) => {
   // If the product stores a custom design, prefer its screen image as the product thumbnail
-  if (product && product.design && product.design.imgSrc) {
-    return resolveImageUrl(product.design.imgSrc);
+  // (legacy designs carry imgSrc, design documents reference it as the 'source' asset)
+  const designImage = product?.design?.imgSrc || product?.design?.assets?.source?.url;
+  if (designImage) {
+    return resolveImageUrl(designImage);
   }
   if (product.variants && product.variants.length > 0) {
     const variant = product.variants[0];
@@ -146,6 +148,23 @@ export const getProductImage = (product) => {
 // Exact screen area used inside frame (shared constant)
 export const SCREEN_RECT = { left: 34, top: 62, width: 192, height: 396 };
 
+// Placement of a design image centered in SCREEN_RECT: x/y offsets in frame pixels,
+// scale relative to the 260px frame width and rotation in degrees
+export const DEFAULT_DESIGN_TRANSFORM = { x: 0, y: 0, scale: 1, rotation: 0 };
+
+export const normalizeDesignTransform = (transform) => ({
+  x: Number(transform?.x) || 0,
+  y: Number(transform?.y) || 0,
+  scale: Number(transform?.scale) || 1,
+  rotation: Number(transform?.rotation) || 0,
+});
+
+// CSS transform for a design image anchored at the screen center; `factor` scales offsets for thumbnails
+export const buildDesignTransformCss = (transform, factor = 1) => {
+  const t = normalizeDesignTransform(transform);
+  return `translate(-50%, -50%) translate(${t.x * factor}px, ${t.y * factor}px) rotate(${t.rotation}deg) scale(${t.scale})`;
+};
+
 const stripTrailingSlash = (value = '') => String(value).trim().replace(/\/+$/, '');
 
 const getAssetBaseUrl = () => {
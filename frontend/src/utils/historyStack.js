@@ -0,0 +1,151 @@
+// Command-based undo/redo history shared by the cover editors.
+// A command is { label, execute(), undo(), size?, coalesceKey? } where `size` is an
+// approximate byte count of what the command keeps alive (e.g. a data URL it can restore).
+
+export const DEFAULT_HISTORY_BUDGET = 48 * 1024 * 1024; // ~48MB of retained image data
+export const DEFAULT_HISTORY_LIMIT = 100;
+export const DEFAULT_COALESCE_WINDOW = 800; // ms
+
+// Rough byte estimate for values a command keeps in memory
+export const estimateSize = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'string') return value.length;
+  if (typeof value === 'number' || typeof value === 'boolean') return 8;
+  try {
+    return JSON.stringify(value).length;
+  } catch (e) {
+    return 0;
+  }
+};
+
+/**
+ * Create an undo/redo stack.
+ * @param {Object} options
+ *  - maxBytes: memory budget across undo + redo entries
+ *  - maxEntries: maximum number of undo steps
+ *  - coalesceWindow: ms within which commands sharing a coalesceKey merge into one step
+ *  - onChange: called with getState() whenever the stacks change
+ */
+export const createHistoryStack = (options = {}) => {
+  const {
+    maxBytes = DEFAULT_HISTORY_BUDGET,
+    maxEntries = DEFAULT_HISTORY_LIMIT,
+    coalesceWindow = DEFAULT_COALESCE_WINDOW,
+    onChange,
+  } = options;
+
+  let undoStack = [];
+  let redoStack = [];
+  let bytes = 0;
+  let replaying = false;
+
+  const getState = () => ({
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: undoStack[undoStack.length - 1]?.label || '',
+    redoLabel: redoStack[redoStack.length - 1]?.label || '',
+    bytes,
+  });
+
+  const notify = () => {
+    if (onChange) onChange(getState());
+  };
+
+  const recount = () => {
+    bytes = [...undoStack, ...redoStack].reduce((sum, entry) => sum + (entry.size || 0), 0);
+  };
+
+  // Drop the oldest undo steps first, then the furthest redo steps, until within budget
+  const trim = () => {
+    while (undoStack.length > maxEntries) undoStack.shift();
+    recount();
+    while (bytes > maxBytes && undoStack.length > 1) {
+      const dropped = undoStack.shift();
+      bytes -= dropped.size || 0;
+    }
+    while (bytes > maxBytes && redoStack.length) {
+      const dropped = redoStack.shift();
+      bytes -= dropped.size || 0;
+    }
+  };
+
+  // Register a command whose effect has already been applied
+  const record = (command) => {
+    if (replaying || !command) return;
+    const now = Date.now();
+    const top = undoStack[undoStack.length - 1];
+    const entry = { ...command, size: command.size || 0, timestamp: now };
+
+    if (
+      top &&
+      command.coalesceKey &&
+      top.coalesceKey === command.coalesceKey &&
+      now - top.timestamp <= coalesceWindow
+    ) {
+      // Keep the first undo and the latest execute so a drag collapses into one step
+      undoStack[undoStack.length - 1] = {
+        ...entry,
+        undo: top.undo,
+        size: Math.max(top.size || 0, entry.size),
+      };
+    } else {
+      undoStack.push(entry);
+    }
+
+    redoStack = [];
+    trim();
+    notify();
+  };
+
+  const execute = (command) => {
+    if (!command) return;
+    command.execute();
+    record(command);
+  };
+
+  const replay = (fn) => {
+    replaying = true;
+    try {
+      fn();
+    } finally {
+      replaying = false;
+    }
+  };
+
+  const undo = () => {
+    const command = undoStack.pop();
+    if (!command) return false;
+    replay(() => command.undo());
+    redoStack.push(command);
+    notify();
+    return true;
+  };
+
+  const redo = () => {
+    const command = redoStack.pop();
+    if (!command) return false;
+    replay(() => command.execute());
+    undoStack.push({ ...command, timestamp: 0 });
+    notify();
+    return true;
+  };
+
+  const clear = () => {
+    undoStack = [];
+    redoStack = [];
+    bytes = 0;
+    notify();
+  };
+
+  return {
+    record,
+    execute,
+    undo,
+    redo,
+    clear,
+    getState,
+    isReplaying: () => replaying,
+  };
+};
+
+export default createHistoryStack;
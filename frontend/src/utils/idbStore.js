@@ -0,0 +1,95 @@
+// Minimal promise wrapper around IndexedDB: one database per store so features can evolve
+// their schema independently. Falls back to an in-memory Map (private mode, old browsers),
+// which keeps features working for the session without persistence.
+
+const openDatabase = (dbName, storeName, keyPath) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(dbName, 1);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(storeName)) {
+      db.createObjectStore(storeName, keyPath ? { keyPath } : undefined);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error(`IndexedDB "${dbName}" is blocked by another tab`));
+});
+
+const UNAVAILABLE_ERRORS = ['InvalidStateError', 'SecurityError', 'UnknownError'];
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const createMemoryStore = (keyPath) => {
+  const map = new Map();
+  const keyOf = (value, key) => (keyPath ? value[keyPath] : key);
+  return {
+    persistent: false,
+    get: async (key) => map.get(key),
+    getAll: async () => Array.from(map.values()),
+    put: async (value, key) => {
+      map.set(keyOf(value, key), value);
+      return keyOf(value, key);
+    },
+    delete: async (key) => {
+      map.delete(key);
+    },
+    clear: async () => {
+      map.clear();
+    },
+  };
+};
+
+/**
+ * Key/value store backed by IndexedDB.
+ * @param {string} dbName
+ * @param {string} storeName
+ * @param {Object} options - { keyPath } to key records by one of their fields
+ * @returns {{ get, getAll, put, delete, clear, persistent }}
+ */
+export const createIdbStore = (dbName, storeName, { keyPath } = {}) => {
+  if (typeof indexedDB === 'undefined') return createMemoryStore(keyPath);
+
+  let dbPromise = null;
+  let fallback = null;
+  const getDb = () => {
+    if (!dbPromise) dbPromise = openDatabase(dbName, storeName, keyPath);
+    return dbPromise;
+  };
+
+  // Run against IndexedDB, or against the memory fallback once the database proved unusable
+  const run = async (mode, operation, memoryOperation) => {
+    if (fallback) return memoryOperation(fallback);
+    try {
+      const db = await getDb();
+      const tx = db.transaction(storeName, mode);
+      return await promisify(operation(tx.objectStore(storeName)));
+    } catch (error) {
+      // Opening fails in some private browsing modes; keep working for the session
+      if (UNAVAILABLE_ERRORS.includes(error?.name)) {
+        fallback = createMemoryStore(keyPath);
+        return memoryOperation(fallback);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    get persistent() {
+      return !fallback;
+    },
+    get: (key) => run('readonly', (s) => s.get(key), (m) => m.get(key)),
+    getAll: async () => (await run('readonly', (s) => s.getAll(), (m) => m.getAll())) || [],
+    put: (value, key) => run(
+      'readwrite',
+      (s) => (keyPath ? s.put(value) : s.put(value, key)),
+      (m) => m.put(value, key)
+    ),
+    delete: (key) => run('readwrite', (s) => s.delete(key), (m) => m.delete(key)),
+    clear: () => run('readwrite', (s) => s.clear(), (m) => m.clear()),
+  };
+};
+
+export default createIdbStore;
@@ -0,0 +1,142 @@
+import { UPLOAD_LIMITS } from './constants';
+import { processImageBlob } from './imageProcessing';
+
+// Client-side pre-processing for image uploads: validate against UPLOAD_LIMITS, then orient,
+// strip metadata, downscale and re-encode in a Web Worker (main thread when workers can't).
+
+const EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+const formatMb = (bytes) => `${Math.round(bytes / (1024 * 1024))}MB`;
+
+const defaultOptions = () => ({
+  maxDimension: UPLOAD_LIMITS.MAX_DIMENSION,
+  quality: UPLOAD_LIMITS.OUTPUT_QUALITY,
+  minQuality: UPLOAD_LIMITS.MIN_OUTPUT_QUALITY,
+  maxBytes: UPLOAD_LIMITS.MAX_FILE_SIZE,
+});
+
+/**
+ * Throws a user-facing Error when a file can't be uploaded.
+ * @param {File|Blob} file
+ */
+export const validateImageFile = (file) => {
+  if (!file || !(file instanceof Blob)) throw new Error('Please choose an image file.');
+  if (!UPLOAD_LIMITS.ALLOWED_TYPES.includes(file.type)) {
+    throw new Error('Only JPG, PNG and WebP images are supported.');
+  }
+  if (file.size > UPLOAD_LIMITS.MAX_SOURCE_FILE_SIZE) {
+    throw new Error(`Image must be under ${formatMb(UPLOAD_LIMITS.MAX_SOURCE_FILE_SIZE)}.`);
+  }
+};
+
+export const validateImageFiles = (files) => {
+  if (files.length > UPLOAD_LIMITS.MAX_FILES) {
+    throw new Error(`You can upload up to ${UPLOAD_LIMITS.MAX_FILES} images at a time.`);
+  }
+  files.forEach(validateImageFile);
+};
+
+let worker = null;
+let workerUnavailable = false;
+let nextJobId = 0;
+const jobs = new Map();
+
+const getWorker = () => {
+  if (workerUnavailable || typeof Worker === 'undefined') return null;
+  if (worker) return worker;
+  try {
+    worker = new Worker(new URL('../workers/imagePreprocess.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    workerUnavailable = true;
+    return null;
+  }
+  worker.onmessage = (event) => {
+    const { id, type } = event.data || {};
+    const job = jobs.get(id);
+    if (!job) return;
+    if (type === 'progress') {
+      job.onProgress(event.data.stage, event.data.progress);
+      return;
+    }
+    jobs.delete(id);
+    if (event.data.unsupported) workerUnavailable = true;
+    if (type === 'done') job.resolve(event.data.result);
+    else job.reject(Object.assign(new Error(event.data.message), { unsupported: !!event.data.unsupported }));
+  };
+  worker.onerror = () => {
+    // A worker that fails to boot (e.g. no module worker support) is dropped for the session
+    workerUnavailable = true;
+    worker = null;
+    jobs.forEach((job) => job.reject(Object.assign(new Error('Image worker failed'), { unsupported: true })));
+    jobs.clear();
+  };
+  return worker;
+};
+
+const runInWorker = (blob, options, onProgress) => new Promise((resolve, reject) => {
+  const instance = getWorker();
+  if (!instance) {
+    reject(Object.assign(new Error('Web Workers are not available'), { unsupported: true }));
+    return;
+  }
+  nextJobId += 1;
+  jobs.set(nextJobId, { resolve, reject, onProgress });
+  instance.postMessage({ id: nextJobId, blob, options });
+});
+
+const renameFile = (name = 'image', type) => {
+  const base = String(name).replace(/\.[^.]+$/, '') || 'image';
+  return `${base}.${EXTENSIONS[type] || 'img'}`;
+};
+
+/**
+ * Validate and re-encode one image for upload.
+ * @param {File} file
+ * @param {Object} options
+ *  - onProgress(fraction, stage): 0..1 processing progress
+ *  - maxDimension, quality: override UPLOAD_LIMITS defaults
+ * @returns {Promise<File>} processed file (WebP, or JPEG where WebP encoding is unsupported)
+ */
+export const preprocessImage = async (file, options = {}) => {
+  validateImageFile(file);
+  const { onProgress, ...overrides } = options;
+  const processOptions = { ...defaultOptions(), ...overrides };
+  const report = (stage, progress) => onProgress && onProgress(progress, stage);
+
+  let result;
+  try {
+    result = await runInWorker(file, processOptions, report);
+  } catch (error) {
+    if (!error.unsupported) throw error;
+    result = await processImageBlob(file, processOptions, report);
+  }
+
+  if (result.blob.size > UPLOAD_LIMITS.MAX_FILE_SIZE) {
+    throw new Error(`Image is still larger than ${formatMb(UPLOAD_LIMITS.MAX_FILE_SIZE)} after compression.`);
+  }
+  return new File([result.blob], renameFile(file.name, result.type), {
+    type: result.type,
+    lastModified: Date.now(),
+  });
+};
+
+/**
+ * Pre-process several images one after another.
+ * @param {File[]} files
+ * @param {Object} options - { onProgress(fraction, stage) } with progress across all files
+ */
+export const preprocessImages = async (files, options = {}) => {
+  const list = Array.from(files || []);
+  validateImageFiles(list);
+  const { onProgress, ...rest } = options;
+  const processed = [];
+  for (let i = 0; i < list.length; i += 1) {
+    // Sequential on purpose: decoding several 12MP photos at once exhausts memory on phones
+    const file = await preprocessImage(list[i], {
+      ...rest,
+      onProgress: (fraction, stage) => onProgress && onProgress((i + fraction) / list.length, stage),
+    });
+    processed.push(file);
+  }
+  return processed;
+};
@@ -0,0 +1,153 @@
+// Image re-encoding core shared by the upload worker and its main-thread fallback.
+// Must stay free of DOM-only APIs except behind feature checks: it runs inside a Worker.
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+const EXIF_GPS_IFD_TAG = 0x8825;
+
+/**
+ * Read the EXIF orientation and whether GPS data is present from a JPEG buffer.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ orientation: number, hasGps: boolean }} orientation 1 when unknown
+ */
+export const readExifInfo = (buffer) => {
+  const info = { orientation: 1, hasGps: false };
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return info;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    // APP1 segment starting with "Exif\0\0"
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      const tiff = offset + 10;
+      if (tiff + 8 > view.byteLength) return info;
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      if (ifd + 2 > view.byteLength) return info;
+      const entries = view.getUint16(ifd, little);
+      for (let i = 0; i < entries; i += 1) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+        const tag = view.getUint16(entry, little);
+        if (tag === EXIF_ORIENTATION_TAG) info.orientation = view.getUint16(entry + 8, little) || 1;
+        if (tag === EXIF_GPS_IFD_TAG) info.hasGps = true;
+      }
+      return info;
+    }
+    // Start of scan: no more metadata segments
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) break;
+    offset += 2 + length;
+  }
+  return info;
+};
+
+export const getTargetSize = (width, height, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return { width: Math.max(Math.round(width * scale), 1), height: Math.max(Math.round(height * scale), 1) };
+};
+
+// Orientations 5-8 are rotated a quarter turn, so width and height swap
+const swapsAxes = (orientation) => orientation >= 5 && orientation <= 8;
+
+const applyOrientation = (ctx, orientation, width, height) => {
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, width, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, width, height); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, height); break;
+    default: break;
+  }
+};
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const encodeCanvas = (canvas, type, quality) => {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+};
+
+// Decode with the browser applying EXIF orientation; older engines ignore the option,
+// in which case we rotate ourselves
+const decodeImage = async (blob) => {
+  try {
+    return { bitmap: await createImageBitmap(blob, { imageOrientation: 'from-image' }), oriented: true };
+  } catch (error) {
+    return { bitmap: await createImageBitmap(blob), oriented: false };
+  }
+};
+
+/**
+ * Orient, downscale and re-encode an image. Re-encoding through a canvas drops every
+ * metadata block, GPS included.
+ * @param {Blob} blob - source image
+ * @param {Object} options - { maxDimension, quality, minQuality, maxBytes }
+ * @param {Function} onProgress - (stage, fraction) for 'reading' | 'resizing' | 'encoding' | 'done'
+ * @returns {Promise<{ blob, width, height, type, orientation, strippedGps }>}
+ */
+export const processImageBlob = async (blob, options, onProgress = () => {}) => {
+  const { maxDimension, quality, minQuality, maxBytes } = options;
+
+  onProgress('reading', 0.1);
+  const exif = readExifInfo(await blob.arrayBuffer());
+  const { bitmap, oriented } = await decodeImage(blob);
+
+  onProgress('resizing', 0.4);
+  const orientation = oriented ? 1 : exif.orientation;
+  const sourceWidth = swapsAxes(orientation) ? bitmap.height : bitmap.width;
+  const sourceHeight = swapsAxes(orientation) ? bitmap.width : bitmap.height;
+  const target = getTargetSize(sourceWidth, sourceHeight, maxDimension);
+  const canvas = createCanvas(target.width, target.height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+
+  const draw = (flatten) => {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, target.width, target.height);
+    if (flatten) {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, target.width, target.height);
+    }
+    applyOrientation(ctx, orientation, target.width, target.height);
+    const drawWidth = swapsAxes(orientation) ? target.height : target.width;
+    const drawHeight = swapsAxes(orientation) ? target.width : target.height;
+    ctx.drawImage(bitmap, 0, 0, drawWidth, drawHeight);
+  };
+
+  onProgress('encoding', 0.7);
+  draw(false);
+  let type = 'image/webp';
+  let currentQuality = quality;
+  let output = await encodeCanvas(canvas, type, currentQuality);
+  // Engines without a WebP encoder silently return PNG; use JPEG on white instead
+  if (!output || output.type !== type) {
+    type = 'image/jpeg';
+    draw(true);
+    output = await encodeCanvas(canvas, type, currentQuality);
+  }
+  while (output && maxBytes && output.size > maxBytes && currentQuality > minQuality) {
+    currentQuality = Math.max(currentQuality - 0.1, minQuality);
+    output = await encodeCanvas(canvas, type, currentQuality);
+  }
+  if (typeof bitmap.close === 'function') bitmap.close();
+  if (!output) throw new Error('Could not encode image');
+
+  onProgress('done', 1);
+  return {
+    blob: output,
+    width: target.width,
+    height: target.height,
+    type,
+    orientation: exif.orientation,
+    strippedGps: exif.hasGps,
+  };
+};
@@ -0,0 +1,182 @@
+import { createPdfDocument } from './pdfDocument';
+import { SELLER, computeGst } from './gst';
+
+// GST tax invoices for orders, generated in the browser as PDF.
+//
+// Invoice numbers must form one consecutive series per financial year, so the number the
+// server assigned (order.invoiceNumber) is used whenever there is one. Until it does, the
+// number is derived from the order number: INV/2026-27/<order number>.
+
+// A tax invoice has to carry the seller's GSTIN, so none are offered until it is configured
+export const INVOICES_ENABLED = !!SELLER.gstin;
+
+/**
+ * Indian financial year (April to March) of a date, e.g. "2026-27".
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const value = new Date(date);
+  const start = value.getMonth() >= 3 ? value.getFullYear() : value.getFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+export const getInvoiceNumber = (order) => {
+  if (order.invoiceNumber) return order.invoiceNumber;
+  const reference = String(order.orderNumber || String(order._id || '').slice(-8)).toUpperCase();
+  return `INV/${getFinancialYear(order.createdAt || Date.now())}/${reference}`;
+};
+
+/**
+ * The order's GST breakdown: the one saved at checkout, or for older orders that did not
+ * break GST out, one worked back from the amount paid the same way checkout does (utils/gst),
+ * at each item's HSN rate.
+ */
+export const getOrderTax = (order) => {
+  const items = order.items || order.orderItems || [];
+  const shippingState = order.shippingAddress?.state;
+  if (order.tax?.lines) {
+    const { lines, interState, placeOfSupply, ...totals } = order.tax;
+    return { lines, totals, interState, placeOfSupply };
+  }
+  const shippingFee = Number(order.shippingFee) || 0;
+  const codFee = Number(order.cod?.fee) || 0;
+  const subtotal = items.reduce((sum, item) => sum + Number(item.variant?.price ?? item.price ?? 0) * item.quantity, 0);
+  const goods = Number(order.total || 0) - shippingFee - codFee;
+  return computeGst({ items, discount: Math.max(0, subtotal - goods), shippingFee, codFee, shippingState });
+};
+
+const money = (value) => `Rs. ${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => new Date(date || Date.now()).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+});
+
+const addressLines = (address = {}) => [
+  address.name,
+  address.address1 || address.street,
+  address.address2,
+  [address.city, address.state, address.postalCode || address.zipCode].filter(Boolean).join(', '),
+  address.phone ? `Phone: ${address.phone}` : '',
+].filter(Boolean);
+
+/**
+ * Render the invoice for an order.
+ * @returns {{ blob: Blob, invoiceNumber: string }}
+ */
+export const renderInvoicePdf = (order) => {
+  const pdf = createPdfDocument();
+  const invoiceNumber = getInvoiceNumber(order);
+  const tax = getOrderTax(order);
+  const left = 15;
+  const right = 195;
+  let top = 20;
+
+  pdf.text(SELLER.name, left, top, { size: 16, bold: true });
+  pdf.text('TAX INVOICE', right, top, { size: 14, bold: true, align: 'right' });
+  top += 6;
+  pdf.text(SELLER.address, left, top, { size: 9 });
+  pdf.text(`GSTIN: ${SELLER.gstin}`, left, top + 4.5, { size: 9 });
+  pdf.text(`Invoice No: ${invoiceNumber}`, right, top, { size: 9, align: 'right' });
+  pdf.text(`Invoice Date: ${formatDate(order.paidAt || order.createdAt)}`, right, top + 4.5, { size: 9, align: 'right' });
+  pdf.text(`Order: ${order.orderNumber || order._id}`, right, top + 9, { size: 9, align: 'right' });
+  top += 18;
+
+  pdf.line(left, top, right, top);
+  top += 6;
+  pdf.text('Bill to / Ship to', left, top, { size: 9, bold: true });
+  if (tax.placeOfSupply) pdf.text(`Place of supply: ${tax.placeOfSupply}`, right, top, { size: 9, align: 'right' });
+  addressLines(order.shippingAddress).forEach((lineText) => {
+    top += 4.5;
+    pdf.text(lineText, left, top, { size: 9 });
+  });
+  top += 8;
+
+  // Column right edges (text is right-aligned except the description)
+  const columns = tax.interState
+    ? { hsn: 112, qty: 124, taxable: 150, igst: 172, total: right }
+    : { hsn: 104, qty: 114, taxable: 136, cgst: 156, sgst: 176, total: right };
+  const header = (y) => {
+    pdf.rect(left, y - 4.5, right - left, 6.5);
+    pdf.text('#', left + 1, y, { size: 8, bold: true });
+    pdf.text('Description', left + 7, y, { size: 8, bold: true });
+    pdf.text('HSN/SAC', columns.hsn, y, { size: 8, bold: true, align: 'right' });
+    pdf.text('Qty', columns.qty, y, { size: 8, bold: true, align: 'right' });
+    pdf.text('Taxable', columns.taxable, y, { size: 8, bold: true, align: 'right' });
+    if (tax.interState) {
+      pdf.text('IGST', columns.igst, y, { size: 8, bold: true, align: 'right' });
+    } else {
+      pdf.text('CGST', columns.cgst, y, { size: 8, bold: true, align: 'right' });
+      pdf.text('SGST', columns.sgst, y, { size: 8, bold: true, align: 'right' });
+    }
+    pdf.text('Total', columns.total, y, { size: 8, bold: true, align: 'right' });
+  };
+  header(top);
+  top += 7;
+
+  const descriptionWidth = columns.hsn - 16 - (left + 7);
+  tax.lines.forEach((line, index) => {
+    const description = pdf.wrapText(`${line.title} (GST ${line.rate}%)`, descriptionWidth, 8);
+    if (top + description.length * 4 > 260) {
+      pdf.addPage();
+      top = 20;
+      header(top);
+      top += 7;
+    }
+    pdf.text(String(index + 1), left + 1, top, { size: 8 });
+    description.forEach((text, row) => pdf.text(text, left + 7, top + row * 4, { size: 8 }));
+    pdf.text(line.hsn, columns.hsn, top, { size: 8, align: 'right' });
+    pdf.text(String(line.quantity), columns.qty, top, { size: 8, align: 'right' });
+    pdf.text(money(line.taxable), columns.taxable, top, { size: 8, align: 'right' });
+    if (tax.interState) {
+      pdf.text(money(line.igst), columns.igst, top, { size: 8, align: 'right' });
+    } else {
+      pdf.text(money(line.cgst), columns.cgst, top, { size: 8, align: 'right' });
+      pdf.text(money(line.sgst), columns.sgst, top, { size: 8, align: 'right' });
+    }
+    pdf.text(money(line.total), columns.total, top, { size: 8, align: 'right' });
+    top += Math.max(1, description.length) * 4 + 2;
+  });
+
+  pdf.line(left, top, right, top);
+  top += 6;
+  const summary = [
+    ['Taxable value', tax.totals.taxable],
+    ...(tax.interState
+      ? [['IGST', tax.totals.igst]]
+      : [['CGST', tax.totals.cgst], ['SGST', tax.totals.sgst]]),
+  ];
+  summary.forEach(([label, amount]) => {
+    pdf.text(label, 150, top, { size: 9, align: 'right' });
+    pdf.text(money(amount), right, top, { size: 9, align: 'right' });
+    top += 5;
+  });
+  pdf.text('Invoice total', 150, top + 1, { size: 10, bold: true, align: 'right' });
+  pdf.text(money(tax.totals.total), right, top + 1, { size: 10, bold: true, align: 'right' });
+  top += 12;
+
+  pdf.text(`Payment: ${order.paymentMethod || order.payment?.method || '-'}`, left, top, { size: 8 });
+  pdf.text('This is a computer generated invoice and does not require a signature.', left, top + 5, {
+    size: 8,
+    color: [0.4, 0.4, 0.4],
+  });
+
+  return { blob: pdf.toBlob(), invoiceNumber };
+};
+
+/**
+ * Render and download the invoice for an order.
+ */
+export const downloadInvoice = (order) => {
+  if (!INVOICES_ENABLED) throw new Error('Invoices are not available: the seller GSTIN is not configured');
+  const { blob, invoiceNumber } = renderInvoicePdf(order);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${invoiceNumber.replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  return invoiceNumber;
+};
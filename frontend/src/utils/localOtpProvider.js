@@ -0,0 +1,65 @@
+import { OTP_EXPIRED, OTP_INCORRECT, OTP_RATE_LIMITED, otpError } from './otpErrors';
+
+// Stand-in for the SMS OTP service (api/otpAPI.js), used in development or with
+// VITE_OTP_PROVIDER=local (see utils/otp).
+// Nothing is sent: the code is logged to the console and returned as `devCode` so it can be
+// shown on screen during development. Its tokens are not accepted by the API. It applies the
+// same limits as the service so rate limiting can be tried out locally.
+
+const CODE_TTL_SECONDS = 300;
+const RESEND_SECONDS = 30;
+const MAX_ATTEMPTS = 5;
+const MAX_SENDS_PER_HOUR = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+// `${purpose}:${phone}` -> { code, expiresAt, attempts }
+const pending = new Map();
+// `${purpose}:${phone}` -> send times in the last hour
+const sendLog = new Map();
+
+const generateCode = () => String(Math.floor(100000 + Math.random() * 900000));
+
+export const localOtpProvider = {
+  name: 'local',
+  send: async ({ phone, purpose }) => {
+    const key = `${purpose}:${phone}`;
+    const now = Date.now();
+    const sent = (sendLog.get(key) || []).filter((at) => now - at < HOUR_MS);
+    const last = sent[sent.length - 1];
+    if (last && now - last < RESEND_SECONDS * 1000) {
+      const retryAfter = Math.ceil((last + RESEND_SECONDS * 1000 - now) / 1000);
+      throw otpError(OTP_RATE_LIMITED, `Wait ${retryAfter}s before requesting another code`, { retryAfter });
+    }
+    if (sent.length >= MAX_SENDS_PER_HOUR) {
+      const retryAfter = Math.ceil((sent[0] + HOUR_MS - now) / 1000);
+      throw otpError(OTP_RATE_LIMITED, 'Too many codes requested for this number. Try again later', { retryAfter });
+    }
+    sendLog.set(key, [...sent, now]);
+
+    const code = generateCode();
+    pending.set(key, { code, expiresAt: now + CODE_TTL_SECONDS * 1000, attempts: 0 });
+    console.info(`[SMS stub] ${purpose} code for ${phone}: ${code}`);
+    return { expiresIn: CODE_TTL_SECONDS, resendIn: RESEND_SECONDS, devCode: code };
+  },
+  verify: async ({ phone, purpose, code }) => {
+    const key = `${purpose}:${phone}`;
+    const entry = pending.get(key);
+    if (!entry || entry.expiresAt < Date.now()) {
+      pending.delete(key);
+      throw otpError(OTP_EXPIRED, 'The code has expired. Request a new one');
+    }
+    if (String(code).trim() !== entry.code) {
+      entry.attempts += 1;
+      const left = MAX_ATTEMPTS - entry.attempts;
+      if (left <= 0) {
+        pending.delete(key);
+        throw otpError(OTP_EXPIRED, 'Too many attempts. Request a new code');
+      }
+      throw otpError(OTP_INCORRECT, `Incorrect code, ${left} ${left === 1 ? 'attempt' : 'attempts'} left`);
+    }
+    pending.delete(key);
+    return { verified: true, token: `local.${purpose}.${phone}.${Date.now()}` };
+  },
+};
+
+export default localOtpProvider;
@@ -0,0 +1,129 @@
+import { FREE_SHIPPING_THRESHOLD } from './orderPricing';
+
+// Stand-in for the courier's serviceability API (api/shippingAPI.js), used with
+// VITE_SHIPPING_PROVIDER=local. Zones are worked out from the PIN code's leading digits
+// relative to the studio in Neemuch (458441), which is close enough to real courier zones
+// for estimates.
+
+export const ORIGIN_PIN = '458441';
+
+export const ZONE_RATES = {
+  local: { fee: 40, transitDays: { min: 1, max: 2 } },
+  regional: { fee: 50, transitDays: { min: 2, max: 4 } },
+  national: { fee: 70, transitDays: { min: 3, max: 5 } },
+  remote: { fee: 120, transitDays: { min: 6, max: 9 } },
+};
+
+// J&K and Ladakh, the North East, Andaman & Nicobar, Lakshadweep
+const REMOTE_PREFIXES = ['18', '19', '744', '682555', '78', '79'];
+// No courier partner yet (Army/Field Post Office PINs)
+const UNSERVICEABLE_PREFIXES = ['9'];
+
+// State by PIN code prefix (postal circles); the longest matching prefix wins. The stub
+// cannot name the city, the courier API does
+const PIN_PREFIX_STATES = [
+  ['11', 'Delhi'],
+  ['12', 'Haryana'],
+  ['13', 'Haryana'],
+  ['14', 'Punjab'],
+  ['15', 'Punjab'],
+  ['160', 'Chandigarh'],
+  ['16', 'Punjab'],
+  ['17', 'Himachal Pradesh'],
+  ['18', 'Jammu and Kashmir'],
+  ['194', 'Ladakh'],
+  ['19', 'Jammu and Kashmir'],
+  ['246', 'Uttarakhand'],
+  ['247', 'Uttarakhand'],
+  ['248', 'Uttarakhand'],
+  ['249', 'Uttarakhand'],
+  ['262', 'Uttarakhand'],
+  ['263', 'Uttarakhand'],
+  ['2', 'Uttar Pradesh'],
+  ['3', 'Rajasthan'],
+  ['36', 'Gujarat'],
+  ['37', 'Gujarat'],
+  ['38', 'Gujarat'],
+  ['396', 'Dadra and Nagar Haveli and Daman and Diu'],
+  ['39', 'Gujarat'],
+  ['403', 'Goa'],
+  ['4', 'Maharashtra'],
+  ['45', 'Madhya Pradesh'],
+  ['46', 'Madhya Pradesh'],
+  ['47', 'Madhya Pradesh'],
+  ['48', 'Madhya Pradesh'],
+  ['49', 'Chhattisgarh'],
+  ['50', 'Telangana'],
+  ['5', 'Andhra Pradesh'],
+  ['56', 'Karnataka'],
+  ['57', 'Karnataka'],
+  ['58', 'Karnataka'],
+  ['59', 'Karnataka'],
+  ['605', 'Puducherry'],
+  ['6', 'Tamil Nadu'],
+  ['67', 'Kerala'],
+  ['68', 'Kerala'],
+  ['682555', 'Lakshadweep'],
+  ['69', 'Kerala'],
+  ['7', 'West Bengal'],
+  ['737', 'Sikkim'],
+  ['744', 'Andaman and Nicobar Islands'],
+  ['75', 'Odisha'],
+  ['76', 'Odisha'],
+  ['77', 'Odisha'],
+  ['78', 'Assam'],
+  ['790', 'Arunachal Pradesh'],
+  ['791', 'Arunachal Pradesh'],
+  ['792', 'Arunachal Pradesh'],
+  ['793', 'Meghalaya'],
+  ['794', 'Meghalaya'],
+  ['795', 'Manipur'],
+  ['796', 'Mizoram'],
+  ['797', 'Nagaland'],
+  ['798', 'Nagaland'],
+  ['799', 'Tripura'],
+  ['8', 'Bihar'],
+  ['814', 'Jharkhand'],
+  ['815', 'Jharkhand'],
+  ['816', 'Jharkhand'],
+  ['82', 'Jharkhand'],
+  ['83', 'Jharkhand'],
+];
+
+const getState = (pin) => PIN_PREFIX_STATES
+  .filter(([prefix]) => pin.startsWith(prefix))
+  .sort((a, b) => b[0].length - a[0].length)[0]?.[1] || null;
+
+const getZone = (pin) => {
+  if (UNSERVICEABLE_PREFIXES.some((prefix) => pin.startsWith(prefix))) return null;
+  if (REMOTE_PREFIXES.some((prefix) => pin.startsWith(prefix))) return 'remote';
+  if (pin.slice(0, 3) === ORIGIN_PIN.slice(0, 3)) return 'local';
+  if (pin[0] === ORIGIN_PIN[0]) return 'regional';
+  return 'national';
+};
+
+export const localShippingProvider = {
+  name: 'local',
+  quote: async ({ pin, subtotal = 0, cod = false }) => {
+    const zone = getZone(pin);
+    if (!zone) {
+      return { serviceable: false, zone: null, fee: 0, codAvailable: false, transitDays: null, message: 'We do not deliver to this PIN code yet' };
+    }
+    const { fee, transitDays } = ZONE_RATES[zone];
+    const codAvailable = zone !== 'remote';
+    return {
+      serviceable: !cod || codAvailable,
+      zone,
+      fee: subtotal > FREE_SHIPPING_THRESHOLD && zone !== 'remote' ? 0 : fee,
+      codAvailable,
+      transitDays,
+      message: cod && !codAvailable ? 'Cash on delivery is not available for this PIN code' : null,
+    };
+  },
+  lookupPin: async (pin) => {
+    const state = getState(pin);
+    return state ? { city: null, district: null, state } : null;
+  },
+};
+
+export default localShippingProvider;
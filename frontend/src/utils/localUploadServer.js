@@ -0,0 +1,87 @@
+import { createIdbStore } from './idbStore';
+import { generateId } from './helpers';
+
+// In-browser stand-in for the chunked upload endpoints in api/chunkedUploadAPI.js. It keeps
+// sessions in IndexedDB so reload/resume can be exercised without a backend, and can drop
+// requests on purpose to exercise the retry path. Enable with VITE_UPLOAD_TRANSPORT=local.
+
+const sessions = createIdbStore('copad-local-upload-server', 'sessions', { keyPath: 'uploadId' });
+
+// Errors mimic axios so the uploader classifies them the same way as real responses
+const networkError = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' });
+const httpError = (status, message) => Object.assign(new Error(message), {
+  response: { status, data: { success: false, message } },
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {Object} options
+ *  - failureRate: 0..1 chance that a chunk request fails with a network error
+ *  - latency: ms added to every request
+ */
+export const createLocalUploadTransport = ({ failureRate = 0, latency = 50 } = {}) => {
+  const maybeFail = async () => {
+    await wait(latency);
+    if (Math.random() < failureRate) throw networkError();
+  };
+
+  const requireSession = async (uploadId) => {
+    const session = await sessions.get(uploadId);
+    if (!session) throw httpError(404, 'Upload session not found');
+    return session;
+  };
+
+  return {
+    createSession: async (meta) => {
+      await wait(latency);
+      const uploadId = `local_${generateId()}`;
+      await sessions.put({ ...meta, uploadId, chunks: {}, createdAt: Date.now() });
+      return { uploadId };
+    },
+
+    getSession: async (uploadId) => {
+      await wait(latency);
+      const session = await requireSession(uploadId);
+      return { uploadId, receivedChunks: Object.keys(session.chunks).map(Number) };
+    },
+
+    uploadChunk: async (uploadId, index, chunk, { onUploadProgress, signal } = {}) => {
+      await maybeFail();
+      if (signal?.aborted) throw Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+      const session = await requireSession(uploadId);
+      if (index < 0 || index >= session.totalChunks) throw httpError(400, 'Chunk index out of range');
+      session.chunks[index] = chunk;
+      await sessions.put(session);
+      if (onUploadProgress) onUploadProgress({ loaded: chunk.size, total: chunk.size, progress: 1 });
+      return { index };
+    },
+
+    complete: async (uploadId) => {
+      await wait(latency);
+      const session = await requireSession(uploadId);
+      const missing = [];
+      for (let i = 0; i < session.totalChunks; i += 1) {
+        if (!session.chunks[i]) missing.push(i);
+      }
+      if (missing.length) throw httpError(409, `Missing chunks: ${missing.join(', ')}`);
+      const parts = Array.from({ length: session.totalChunks }, (_, i) => session.chunks[i]);
+      const blob = new Blob(parts, { type: session.type });
+      if (blob.size !== session.size) throw httpError(422, 'Assembled file size mismatch');
+      await sessions.delete(uploadId);
+      return {
+        url: URL.createObjectURL(blob),
+        publicId: uploadId,
+        size: blob.size,
+        target: session.target,
+      };
+    },
+
+    abort: async (uploadId) => {
+      await sessions.delete(uploadId);
+      return { uploadId };
+    },
+  };
+};
+
+export default createLocalUploadTransport;
@@ -0,0 +1,63 @@
+import { generateId } from './helpers';
+import { paymentError, PAYMENT_CANCELLED, PAYMENT_FAILED } from './paymentErrors';
+
+// Gateway that takes no money, for development and automated tests. Enable with
+// VITE_PAYMENT_GATEWAY=mock in a development build, or in any build that also sets
+// VITE_ALLOW_MOCK_PAYMENTS=true; VITE_MOCK_PAYMENT_OUTCOME picks what every payment does:
+// 'success' (default), 'fail', 'cancel', or 'ask' to choose in a confirm dialog.
+// Our server is not involved, so orders paid this way stay unpaid on the server.
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {Object} options - { outcome, latency (ms) }
+ */
+export const createMockPaymentGateway = ({ outcome = 'success', latency = 300 } = {}) => {
+  const pickOutcome = (session) => {
+    if (outcome !== 'ask') return outcome;
+    return window.confirm(`Mock payment of ${session.currency} ${(session.amount / 100).toFixed(2)}. OK to pay, Cancel to abandon.`)
+      ? 'success'
+      : 'cancel';
+  };
+
+  return {
+    name: 'mock',
+
+    create: async ({ amount }) => {
+      await wait(latency);
+      return {
+        gateway: 'mock',
+        gatewayOrderId: `mock_order_${generateId()}`,
+        amount: Math.round(amount * 100),
+        currency: 'INR',
+      };
+    },
+
+    open: async (session, { onAttemptFailed } = {}) => {
+      await wait(latency);
+      const result = pickOutcome(session);
+      if (result === 'cancel') throw paymentError(PAYMENT_CANCELLED, 'Payment cancelled');
+      if (result === 'fail') {
+        onAttemptFailed?.('Mock payment declined');
+        throw paymentError(PAYMENT_FAILED, 'Mock payment declined');
+      }
+      return {
+        gatewayOrderId: session.gatewayOrderId,
+        paymentId: `mock_pay_${generateId()}`,
+        signature: 'mock',
+      };
+    },
+
+    verify: async ({ result }) => {
+      await wait(latency);
+      return { verified: true, gateway: 'mock', paymentId: result.paymentId };
+    },
+
+    refund: async ({ paymentId, amount }) => {
+      await wait(latency);
+      return { refunded: true, gateway: 'mock', paymentId, amount };
+    },
+  };
+};
+
+export default createMockPaymentGateway;
@@ -0,0 +1,89 @@
+import { SCREEN_RECT } from './helpers';
+import { DEFAULT_PRINT_SIZE_MM } from './printExport';
+
+// Per-model geometry is stored in a shared 260×520 "frame space" (the size frame artwork is
+// drawn at in previews), so any renderer can scale it to its own width.
+export const FRAME_SPACE = { width: 260, height: 520 };
+
+export const DEFAULT_MODEL_GEOMETRY = {
+  screen: { ...SCREEN_RECT, radius: 18 },
+  printSize: { ...DEFAULT_PRINT_SIZE_MM },
+  // Camera cut-outs: [{ id, label, points: [{ x, y }] }] polygons in frame space
+  cutouts: [],
+};
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const normalizeRect = (rect = {}, fallback) => ({
+  left: toNumber(rect.left, fallback.left),
+  top: toNumber(rect.top, fallback.top),
+  width: Math.max(toNumber(rect.width, fallback.width), 1),
+  height: Math.max(toNumber(rect.height, fallback.height), 1),
+  radius: Math.max(toNumber(rect.radius, fallback.radius), 0),
+});
+
+const normalizeCutouts = (cutouts) => {
+  if (!Array.isArray(cutouts)) return [];
+  return cutouts
+    .map((cutout, index) => ({
+      id: cutout?.id || `cutout-${index + 1}`,
+      label: cutout?.label || `Camera ${index + 1}`,
+      points: (Array.isArray(cutout?.points) ? cutout.points : [])
+        .map((point) => ({ x: toNumber(point?.x, NaN), y: toNumber(point?.y, NaN) }))
+        .filter((point) => Number.isFinite(point.x) && Number.isFinite(point.y)),
+    }))
+    .filter((cutout) => cutout.points.length >= 3);
+};
+
+/**
+ * Normalized geometry for a phone model, falling back to the default frame layout.
+ * Accepts a model (reads `model.geometry`) or a bare geometry object, e.g. one saved on a design.
+ */
+export const resolveModelGeometry = (source) => {
+  const geometry = source?.geometry || source || {};
+  const printSize = geometry.printSize || source?.printSize || {};
+  return {
+    screen: normalizeRect(geometry.screen, DEFAULT_MODEL_GEOMETRY.screen),
+    printSize: {
+      widthMm: toNumber(printSize.widthMm, 0) || DEFAULT_PRINT_SIZE_MM.widthMm,
+      heightMm: toNumber(printSize.heightMm, 0) || DEFAULT_PRINT_SIZE_MM.heightMm,
+    },
+    cutouts: normalizeCutouts(geometry.cutouts),
+  };
+};
+
+// Scale frame-space geometry to a renderer that draws the frame `targetWidth` pixels wide
+export const scaleRect = (rect, factor) => ({
+  left: rect.left * factor,
+  top: rect.top * factor,
+  width: rect.width * factor,
+  height: rect.height * factor,
+  radius: (rect.radius || 0) * factor,
+});
+
+export const getScreenRect = (geometry, targetWidth = FRAME_SPACE.width) =>
+  scaleRect(resolveModelGeometry(geometry).screen, targetWidth / FRAME_SPACE.width);
+
+export const scaleCutouts = (cutouts, factor) =>
+  (cutouts || []).map((cutout) => ({
+    ...cutout,
+    points: cutout.points.map((point) => ({ x: point.x * factor, y: point.y * factor })),
+  }));
+
+// "x,y x,y ..." text used by the admin editor
+export const formatPolygonPoints = (points = []) =>
+  points.map((point) => `${Math.round(point.x * 10) / 10},${Math.round(point.y * 10) / 10}`).join(' ');
+
+export const parsePolygonPoints = (text = '') =>
+  String(text)
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((pair) => {
+      const [x, y] = pair.split(',').map(Number);
+      return { x, y };
+    })
+    .filter((point) => Number.isFinite(point.x) && Number.isFinite(point.y));
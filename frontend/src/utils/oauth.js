@@ -0,0 +1,170 @@
+import { createTabChannel } from './tabChannel';
+
+// Sign-in with an identity provider (OAuth 2 authorization code + PKCE, OpenID Connect).
+// The browser gets the code; the server exchanges it with the verifier, checks the ID
+// token's nonce and email, and signs in, creates or links the account (api/authAPI).
+// startOAuth opens the provider in a popup and resolves with the callback once
+// pages/OAuthCallback hands it back over a tab channel (the provider's pages cut the popup's
+// link to its opener, so window.opener cannot be used); when popups are blocked the whole
+// page goes to the provider instead and OAuthCallback finishes the flow itself. The request
+// (state, verifier, nonce, what it was for) waits in localStorage, shared by both windows.
+
+export const OAUTH_PROVIDERS = {
+  google: {
+    name: 'Google',
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    clientId: import.meta.env.VITE_GOOGLE_CLIENT_ID || '',
+    scope: 'openid email profile',
+  },
+};
+
+export const OAUTH_CANCELLED = 'OAUTH_CANCELLED';
+const OAUTH_POPUP_NAME = 'oauth-signin';
+const OAUTH_MESSAGE_TYPE = 'oauth:callback';
+
+const PENDING_PREFIX = 'oauth:';
+const PENDING_TTL_MS = 10 * 60 * 1000;
+const POPUP_FEATURES = 'width=500,height=640,menubar=no,toolbar=no';
+
+const channel = createTabChannel('copad-oauth');
+
+const oauthError = (code, message) => Object.assign(new Error(message), { code });
+
+export const isOAuthCancelled = (error) => error?.code === OAUTH_CANCELLED;
+
+export const getEnabledProviders = () => Object.keys(OAUTH_PROVIDERS).filter((id) => OAUTH_PROVIDERS[id].clientId);
+
+export const getCallbackUrl = (provider) => `${window.location.origin}/auth/callback/${provider}`;
+
+const randomString = (bytes = 32) => {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  return btoa(String.fromCharCode(...values)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const codeChallenge = async (verifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return btoa(String.fromCharCode(...new Uint8Array(digest))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const savePending = (state, request) => {
+  try {
+    localStorage.setItem(PENDING_PREFIX + state, JSON.stringify({ ...request, createdAt: Date.now() }));
+  } catch (error) {
+    // without storage the callback cannot be matched and fails with a clear message
+  }
+};
+
+const peekPending = (state) => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_PREFIX + state) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+const takePending = (state) => {
+  try {
+    const raw = localStorage.getItem(PENDING_PREFIX + state);
+    localStorage.removeItem(PENDING_PREFIX + state);
+    const request = raw ? JSON.parse(raw) : null;
+    return request && Date.now() - request.createdAt < PENDING_TTL_MS ? request : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * The provider's answer on the callback URL, matched to the request that started it.
+ * @param {string} provider
+ * @param {string} search - callback location.search
+ * @returns {{ provider, code, codeVerifier, nonce, redirectUri, intent, redirectTo }}
+ */
+export const readOAuthCallback = (provider, search) => {
+  const params = new URLSearchParams(search);
+  const request = params.get('state') ? takePending(params.get('state')) : null;
+  if (params.get('error') === 'access_denied') throw oauthError(OAUTH_CANCELLED, 'Sign-in was cancelled');
+  if (params.get('error')) throw new Error(params.get('error_description') || 'The provider could not sign you in');
+  if (!request || request.provider !== provider) throw new Error('This sign-in link has expired. Please try again');
+  if (!params.get('code')) throw new Error('The provider did not return a sign-in code');
+  return {
+    provider,
+    code: params.get('code'),
+    codeVerifier: request.codeVerifier,
+    nonce: request.nonce,
+    redirectUri: getCallbackUrl(provider),
+    intent: request.intent,
+    redirectTo: request.redirectTo,
+  };
+};
+
+/**
+ * In the popup: passes the provider's answer to the tab that started the sign-in.
+ * @returns {boolean} whether this callback belongs to a popup flow (the window can close)
+ */
+export const handOffOAuthCallback = (search) => {
+  const state = new URLSearchParams(search).get('state');
+  if (!state || peekPending(state)?.mode !== 'popup') return false;
+  channel.post({ type: OAUTH_MESSAGE_TYPE, state, search });
+  return true;
+};
+
+// A closed popup cannot be told apart from one on the provider's pages, so an abandoned
+// sign-in ends when its request would have expired anyway
+const waitForPopup = (state, provider) => new Promise((resolve, reject) => {
+  let unsubscribe = null;
+  const timer = setTimeout(() => {
+    unsubscribe();
+    takePending(state);
+    reject(oauthError(OAUTH_CANCELLED, 'Sign-in was cancelled'));
+  }, PENDING_TTL_MS);
+  unsubscribe = channel.subscribe((message) => {
+    if (message?.type !== OAUTH_MESSAGE_TYPE || message.state !== state) return;
+    clearTimeout(timer);
+    unsubscribe();
+    try {
+      resolve(readOAuthCallback(provider, message.search));
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+/**
+ * Start signing in with a provider. Call it straight from a click handler: the popup is
+ * opened before anything is awaited so the browser allows it.
+ * @param {string} provider - key of OAUTH_PROVIDERS
+ * @param {Object} options - { intent: 'login' | 'link', redirectTo }
+ * @returns {Promise<Object|null>} the callback (see readOAuthCallback) from the popup, or
+ *  null when the page is redirecting to the provider instead
+ */
+export const startOAuth = async (provider, { intent = 'login', redirectTo = '/' } = {}) => {
+  const config = OAUTH_PROVIDERS[provider];
+  if (!config?.clientId) throw new Error(`${config?.name || provider} sign-in is not available`);
+  const popup = window.open('', OAUTH_POPUP_NAME, POPUP_FEATURES);
+  const mode = popup && !popup.closed ? 'popup' : 'redirect';
+
+  const state = randomString(16);
+  const codeVerifier = randomString(32);
+  const nonce = randomString(16);
+  savePending(state, { provider, codeVerifier, nonce, intent, redirectTo, mode });
+
+  const url = new URL(config.authorizeUrl);
+  url.search = new URLSearchParams({
+    client_id: config.clientId,
+    redirect_uri: getCallbackUrl(provider),
+    response_type: 'code',
+    scope: config.scope,
+    state,
+    nonce,
+    code_challenge: await codeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+    prompt: 'select_account',
+  }).toString();
+
+  if (mode === 'redirect') {
+    window.location.assign(url.toString());
+    return null;
+  }
+  popup.location.href = url.toString();
+  return waitForPopup(state, provider);
+};
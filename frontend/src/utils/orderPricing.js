@@ -0,0 +1,56 @@
+import { evaluateCoupons } from './coupons';
+import { computeGst } from './gst';
+
+// Order totals shown in the cart and at checkout and sent with the order.
+
+export const FREE_SHIPPING_THRESHOLD = 500;
+export const STANDARD_SHIPPING_FEE = 50;
+
+export const getShippingFee = (subtotal) => (subtotal > FREE_SHIPPING_THRESHOLD ? 0 : STANDARD_SHIPPING_FEE);
+
+/**
+ * @param {Object} options - { items, coupons, isFirstOrder, shippingFee, codFee, shippingState }
+ *  where shippingFee is the quoted charge for the delivery PIN code (utils/shipping); the flat
+ *  rule below is used until one is known. codFee is added for cash on delivery (utils/cod).
+ *  shippingState decides CGST/SGST vs IGST (utils/gst)
+ * @returns {{ subtotal, shipping, shippingDiscount, discountLines, discount, rejectedCoupons,
+ *  codFee, gst, tax, total }} shipping is the fee before coupons; total is what the customer pays:
+ *  catalog prices after discounts, plus shipping and the COD fee. Prices include GST, so tax is
+ *  the part of the total that is GST, not an extra charge
+ */
+export const computeOrderPricing = ({
+  items,
+  coupons = [],
+  isFirstOrder,
+  shippingFee,
+  codFee = 0,
+  shippingState,
+}) => {
+  const subtotal = items.reduce((sum, item) => sum + item.variant.price * item.quantity, 0);
+  const shipping = shippingFee ?? getShippingFee(subtotal);
+  const { lines, discount, shippingDiscount, rejected } = evaluateCoupons({
+    items,
+    coupons,
+    shippingFee: shipping,
+    isFirstOrder,
+  });
+  const gst = computeGst({
+    items,
+    discount,
+    shippingFee: shipping - shippingDiscount,
+    codFee,
+    shippingState,
+  });
+  return {
+    subtotal,
+    shipping,
+    shippingDiscount,
+    discountLines: lines,
+    discount,
+    rejectedCoupons: rejected,
+    codFee,
+    gst,
+    tax: gst.totals.tax,
+    total: gst.totals.total,
+  };
+};
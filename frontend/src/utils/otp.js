@@ -0,0 +1,61 @@
+import otpAPI from '../api/otpAPI';
+import { localOtpProvider } from './localOtpProvider';
+import { OTP_EXPIRED, OTP_INCORRECT, OTP_RATE_LIMITED, otpError } from './otpErrors';
+
+// Phone number confirmation by SMS one-time password. The provider has two methods,
+// send({ phone, purpose }) resolving to { expiresIn, resendIn, devCode? } and
+// verify({ phone, purpose, code }) resolving to { verified, token }; the token is sent with
+// whatever the code confirmed so the server can check it. VITE_OTP_PROVIDER picks 'api' (the
+// SMS API) or 'local' (the stub); unset, development builds use the stub and production
+// builds the API. Failures carry the codes in utils/otpErrors.
+
+const apiProvider = { name: 'api', send: otpAPI.send, verify: otpAPI.verify };
+const providers = { api: apiProvider, local: localOtpProvider };
+
+const provider = providers[import.meta.env.VITE_OTP_PROVIDER] || (import.meta.env.DEV ? localOtpProvider : apiProvider);
+
+/**
+ * Ten-digit Indian mobile number, without +91 or a leading 0.
+ */
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+};
+
+export const isValidMobile = (phone) => /^[6-9][0-9]{9}$/.test(normalizePhone(phone));
+
+// The SMS API answers 429 when a number asks for codes too often and 410 for a spent code
+const fromApiError = (error) => {
+  const status = error.response?.status;
+  const message = error.response?.data?.message;
+  if (status === 429) {
+    const retryAfter = Number(error.response.data?.retryAfter ?? error.response.headers?.['retry-after']) || 30;
+    return otpError(OTP_RATE_LIMITED, message || `Too many requests. Try again in ${retryAfter}s`, { retryAfter });
+  }
+  if (status === 410) return otpError(OTP_EXPIRED, message || 'The code has expired. Request a new one');
+  if (status === 400 || status === 422) return otpError(OTP_INCORRECT, message || 'Incorrect code');
+  return error;
+};
+
+export const sendOtp = async ({ phone, purpose }) => {
+  if (!isValidMobile(phone)) throw new Error('Enter a valid 10-digit mobile number');
+  try {
+    return await provider.send({ phone: normalizePhone(phone), purpose });
+  } catch (error) {
+    throw fromApiError(error);
+  }
+};
+
+export const verifyOtp = async ({ phone, purpose, code }) => {
+  if (!/^[0-9]{4,8}$/.test(String(code || '').trim())) throw new Error('Enter the code from the SMS');
+  let result;
+  try {
+    result = await provider.verify({ phone: normalizePhone(phone), purpose, code: String(code).trim() });
+  } catch (error) {
+    throw fromApiError(error);
+  }
+  if (!result?.verified) throw otpError(OTP_INCORRECT, 'Incorrect code');
+  return { phone: normalizePhone(phone), token: result.token };
+};
@@ -0,0 +1,16 @@
+// Error codes raised by OTP providers (utils/otp). The SMS API's 429 and expiry answers are
+// mapped onto the same codes, so screens handle both providers alike.
+
+export const OTP_RATE_LIMITED = 'OTP_RATE_LIMITED';
+export const OTP_EXPIRED = 'OTP_EXPIRED';
+export const OTP_INCORRECT = 'OTP_INCORRECT';
+
+/**
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} details - e.g. { retryAfter } in seconds for OTP_RATE_LIMITED
+ */
+export const otpError = (code, message, details = {}) => Object.assign(new Error(message), { code, ...details });
+
+// A new code has to be requested before trying again
+export const isOtpSpent = (error) => error?.code === OTP_EXPIRED;
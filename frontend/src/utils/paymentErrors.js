@@ -0,0 +1,9 @@
+// Error codes raised by payment gateways (utils/payments). Other errors are network or
+// server errors and keep their axios shape.
+
+export const PAYMENT_CANCELLED = 'PAYMENT_CANCELLED';
+export const PAYMENT_FAILED = 'PAYMENT_FAILED';
+
+export const paymentError = (code, message) => Object.assign(new Error(message), { code });
+
+export const isPaymentCancelled = (error) => error?.code === PAYMENT_CANCELLED;
@@ -0,0 +1,149 @@
+import orderAPI from '../api/orderAPI';
+import customAPI from '../api/customAPI';
+import { razorpayGateway } from './razorpayGateway';
+import { createMockPaymentGateway } from './mockPaymentGateway';
+
+// Online payments for orders and custom orders. A gateway adapter implements four steps:
+//   create({ server, amount }) -> session      set up the payment (amount in rupees)
+//   open(session, checkout) -> result          collect it from the customer; rejects with a
+//                                              PAYMENT_CANCELLED / PAYMENT_FAILED error
+//   verify({ server, session, result })        have our server confirm it
+//   refund({ server, paymentId, amount, reason })
+// `server` binds the steps to one order's endpoints ({ createPayment, verifyPayment, refund }),
+// see orderPaymentServer. Razorpay is used unless VITE_PAYMENT_GATEWAY=mock, which is only
+// honoured in development builds or with VITE_ALLOW_MOCK_PAYMENTS=true (test builds), so a
+// production build can never take orders without collecting money.
+
+export { PAYMENT_CANCELLED, PAYMENT_FAILED, isPaymentCancelled } from './paymentErrors';
+
+const mockAllowed = import.meta.env.DEV || import.meta.env.VITE_ALLOW_MOCK_PAYMENTS === 'true';
+
+const gateways = {
+  razorpay: razorpayGateway,
+  ...(mockAllowed ? {
+    mock: createMockPaymentGateway({ outcome: import.meta.env.VITE_MOCK_PAYMENT_OUTCOME || 'success' }),
+  } : {}),
+};
+
+const gateway = gateways[import.meta.env.VITE_PAYMENT_GATEWAY] || razorpayGateway;
+
+export const getPaymentGateway = (name) => (name && gateways[name]) || gateway;
+
+const unwrap = (res) => res.data?.data || res.data || res;
+
+/**
+ * Server endpoints for paying for (and refunding) a standard order.
+ */
+export const orderPaymentServer = (orderId) => ({
+  createPayment: () => orderAPI.createPaymentOrder(orderId).then(unwrap),
+  verifyPayment: (fields) => orderAPI.verifyPayment({ orderId, ...fields }).then(unwrap),
+  refund: (data) => orderAPI.refundPayment(orderId, data).then(unwrap),
+});
+
+/**
+ * Server endpoints for paying for a custom order.
+ */
+export const customOrderPaymentServer = (customOrderId) => ({
+  createPayment: () => customAPI.createPayment(customOrderId).then(unwrap),
+  verifyPayment: (fields) => customAPI.verifyPayment({ customOrderId, ...fields }).then(unwrap),
+  refund: () => Promise.reject(new Error('Custom order refunds are issued by support')),
+});
+
+/**
+ * Run a payment through the current gateway.
+ * @param {Object} options
+ *  - server: from orderPaymentServer, or the equivalent for another kind of order
+ *  - amount: rupees
+ *  - checkout: { name, description, prefill, notes, vpa, onAttemptFailed } for the gateway UI
+ * @returns {Promise<{ gateway, session, result, verification }>} errors carry `stage`
+ *  ('create' | 'open' | 'verify') so callers can tell a declined payment from a failed check
+ */
+export const collectPayment = async ({ server, amount, checkout = {} }) => {
+  const active = gateway;
+  const step = async (stage, run) => {
+    try {
+      return await run();
+    } catch (error) {
+      // Rejected thunks unwrap to their message
+      const failure = error instanceof Error ? error : new Error(typeof error === 'string' ? error : 'Payment failed');
+      throw Object.assign(failure, { stage });
+    }
+  };
+  const session = await step('create', () => active.create({ server, amount }));
+  const result = await step('open', () => active.open(session, checkout));
+  const verification = await step('verify', () => active.verify({ server, session, result }));
+  return { gateway: active.name, session, result, verification };
+};
+
+/**
+ * Refund an order's payment through the gateway that took it.
+ */
+export const refundOrderPayment = (order, { amount, reason } = {}) => {
+  const payment = order.payment || {};
+  return getPaymentGateway(payment.gateway).refund({
+    server: orderPaymentServer(order._id),
+    paymentId: payment.paymentId || payment.razorpayPaymentId,
+    amount: amount ?? order.total,
+    reason,
+  });
+};
+
+// Orders paid online are created before the payment. The server cancels one left unpaid
+// past its paymentExpiresAt so its stock is released; the client only shows the deadline.
+// Orders still in these statuses have not been confirmed, shipped or otherwise acted on
+const UNCONFIRMED_ORDER_STATUSES = ['pending', 'placed'];
+
+const formatTime = (date) => date.toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+
+/**
+ * Where an online order's payment stands.
+ * @param {Object} options - { now, expires } where expires is false for orders that are
+ *  kept unpaid on purpose (custom orders saved for an artwork preview)
+ * @returns {{ state: 'paid' | 'pending' | 'failed' | 'expired' | 'refunded' | 'cancelled',
+ *  canPay: boolean, expiresAt: Date | null, message: string } | null} null for cash on delivery
+ */
+export const getOrderPaymentState = (order, { now = Date.now(), expires = true } = {}) => {
+  const method = order?.paymentMethod || order?.payment?.method;
+  if (!order || method === 'cod') return null;
+  const status = String(order.payment?.status || order.paymentStatus || 'pending').toLowerCase();
+  const orderStatus = String(order.status || '').toLowerCase();
+
+  if (status === 'paid') return { state: 'paid', canPay: false, expiresAt: null, message: 'Payment received' };
+  if (status === 'refunded') return { state: 'refunded', canPay: false, expiresAt: null, message: 'Payment refunded' };
+
+  // Once an order has been confirmed its payment deadline no longer applies
+  const hasDeadline = expires && !!order.paymentExpiresAt
+    && [...UNCONFIRMED_ORDER_STATUSES, 'cancelled'].includes(orderStatus || 'pending');
+  const expiresAt = hasDeadline ? new Date(order.paymentExpiresAt) : null;
+  if (status === 'expired' || (expiresAt && expiresAt.getTime() <= now)) {
+    return {
+      state: 'expired',
+      canPay: false,
+      expiresAt,
+      message: status === 'expired' || orderStatus === 'cancelled'
+        ? 'The payment window closed, so this order was cancelled. You have not been charged.'
+        : 'The payment window has closed, so this order will be cancelled. You have not been charged.',
+    };
+  }
+  if (orderStatus === 'cancelled') {
+    return { state: 'cancelled', canPay: false, expiresAt: null, message: 'Order cancelled before payment' };
+  }
+  if (status === 'failed') {
+    return {
+      state: 'failed',
+      canPay: true,
+      expiresAt,
+      message: expiresAt
+        ? `Your last payment attempt did not go through. Try again by ${formatTime(expiresAt)} to keep this order.`
+        : 'Your last payment attempt did not go through. Try again when you are ready.',
+    };
+  }
+  return {
+    state: 'pending',
+    canPay: true,
+    expiresAt,
+    message: expiresAt
+      ? `Payment pending. Complete it by ${formatTime(expiresAt)} or the order will be cancelled.`
+      : 'Payment pending.',
+  };
+};
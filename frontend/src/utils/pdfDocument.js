@@ -0,0 +1,142 @@
+// Small PDF writer for generated documents (invoices): A4 pages with Helvetica text, lines
+// and filled boxes. Coordinates are in millimetres from the top-left corner of the page.
+// Only Latin-1 text is supported by the built-in fonts; other characters print as '?'.
+
+const PAGE_WIDTH_PT = 595.28;
+const PAGE_HEIGHT_PT = 841.89;
+const MM = 72 / 25.4;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126, from the standard AFM
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+// Bold is wider; close enough for aligning columns
+const BOLD_FACTOR = 1.07;
+
+const toLatin1 = (text) => String(text ?? '').replace(/[^\x20-\xff]/g, '?');
+
+const escapeText = (text) => toLatin1(text).replace(/[\\()]/g, (char) => `\\${char}`);
+
+/**
+ * Width of a string in millimetres at the given font size (pt).
+ */
+export const measureText = (text, size = 10, bold = false) => {
+  const units = Array.from(toLatin1(text)).reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return ((units * size) / 1000 / MM) * (bold ? BOLD_FACTOR : 1);
+};
+
+const num = (value) => Number(value.toFixed(2));
+
+/**
+ * @returns {{ addPage, text, line, rect, wrapText, pageCount, toBlob }}
+ */
+export const createPdfDocument = () => {
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+  addPage();
+
+  const y = (mm) => num(PAGE_HEIGHT_PT - mm * MM);
+  const x = (mm) => num(mm * MM);
+
+  /**
+   * @param {Object} options - { size (pt), bold, align: 'left' | 'right' | 'center', color: [r, g, b] 0..1 }
+   */
+  const text = (value, left, top, { size = 10, bold = false, align = 'left', color = [0, 0, 0] } = {}) => {
+    const width = measureText(value, size, bold);
+    const start = align === 'right' ? left - width : align === 'center' ? left - width / 2 : left;
+    current.push(
+      `${color.join(' ')} rg BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x(start)} ${y(top)} Td (${escapeText(value)}) Tj ET`
+    );
+  };
+
+  const line = (x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) => {
+    current.push(`${color.join(' ')} RG ${width} w ${x(x1)} ${y(y1)} m ${x(x2)} ${y(y2)} l S`);
+  };
+
+  const rect = (left, top, width, height, { fill = [0.95, 0.95, 0.95] } = {}) => {
+    current.push(`${fill.join(' ')} rg ${x(left)} ${y(top + height)} ${num(width * MM)} ${num(height * MM)} re f`);
+  };
+
+  /**
+   * Split text into lines no wider than maxWidth millimetres.
+   */
+  const wrapText = (value, maxWidth, size = 10, bold = false) => {
+    const words = toLatin1(value).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let lineText = '';
+    words.forEach((word) => {
+      const candidate = lineText ? `${lineText} ${word}` : word;
+      if (lineText && measureText(candidate, size, bold) > maxWidth) {
+        lines.push(lineText);
+        lineText = word;
+      } else {
+        lineText = candidate;
+      }
+    });
+    if (lineText) lines.push(lineText);
+    return lines;
+  };
+
+  const toBlob = () => {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const pageIds = pages.map((commands) => {
+      const stream = commands.join('\n');
+      const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH_PT} ${PAGE_HEIGHT_PT}] `
+        + `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    // Everything is Latin-1, so string length equals byte length for the xref offsets
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i += 1) bytes[i] = output.charCodeAt(i);
+    return new Blob([bytes], { type: 'application/pdf' });
+  };
+
+  return {
+    addPage,
+    text,
+    line,
+    rect,
+    wrapText,
+    pageCount: () => pages.length,
+    toBlob,
+  };
+};
+
+export default createPdfDocument;
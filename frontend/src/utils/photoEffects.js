@@ -0,0 +1,357 @@
+// Non-destructive photo edits for uploaded artwork: colour adjustments, background removal
+// and a backdrop. Only the parameters are stored with the design; the original upload is kept
+// untouched, so the same render can be reproduced later at print resolution. Everything runs
+// on canvas in the browser, no network or model download needed.
+
+export const PHOTO_PARAMS_VERSION = 1;
+
+// Percentages with CSS filter semantics (100 = unchanged for brightness/contrast/saturation)
+export const DEFAULT_PHOTO_ADJUSTMENTS = {
+  brightness: 100,
+  contrast: 100,
+  saturation: 100,
+  grayscale: 0,
+  sepia: 0,
+};
+
+export const PHOTO_ADJUSTMENT_CONTROLS = [
+  { key: 'brightness', label: 'Brightness', min: 50, max: 150 },
+  { key: 'contrast', label: 'Contrast', min: 50, max: 150 },
+  { key: 'saturation', label: 'Saturation', min: 0, max: 200 },
+  { key: 'grayscale', label: 'Black & white', min: 0, max: 100 },
+  { key: 'sepia', label: 'Sepia', min: 0, max: 100 },
+];
+
+// tolerance: how far (0..100) a colour may drift from the edge colours and still count as
+// background; feather: softening of the cut edge in mask pixels
+export const DEFAULT_BACKGROUND_REMOVAL = { removed: false, tolerance: 18, feather: 2 };
+
+export const MASK_MAX_SIDE = 400;
+const PALETTE_SIZE = 4;
+const MAX_RGB_DISTANCE = Math.sqrt(3 * 255 * 255);
+
+export const createPhotoParams = () => ({
+  version: PHOTO_PARAMS_VERSION,
+  adjustments: { ...DEFAULT_PHOTO_ADJUSTMENTS },
+  background: { ...DEFAULT_BACKGROUND_REMOVAL },
+  backdrop: null,
+});
+
+/**
+ * Fill in defaults and drop unknown values so stored params always render the same way.
+ * backdrop is null, { type: 'color', color } or { type: 'theme', themeId, image }.
+ */
+export const normalizePhotoParams = (params = {}) => {
+  const base = createPhotoParams();
+  const adjustments = { ...base.adjustments };
+  PHOTO_ADJUSTMENT_CONTROLS.forEach(({ key, min, max }) => {
+    const value = Number(params.adjustments?.[key]);
+    if (Number.isFinite(value)) adjustments[key] = Math.min(Math.max(value, min), max);
+  });
+  const background = { ...base.background, ...(params.background || {}) };
+  background.removed = !!background.removed;
+  background.tolerance = Math.min(Math.max(Number(background.tolerance) || 0, 0), 100);
+  background.feather = Math.min(Math.max(Number(background.feather) || 0, 0), 10);
+  const { backdrop } = params;
+  const validBackdrop = (backdrop?.type === 'color' && backdrop.color)
+    || (backdrop?.type === 'theme' && backdrop.image);
+  return {
+    version: PHOTO_PARAMS_VERSION,
+    adjustments,
+    background,
+    backdrop: validBackdrop ? { ...backdrop } : null,
+  };
+};
+
+export const hasPhotoEdits = (params) => {
+  if (!params) return false;
+  const { adjustments = {}, background = {} } = params;
+  return background.removed
+    || Object.keys(DEFAULT_PHOTO_ADJUSTMENTS).some((key) => adjustments[key] !== undefined
+      && adjustments[key] !== DEFAULT_PHOTO_ADJUSTMENTS[key]);
+};
+
+/**
+ * CSS filter string equivalent to applyAdjustments, for cheap live previews.
+ */
+export const buildCssFilter = (adjustments = DEFAULT_PHOTO_ADJUSTMENTS) => {
+  const a = { ...DEFAULT_PHOTO_ADJUSTMENTS, ...adjustments };
+  return `brightness(${a.brightness}%) contrast(${a.contrast}%) saturate(${a.saturation}%) grayscale(${a.grayscale}%) sepia(${a.sepia}%)`;
+};
+
+// Colour matrices from the Filter Effects spec, so renders match the CSS preview
+const saturateMatrix = (s) => [
+  0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+];
+
+const grayscaleMatrix = (amount) => {
+  const g = 1 - amount;
+  return [
+    0.2126 + 0.7874 * g, 0.7152 - 0.7152 * g, 0.0722 - 0.0722 * g,
+    0.2126 - 0.2126 * g, 0.7152 + 0.2848 * g, 0.0722 - 0.0722 * g,
+    0.2126 - 0.2126 * g, 0.7152 - 0.7152 * g, 0.0722 + 0.9278 * g,
+  ];
+};
+
+const sepiaMatrix = (amount) => {
+  const p = 1 - amount;
+  return [
+    0.393 + 0.607 * p, 0.769 - 0.769 * p, 0.189 - 0.189 * p,
+    0.349 - 0.349 * p, 0.686 + 0.314 * p, 0.168 - 0.168 * p,
+    0.272 - 0.272 * p, 0.534 - 0.534 * p, 0.131 + 0.869 * p,
+  ];
+};
+
+const clamp255 = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+/**
+ * Apply brightness/contrast/saturation/grayscale/sepia to ImageData in place, in the same
+ * order and with the same clamping as the CSS filter chain.
+ */
+export const applyAdjustments = (imageData, adjustments = DEFAULT_PHOTO_ADJUSTMENTS) => {
+  const a = { ...DEFAULT_PHOTO_ADJUSTMENTS, ...adjustments };
+  const brightness = a.brightness / 100;
+  const contrast = a.contrast / 100;
+  const matrices = [];
+  if (a.saturation !== 100) matrices.push(saturateMatrix(a.saturation / 100));
+  if (a.grayscale) matrices.push(grayscaleMatrix(a.grayscale / 100));
+  if (a.sepia) matrices.push(sepiaMatrix(a.sepia / 100));
+  if (brightness === 1 && contrast === 1 && !matrices.length) return imageData;
+
+  const { data } = imageData;
+  const intercept = 255 * (0.5 - 0.5 * contrast);
+  for (let i = 0; i < data.length; i += 4) {
+    let r = clamp255(data[i] * brightness);
+    let g = clamp255(data[i + 1] * brightness);
+    let b = clamp255(data[i + 2] * brightness);
+    r = clamp255(r * contrast + intercept);
+    g = clamp255(g * contrast + intercept);
+    b = clamp255(b * contrast + intercept);
+    for (let m = 0; m < matrices.length; m += 1) {
+      const k = matrices[m];
+      const nr = k[0] * r + k[1] * g + k[2] * b;
+      const ng = k[3] * r + k[4] * g + k[5] * b;
+      const nb = k[6] * r + k[7] * g + k[8] * b;
+      r = clamp255(nr);
+      g = clamp255(ng);
+      b = clamp255(nb);
+    }
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+  return imageData;
+};
+
+// A few representative edge colours (k-means over the border pixels)
+const borderPalette = (data, width, height) => {
+  const samples = [];
+  const push = (x, y) => {
+    const i = (y * width + x) * 4;
+    samples.push([data[i], data[i + 1], data[i + 2]]);
+  };
+  for (let x = 0; x < width; x += 1) {
+    push(x, 0);
+    push(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y += 1) {
+    push(0, y);
+    push(width - 1, y);
+  }
+
+  const step = Math.max(Math.floor(samples.length / PALETTE_SIZE), 1);
+  let centres = Array.from({ length: PALETTE_SIZE }, (_, i) => samples[Math.min(i * step, samples.length - 1)].slice());
+  for (let iteration = 0; iteration < 6; iteration += 1) {
+    const sums = centres.map(() => [0, 0, 0, 0]);
+    samples.forEach((sample) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centres.forEach((centre, c) => {
+        const d = (sample[0] - centre[0]) ** 2 + (sample[1] - centre[1]) ** 2 + (sample[2] - centre[2]) ** 2;
+        if (d < bestDistance) {
+          bestDistance = d;
+          best = c;
+        }
+      });
+      sums[best][0] += sample[0];
+      sums[best][1] += sample[1];
+      sums[best][2] += sample[2];
+      sums[best][3] += 1;
+    });
+    centres = centres.map((centre, c) => (sums[c][3]
+      ? [sums[c][0] / sums[c][3], sums[c][1] / sums[c][3], sums[c][2] / sums[c][3]]
+      : centre));
+  }
+  return centres;
+};
+
+const boxBlur = (mask, width, height, radius) => {
+  if (radius < 1) return mask;
+  const tmp = new Float32Array(mask.length);
+  const out = new Uint8ClampedArray(mask.length);
+  const size = radius * 2 + 1;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k += 1) {
+        sum += mask[y * width + Math.min(Math.max(x + k, 0), width - 1)];
+      }
+      tmp[y * width + x] = sum / size;
+    }
+  }
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k += 1) {
+        sum += tmp[Math.min(Math.max(y + k, 0), height - 1) * width + x];
+      }
+      out[y * width + x] = sum / size;
+    }
+  }
+  return out;
+};
+
+/**
+ * Foreground mask for a photo: background is whatever is connected to the image border and
+ * close in colour to the border's dominant colours. Works best for portraits on plain or
+ * evenly lit backgrounds.
+ * @param {ImageData} imageData - keep small (see MASK_MAX_SIDE); cost is linear in pixels
+ * @param {Object} options - { tolerance, feather }
+ * @returns {Uint8ClampedArray} alpha per pixel, 0 = background, 255 = subject
+ */
+export const computeForegroundMask = (imageData, { tolerance, feather } = DEFAULT_BACKGROUND_REMOVAL) => {
+  const { data, width, height } = imageData;
+  const palette = borderPalette(data, width, height);
+  const threshold = ((tolerance ?? DEFAULT_BACKGROUND_REMOVAL.tolerance) / 100) * MAX_RGB_DISTANCE;
+  const thresholdSq = threshold * threshold;
+
+  const isBackgroundColour = (p) => {
+    const i = p * 4;
+    for (let c = 0; c < palette.length; c += 1) {
+      const d = (data[i] - palette[c][0]) ** 2 + (data[i + 1] - palette[c][1]) ** 2 + (data[i + 2] - palette[c][2]) ** 2;
+      if (d <= thresholdSq) return true;
+    }
+    return false;
+  };
+
+  const mask = new Uint8ClampedArray(width * height).fill(255);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+  const visit = (p) => {
+    if (mask[p] === 0 || !isBackgroundColour(p)) return;
+    mask[p] = 0;
+    queue[tail] = p;
+    tail += 1;
+  };
+
+  for (let x = 0; x < width; x += 1) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y += 1) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+  while (head < tail) {
+    const p = queue[head];
+    head += 1;
+    const x = p % width;
+    if (x > 0) visit(p - 1);
+    if (x < width - 1) visit(p + 1);
+    if (p >= width) visit(p - width);
+    if (p < width * (height - 1)) visit(p + width);
+  }
+
+  return boxBlur(mask, width, height, Math.round(feather ?? DEFAULT_BACKGROUND_REMOVAL.feather));
+};
+
+const imageCache = new Map();
+const loadImage = (src) => {
+  if (!imageCache.has(src)) {
+    // Keep only the most recent few decoded images; previews re-render the same source often
+    if (imageCache.size > 4) imageCache.delete(imageCache.keys().next().value);
+    imageCache.set(src, new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => {
+        imageCache.delete(src);
+        reject(new Error('Failed to load image'));
+      };
+      img.src = src;
+    }));
+  }
+  return imageCache.get(src);
+};
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(Math.round(width), 1);
+  canvas.height = Math.max(Math.round(height), 1);
+  return canvas;
+};
+
+// object-fit: cover, centred
+const drawCover = (ctx, img, width, height) => {
+  const scale = Math.max(width / img.width, height / img.height);
+  const drawWidth = img.width * scale;
+  const drawHeight = img.height * scale;
+  ctx.drawImage(img, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+const maskCanvasFor = (img, background) => {
+  const factor = Math.min(MASK_MAX_SIDE / Math.max(img.width, img.height), 1);
+  const small = createCanvas(img.width * factor, img.height * factor);
+  const smallCtx = small.getContext('2d', { willReadFrequently: true });
+  smallCtx.drawImage(img, 0, 0, small.width, small.height);
+  const alpha = computeForegroundMask(smallCtx.getImageData(0, 0, small.width, small.height), background);
+  const maskData = smallCtx.createImageData(small.width, small.height);
+  for (let p = 0; p < alpha.length; p += 1) maskData.data[p * 4 + 3] = alpha[p];
+  smallCtx.putImageData(maskData, 0, 0);
+  return small;
+};
+
+/**
+ * Render a photo with its edit params, filling `size` like the preview (object-fit: cover).
+ * @param {string} src - original image url or data URL
+ * @param {Object} params - photo params (see normalizePhotoParams)
+ * @param {Object} size - { width, height } output pixels, e.g. the print size
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const renderPhotoDesign = async (src, params, { width, height }) => {
+  const { adjustments, background, backdrop } = normalizePhotoParams(params);
+  const img = await loadImage(src);
+
+  // Work at the smallest resolution that still covers the output, so previews stay quick
+  const scale = Math.min(Math.max(width / img.width, height / img.height), 1);
+  const subject = createCanvas(img.width * scale, img.height * scale);
+  const subjectCtx = subject.getContext('2d', { willReadFrequently: true });
+  subjectCtx.drawImage(img, 0, 0, subject.width, subject.height);
+  const pixels = subjectCtx.getImageData(0, 0, subject.width, subject.height);
+  subjectCtx.putImageData(applyAdjustments(pixels, adjustments), 0, 0);
+  if (background.removed) {
+    subjectCtx.globalCompositeOperation = 'destination-in';
+    subjectCtx.imageSmoothingQuality = 'high';
+    subjectCtx.drawImage(maskCanvasFor(img, background), 0, 0, subject.width, subject.height);
+    subjectCtx.globalCompositeOperation = 'source-over';
+  }
+
+  const output = createCanvas(width, height);
+  const ctx = output.getContext('2d');
+  if (background.removed && backdrop?.type === 'color') {
+    ctx.fillStyle = backdrop.color;
+    ctx.fillRect(0, 0, output.width, output.height);
+  } else if (background.removed && backdrop?.type === 'theme') {
+    try {
+      drawCover(ctx, await loadImage(backdrop.image), output.width, output.height);
+    } catch (error) {
+      console.warn('Backdrop could not be loaded:', error);
+    }
+  }
+  ctx.imageSmoothingQuality = 'high';
+  drawCover(ctx, subject, output.width, output.height);
+  return output;
+};
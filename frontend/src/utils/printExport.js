@@ -0,0 +1,59 @@
+// Print geometry for cover exports. The editor works in on-screen pixels; the printer
+// needs the printable area rendered at a physical size and DPI, plus bleed around it.
+
+export const MM_PER_INCH = 25.4;
+export const PRINT_DPI_OPTIONS = [150, 300, 600];
+export const DEFAULT_PRINT_DPI = 300;
+export const DEFAULT_BLEED_MM = 3;
+// Photos below this fraction of the target DPI are flagged as under-resolution
+export const MIN_DPI_RATIO = 0.75;
+// Used when a model has no physical dimensions on record
+export const DEFAULT_PRINT_SIZE_MM = { widthMm: 75, heightMm: 160 };
+export const MOCKUP_MULTIPLIER = 2;
+
+export const mmToPx = (mm, dpi) => Math.round((mm / MM_PER_INCH) * dpi);
+
+/**
+ * Work out how the editor's printable rect maps onto the physical print.
+ * @param {Object} screenRect - printable rect in canvas pixels
+ * @param {Object} printSize - { widthMm, heightMm }
+ * @param {Object} options - { dpi, bleedMm }
+ * @returns {{ dpi, bleedMm, multiplier, bleed, widthPx, heightPx }} bleed is in canvas pixels,
+ *  widthPx/heightPx are the final print file size including bleed
+ */
+export const getPrintSpec = (screenRect, printSize, { dpi = DEFAULT_PRINT_DPI, bleedMm = DEFAULT_BLEED_MM } = {}) => {
+  const targetWidth = mmToPx(printSize.widthMm, dpi);
+  const targetHeight = mmToPx(printSize.heightMm, dpi);
+  // The editor rect may not share the model's exact aspect ratio; scale to cover
+  // so neither axis ends up below the requested DPI
+  const multiplier = Math.max(targetWidth / screenRect.width, targetHeight / screenRect.height);
+  const bleed = mmToPx(bleedMm, dpi) / multiplier;
+  return {
+    dpi,
+    bleedMm,
+    multiplier,
+    bleed,
+    widthPx: Math.round((screenRect.width + bleed * 2) * multiplier),
+    heightPx: Math.round((screenRect.height + bleed * 2) * multiplier),
+  };
+};
+
+/**
+ * Effective print DPI of a source image drawn `displayWidth` canvas pixels wide.
+ * @param {number} sourceWidth - natural pixel width of the image
+ * @param {number} displayWidth - width of the layer on the canvas (after scaling)
+ * @param {Object} screenRect - printable rect in canvas pixels
+ * @param {Object} printSize - { widthMm }
+ */
+export const effectiveDpi = (sourceWidth, displayWidth, screenRect, printSize) => {
+  if (!sourceWidth || !displayWidth) return 0;
+  const printedInches = (displayWidth / screenRect.width) * (printSize.widthMm / MM_PER_INCH);
+  return printedInches ? sourceWidth / printedInches : 0;
+};
+
+export const isUnderResolution = (dpi, targetDpi) => dpi > 0 && dpi < targetDpi * MIN_DPI_RATIO;
+
+export const dataUrlToBlob = (dataUrl) => {
+  if (!dataUrl) return Promise.resolve(null);
+  return fetch(dataUrl).then((res) => res.blob()).catch(() => null);
+};
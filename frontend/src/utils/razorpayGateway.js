@@ -0,0 +1,83 @@
+import { paymentError, PAYMENT_CANCELLED } from './paymentErrors';
+
+// Razorpay Checkout adapter for utils/payments. Our server creates the Razorpay order and
+// checks the payment signature; the browser only runs Razorpay's checkout in between.
+
+const SCRIPT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+
+let scriptPromise = null;
+
+export const loadRazorpayScript = () => {
+  if (typeof window === 'undefined') return Promise.reject(new Error('Window is not available'));
+  if (window.Razorpay) return Promise.resolve(true);
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = SCRIPT_URL;
+      script.onload = () => resolve(true);
+      script.onerror = () => {
+        scriptPromise = null;
+        script.remove();
+        reject(new Error('Razorpay SDK failed to load'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return scriptPromise;
+};
+
+export const razorpayGateway = {
+  name: 'razorpay',
+
+  create: async ({ server, amount }) => {
+    const [data] = await Promise.all([server.createPayment(), loadRazorpayScript()]);
+    const gatewayOrderId = data?.razorpayOrderId || data?.orderId || data?.id;
+    if (!gatewayOrderId) throw new Error('Unable to initialize payment');
+    return {
+      gateway: 'razorpay',
+      gatewayOrderId,
+      key: data.keyId || data.key || data.key_id || import.meta.env.VITE_RAZORPAY_KEY,
+      // Razorpay amounts are in paise
+      amount: data.amount || Math.round(amount * 100),
+      currency: data.currency || 'INR',
+    };
+  },
+
+  open: (session, { name, description, prefill, notes, vpa, onAttemptFailed } = {}) => new Promise((resolve, reject) => {
+    const razorpay = new window.Razorpay({
+      key: session.key,
+      amount: session.amount,
+      currency: session.currency,
+      order_id: session.gatewayOrderId,
+      name,
+      description,
+      prefill: { ...prefill, ...(vpa ? { vpa } : {}) },
+      notes,
+      theme: { color: '#2563eb' },
+      handler: (response) => resolve({
+        gatewayOrderId: response.razorpay_order_id || session.gatewayOrderId,
+        paymentId: response.razorpay_payment_id,
+        signature: response.razorpay_signature,
+      }),
+      modal: {
+        ondismiss: () => reject(paymentError(PAYMENT_CANCELLED, 'Payment cancelled')),
+      },
+    });
+    // The customer can try again in the same window, so a failed attempt does not settle
+    razorpay.on('payment.failed', (resp) => {
+      onAttemptFailed?.(resp.error?.description || 'Payment failed. Please try again.');
+    });
+    razorpay.open();
+  }),
+
+  verify: ({ server, result }) => server.verifyPayment({
+    razorpay_order_id: result.gatewayOrderId,
+    razorpay_payment_id: result.paymentId,
+    razorpay_signature: result.signature,
+  }),
+
+  // Refunds are issued by our server with the Razorpay secret
+  refund: ({ server, paymentId, amount, reason }) => server.refund({ paymentId, amount, reason }),
+};
+
+export default razorpayGateway;
@@ -0,0 +1,212 @@
+import { createIdbStore } from './idbStore';
+
+// Chunked, resumable uploads. Each upload is tracked in IndexedDB together with the file
+// itself, so a dropped connection retries with backoff and a reloaded page can pick up from
+// the last acknowledged chunk. The transport (HTTP or the local stand-in) does the I/O.
+
+export const CHUNK_SIZE = 512 * 1024;
+export const MAX_RETRIES = 6;
+export const BASE_RETRY_DELAY = 500; // ms
+export const MAX_RETRY_DELAY = 15000; // ms
+
+const pendingUploads = createIdbStore('copad-uploads', 'pending', { keyPath: 'key' });
+
+const cancelledError = () => Object.assign(new Error('Upload cancelled'), { code: 'ERR_CANCELED' });
+
+export const isCancelled = (error) => error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError';
+
+// Network drops, timeouts, throttling and server errors are worth another try; 4xx are not
+export const isRetryable = (error) => {
+  if (isCancelled(error)) return false;
+  const status = error?.response?.status;
+  if (!status) return true;
+  return status >= 500 || status === 408 || status === 429;
+};
+
+// Exponential backoff with jitter so many clients don't retry in lockstep
+export const backoffDelay = (attempt) => {
+  const base = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** attempt);
+  return Math.round(base * (0.5 + Math.random() / 2));
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(cancelledError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  function onAbort() {
+    clearTimeout(timer);
+    reject(cancelledError());
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const waitForOnline = (signal) => new Promise((resolve, reject) => {
+  const onOnline = () => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  };
+  function onAbort() {
+    window.removeEventListener('online', onOnline);
+    reject(cancelledError());
+  }
+  window.addEventListener('online', onOnline, { once: true });
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Retry an async operation with exponential backoff. While the browser reports being offline
+ * it waits for the 'online' event instead of burning attempts.
+ * @param {Function} operation - () => Promise
+ * @param {Object} options - { signal, onRetry(attempt, error) }
+ */
+export const withRetry = async (operation, { signal, onRetry } = {}) => {
+  let attempt = 0;
+  for (;;) {
+    if (signal?.aborted) throw cancelledError();
+    try {
+      return await operation();
+    } catch (error) {
+      if (signal?.aborted || !isRetryable(error) || attempt >= MAX_RETRIES) throw error;
+      if (isOffline()) {
+        await waitForOnline(signal);
+      } else {
+        await sleep(backoffDelay(attempt), signal);
+        attempt += 1;
+      }
+      if (onRetry) onRetry(attempt, error);
+    }
+  }
+};
+
+export const uploadKey = (file, target = {}) =>
+  [target.kind || 'upload', target.id || '', file.name || 'blob', file.size, file.lastModified || 0].join(':');
+
+const saveRecord = (record) => pendingUploads.put({ ...record, updatedAt: Date.now() });
+
+const runUpload = async (record, { transport, onProgress, signal, onRetry }) => {
+  const retry = { signal, onRetry };
+
+  // The server is the source of truth for which chunks actually arrived
+  if (record.uploadId) {
+    try {
+      const status = await withRetry(() => transport.getSession(record.uploadId), retry);
+      record.completedChunks = status?.receivedChunks || [];
+    } catch (error) {
+      if (error?.response?.status !== 404) throw error;
+      // Session expired server-side: start over with the stored file
+      record.uploadId = null;
+      record.completedChunks = [];
+    }
+  }
+
+  if (!record.uploadId) {
+    const session = await withRetry(() => transport.createSession({
+      fileName: record.fileName,
+      size: record.size,
+      type: record.type,
+      chunkSize: record.chunkSize,
+      totalChunks: record.totalChunks,
+      target: record.target,
+    }), retry);
+    record.uploadId = session.uploadId;
+    await saveRecord(record);
+  }
+
+  const done = new Set(record.completedChunks);
+  const chunkBytes = (index) => Math.min(record.chunkSize, record.size - index * record.chunkSize);
+  const report = (inFlight = 0) => {
+    if (!onProgress) return;
+    let loaded = inFlight;
+    done.forEach((index) => { loaded += chunkBytes(index); });
+    onProgress({ phase: 'uploading', loaded, total: record.size, progress: record.size ? loaded / record.size : 1 });
+  };
+  report();
+
+  for (let index = 0; index < record.totalChunks; index += 1) {
+    if (done.has(index)) continue;
+    const start = index * record.chunkSize;
+    const chunk = record.file.slice(start, start + record.chunkSize);
+    await withRetry(() => transport.uploadChunk(record.uploadId, index, chunk, {
+      signal,
+      onUploadProgress: (event) => report(event?.loaded || 0),
+    }), retry);
+    done.add(index);
+    record.completedChunks = Array.from(done);
+    await saveRecord(record);
+    report();
+  }
+
+  const result = await withRetry(() => transport.complete(record.uploadId), retry);
+  await pendingUploads.delete(record.key);
+  return result;
+};
+
+/**
+ * Upload a file in chunks, resuming a previous attempt for the same file and target.
+ * @param {File|Blob} file
+ * @param {Object} options
+ *  - transport: { createSession, getSession, uploadChunk, complete, abort }
+ *  - target: { kind, id, ... } what the upload is for; sent to the server and used to list pending uploads
+ *  - onProgress({ phase, loaded, total, progress }), onRetry(attempt, error), signal, chunkSize
+ * @returns {Promise<Object>} the transport's completion payload ({ url, publicId, ... })
+ */
+export const startResumableUpload = async (file, options = {}) => {
+  const { target = {}, chunkSize = CHUNK_SIZE } = options;
+  const key = uploadKey(file, target);
+  const existing = await pendingUploads.get(key);
+  const record = existing && existing.size === file.size
+    ? existing
+    : {
+      key,
+      uploadId: null,
+      target,
+      fileName: file.name || 'upload',
+      type: file.type || 'application/octet-stream',
+      size: file.size,
+      chunkSize,
+      totalChunks: Math.max(Math.ceil(file.size / chunkSize), 1),
+      completedChunks: [],
+      file,
+      createdAt: Date.now(),
+    };
+  await saveRecord(record);
+  return runUpload(record, options);
+};
+
+/**
+ * Continue an upload that was interrupted, e.g. by a page reload.
+ * @param {string} key - record key from listPendingUploads
+ * @param {Object} options - same as startResumableUpload (target is taken from the record)
+ */
+export const resumeUpload = async (key, options = {}) => {
+  const record = await pendingUploads.get(key);
+  if (!record) throw new Error('Nothing to resume for this upload');
+  return runUpload(record, options);
+};
+
+/**
+ * Interrupted uploads, oldest first.
+ * @param {string} kind - optional target.kind filter
+ */
+export const listPendingUploads = async (kind) => {
+  const records = await pendingUploads.getAll();
+  return records
+    .filter((record) => !kind || record.target?.kind === kind)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+};
+
+export const discardUpload = async (key, transport) => {
+  const record = await pendingUploads.get(key);
+  await pendingUploads.delete(key);
+  if (record?.uploadId && transport) {
+    // Best effort: the server expires abandoned sessions anyway
+    transport.abort(record.uploadId).catch(() => {});
+  }
+};
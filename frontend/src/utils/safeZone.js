@@ -0,0 +1,154 @@
+// Camera cut-out checks. The rendered design is scanned inside each cut-out polygon (plus a
+// small margin) for content customers usually care about: skin tones, as a cheap face proxy,
+// and high-contrast detail such as text or edges. Everything runs on a small canvas so the
+// check stays fast enough to run right before add-to-cart.
+
+export const ANALYSIS_WIDTH = 260;
+export const CUTOUT_MARGIN = 6; // analysis px added around each cut-out
+export const EDGE_THRESHOLD = 48; // luminance gradient that counts as "detail"
+export const SKIN_RATIO_LIMIT = 0.18;
+export const DETAIL_RATIO_LIMIT = 0.2;
+
+const polygonBounds = (points) => ({
+  minX: Math.min(...points.map((p) => p.x)),
+  maxX: Math.max(...points.map((p) => p.x)),
+  minY: Math.min(...points.map((p) => p.y)),
+  maxY: Math.max(...points.map((p) => p.y)),
+});
+
+// Ray casting; points are { x, y }
+export const pointInPolygon = (x, y, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const a = points[i];
+    const b = points[j];
+    const crosses = (a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Grow a polygon about its centre so its bounding box gains `margin` on every side
+export const expandPolygon = (points, margin) => {
+  const { minX, maxX, minY, maxY } = polygonBounds(points);
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  const sx = maxX > minX ? (maxX - minX + margin * 2) / (maxX - minX) : 1;
+  const sy = maxY > minY ? (maxY - minY + margin * 2) / (maxY - minY) : 1;
+  return points.map((p) => ({ x: cx + (p.x - cx) * sx, y: cy + (p.y - cy) * sy }));
+};
+
+// Classic YCbCr skin range; loose on purpose since a false warning is cheap
+const isSkinTone = (r, g, b) => {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Failed to load image'));
+  img.src = src;
+});
+
+/**
+ * Draw an image "object-fit: cover" into a rect of a new canvas, the way the preview shows it.
+ * @param {string} src - image url or data URL
+ * @param {Object} rect - { left, top, width, height } target area
+ * @param {Object} size - { width, height } of the canvas
+ */
+export const renderCoverToCanvas = async (src, rect, size) => {
+  const img = await loadImage(src);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(size.width);
+  canvas.height = Math.round(size.height);
+  const ctx = canvas.getContext('2d');
+  const scale = Math.max(rect.width / img.width, rect.height / img.height);
+  const drawWidth = img.width * scale;
+  const drawHeight = img.height * scale;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(rect.left, rect.top, rect.width, rect.height);
+  ctx.clip();
+  ctx.drawImage(
+    img,
+    rect.left + (rect.width - drawWidth) / 2,
+    rect.top + (rect.height - drawHeight) / 2,
+    drawWidth,
+    drawHeight
+  );
+  ctx.restore();
+  return canvas;
+};
+
+/**
+ * Check which camera cut-outs cover important content.
+ * @param {HTMLCanvasElement} source - rendered design without the frame overlay
+ * @param {Array} cutouts - [{ id, label, points }] in `source` pixel coordinates
+ * @returns {Array<{ id, label, skinRatio, detailRatio, reasons: string[] }>} only cut-outs that overlap content
+ */
+export const findCutoutConflicts = (source, cutouts = []) => {
+  if (!source || !cutouts.length) return [];
+  const factor = Math.min(ANALYSIS_WIDTH / source.width, 1);
+  const width = Math.max(Math.round(source.width * factor), 1);
+  const height = Math.max(Math.round(source.height * factor), 1);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < width * height; i += 1) {
+    const o = i * 4;
+    luminance[i] = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+  }
+  const gradientAt = (x, y) => {
+    const i = y * width + x;
+    const gx = x + 1 < width ? luminance[i + 1] - luminance[i] : 0;
+    const gy = y + 1 < height ? luminance[i + width] - luminance[i] : 0;
+    return Math.abs(gx) + Math.abs(gy);
+  };
+
+  return cutouts
+    .map((cutout) => {
+      const points = expandPolygon(
+        cutout.points.map((p) => ({ x: p.x * factor, y: p.y * factor })),
+        CUTOUT_MARGIN
+      );
+      const bounds = polygonBounds(points);
+      let total = 0;
+      let skin = 0;
+      let detail = 0;
+      for (let y = Math.max(Math.floor(bounds.minY), 0); y <= Math.min(Math.ceil(bounds.maxY), height - 1); y += 1) {
+        for (let x = Math.max(Math.floor(bounds.minX), 0); x <= Math.min(Math.ceil(bounds.maxX), width - 1); x += 1) {
+          if (!pointInPolygon(x + 0.5, y + 0.5, points)) continue;
+          total += 1;
+          const o = (y * width + x) * 4;
+          // Transparent pixels are empty cover, not content
+          if (data[o + 3] < 128) continue;
+          if (isSkinTone(data[o], data[o + 1], data[o + 2])) skin += 1;
+          if (gradientAt(x, y) > EDGE_THRESHOLD) detail += 1;
+        }
+      }
+      const skinRatio = total ? skin / total : 0;
+      const detailRatio = total ? detail / total : 0;
+      const reasons = [];
+      if (skinRatio > SKIN_RATIO_LIMIT) reasons.push('face');
+      if (detailRatio > DETAIL_RATIO_LIMIT) reasons.push('detail');
+      return { id: cutout.id, label: cutout.label, skinRatio, detailRatio, reasons };
+    })
+    .filter((result) => result.reasons.length > 0);
+};
+
+export const describeCutoutConflicts = (conflicts) =>
+  conflicts
+    .map((conflict) => {
+      const what = conflict.reasons.includes('face') ? 'a face or skin' : 'detailed content';
+      return `${conflict.label} covers ${what}`;
+    })
+    .join('; ');
@@ -0,0 +1,120 @@
+import shippingAPI from '../api/shippingAPI';
+import { localShippingProvider } from './localShippingProvider';
+
+// Shipping charge and delivery estimate for a PIN code. Serviceability and rates come from a
+// provider with quote({ pin, subtotal, weightGrams, cod }) resolving to
+// { serviceable, zone, fee, codAvailable, transitDays: { min, max }, message }, and
+// lookupPin(pin) resolving to { city, district, state } or null. The courier API is used unless
+// VITE_SHIPPING_PROVIDER=local picks the stub.
+
+// Days before an order leaves the studio: catalog cases ship within 24 hours, custom prints
+// wait for artwork approval
+const DISPATCH_DAYS = { catalog: 1, custom: 2 };
+const ITEM_WEIGHT_GRAMS = 60;
+const SAVED_PIN_KEY = 'deliveryPin';
+
+const apiProvider = { name: 'api', quote: shippingAPI.quote, lookupPin: shippingAPI.lookupPin };
+
+const provider = import.meta.env.VITE_SHIPPING_PROVIDER === 'local' ? localShippingProvider : apiProvider;
+const quoteCache = new Map();
+const pinCache = new Map();
+
+export const normalizePinCode = (pin) => String(pin || '').replace(/\s+/g, '');
+
+// Six digits, not starting with 0
+export const isValidPinCode = (pin) => /^[1-9][0-9]{5}$/.test(normalizePinCode(pin));
+
+export const getSavedPinCode = () => {
+  try {
+    return localStorage.getItem(SAVED_PIN_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+export const savePinCode = (pin) => {
+  try {
+    localStorage.setItem(SAVED_PIN_KEY, normalizePinCode(pin));
+  } catch (error) {
+    // not remembered, nothing else depends on it
+  }
+};
+
+/**
+ * Where a PIN code is, to fill in an address. Lookups are a convenience: failures resolve
+ * to null and the customer types the city and state.
+ * @param {string} pin
+ * @returns {Promise<{ city, district, state } | null>}
+ */
+export const lookupPinCode = async (pin) => {
+  const normalized = normalizePinCode(pin);
+  if (!isValidPinCode(normalized)) return null;
+  if (!pinCache.has(normalized)) {
+    pinCache.set(normalized, Promise.resolve(provider.lookupPin?.(normalized)).catch(() => null));
+  }
+  const result = await pinCache.get(normalized);
+  return result?.state ? result : null;
+};
+
+// Add working days (Sundays off)
+const addWorkingDays = (from, days) => {
+  const date = new Date(from);
+  let left = days;
+  while (left > 0) {
+    date.setDate(date.getDate() + 1);
+    if (date.getDay() !== 0) left -= 1;
+  }
+  return date;
+};
+
+const hasCustomItems = (items) => items.some((item) => String(item.product?._id || '').startsWith('custom_'));
+
+/**
+ * Quote shipping for a cart (or a single product as a one-item cart).
+ * @param {Object} options - { pin, items, cod }
+ * @returns {Promise<Object>} provider quote plus { pin, provider, dispatchDays,
+ *  estimate: { from: Date, to: Date } | null }
+ */
+export const getShippingQuote = async ({ pin, items = [], cod = false }) => {
+  const normalized = normalizePinCode(pin);
+  if (!isValidPinCode(normalized)) throw new Error('Enter a valid 6-digit PIN code');
+
+  const subtotal = items.reduce((sum, item) => sum + item.variant.price * item.quantity, 0);
+  const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+  const dispatchDays = hasCustomItems(items) ? DISPATCH_DAYS.custom : DISPATCH_DAYS.catalog;
+  const cacheKey = [provider.name, normalized, subtotal, quantity, dispatchDays, cod].join('|');
+  if (quoteCache.has(cacheKey)) return quoteCache.get(cacheKey);
+
+  const request = provider.quote({ pin: normalized, subtotal, weightGrams: quantity * ITEM_WEIGHT_GRAMS, cod })
+    .then((quote) => {
+      const now = new Date();
+      return {
+        ...quote,
+        pin: normalized,
+        provider: provider.name,
+        dispatchDays,
+        estimate: quote.serviceable && quote.transitDays
+          ? {
+              from: addWorkingDays(now, dispatchDays + quote.transitDays.min),
+              to: addWorkingDays(now, dispatchDays + quote.transitDays.max),
+            }
+          : null,
+      };
+    });
+  quoteCache.set(cacheKey, request);
+  // Failed lookups are retried next time
+  request.catch(() => quoteCache.delete(cacheKey));
+  return request;
+};
+
+const formatDay = (date) => date.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+
+/**
+ * "Thu, 24 Oct" or "Thu, 24 Oct – Sat, 26 Oct"
+ */
+export const formatDeliveryEstimate = (estimate) => {
+  if (!estimate) return '';
+  const from = formatDay(new Date(estimate.from));
+  const to = formatDay(new Date(estimate.to));
+  return from === to ? from : `${from} – ${to}`;
+};
@@ -0,0 +1,56 @@
+// Messages between open tabs of the app. Uses BroadcastChannel, or the storage event of a
+// scratch localStorage key where that is missing (older Safari). A tab never receives its
+// own messages.
+
+const FALLBACK_PREFIX = 'copad-tab-channel:';
+
+/**
+ * @param {string} name
+ * @returns {{ post(message), subscribe(handler) => unsubscribe, close() }}
+ */
+export const createTabChannel = (name) => {
+  if (typeof window === 'undefined') {
+    return { post: () => {}, subscribe: () => () => {}, close: () => {} };
+  }
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    return {
+      post: (message) => channel.postMessage(message),
+      subscribe: (handler) => {
+        const listener = (event) => handler(event.data);
+        channel.addEventListener('message', listener);
+        return () => channel.removeEventListener('message', listener);
+      },
+      close: () => channel.close(),
+    };
+  }
+
+  const key = `${FALLBACK_PREFIX}${name}`;
+  return {
+    post: (message) => {
+      try {
+        // The nonce makes repeated identical messages still count as a change
+        localStorage.setItem(key, JSON.stringify({ message, nonce: Math.random() }));
+        localStorage.removeItem(key);
+      } catch (error) {
+        // Storage unavailable: other tabs simply stay as they are
+      }
+    },
+    subscribe: (handler) => {
+      const listener = (event) => {
+        if (event.key !== key || !event.newValue) return;
+        try {
+          handler(JSON.parse(event.newValue).message);
+        } catch (error) {
+          // ignore malformed messages
+        }
+      };
+      window.addEventListener('storage', listener);
+      return () => window.removeEventListener('storage', listener);
+    },
+    close: () => {},
+  };
+};
+
+export default createTabChannel;
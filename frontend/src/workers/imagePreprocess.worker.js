@@ -0,0 +1,18 @@
+import { processImageBlob } from '../utils/imageProcessing';
+
+// Messages: { id, blob, options } in; { id, type: 'progress' | 'done' | 'error', ... } out
+self.onmessage = async (event) => {
+  const { id, blob, options } = event.data || {};
+  if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+    self.postMessage({ id, type: 'error', unsupported: true, message: 'OffscreenCanvas is not available' });
+    return;
+  }
+  try {
+    const result = await processImageBlob(blob, options, (stage, progress) => {
+      self.postMessage({ id, type: 'progress', stage, progress });
+    });
+    self.postMessage({ id, type: 'done', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error?.message || 'Image processing failed' });
+  }
+};